@@ -1,47 +1,55 @@
+// backend/src/app.js
+//
+// The Express application: middleware, /uploads and the /api routers.
+// server.js migrates the database and starts listening.
 const express = require('express');
 const cors = require('cors');
-const helmet = require('helmet');
-const morgan = require('morgan');
-const path = require('path');
 
-const { initializeDatabase } = require('./database/init');
+const apiRoutes = require('./routes');
+const { authenticate, authenticateImage } = require('./middleware/auth');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { requireImageOwner, serveImageVariant } = require('./middleware/images');
+const { UPLOADS_DIR } = require('./config/paths');
 
 const app = express();
 
 // Middleware
-app.use(helmet());
 app.use(cors());
-app.use(morgan('combined'));
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
-
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-
-// Basic route
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
-    timestamp: new Date().toISOString(),
-    version: '0.1.0'
+app.use(express.json({ limit: '50mb' }));
+app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+
+// Every /api route needs a bearer token except these
+const PUBLIC_API_PATHS = ['/health', '/test-vision', '/auth/register', '/auth/login'];
+// All a device token (e.g. the RFID reader's) may call
+const DEVICE_API_PATHS = ['/rfid/'];
+app.use('/api', (req, res, next) => {
+  if (PUBLIC_API_PATHS.includes(req.path)) {
+    return next();
+  }
+  authenticate(req, res, () => {
+    if (req.user.deviceId && !DEVICE_API_PATHS.some(prefix => req.path.startsWith(prefix))) {
+      return res.status(403).json({ error: 'Device tokens can only report RFID events' });
+    }
+    next();
   });
 });
 
-// Wardrobe routes (basic for now)
-app.get('/api/wardrobe', (req, res) => {
-  res.json([]);
-});
-
-app.post('/api/wardrobe', (req, res) => {
-  res.json({ message: 'Item creation endpoint - coming soon' });
-});
-
-// Initialize database
-initializeDatabase();
-
-const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
-  console.log(`Closet Monkey API server running on port ${PORT}`);
-});
-
-module.exports = app;
\ No newline at end of file
+// Uploaded images, each served only to its owner; ?size= picks a resized
+// copy (config/images.js)
+app.use('/uploads', authenticateImage, requireImageOwner, serveImageVariant, express.static(UPLOADS_DIR, {
+  maxAge: '1h', // Cache for 1 hour
+  etag: true,   // Enable ETag for cache validation
+  setHeaders: (res, path) => {
+    // Add cache headers for images; private, as they are per user
+    if (path.endsWith('.jpg') || path.endsWith('.jpeg') || path.endsWith('.png') || path.endsWith('.webp')) {
+      res.setHeader('Cache-Control', 'private, max-age=3600, must-revalidate');
+    }
+  }
+}));
+
+app.use('/api', apiRoutes);
+
+app.use(errorHandler);
+app.use('*', notFound);
+
+module.exports = app;
@@ -0,0 +1,30 @@
+// backend/src/config/colors.js
+//
+// Color naming (utils/colors.js). A color takes the name of the closest
+// palette color when their CIEDE2000 difference is at most maxDifference,
+// else it is 'unknown'. Palette colors without a family get one from Lab:
+// neutral below neutralChroma, otherwise warm when the Lab hue (degrees)
+// lies in warmHues - which wraps through 0, covering reds, oranges, browns
+// and yellows - and cool for the rest.
+const path = require('path');
+
+const COLOR_NAMING = {
+  maxDifference: 15,
+  neutralChroma: 10,
+  warmHues: { from: 330, to: 110 }
+};
+
+const COLOR_FAMILIES = ['neutral', 'warm', 'cool'];
+
+// What services/garmentAnalysisService.js tells apart on an item's crop
+const PATTERNS = ['solid', 'striped', 'checked', 'dotted', 'printed'];
+
+// Shipped palette; files in PALETTES_DIR (config/paths.js) add to it
+const DEFAULT_PALETTE_PATH = path.join(__dirname, 'palettes', 'default.json');
+
+module.exports = {
+  COLOR_NAMING,
+  COLOR_FAMILIES,
+  PATTERNS,
+  DEFAULT_PALETTE_PATH
+};
@@ -0,0 +1,24 @@
+// backend/src/config/duplicates.js
+//
+// When a scanned outfit counts as a duplicate of a saved one
+// (checkForDuplicateOutfits). Three signals are blended:
+//   metadata - overlap of the items' "type:color" pairs (0..1)
+//   photo    - the scanned photo against the outfit's photo
+//   items    - each item crop against the closest picture of the outfit's items
+// Image signals come from perceptual hashes: the distance is the mean
+// Hamming distance of the aHash and dHash (0 identical .. 64 unrelated), and
+// maps to a similarity of 1 at 0 falling to 0 at 2 x maxDistance. A signal
+// with nothing to compare (no photo, no crops) is left out and the weights
+// of the rest are scaled up.
+const DUPLICATE_RULES = {
+  weights: { metadata: 0.3, photo: 0.3, items: 0.4 },
+  // Duplicates score above this
+  threshold: 0.7,
+  // Distances at or under these count as the same picture
+  maxPhotoDistance: 10,
+  maxItemDistance: 12
+};
+
+module.exports = {
+  DUPLICATE_RULES
+};
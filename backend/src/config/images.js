@@ -0,0 +1,139 @@
+// backend/src/config/images.js
+//
+// Sizes served for any image under /uploads with ?size=<name>. Each is a
+// WebP that fits inside the box without being enlarged; leaving size off
+// (or size=original) serves the uploaded file itself.
+const IMAGE_SIZES = {
+  thumb: { width: 320, height: 320 },
+  medium: { width: 1024, height: 1024 },
+  full: { width: 2048, height: 2048 }
+};
+
+const VARIANT_QUALITY = 80;
+
+// Uploads in these formats are re-encoded to apply EXIF orientation and drop
+// metadata (GPS position, camera details); other formats are kept as sent
+const NORMALIZED_FORMATS = {
+  jpeg: { quality: 90 },
+  png: {},
+  webp: { quality: 90 }
+};
+
+// Clockwise degrees PUT .../images/:imageId/rotate accepts
+const ROTATIONS = [90, 180, 270, -90];
+
+// Background removal (cutoutService). The photo is segmented on a copy at
+// most workingSize px on its longest side: colors common along the border
+// are taken as background and grown inwards while pixels stay within
+// tolerance (colorDistance) of them. The cutout is centred on a
+// width x height transparent canvas with padding (share of each side).
+const CUTOUT = {
+  maxSourceSize: 2048,
+  workingSize: 400,
+  tolerance: 60,
+  borderClusters: 4,
+  // A border color counts as background when it covers this share of the border
+  minClusterShare: 0.1,
+  // Foreground regions smaller than this share of the largest are specks
+  minRegionShare: 0.1,
+  // Outside these shares of the photo the background wasn't found
+  minForeground: 0.02,
+  maxForeground: 0.95,
+  feather: 1,
+  width: 768,
+  height: 1024,
+  padding: 0.06
+};
+
+// Outfit collages (collageService): item photos, cutouts preferred, laid out
+// by category on a width x height JPEG. The canvas is split into columns
+// (width shares) of groups stacked by weight; groups with no items and
+// columns with no groups give their room to the rest, and items of one
+// group sit side by side. margin and gap are shares of the canvas width.
+const COLLAGE = {
+  width: 1200,
+  height: 1200,
+  background: '#ffffff',
+  quality: 85,
+  margin: 0.03,
+  gap: 0.015,
+  maxItems: 12,
+  columns: [
+    { width: 0.55, groups: [{ group: 'top', weight: 4 }, { group: 'onePiece', weight: 7 }, { group: 'bottom', weight: 4 }, { group: 'shoes', weight: 2 }] },
+    { width: 0.45, groups: [{ group: 'outerwear', weight: 5 }, { group: 'accessories', weight: 3 }] }
+  ],
+  // Taxonomy slot (config/recommendations.js OUTFIT_SLOTS) -> group; anything
+  // else is laid out with the accessories
+  slotGroups: {
+    layer: 'outerwear',
+    top: 'top',
+    onePiece: 'onePiece',
+    bottom: 'bottom',
+    shoes: 'shoes',
+    accessories: 'accessories'
+  },
+  defaultGroup: 'accessories'
+};
+
+// Color histograms (imageHashService), taken on a size x size thumbnail.
+// Pixels with at least minSaturation go in one of hues hue bins, split
+// into darker and lighter halves; the rest in one of greys lightness bins.
+const HISTOGRAM = {
+  size: 32,
+  hues: 12,
+  greys: 4,
+  minSaturation: 0.2
+};
+
+// Colors and pattern of a detected item's crop (garmentAnalysisService),
+// read at most size px on its longest side after trimming inset of each
+// side (crops are padded around the item). A color covering plainBackground
+// of the trimmed border, and under backgroundInside times that share of the
+// middle, is background and left out. Colors are k-means clusters of the
+// pixels in Lab, merged while closer than mergeDifference (CIEDE2000);
+// clusters within blendDistance (RGB) of the line between two larger ones
+// are edge pixels blending them and are dropped. The rest are named by the
+// palette; names covering less than minColorShare are dropped and at most
+// maxColors kept.
+//
+// The pattern comes from the edges (Sobel gradient of the Lab channel
+// changing most, above edgeStrength): it is solid when the picture, cut
+// into tiles x tiles, has edges at under solidEdgeShare of the pixels of
+// most tiles. Edges mostly in one direction (stripeCoherence) are stripes,
+// in two square to each other (checkCoherence) checks. Otherwise at least
+// minDots compact, similar blobs contrasting with the ground by dotContrast
+// are dots, and anything else is a print.
+const GARMENT_ANALYSIS = {
+  size: 128,
+  inset: 0.15,
+  plainBackground: 0.6,
+  backgroundInside: 0.7,
+  clusters: 6,
+  rounds: 8,
+  mergeDifference: 12,
+  blendDistance: 14,
+  minColorShare: 0.06,
+  maxColors: 3,
+  edgeStrength: 40,
+  tiles: 4,
+  solidEdgeShare: 0.06,
+  stripeCoherence: 0.5,
+  checkCoherence: 0.45,
+  dotContrast: 15,
+  minDots: 6,
+  minDotPixels: 3,
+  minDotFill: 0.55,
+  maxDotAspect: 2,
+  maxDotSizeSpread: 0.8
+};
+
+module.exports = {
+  IMAGE_SIZES,
+  VARIANT_QUALITY,
+  NORMALIZED_FORMATS,
+  ROTATIONS,
+  CUTOUT,
+  COLLAGE,
+  HISTOGRAM,
+  GARMENT_ANALYSIS
+};
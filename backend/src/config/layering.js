@@ -0,0 +1,73 @@
+// backend/src/config/layering.js
+//
+// How detected garments are worn over each other (garmentLayeringService).
+
+// Layers, innermost first: where the boxes of two garments overlap, the one
+// in the later layer is worn over the other; garments of one layer don't
+// cover each other. A garment's layer is its type's in the taxonomy
+// (config/taxonomy.json), so a tank top is a base layer and a vest a mid one.
+const GARMENT_LAYERS = ['base', 'main', 'accent', 'mid', 'outer', 'accessory'];
+
+// Garments inferred beneath detected ones when nothing in the photo matches
+// unless. Each entry of under names garments it is worn under and how sure
+// that makes it (the highest applies). An entry with a color is always
+// inferred, in that color when none of it shows; one without only when
+// enough of it shows. The first entry inferred also settles the later ones.
+// The category of an inferred garment is its type's in the taxonomy.
+// Garments are named by taxonomy category or type and stand for everything
+// filed under it; a name outside the taxonomy ("collar", a label) matches
+// only itself.
+const SHIRTS = ['Shirts', 'collar'];
+
+const INFERRED_LAYERS = [
+  {
+    type: 'dress shirt',
+    color: 'white',
+    unless: SHIRTS,
+    under: [
+      { garments: ['tie'], confidence: 0.9 },
+      { garments: ['suit', 'jacket', 'coat'], confidence: 0.85 }
+    ]
+  },
+  {
+    type: 'shirt',
+    unless: SHIRTS,
+    under: [
+      { garments: ['sweater', 'cardigan', 'vest'], confidence: 0.7 }
+    ]
+  }
+];
+
+// The photo is read at most size px on its longest side. A color filling
+// plainBackground of the photo's edge is its background, and so is every
+// pixel joined to the edge within backgroundDifference (CIEDE2000) of it.
+// Working from the outermost layer in, each garment's colors come from the
+// pixels of its box no outer garment took; it then takes those within
+// claimDifference of its main color. An inferred garment is looked for in
+// the boxes of the garments it is under, grown by reveal for their layer
+// (shares of the box: sides on the left and right, top above - a collar
+// above a jacket, the shirt beside a tie), skin excluded (YCbCr ranges).
+// A second color of a garment within claimDifference of the main color of
+// one it covers is that one showing through, and is dropped. Colors need
+// minPixels; garments cover each other when their areas share minOverlap of
+// the smaller one.
+const LAYERING = {
+  size: 256,
+  plainBackground: 0.6,
+  backgroundDifference: 12,
+  claimDifference: 15,
+  minPixels: 40,
+  minOverlap: 0.05,
+  reveal: {
+    accent: { sides: 0.6, top: 0.1 },
+    mid: { sides: 0, top: 0.15 },
+    outer: { sides: 0, top: 0.1 }
+  },
+  skin: { cb: [77, 127], cr: [133, 173] }
+};
+
+module.exports = {
+  GARMENT_LAYERS,
+  INFERRED_LAYERS,
+  LAYERING
+};
@@ -0,0 +1,21 @@
+// backend/src/config/lists.js
+//
+// Sorting and paging for GET /api/wardrobe/items/:userId and
+// GET /api/outfits/:userId. sort lists keys by priority, each prefixed with
+// '-' for descending (sort=-lastWornDate,name).
+const ITEM_SORT_KEYS = ['lastWornDate', 'createdDate', 'name', 'wearCount'];
+const OUTFIT_SORT_KEYS = ['lastWornDate', 'createdDate', 'name', 'itemCount'];
+
+const DEFAULT_LIST_SORT = '-createdDate';
+
+// Used when cursor is given without a limit
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+
+module.exports = {
+  ITEM_SORT_KEYS,
+  OUTFIT_SORT_KEYS,
+  DEFAULT_LIST_SORT,
+  DEFAULT_LIST_LIMIT,
+  MAX_LIST_LIMIT
+};
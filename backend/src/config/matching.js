@@ -0,0 +1,29 @@
+// backend/src/config/matching.js
+//
+// Recognising scanned items as ones already in the wardrobe
+// (wardrobeMatchingService). Each detection is scored against every
+// wardrobe item of a compatible kind on three signals, 0..1 each:
+//   histogram - color histogram intersection with the item's closest picture
+//   hash      - perceptual-hash similarity to that picture (1 at distance 0,
+//               0 at 2 x maxHashDistance)
+//   metadata  - type, color name and brand agreeing, weighted by metadata
+//               over the attributes both sides have
+// When the detection has no crop (or nothing to compare on metadata) that
+// signal is left out and the weights of the rest are scaled up; an item
+// without photos scores 0 against a crop. Items scoring at least
+// candidateScore come back as ranked candidates; the best is taken as the
+// match from matchScore up, each wardrobe item going to one detection.
+const MATCH_RULES = {
+  weights: { histogram: 0.35, hash: 0.25, metadata: 0.4 },
+  metadata: { type: 0.5, color: 0.3, brand: 0.2 },
+  maxHashDistance: 12,
+  // Different color names this close (colorDistance) count half
+  closeColorDistance: 100,
+  candidateScore: 0.35,
+  matchScore: 0.6,
+  maxCandidates: 3
+};
+
+module.exports = {
+  MATCH_RULES
+};
@@ -0,0 +1,39 @@
+// backend/src/config/occasions.js
+//
+// Occasion names for outfits. generateOutfitName picks from OUTFIT_OCCASIONS
+// (the first three are the most formal), and imported calendar events are
+// classified into the same names.
+const OUTFIT_OCCASIONS = [
+  'Business Meeting', 'Office Day', 'Casual Friday', 'Date Night', 'Weekend Brunch',
+  'Networking Event', 'Conference Call', 'Client Presentation', 'After Work Drinks',
+  'Smart Casual', 'Professional Look', 'Classic Style', 'Modern Ensemble'
+];
+
+// Calendar event -> occasion. Keywords match at the start of a word in the
+// event summary first, then in its location and description; the first
+// matching rule wins, so more specific occasions come first.
+const EVENT_OCCASION_RULES = [
+  { occasion: 'Client Presentation', keywords: ['presentation', 'present to', 'pitch', 'demo', 'keynote', 'client', 'customer'] },
+  { occasion: 'Conference Call', keywords: ['call', 'zoom', 'teams meeting', 'webex', 'google meet', 'hangout', 'video'] },
+  { occasion: 'Date Night', keywords: ['date night', 'date', 'anniversary', 'romantic', 'valentine'] },
+  { occasion: 'After Work Drinks', keywords: ['drinks', 'happy hour', 'beer', 'pub', 'cocktail'] },
+  { occasion: 'Weekend Brunch', keywords: ['brunch'] },
+  { occasion: 'Networking Event', keywords: ['networking', 'meetup', 'mixer', 'conference', 'summit', 'expo', 'career fair'] },
+  { occasion: 'Business Meeting', keywords: ['meeting', 'interview', 'review', 'board', 'standup', 'stand-up', 'sync', '1:1', 'one-on-one', 'workshop', 'offsite', 'kickoff'] }
+];
+
+// Events no rule matches: weekday working hours (local time) are an office
+// day, or casual Friday; anything else is smart casual
+const WORKING_HOURS = { start: 7, end: 18 };
+const WORKDAY_OCCASION = 'Office Day';
+const FRIDAY_OCCASION = 'Casual Friday';
+const DEFAULT_EVENT_OCCASION = 'Smart Casual';
+
+module.exports = {
+  OUTFIT_OCCASIONS,
+  EVENT_OCCASION_RULES,
+  WORKING_HOURS,
+  WORKDAY_OCCASION,
+  FRIDAY_OCCASION,
+  DEFAULT_EVENT_OCCASION
+};
@@ -0,0 +1,64 @@
+// backend/src/config/paths.js
+const path = require('path');
+const fs = require('fs');
+
+// Everything on disk lives under backend/, whatever the working directory is
+const BACKEND_ROOT = path.join(__dirname, '../..');
+const UPLOADS_DIR = path.join(BACKEND_ROOT, 'uploads');
+const CROPS_DIR = path.join(UPLOADS_DIR, 'crops');
+const OUTFITS_DIR = path.join(UPLOADS_DIR, 'outfits');
+// Resized WebP copies of uploads, mirroring their paths (see imageService)
+const VARIANTS_DIR = path.join(UPLOADS_DIR, 'variants');
+// Background-removed item photos (see cutoutService)
+const CUTOUTS_DIR = path.join(UPLOADS_DIR, 'cutouts');
+
+[UPLOADS_DIR, CROPS_DIR, OUTFITS_DIR, VARIANTS_DIR, CUTOUTS_DIR].forEach(dir => {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+});
+
+// Local .ics files that can be imported by name (not created on startup)
+const CALENDARS_DIR = path.resolve(BACKEND_ROOT, process.env.CALENDAR_DIR || 'calendars');
+
+// Extra color palettes (*.json) added to the default one (not created on startup)
+const PALETTES_DIR = path.resolve(BACKEND_ROOT, process.env.PALETTE_DIR || 'palettes');
+
+// Clothing taxonomy (utils/taxonomy.js); TAXONOMY_FILE replaces the shipped one
+const TAXONOMY_FILE = process.env.TAXONOMY_FILE
+  ? path.resolve(BACKEND_ROOT, process.env.TAXONOMY_FILE)
+  : path.join(__dirname, 'taxonomy.json');
+
+// Client-supplied file paths (e.g. tempImagePath) must stay inside uploads/
+const resolveUploadPath = (filePath) => {
+  const resolved = path.resolve(BACKEND_ROOT, filePath);
+  return resolved.startsWith(UPLOADS_DIR + path.sep) ? resolved : null;
+};
+
+// Calendar file name from a client -> path inside CALENDARS_DIR, or null
+const resolveCalendarPath = (name) => {
+  const resolved = path.resolve(CALENDARS_DIR, String(name));
+  return resolved.startsWith(CALENDARS_DIR + path.sep) && /\.ics$/i.test(resolved) ? resolved : null;
+};
+
+// Absolute path on disk for a public "/uploads/..." URL
+const uploadUrlToPath = (imageUrl) => path.join(BACKEND_ROOT, imageUrl);
+
+// Path the client sees for an uploaded file ("uploads/<name>")
+const toClientPath = (filePath) => path.relative(BACKEND_ROOT, filePath);
+
+module.exports = {
+  BACKEND_ROOT,
+  UPLOADS_DIR,
+  CROPS_DIR,
+  OUTFITS_DIR,
+  VARIANTS_DIR,
+  CUTOUTS_DIR,
+  CALENDARS_DIR,
+  PALETTES_DIR,
+  TAXONOMY_FILE,
+  resolveUploadPath,
+  resolveCalendarPath,
+  uploadUrlToPath,
+  toClientPath
+};
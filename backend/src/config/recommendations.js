@@ -0,0 +1,62 @@
+// backend/src/config/recommendations.js
+//
+// Rules for the outfit recommender. The slot and formality of an item come
+// from its type in the taxonomy (config/taxonomy.json); occasions and
+// weather are keyword matches against the item and the first matching entry
+// wins.
+
+// Which part of an outfit an item fills. 'onePiece' covers top and bottom.
+const OUTFIT_SLOTS = ['top', 'bottom', 'onePiece', 'layer', 'shoes', 'accessories'];
+
+// 0 athletic, 1 casual, 2 smart casual, 3 formal; the default is for items
+// the taxonomy gives none
+const FORMALITY_LEVELS = [0, 1, 2, 3];
+const DEFAULT_ITEM_FORMALITY = 1.5;
+
+// Occasions map onto a target formality by keyword (the outfit-name
+// occasions such as "Business Meeting" or "Weekend Brunch" all resolve)
+const OCCASION_PROFILES = [
+  { profile: 'formal', formality: 3, keywords: ['formal', 'business', 'meeting', 'presentation', 'client', 'conference', 'interview', 'wedding', 'gala'] },
+  { profile: 'active', formality: 0, keywords: ['gym', 'workout', 'run', 'sport', 'hike', 'athletic', 'yoga'] },
+  { profile: 'smart', formality: 2, keywords: ['office', 'work', 'smart', 'networking', 'date', 'dinner', 'drinks', 'professional', 'classic', 'party'] },
+  { profile: 'casual', formality: 1, keywords: ['casual', 'weekend', 'brunch', 'relax', 'home', 'errand'] }
+];
+const DEFAULT_OCCASION_PROFILE = 'casual';
+
+// Whether an outfit wants a layer in each temperature band (config/weather).
+// Unknown temperatures are treated as 'optional'.
+const LAYER_NEEDS = {
+  cold: 'required',
+  cool: 'recommended',
+  mild: 'optional',
+  hot: 'avoid'
+};
+
+const WARM_KEYWORDS = ['wool', 'coat', 'parka', 'sweater', 'fleece', 'cashmere', 'flannel', 'boot', 'turtleneck', 'corduroy'];
+const HOT_WEATHER_KEYWORDS = ['short', 'linen', 't-shirt', 'tee', 'tank', 'sandal', 'skirt', 'polo'];
+const RAIN_UNFRIENDLY_KEYWORDS = ['suede', 'canvas', 'sandal'];
+const RAIN_FRIENDLY_KEYWORDS = ['rain', 'waterproof', 'boot', 'trench', 'parka', 'shell'];
+
+// Color names treated as neutrals regardless of their hue
+const NEUTRAL_COLOR_KEYWORDS = [
+  'black', 'white', 'gray', 'grey', 'charcoal', 'silver', 'navy', 'denim', 'khaki', 'beige',
+  'tan', 'cream', 'ivory', 'camel', 'taupe', 'brown', 'off-white', 'sand', 'midnight blue'
+];
+
+// Items worn within this many days are avoided
+const RECENTLY_WORN_DAYS = 3;
+
+module.exports = {
+  OUTFIT_SLOTS,
+  FORMALITY_LEVELS,
+  DEFAULT_ITEM_FORMALITY,
+  OCCASION_PROFILES,
+  DEFAULT_OCCASION_PROFILE,
+  LAYER_NEEDS,
+  WARM_KEYWORDS,
+  HOT_WEATHER_KEYWORDS,
+  RAIN_UNFRIENDLY_KEYWORDS,
+  RAIN_FRIENDLY_KEYWORDS,
+  NEUTRAL_COLOR_KEYWORDS,
+  RECENTLY_WORN_DAYS
+};
@@ -0,0 +1,26 @@
+// backend/src/config/search.js
+//
+// Wardrobe search (GET /api/wardrobe/search/:userId): the facets results are
+// counted by (API name -> wardrobe_items column) and the sort orders.
+const SEARCH_FACETS = {
+  type: 'type',
+  color: 'color',
+  colorFamily: 'color_family',
+  pattern: 'pattern',
+  brand: 'brand',
+  status: 'status',
+  laundryStatus: 'laundry_status'
+};
+
+// relevance needs a search query; without one results come newest first
+const SEARCH_SORTS = ['relevance', 'newest', 'oldest', 'name', 'last_worn'];
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+module.exports = {
+  SEARCH_FACETS,
+  SEARCH_SORTS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE
+};
@@ -0,0 +1,125 @@
+// backend/src/config/transfer.js
+//
+// What a wardrobe export contains and how imports read it back. Tables are
+// listed in import order: rows may only refer to tables before them. Column
+// types drive validation and CSV parsing:
+//   id       - the row's id in the exported database; remapped on import
+//   ref      - an id from another table (`table`), remapped the same way
+//   text, integer, real
+//   datetime - stored as SQLite UTC datetimes; ISO strings are accepted
+//   date     - YYYY-MM-DD
+//   image    - an /uploads/... URL; the file travels in zip exports
+//   colors   - a JSON list of colors (utils/colors.js toColorList)
+// `values` limits a column to a fixed set; `min` bounds numbers.
+const { TEMPERATURE_BANDS, PRECIPITATION_TYPES } = require('./weather');
+const { PATTERNS } = require('./colors');
+
+const EXPORT_FORMAT = 'closet-monkey-wardrobe';
+const EXPORT_VERSION = 1;
+
+const ITEM_STATUSES = ['in_closet', 'worn'];
+const LAUNDRY_STATUSES = ['clean', 'dirty', 'hamper', 'washing', 'drying'];
+const SCAN_TYPES = ['entry', 'exit'];
+
+const TRANSFER_TABLES = [
+  {
+    table: 'wardrobe_items',
+    columns: [
+      { name: 'id', type: 'id' },
+      { name: 'name', type: 'text', required: true },
+      { name: 'description', type: 'text' },
+      { name: 'type', type: 'text', required: true },
+      { name: 'color', type: 'text' },
+      { name: 'material', type: 'text' },
+      { name: 'brand', type: 'text' },
+      { name: 'size', type: 'text' },
+      { name: 'rfid_tag', type: 'text' },
+      { name: 'image_url', type: 'image' },
+      { name: 'price', type: 'real', min: 0 },
+      { name: 'purchase_date', type: 'date' },
+      { name: 'status', type: 'text', values: ITEM_STATUSES },
+      { name: 'laundry_status', type: 'text', values: LAUNDRY_STATUSES },
+      { name: 'wears_since_wash', type: 'integer', min: 0 },
+      { name: 'created_date', type: 'datetime' },
+      { name: 'updated_date', type: 'datetime' },
+      { name: 'last_worn_date', type: 'datetime' },
+      { name: 'last_washed_date', type: 'datetime' },
+      { name: 'ocr_text', type: 'text' },
+      { name: 'cutout_url', type: 'image' },
+      { name: 'color_hex', type: 'text' },
+      { name: 'color_family', type: 'text' },
+      { name: 'secondary_colors', type: 'colors' },
+      { name: 'pattern', type: 'text', values: PATTERNS }
+    ]
+  },
+  {
+    table: 'outfits',
+    columns: [
+      { name: 'id', type: 'id' },
+      { name: 'name', type: 'text', required: true },
+      { name: 'description', type: 'text' },
+      { name: 'image_url', type: 'image' },
+      { name: 'occasion', type: 'text' },
+      { name: 'weather', type: 'text' },
+      { name: 'temperature', type: 'real' },
+      { name: 'temperature_band', type: 'text', values: TEMPERATURE_BANDS.map(entry => entry.band) },
+      { name: 'precipitation', type: 'text', values: PRECIPITATION_TYPES },
+      { name: 'created_date', type: 'datetime' },
+      { name: 'updated_date', type: 'datetime' },
+      { name: 'last_worn_date', type: 'datetime' }
+    ]
+  },
+  {
+    table: 'outfit_items',
+    columns: [
+      { name: 'outfit_id', type: 'ref', table: 'outfits', required: true },
+      { name: 'item_id', type: 'ref', table: 'wardrobe_items' },
+      { name: 'confidence', type: 'real', min: 0 },
+      { name: 'item_name', type: 'text' },
+      { name: 'item_type', type: 'text' },
+      { name: 'item_color', type: 'text' },
+      { name: 'item_category', type: 'text' },
+      { name: 'item_image_url', type: 'image' },
+      { name: 'item_secondary_colors', type: 'colors' },
+      { name: 'item_pattern', type: 'text', values: PATTERNS }
+    ]
+  },
+  {
+    table: 'item_images',
+    columns: [
+      { name: 'id', type: 'id' },
+      { name: 'item_id', type: 'ref', table: 'wardrobe_items', required: true },
+      { name: 'image_url', type: 'image', required: true },
+      { name: 'cutout_url', type: 'image' },
+      { name: 'is_primary', type: 'integer', values: [0, 1] },
+      { name: 'sort_order', type: 'integer', min: 0 },
+      { name: 'created_date', type: 'datetime' }
+    ]
+  },
+  {
+    table: 'rfid_scans',
+    columns: [
+      { name: 'id', type: 'id' },
+      { name: 'rfid_tag', type: 'text', required: true },
+      { name: 'scan_type', type: 'text', values: SCAN_TYPES, required: true },
+      { name: 'scan_time', type: 'datetime' },
+      { name: 'location', type: 'text' }
+    ]
+  }
+];
+
+// Import uploads (.json, .csv or .zip) are read from memory
+const MAX_IMPORT_BYTES = 50 * 1024 * 1024;
+// Zip imports: total size of the unpacked files
+const MAX_UNZIPPED_BYTES = 200 * 1024 * 1024;
+// Row errors listed in an import report; the counts always cover every row
+const MAX_REPORTED_ERRORS = 200;
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  TRANSFER_TABLES,
+  MAX_IMPORT_BYTES,
+  MAX_UNZIPPED_BYTES,
+  MAX_REPORTED_ERRORS
+};
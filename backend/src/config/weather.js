@@ -0,0 +1,33 @@
+// backend/src/config/weather.js
+//
+// Weather is stored and compared in °F. Temperature bands and precipitation
+// types are fixed vocabularies so outfits can be filtered on them.
+
+// A temperature falls in the first band it is below
+const TEMPERATURE_BANDS = [
+  { band: 'cold', below: 50 },
+  { band: 'cool', below: 65 },
+  { band: 'mild', below: 80 },
+  { band: 'hot', below: Infinity }
+];
+
+const PRECIPITATION_TYPES = ['none', 'drizzle', 'rain', 'snow', 'sleet', 'storm'];
+
+// Free-text conditions -> precipitation type for providers that only give a
+// description; the first match wins, anything else counts as 'none'
+const PRECIPITATION_KEYWORDS = [
+  { precipitation: 'storm', keywords: ['storm', 'thunder'] },
+  { precipitation: 'sleet', keywords: ['sleet', 'hail', 'freezing rain'] },
+  { precipitation: 'snow', keywords: ['snow', 'flurr', 'blizzard'] },
+  { precipitation: 'drizzle', keywords: ['drizzle', 'mist'] },
+  { precipitation: 'rain', keywords: ['rain', 'shower'] }
+];
+
+const MAX_FORECAST_DAYS = 7;
+
+module.exports = {
+  TEMPERATURE_BANDS,
+  PRECIPITATION_TYPES,
+  PRECIPITATION_KEYWORDS,
+  MAX_FORECAST_DAYS
+};
@@ -0,0 +1,230 @@
+// backend/src/controllers/analysisController.js
+//
+// Outfit scanning is a two-step flow: POST /api/analyze-outfit keeps the
+// uploaded photo in uploads/ and returns its tempImagePath with the detected
+// items; confirm-save (or save-anyway, which skips the duplicate check) then
+// saves the reviewed items and removes the temporary file.
+const fs = require('fs');
+const path = require('path');
+const { analyzeOutfitImage } = require('../services/outfitAnalysisService');
+const {
+  generateOutfitName,
+  saveDetectedOutfit,
+  saveDetectedItemsToWardrobe,
+  checkForDuplicateOutfits
+} = require('../services/outfitService');
+const UploadModel = require('../models/UploadModel');
+const { resolveUploadPath, toClientPath } = require('../config/paths');
+
+// Validate the tempImagePath/detectedItems pair sent back by the client.
+// The photo must be one the caller uploaded. Returns { imagePath, items } or
+// sends the 400 response and returns null.
+const readSaveRequest = async (req, res) => {
+  const { detectedItems } = req.body;
+
+  if (!req.body.tempImagePath || !detectedItems) {
+    res.status(400).json({
+      error: 'Missing required fields',
+      required: ['tempImagePath', 'detectedItems']
+    });
+    return null;
+  }
+
+  const imagePath = resolveUploadPath(req.body.tempImagePath);
+  if (!imagePath || await UploadModel.getOwner(`/${toClientPath(imagePath).split(path.sep).join('/')}`) !== req.user.id) {
+    res.status(400).json({ error: 'Invalid temporary image path' });
+    return null;
+  }
+
+  // Check if the temp image still exists
+  if (!fs.existsSync(imagePath)) {
+    res.status(400).json({
+      error: 'Temporary image file not found. Please re-analyze the outfit.'
+    });
+    return null;
+  }
+
+  // Parse detected items if it's a string
+  const items = typeof detectedItems === 'string' ? JSON.parse(detectedItems) : detectedItems;
+  return { imagePath, items };
+};
+
+// Wardrobe items are saved best-effort - the outfit is already stored
+const saveItemsToWardrobe = async (items, userId) => {
+  try {
+    console.log(`👕 Saving ${items.length} items to wardrobe...`);
+    const savedItems = await saveDetectedItemsToWardrobe(items, userId);
+    console.log(`✓ Successfully saved ${savedItems.length} items to wardrobe`);
+    return savedItems;
+  } catch (wardrobeError) {
+    console.error('⚠️  Failed to save items to wardrobe:', wardrobeError.message);
+    return [];
+  }
+};
+
+const removeTempImage = (imagePath) => {
+  try {
+    fs.unlinkSync(imagePath);
+    console.log(`🗑️  Cleaned up temp file: ${imagePath}`);
+  } catch (cleanupError) {
+    console.error('⚠️  Failed to clean up temp file:', cleanupError.message);
+  }
+};
+
+class AnalysisController {
+  async analyzeOutfit(req, res) {
+    console.log('🔍 Starting outfit analysis...');
+    try {
+      if (!req.file) {
+        console.error('❌ No file uploaded');
+        return res.status(400).json({ error: 'No outfit image provided' });
+      }
+
+      console.log(`📷 Received image: ${req.file.filename} (${req.file.size} bytes)`);
+      console.log('📝 Request body:', req.body);
+
+      const userId = req.user.id;
+      console.log(`Analyzing outfit for user: ${userId}`);
+
+      // Items are matched against the caller's whole wardrobe
+      const imageBuffer = fs.readFileSync(req.file.path);
+      const { matchedItems, duplicateOutfits, suggestedOutfitName } =
+        await analyzeOutfitImage(imageBuffer, userId);
+
+      // DON'T clean up the uploaded file yet - we'll need it for saving later
+      const tempImagePath = toClientPath(req.file.path);
+      console.log(`📁 Keeping temp image at: ${tempImagePath}`);
+
+      res.json({
+        success: true,
+        detectedItems: matchedItems,
+        totalItems: matchedItems.length,
+        newItems: matchedItems.filter(item => item.status === 'new').length,
+        existingItems: matchedItems.filter(item => item.status === 'existing').length,
+        suggestedOutfitName: suggestedOutfitName,
+        tempImagePath: tempImagePath, // Frontend will need this for the save request
+        duplicateOutfits: duplicateOutfits,
+        hasDuplicates: duplicateOutfits.length > 0,
+        // Nothing is saved until the user confirms
+        savedOutfit: null,
+        savedWardrobeItems: []
+      });
+    } catch (error) {
+      console.error('❌ Error analyzing outfit:', error);
+      console.error('❌ Stack trace:', error.stack);
+
+      // Clean up uploaded file if it exists
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+
+      res.status(500).json({
+        error: 'Failed to analyze outfit',
+        details: error.message,
+        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      });
+    }
+  }
+
+  // Save the reviewed outfit unless it duplicates a saved one
+  async confirmSave(req, res) {
+    console.log('✅ Confirming and saving outfit after user review...');
+    try {
+      const userId = req.user.id;
+      const request = await readSaveRequest(req, res);
+      if (!request) return;
+      const { imagePath, items } = request;
+
+      console.log(`📸 Using temp image: ${imagePath}`);
+      console.log(`👔 Saving ${items.length} confirmed items`);
+
+      // Check for duplicates again (in case user took time to confirm)
+      let duplicateOutfits = [];
+      try {
+        duplicateOutfits = await checkForDuplicateOutfits(items, userId, imagePath);
+        console.log(`🔍 Found ${duplicateOutfits.length} similar outfits`);
+      } catch (dupError) {
+        console.error('⚠️  Error checking for duplicates:', dupError.message);
+      }
+
+      let savedOutfit = null;
+      if (duplicateOutfits.length === 0) {
+        const finalOutfitName = req.body.outfitName || generateOutfitName(items);
+        console.log(`🎯 Saving confirmed outfit: "${finalOutfitName}" with ${items.length} items`);
+        savedOutfit = await saveDetectedOutfit(finalOutfitName, items, imagePath, userId);
+        console.log(`✓ Successfully saved outfit: ${finalOutfitName}`, savedOutfit);
+      }
+
+      const savedWardrobeItems = await saveItemsToWardrobe(items, userId);
+      removeTempImage(imagePath);
+
+      res.json({
+        success: true,
+        savedOutfit: savedOutfit,
+        savedWardrobeItems: savedWardrobeItems,
+        duplicateOutfits: duplicateOutfits,
+        hasDuplicates: duplicateOutfits.length > 0
+      });
+    } catch (error) {
+      console.error('❌ Error saving confirmed outfit:', error);
+      res.status(500).json({
+        error: 'Failed to save outfit',
+        details: error.message
+      });
+    }
+  }
+
+  // Save without the duplicate check. Accepts either the JSON
+  // { tempImagePath, detectedItems } pair from analyze-outfit or a
+  // multipart request carrying the photo itself as outfitImage.
+  async saveAnyway(req, res) {
+    console.log('✅ Force saving outfit despite duplicates...');
+    try {
+      const userId = req.user.id;
+      let request;
+
+      if (req.file) {
+        if (!req.body.detectedItems) {
+          fs.unlinkSync(req.file.path);
+          return res.status(400).json({ error: 'Missing required fields', required: ['detectedItems'] });
+        }
+        request = { imagePath: req.file.path, items: JSON.parse(req.body.detectedItems) };
+      } else {
+        request = await readSaveRequest(req, res);
+        if (!request) return;
+      }
+      const { imagePath, items } = request;
+
+      console.log(`📸 Using temp image: ${imagePath}`);
+      console.log(`👔 Force saving ${items.length} items`);
+
+      const finalOutfitName = req.body.outfitName || generateOutfitName(items);
+      console.log(`🎯 Force saving outfit: "${finalOutfitName}" with ${items.length} items`);
+      const savedOutfit = await saveDetectedOutfit(finalOutfitName, items, imagePath, userId);
+      console.log(`✓ Successfully saved outfit: ${finalOutfitName}`, savedOutfit);
+
+      const savedWardrobeItems = await saveItemsToWardrobe(items, userId);
+      removeTempImage(imagePath);
+
+      res.json({
+        success: true,
+        savedOutfit: savedOutfit,
+        savedWardrobeItems: savedWardrobeItems
+      });
+    } catch (error) {
+      console.error('❌ Error force saving outfit:', error);
+
+      // A directly uploaded photo is not needed again
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+
+      res.status(500).json({
+        error: 'Failed to save outfit',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AnalysisController();
@@ -0,0 +1,39 @@
+// backend/src/controllers/analyticsController.js
+const AnalyticsModel = require('../models/AnalyticsModel');
+const { buildWearAnalytics } = require('../services/analyticsService');
+
+const DEFAULT_WINDOWS = [7, 30, 90];
+const DEFAULT_IDLE_DAYS = 30;
+const MAX_DAYS = 3650;
+
+const isValidDays = (days) => Number.isInteger(days) && days > 0 && days <= MAX_DAYS;
+
+class AnalyticsController {
+  // GET /api/analytics/:userId?windows=7,30,90&idleDays=30
+  async getWearAnalytics(req, res) {
+    const windows = req.query.windows
+      ? [...new Set(String(req.query.windows).split(',').map(Number))].sort((a, b) => a - b)
+      : DEFAULT_WINDOWS;
+    const idleDays = req.query.idleDays !== undefined ? Number(req.query.idleDays) : DEFAULT_IDLE_DAYS;
+
+    if (!windows.every(isValidDays) || !isValidDays(idleDays)) {
+      return res.status(400).json({ error: `windows and idleDays must be whole numbers of days between 1 and ${MAX_DAYS}` });
+    }
+
+    try {
+      const { userId } = req.params;
+      const [items, wears, outfitItems] = await Promise.all([
+        AnalyticsModel.getItems(userId),
+        AnalyticsModel.getWears(userId),
+        AnalyticsModel.getOutfitItems(userId)
+      ]);
+
+      res.json(buildWearAnalytics({ items, wears, outfitItems }, { windows, idleDays }));
+    } catch (error) {
+      console.error('Error building wear analytics:', error);
+      res.status(500).json({ error: 'Failed to get analytics' });
+    }
+  }
+}
+
+module.exports = new AnalyticsController();
@@ -0,0 +1,150 @@
+// backend/src/controllers/authController.js
+const bcrypt = require('bcryptjs');
+const UserModel = require('../models/UserModel');
+const DeviceTokenModel = require('../models/DeviceTokenModel');
+const { signToken, signImageToken, createDeviceToken } = require('../middleware/auth');
+
+// Device names are labels in the device list
+const MAX_DEVICE_NAME_LENGTH = 100;
+
+const toPublicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  createdDate: user.created_date
+});
+
+const toPublicDevice = (device) => ({
+  id: device.id,
+  name: device.name,
+  createdDate: device.created_date,
+  lastUsedDate: device.last_used_date,
+  revokedDate: device.revoked_date
+});
+
+const sendUser = async (userId, res) => {
+  try {
+    const user = await UserModel.getById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(toPublicUser(user));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get user' });
+  }
+};
+
+class AuthController {
+  async register(req, res) {
+    const { username, email, password } = req.body;
+
+    if (!username || !email || !password) {
+      return res.status(400).json({ error: 'Username, email and password are required' });
+    }
+
+    if (typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    try {
+      const passwordHash = await bcrypt.hash(password, 10);
+      const userId = await UserModel.create({ username, email, passwordHash });
+
+      const user = { id: userId, username, email };
+      res.status(201).json({
+        token: signToken(user),
+        imageToken: signImageToken(user),
+        user,
+        message: 'User registered successfully'
+      });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        return res.status(409).json({ error: 'Username or email already exists' });
+      }
+      console.error('Error registering user:', error);
+      res.status(500).json({ error: 'Failed to register user' });
+    }
+  }
+
+  async login(req, res) {
+    // "username" may also be the account's email address
+    const { username, password } = req.body;
+
+    if (!username || !password || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    try {
+      const user = await UserModel.getByLogin(username);
+
+      // Accounts created before passwords existed have no hash and can't log in
+      const valid = user && user.password_hash && await bcrypt.compare(password, user.password_hash);
+      if (!valid) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+
+      res.json({
+        token: signToken(user),
+        imageToken: signImageToken(user),
+        user: { id: user.id, username: user.username, email: user.email }
+      });
+    } catch (error) {
+      console.error('Error logging in:', error);
+      res.status(500).json({ error: 'Failed to log in' });
+    }
+  }
+
+  async me(req, res) {
+    await sendUser(req.user.id, res);
+  }
+
+  // Device tokens (e.g. for the RFID reader) never expire until revoked and
+  // can only report RFID events (app.js), so only a session manages them.
+  async listDevices(req, res) {
+    try {
+      const devices = await DeviceTokenModel.listForUser(req.user.id);
+      res.json(devices.map(toPublicDevice));
+    } catch (error) {
+      console.error('Error listing devices:', error);
+      res.status(500).json({ error: 'Failed to list devices' });
+    }
+  }
+
+  // The token is in this response only
+  async createDevice(req, res) {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > MAX_DEVICE_NAME_LENGTH) {
+      return res.status(400).json({ error: `name is required (at most ${MAX_DEVICE_NAME_LENGTH} characters)` });
+    }
+
+    try {
+      const { token, tokenHash } = createDeviceToken();
+      const device = await DeviceTokenModel.create(req.user.id, { name, tokenHash });
+      console.log(`🔑 Created device token "${name}" for user ${req.user.id}`);
+      res.status(201).json({ ...toPublicDevice(device), token });
+    } catch (error) {
+      console.error('Error creating device token:', error);
+      res.status(500).json({ error: 'Failed to create device token' });
+    }
+  }
+
+  async revokeDevice(req, res) {
+    try {
+      if (!await DeviceTokenModel.revoke(req.params.deviceId, req.user.id)) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+      console.log(`🔒 Revoked device token ${req.params.deviceId}`);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error revoking device token:', error);
+      res.status(500).json({ error: 'Failed to revoke device token' });
+    }
+  }
+
+  // GET /api/users/:userId - requireSelf guarantees it is the caller
+  async getUser(req, res) {
+    await sendUser(req.params.userId, res);
+  }
+}
+
+module.exports = new AuthController();
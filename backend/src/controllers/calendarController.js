@@ -0,0 +1,130 @@
+// backend/src/controllers/calendarController.js
+const fs = require('fs');
+const path = require('path');
+const CalendarModel = require('../models/CalendarModel');
+const { parseIcs } = require('../utils/ics');
+const { toDateKey, addDays, isDateKey, sqlDateTimeToIso } = require('../utils/dates');
+const { importEvents, setEventOccasion } = require('../services/calendarService');
+const { CALENDARS_DIR, resolveCalendarPath } = require('../config/paths');
+
+const DEFAULT_IMPORT_DAYS = 30;
+const MAX_IMPORT_DAYS = 365;
+const DEFAULT_VIEW_DAYS = 30;
+const MAX_VIEW_DAYS = 366;
+
+// calendar_events row -> API shape
+const formatEvent = (event) => ({
+  id: event.id,
+  uid: event.uid,
+  source: event.source,
+  summary: event.summary,
+  description: event.description,
+  location: event.location,
+  start: sqlDateTimeToIso(event.start_time),
+  end: sqlDateTimeToIso(event.end_time),
+  allDay: Boolean(event.all_day),
+  date: event.event_date,
+  occasion: event.occasion,
+  occasionSource: event.occasion_source
+});
+
+class CalendarController {
+  // GET /api/calendar/files - .ics files in the local calendars folder
+  async listFiles(req, res) {
+    try {
+      const files = fs.existsSync(CALENDARS_DIR)
+        ? fs.readdirSync(CALENDARS_DIR).filter(file => /\.ics$/i.test(file)).sort()
+        : [];
+      res.json({ directory: CALENDARS_DIR, files });
+    } catch (error) {
+      console.error('Error listing calendar files:', error);
+      res.status(500).json({ error: 'Failed to list calendar files' });
+    }
+  }
+
+  // POST /api/calendar/import - multipart "calendar" (.ics) or { file } naming
+  // a file in the calendars folder; optional days (default 30) to look ahead
+  async importCalendar(req, res) {
+    const days = req.body.days !== undefined && req.body.days !== '' ? Number(req.body.days) : DEFAULT_IMPORT_DAYS;
+    if (!Number.isInteger(days) || days < 1 || days > MAX_IMPORT_DAYS) {
+      return res.status(400).json({ error: `days must be between 1 and ${MAX_IMPORT_DAYS}` });
+    }
+
+    let text;
+    let source;
+    if (req.file) {
+      text = req.file.buffer.toString('utf8');
+      source = req.file.originalname;
+    } else if (req.body.file) {
+      const filePath = resolveCalendarPath(req.body.file);
+      if (!filePath || !fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'Calendar file not found' });
+      }
+      text = fs.readFileSync(filePath, 'utf8');
+      source = path.basename(filePath);
+    } else {
+      return res.status(400).json({ error: 'Upload an .ics file as "calendar" or name a file from GET /api/calendar/files' });
+    }
+
+    let events;
+    try {
+      events = parseIcs(text);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid calendar file', details: error.message });
+    }
+
+    try {
+      const result = await importEvents(req.user.id, events, { source, days });
+      console.log(`📅 Imported ${source}: ${result.created} new, ${result.updated} updated, ${result.removed} removed`);
+      res.json(result);
+    } catch (error) {
+      console.error('Error importing calendar:', error);
+      res.status(500).json({ error: 'Failed to import calendar' });
+    }
+  }
+
+  // GET /api/calendar/:userId?from=YYYY-MM-DD&to=YYYY-MM-DD - imported events
+  async getCalendar(req, res) {
+    const from = req.query.from || toDateKey(new Date());
+    const to = req.query.to || toDateKey(addDays(new Date(), DEFAULT_VIEW_DAYS - 1));
+
+    if (!isDateKey(from) || !isDateKey(to)) {
+      return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+    }
+    const span = Math.round((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000)) + 1;
+    if (span < 1 || span > MAX_VIEW_DAYS) {
+      return res.status(400).json({ error: `to must be on or after from, at most ${MAX_VIEW_DAYS} days later` });
+    }
+
+    try {
+      const events = await CalendarModel.getRange(req.params.userId, from, to);
+      res.json({ from, to, events: events.map(formatEvent) });
+    } catch (error) {
+      console.error('Error getting calendar:', error);
+      res.status(500).json({ error: 'Failed to get calendar' });
+    }
+  }
+
+  // PUT /api/calendar/events/:eventId { occasion } - null re-runs the classifier
+  async updateEvent(req, res) {
+    const { occasion } = req.body;
+    if (occasion === undefined || (occasion !== null && !String(occasion).trim())) {
+      return res.status(400).json({ error: 'occasion must be a name, or null to classify the event again' });
+    }
+
+    try {
+      const event = await CalendarModel.getById(req.params.eventId, req.user.id);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      await setEventOccasion(event, req.user.id, occasion && String(occasion).trim());
+      res.json(formatEvent(await CalendarModel.getById(event.id, req.user.id)));
+    } catch (error) {
+      console.error('Error updating calendar event:', error);
+      res.status(500).json({ error: 'Failed to update event' });
+    }
+  }
+}
+
+module.exports = new CalendarController();
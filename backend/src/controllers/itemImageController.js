@@ -0,0 +1,212 @@
+// backend/src/controllers/itemImageController.js
+const fs = require('fs');
+const WardrobeModel = require('../models/WardrobeModel');
+const ItemImageModel = require('../models/ItemImageModel');
+const { queueVariants, rotateImage, removeImage } = require('../services/imageService');
+const { cutOutImage, queueCutout } = require('../services/cutoutService');
+const { queueItemCollages } = require('../services/collageService');
+const { ROTATIONS } = require('../config/images');
+
+const ownsItem = async (req) => !!await WardrobeModel.getById(req.params.itemId, req.user.id);
+
+class ItemImageController {
+  // Add additional image to wardrobe item
+  async addImage(req, res) {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image file provided' });
+    }
+
+    try {
+      if (!await ownsItem(req)) {
+        fs.unlinkSync(req.file.path);
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      const image = await ItemImageModel.add(req.params.itemId, `/uploads/${req.file.filename}`);
+      queueVariants(image.imageUrl);
+      queueCutout({ id: image.id, item_id: req.params.itemId, image_url: image.imageUrl });
+      if (image.isPrimary) queueItemCollages(req.params.itemId);
+      res.status(201).json(image);
+    } catch (error) {
+      console.error('Error saving additional image:', error);
+      res.status(500).json({ error: 'Failed to save image' });
+    }
+  }
+
+  async getImages(req, res) {
+    try {
+      if (!await ownsItem(req)) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      res.json(await ItemImageModel.listForItem(req.params.itemId));
+    } catch (error) {
+      console.error('Error getting item images:', error);
+      res.status(500).json({ error: 'Failed to get images' });
+    }
+  }
+
+  // Promote a photo to the item's primary image
+  async setPrimary(req, res) {
+    const { itemId, imageId } = req.params;
+
+    try {
+      if (!await ownsItem(req)) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      if (!await ItemImageModel.getById(imageId, itemId)) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+
+      await ItemImageModel.makePrimary(itemId, imageId);
+      queueItemCollages(itemId);
+      res.json(await ItemImageModel.listForItem(itemId));
+    } catch (error) {
+      console.error('Error setting primary image:', error);
+      res.status(500).json({ error: 'Failed to set primary image' });
+    }
+  }
+
+  // Body is { imageIds: [...] } listing every image of the item
+  async reorder(req, res) {
+    const { itemId } = req.params;
+    const { imageIds } = req.body;
+
+    if (!Array.isArray(imageIds)) {
+      return res.status(400).json({ error: 'imageIds must be an array' });
+    }
+
+    try {
+      if (!await ownsItem(req)) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      const existingIds = new Set(await ItemImageModel.getIds(itemId));
+      const sameSet = imageIds.length === existingIds.size &&
+        new Set(imageIds).size === imageIds.length &&
+        imageIds.every(id => existingIds.has(id));
+
+      if (!sameSet) {
+        return res.status(400).json({ error: 'imageIds must list each of the item\'s images exactly once' });
+      }
+
+      await ItemImageModel.reorder(imageIds);
+      res.json(await ItemImageModel.listForItem(itemId));
+    } catch (error) {
+      console.error('Error reordering images:', error);
+      res.status(500).json({ error: 'Failed to reorder images' });
+    }
+  }
+
+  // Body is { degrees: 90 | 180 | 270 | -90 }, clockwise. The photo is saved
+  // rotated under a new URL, which replaces the old one wherever this item
+  // uses it.
+  async rotateImage(req, res) {
+    const { itemId, imageId } = req.params;
+    const degrees = Number(req.body.degrees);
+
+    if (!ROTATIONS.includes(degrees)) {
+      return res.status(400).json({ error: `degrees must be one of: ${ROTATIONS.join(', ')}` });
+    }
+
+    try {
+      if (!await ownsItem(req)) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      const image = await ItemImageModel.getById(imageId, itemId);
+      if (!image) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+
+      let rotatedUrl;
+      try {
+        rotatedUrl = await rotateImage(image.image_url, degrees);
+      } catch (error) {
+        console.error('Error rotating image file:', error);
+        return res.status(400).json({ error: 'This photo could not be rotated', details: error.message });
+      }
+
+      await ItemImageModel.replaceUrl(image, rotatedUrl);
+      queueVariants(rotatedUrl);
+      queueCutout({ ...image, image_url: rotatedUrl, cutout_url: null });
+      queueItemCollages(itemId);
+      if (!await ItemImageModel.isReferenced(image.image_url)) {
+        await removeImage(image.image_url);
+      }
+      if (image.cutout_url) {
+        await removeImage(image.cutout_url);
+      }
+
+      console.log(`🔄 Rotated photo ${imageId} by ${degrees}°`);
+      res.json(await ItemImageModel.listForItem(itemId));
+    } catch (error) {
+      console.error('Error rotating image:', error);
+      res.status(500).json({ error: 'Failed to rotate image' });
+    }
+  }
+
+  // Cut the photo out of its background now (uploads are cut out in the
+  // background, which can fail on busy backgrounds). Replaces any cutout the
+  // photo already has.
+  async createCutout(req, res) {
+    const { itemId, imageId } = req.params;
+
+    try {
+      if (!await ownsItem(req)) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      const image = await ItemImageModel.getById(imageId, itemId);
+      if (!image) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+
+      try {
+        await cutOutImage(image);
+      } catch (error) {
+        console.error('Error cutting out image:', error.message);
+        return res.status(400).json({ error: 'This photo could not be cut out', details: error.message });
+      }
+
+      res.json(await ItemImageModel.listForItem(itemId));
+    } catch (error) {
+      console.error('Error creating cutout:', error);
+      res.status(500).json({ error: 'Failed to create cutout' });
+    }
+  }
+
+  async deleteImage(req, res) {
+    const { itemId, imageId } = req.params;
+
+    try {
+      if (!await ownsItem(req)) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      const image = await ItemImageModel.getById(imageId, itemId);
+      if (!image) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+
+      await ItemImageModel.delete(image);
+      queueItemCollages(itemId);
+
+      // Delete the file and its sizes from the filesystem
+      if (!await ItemImageModel.isReferenced(image.image_url)) {
+        await removeImage(image.image_url);
+      }
+      if (image.cutout_url) {
+        await removeImage(image.cutout_url);
+      }
+
+      res.json({ message: 'Image deleted successfully', images: await ItemImageModel.listForItem(itemId) });
+    } catch (error) {
+      console.error('Error deleting image:', error);
+      res.status(500).json({ error: 'Failed to delete image' });
+    }
+  }
+}
+
+module.exports = new ItemImageController();
@@ -0,0 +1,186 @@
+// backend/src/controllers/laundryController.js
+const LaundryModel = require('../models/LaundryModel');
+const {
+  LAUNDRY_STATES,
+  isLaundryState,
+  getEffectiveRules,
+  transitionItems,
+  transitionAllInStates,
+  putAwayItems,
+  getOverview
+} = require('../services/laundryService');
+
+const MAX_WEARS_BEFORE_WASH = 100;
+
+// wardrobe_items row -> laundry view shape
+const formatLaundryItem = (item) => ({
+  id: item.id,
+  name: item.name,
+  type: item.type,
+  color: item.color,
+  imageUrl: item.image_url,
+  status: item.status,
+  laundryStatus: item.laundry_status,
+  wearsSinceWash: item.wears_since_wash || 0,
+  wearsBeforeWash: item.wears_before_wash,
+  lastWornDate: item.last_worn_date,
+  lastWashedDate: item.last_washed_date
+});
+
+// Optional itemIds limits a bulk action; returns undefined after sending a 400
+const readItemIds = (req, res) => {
+  const { itemIds } = req.body;
+  if (itemIds === undefined) return null;
+  if (!Array.isArray(itemIds)) {
+    res.status(400).json({ error: 'itemIds must be an array' });
+    return undefined;
+  }
+  return itemIds;
+};
+
+// Bulk action moving every item in `fromStates` (or just req.body.itemIds) to `to`
+const runBulkTransition = async (req, res, fromStates, to, label) => {
+  const itemIds = readItemIds(req, res);
+  if (itemIds === undefined) return;
+
+  try {
+    const result = await transitionAllInStates(req.user.id, fromStates, to, itemIds);
+    console.log(`🧺 ${label}: ${result.updated.length} items moved to ${to}`);
+    res.json(result);
+  } catch (error) {
+    console.error(`Error in laundry action "${label}":`, error);
+    res.status(500).json({ error: 'Failed to update laundry' });
+  }
+};
+
+class LaundryController {
+  // GET /api/laundry/:userId - what's dirty, in the wash or ready to put away
+  async getLaundry(req, res) {
+    try {
+      const { groups, readyToPutAway } = await getOverview(req.params.userId);
+      const format = items => items.map(formatLaundryItem);
+
+      res.json({
+        dirty: format([...groups.dirty, ...groups.hamper]),
+        inTheWash: format([...groups.washing, ...groups.drying]),
+        readyToPutAway: format(readyToPutAway),
+        counts: Object.fromEntries(LAUNDRY_STATES.map(state => [state, groups[state].length]))
+      });
+    } catch (error) {
+      console.error('Error getting laundry:', error);
+      res.status(500).json({ error: 'Failed to get laundry' });
+    }
+  }
+
+  // PUT /api/laundry/items/:itemId { status }
+  async updateItemStatus(req, res) {
+    const { status } = req.body;
+    if (!isLaundryState(status)) {
+      return res.status(400).json({ error: 'Invalid laundry status', allowed: LAUNDRY_STATES });
+    }
+
+    try {
+      const { updated, rejected } = await transitionItems([req.params.itemId], req.user.id, status);
+      if (rejected.length > 0) {
+        const [{ reason }] = rejected;
+        return res.status(reason === 'Item not found' ? 404 : 409).json({ error: reason });
+      }
+      res.json(updated[0]);
+    } catch (error) {
+      console.error('Error updating laundry status:', error);
+      res.status(500).json({ error: 'Failed to update laundry status' });
+    }
+  }
+
+  // Bulk "did laundry" actions: POST /api/laundry/wash, /dry and /done { itemIds? }
+  async startWash(req, res) {
+    return runBulkTransition(req, res, ['dirty', 'hamper'], 'washing', 'Start wash');
+  }
+
+  async moveToDryer(req, res) {
+    return runBulkTransition(req, res, ['washing'], 'drying', 'Move to dryer');
+  }
+
+  async finishLaundry(req, res) {
+    return runBulkTransition(req, res, ['washing', 'drying'], 'clean', 'Laundry done');
+  }
+
+  // POST /api/laundry/transition { itemIds, status }
+  async transition(req, res) {
+    const { itemIds, status } = req.body;
+    if (!Array.isArray(itemIds) || itemIds.length === 0) {
+      return res.status(400).json({ error: 'itemIds must be a non-empty array' });
+    }
+    if (!isLaundryState(status)) {
+      return res.status(400).json({ error: 'Invalid laundry status', allowed: LAUNDRY_STATES });
+    }
+
+    try {
+      res.json(await transitionItems(itemIds, req.user.id, status));
+    } catch (error) {
+      console.error('Error updating laundry status:', error);
+      res.status(500).json({ error: 'Failed to update laundry status' });
+    }
+  }
+
+  // POST /api/laundry/put-away { itemIds? }
+  async putAway(req, res) {
+    const itemIds = readItemIds(req, res);
+    if (itemIds === undefined) return;
+
+    try {
+      const result = await putAwayItems(req.user.id, itemIds);
+      console.log(`👕 Put away ${result.putAway.length} items`);
+      res.json(result);
+    } catch (error) {
+      console.error('Error putting laundry away:', error);
+      res.status(500).json({ error: 'Failed to put laundry away' });
+    }
+  }
+
+  async getRules(req, res) {
+    try {
+      res.json(await getEffectiveRules(req.params.userId));
+    } catch (error) {
+      console.error('Error getting laundry rules:', error);
+      res.status(500).json({ error: 'Failed to get laundry rules' });
+    }
+  }
+
+  // PUT /api/laundry/rules/:category { wearsBeforeWash } - 0 never auto-dirties
+  async setRule(req, res) {
+    const category = req.params.category.trim().toLowerCase();
+    const wearsBeforeWash = Number(req.body.wearsBeforeWash);
+
+    if (!category) {
+      return res.status(400).json({ error: 'Category is required' });
+    }
+    if (!Number.isInteger(wearsBeforeWash) || wearsBeforeWash < 0 || wearsBeforeWash > MAX_WEARS_BEFORE_WASH) {
+      return res.status(400).json({ error: `wearsBeforeWash must be a whole number between 0 and ${MAX_WEARS_BEFORE_WASH}` });
+    }
+
+    try {
+      await LaundryModel.setRule(req.user.id, category, wearsBeforeWash);
+      res.json({ category, wearsBeforeWash });
+    } catch (error) {
+      console.error('Error saving laundry rule:', error);
+      res.status(500).json({ error: 'Failed to save laundry rule' });
+    }
+  }
+
+  // DELETE /api/laundry/rules/:category - back to the built-in default
+  async deleteRule(req, res) {
+    try {
+      const result = await LaundryModel.deleteRule(req.user.id, req.params.category.trim().toLowerCase());
+      if (result.changes === 0) {
+        return res.status(404).json({ error: 'Laundry rule not found' });
+      }
+      res.json({ message: 'Laundry rule removed' });
+    } catch (error) {
+      console.error('Error deleting laundry rule:', error);
+      res.status(500).json({ error: 'Failed to delete laundry rule' });
+    }
+  }
+}
+
+module.exports = new LaundryController();
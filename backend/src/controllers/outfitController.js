@@ -0,0 +1,364 @@
+// backend/src/controllers/outfitController.js
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const OutfitModel = require('../models/OutfitModel');
+const WardrobeModel = require('../models/WardrobeModel');
+const UploadModel = require('../models/UploadModel');
+const { analyzeImageWithVision } = require('../services/visionAnalysisService');
+const { matchWithWardrobe } = require('../services/wardrobeMatchingService');
+const { getOutfitWeatherStamp } = require('../services/weatherService');
+const { queueVariants, removeImage } = require('../services/imageService');
+const { updateCollage, queueCollage } = require('../services/collageService');
+const { queueHashes } = require('../services/imageHashService');
+const { TEMPERATURE_BANDS, PRECIPITATION_TYPES } = require('../config/weather');
+const { OUTFITS_DIR } = require('../config/paths');
+const { PATTERNS } = require('../config/colors');
+const { parseColorList } = require('../utils/colors');
+const { OUTFIT_SORT_KEYS, DEFAULT_LIST_SORT, DEFAULT_LIST_LIMIT, MAX_LIST_LIMIT } = require('../config/lists');
+const { toDateKey } = require('../utils/dates');
+const {
+  parsePositiveInt,
+  parseSort,
+  formatSort,
+  parseFields,
+  pickFields,
+  encodeCursor,
+  decodeCursor
+} = require('../utils/listQuery');
+
+// OutfitModel.getItems row -> API shape. id is null for detected items that
+// were never added to the wardrobe.
+const formatOutfitItem = (item) => ({
+  id: item.item_id,
+  name: item.name,
+  type: item.type,
+  color: item.color,
+  secondaryColors: parseColorList(item.secondary_colors),
+  pattern: item.pattern,
+  category: item.category,
+  imageUrl: item.image_url,
+  confidence: item.confidence,
+  inWardrobe: !!item.in_wardrobe
+});
+
+// OutfitModel.getList row and its items -> API shape
+const formatOutfit = (outfit, items = []) => ({
+  id: outfit.id,
+  name: outfit.name,
+  description: outfit.description,
+  imageUrl: outfit.image_url,
+  collageUrl: outfit.collage_url,
+  // The photo, or the collage of its items when it has none
+  thumbnailUrl: outfit.image_url || outfit.collage_url,
+  occasion: outfit.occasion,
+  weather: outfit.weather,
+  temperature: outfit.temperature,
+  temperatureBand: outfit.temperature_band,
+  precipitation: outfit.precipitation,
+  createdDate: outfit.created_date,
+  lastWornDate: outfit.last_worn_date,
+  nextPlannedDate: outfit.next_planned_date,
+  itemCount: outfit.item_count,
+  items: items.map(formatOutfitItem),
+  // Also add date in the format frontend expects
+  date: outfit.created_date ? outfit.created_date.split(' ')[0] : new Date().toISOString().split('T')[0]
+});
+
+// What fields= may pick from
+const OUTFIT_FIELDS = Object.keys(formatOutfit({}));
+
+class OutfitController {
+  // GET /api/outfits/:userId?occasion=&weather=&temperatureBand=&precipitation=
+  //   &pattern=&secondaryColor=&sort=-createdDate&fields=id,name,items&limit=50&cursor=...
+  // Every outfit unless limit or cursor is given; then one page as
+  // { outfits, nextCursor } with nextCursor null on the last page
+  async getOutfits(req, res) {
+    const { occasion, weather, temperatureBand, precipitation, pattern, secondaryColor, cursor } = req.query;
+    const paged = req.query.limit !== undefined || cursor !== undefined;
+    const limit = parsePositiveInt(req.query.limit, DEFAULT_LIST_LIMIT);
+
+    if (temperatureBand && !TEMPERATURE_BANDS.some(entry => entry.band === temperatureBand)) {
+      return res.status(400).json({
+        error: `temperatureBand must be one of: ${TEMPERATURE_BANDS.map(entry => entry.band).join(', ')}`
+      });
+    }
+    if (precipitation && !PRECIPITATION_TYPES.includes(precipitation)) {
+      return res.status(400).json({ error: `precipitation must be one of: ${PRECIPITATION_TYPES.join(', ')}` });
+    }
+    if (pattern !== undefined && !PATTERNS.includes(pattern)) {
+      return res.status(400).json({ error: `pattern must be one of: ${PATTERNS.join(', ')}` });
+    }
+    if (Number.isNaN(limit) || limit > MAX_LIST_LIMIT) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_LIST_LIMIT}` });
+    }
+
+    let sort;
+    let fields;
+    let after = null;
+    try {
+      sort = parseSort(req.query.sort || DEFAULT_LIST_SORT, OUTFIT_SORT_KEYS);
+      fields = parseFields(req.query.fields, OUTFIT_FIELDS);
+      if (cursor !== undefined) after = decodeCursor(cursor, sort);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const { rows, next } = await OutfitModel.getList(req.params.userId, {
+        occasion,
+        weather,
+        temperatureBand,
+        precipitation,
+        pattern,
+        secondaryColor,
+        today: toDateKey(new Date())
+      }, {
+        sort,
+        limit: paged ? limit : null,
+        after
+      });
+
+      // Items are only looked up when they are asked for
+      const itemsByOutfit = new Map(rows.map(row => [row.id, []]));
+      if (!fields || fields.includes('items')) {
+        const items = await OutfitModel.getItems(rows.map(row => row.id));
+        items.forEach(item => itemsByOutfit.get(item.outfit_id).push(item));
+      }
+
+      const outfits = rows.map(row => pickFields(formatOutfit(row, itemsByOutfit.get(row.id)), fields));
+      if (!paged) return res.json(outfits);
+
+      res.json({
+        outfits,
+        sort: formatSort(sort),
+        limit,
+        nextCursor: next ? encodeCursor(sort, next) : null
+      });
+    } catch (error) {
+      console.error('Error getting outfits:', error);
+      res.status(500).json({ error: 'Failed to get outfits' });
+    }
+  }
+
+  async createOutfit(req, res) {
+    const { name, description, catalogedItems = [], image, occasion, weather } = req.body;
+    const userId = req.user.id;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Missing required fields: name' });
+    }
+    if (!Array.isArray(catalogedItems) || !catalogedItems.every(item => item && typeof item === 'object')) {
+      return res.status(400).json({ error: 'catalogedItems must be an array of items' });
+    }
+
+    try {
+      const ownedIds = await WardrobeModel.getOwnedIds(catalogedItems.map(item => item.itemId || item.id), userId);
+
+      // Stamped with the weather right now; a weather text sent by the
+      // client replaces the summary only
+      const stamp = await getOutfitWeatherStamp();
+      const outfitId = await OutfitModel.create(userId, {
+        name,
+        description,
+        imageUrl: image,
+        occasion,
+        ...stamp,
+        weather: weather || stamp.weather
+      });
+
+      // Only the caller's own wardrobe items are linked
+      for (const item of catalogedItems) {
+        const itemId = item.itemId || item.id;
+        if (!ownedIds.has(itemId)) continue;
+        await OutfitModel.addItem(outfitId, itemId, item.confidence || 100);
+      }
+      queueCollage(outfitId);
+
+      res.status(201).json({
+        id: outfitId,
+        message: 'Outfit saved successfully'
+      });
+    } catch (error) {
+      console.error('Error saving outfit:', error);
+      res.status(500).json({ error: 'Failed to save outfit' });
+    }
+  }
+
+  async deleteOutfit(req, res) {
+    const { outfitId } = req.params;
+
+    try {
+      const outfit = await OutfitModel.getById(outfitId, req.user.id);
+      if (!outfit) {
+        return res.status(404).json({ error: 'Outfit not found' });
+      }
+
+      await OutfitModel.delete(outfitId, req.user.id);
+      if (outfit.collage_url) {
+        await removeImage(outfit.collage_url);
+      }
+      res.json({ message: 'Outfit deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting outfit:', error);
+      res.status(500).json({ error: 'Failed to delete outfit' });
+    }
+  }
+
+  async renameOutfit(req, res) {
+    const { outfitId } = req.params;
+    const { newName } = req.body;
+
+    if (!newName || !newName.trim()) {
+      return res.status(400).json({ error: 'New outfit name is required' });
+    }
+
+    try {
+      const result = await OutfitModel.rename(outfitId, req.user.id, newName.trim());
+      if (result.changes === 0) {
+        return res.status(404).json({ error: 'Outfit not found' });
+      }
+
+      console.log(`✏️  Renamed outfit ${outfitId} to "${newName}"`);
+      res.json({
+        success: true,
+        message: `Outfit renamed to "${newName}"`,
+        outfitId: outfitId,
+        newName: newName.trim()
+      });
+    } catch (error) {
+      console.error('Error renaming outfit:', error);
+      res.status(500).json({ error: 'Failed to rename outfit' });
+    }
+  }
+
+  // Replace the outfit's photo with an uploaded one
+  async addPhoto(req, res) {
+    const { outfitId } = req.params;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image file provided' });
+    }
+
+    try {
+      const outfit = await OutfitModel.getById(outfitId, req.user.id);
+      if (!outfit) {
+        fs.unlinkSync(req.file.path);
+        return res.status(404).json({ error: 'Outfit not found or access denied' });
+      }
+
+      // Generate unique filename for the new photo
+      const fileExtension = path.extname(req.file.originalname);
+      const newImageFileName = `outfit_${outfitId}_${uuidv4()}${fileExtension}`;
+      const newImageUrl = `/uploads/outfits/${newImageFileName}`;
+
+      // Move uploaded file to outfits directory
+      fs.renameSync(req.file.path, path.join(OUTFITS_DIR, newImageFileName));
+      await UploadModel.setOwner(newImageUrl, req.user.id);
+      await UploadModel.remove(`/uploads/${req.file.filename}`);
+
+      // For now, we'll just update the main image. In the future, you could store multiple images in a separate table
+      await OutfitModel.updateImage(outfitId, newImageUrl);
+      queueVariants(newImageUrl);
+      queueHashes([newImageUrl]);
+
+      console.log(`📸 Added new photo to outfit ${outfitId}: ${newImageFileName}`);
+
+      res.json({
+        success: true,
+        message: 'Photo added to outfit successfully',
+        outfitId: outfitId,
+        outfitName: outfit.name,
+        newImageUrl: newImageUrl
+      });
+    } catch (error) {
+      console.error('Error adding photo to outfit:', error);
+
+      // Clean up uploaded file if there was an error
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+
+      res.status(500).json({
+        error: 'Failed to add photo to outfit',
+        details: error.message
+      });
+    }
+  }
+
+  // Draw the outfit's collage now if it is missing or out of date (it is
+  // normally redrawn in the background when the items change). collageUrl
+  // is null when none of the items has a photo.
+  async createCollage(req, res) {
+    const { outfitId } = req.params;
+
+    try {
+      if (!await OutfitModel.getById(outfitId, req.user.id)) {
+        return res.status(404).json({ error: 'Outfit not found' });
+      }
+
+      const collageUrl = await updateCollage(outfitId);
+      res.json({ outfitId, collageUrl });
+    } catch (error) {
+      console.error('Error drawing outfit collage:', error);
+      res.status(500).json({ error: 'Failed to draw collage', details: error.message });
+    }
+  }
+
+  // GET /api/outfits-test - raw rows of the caller's latest outfits
+  async getRecentOutfits(req, res) {
+    try {
+      const rows = await OutfitModel.getRecent(req.user.id, 10);
+      console.log(`📋 Found ${rows.length} outfits in database`);
+      res.json({
+        count: rows.length,
+        outfits: rows
+      });
+    } catch (error) {
+      console.error('Error fetching outfits:', error);
+      res.status(500).json({ error: 'Database error' });
+    }
+  }
+
+  // Analyze a base64 image and split what it shows into wardrobe matches and new items
+  async scanOutfit(req, res) {
+    try {
+      const { image } = req.body;
+      const userId = req.user.id;
+
+      if (!image) {
+        return res.status(400).json({ error: 'Missing image' });
+      }
+
+      console.log(`Analyzing outfit for user: ${userId}`);
+
+      const { detectedItems, brands, colors, text } = await analyzeImageWithVision(image);
+      console.log('Detected colors:', colors);
+      console.log(`Detected ${detectedItems.length} items:`, detectedItems);
+      console.log('Detected brands:', brands);
+
+      // Match with existing wardrobe, comparing what's inside each item's box
+      const imageBuffer = Buffer.from(image.startsWith('data:image') ? image.split(',')[1] : image, 'base64');
+      const { catalogedItems, uncatalogedItems } = await matchWithWardrobe(detectedItems, userId, imageBuffer);
+      console.log(`Cataloged: ${catalogedItems.length}, Uncataloged: ${uncatalogedItems.length}`);
+
+      res.json({
+        catalogedItems,
+        uncatalogedItems,
+        detectedItemsCount: detectedItems.length,
+        detectedBrands: brands,
+        detectedColors: colors,
+        detectedText: text,
+        analysisTimestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error in scan outfit:', error);
+      res.status(500).json({
+        error: 'Failed to analyze outfit',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = new OutfitController();
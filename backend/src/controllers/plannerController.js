@@ -0,0 +1,358 @@
+// backend/src/controllers/plannerController.js
+const PlanModel = require('../models/PlanModel');
+const TripModel = require('../models/TripModel');
+const OutfitModel = require('../models/OutfitModel');
+const WardrobeModel = require('../models/WardrobeModel');
+const { getSchedule, getPackingList } = require('../services/plannerService');
+const { toDateKey, addDays, isDateKey, sqlDateTimeToIso } = require('../utils/dates');
+
+const DEFAULT_VIEW_DAYS = 7;
+const MAX_VIEW_DAYS = 366;
+const MAX_TRIP_DAYS = 60;
+
+const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000)) + 1;
+
+// PlanModel.getItems row -> API shape
+const formatPlannedItem = (item) => ({
+  id: item.item_id,
+  name: item.name,
+  type: item.type,
+  color: item.color,
+  imageUrl: item.image_url,
+  status: item.status,
+  laundryStatus: item.laundry_status
+});
+
+// PlanModel row -> API shape, with the outfit's items and the plan's
+// conflicts from plannerService.getSchedule
+const formatPlan = (plan, items = [], conflicts = []) => ({
+  id: plan.id,
+  date: plan.plan_date,
+  occasion: plan.occasion,
+  notes: plan.notes,
+  eventId: plan.event_id,
+  event: plan.event_id ? {
+    id: plan.event_id,
+    summary: plan.event_summary,
+    start: sqlDateTimeToIso(plan.event_start_time),
+    allDay: Boolean(plan.event_all_day)
+  } : null,
+  outfitId: plan.outfit_id,
+  outfit: plan.outfit_id ? {
+    id: plan.outfit_id,
+    name: plan.outfit_name,
+    imageUrl: plan.outfit_image_url
+  } : null,
+  items: items.map(formatPlannedItem),
+  conflicts: conflicts.filter(conflict => conflict.planId === plan.id),
+  createdDate: plan.created_date,
+  updatedDate: plan.updated_date
+});
+
+const formatTrip = (trip) => ({
+  id: trip.id,
+  name: trip.name,
+  destination: trip.destination,
+  startDate: trip.start_date,
+  endDate: trip.end_date,
+  days: daysBetween(trip.start_date, trip.end_date),
+  notes: trip.notes,
+  createdDate: trip.created_date,
+  updatedDate: trip.updated_date
+});
+
+// A plan as the API returns it, with its conflicts against the rest of its day
+const loadPlan = async (planId, userId) => {
+  const plan = await PlanModel.getById(planId, userId);
+  const schedule = await getSchedule(userId, plan.plan_date, plan.plan_date);
+  return formatPlan(plan, schedule.itemsByPlan.get(plan.id), schedule.conflicts);
+};
+
+// Validates an outfitId from the body: undefined (not given), null (clear)
+// or one of the user's outfits. Returns false after sending an error.
+const checkOutfit = async (outfitId, userId, res) => {
+  if (outfitId === undefined || outfitId === null) return true;
+  if (!await OutfitModel.getById(outfitId, userId)) {
+    res.status(404).json({ error: 'Outfit not found' });
+    return false;
+  }
+  return true;
+};
+
+// Plans are for today or later; returns an error message or null
+const checkPlanDate = (date) => {
+  if (!isDateKey(date)) return 'date must be YYYY-MM-DD';
+  if (date < toDateKey(new Date())) return 'Outfits can only be planned for today or later';
+  return null;
+};
+
+// Returns an error message or null
+const checkTripDates = (startDate, endDate) => {
+  if (!isDateKey(startDate) || !isDateKey(endDate)) return 'startDate and endDate must be YYYY-MM-DD';
+  const days = daysBetween(startDate, endDate);
+  if (days < 1 || days > MAX_TRIP_DAYS) {
+    return `endDate must be on or after startDate, and a trip at most ${MAX_TRIP_DAYS} days long`;
+  }
+  return null;
+};
+
+// Optional free-text field from the body; returns undefined when absent
+const readText = (value) => (value === undefined ? undefined : (String(value || '').trim() || null));
+
+class PlannerController {
+  // GET /api/planner/:userId?from=YYYY-MM-DD&to=YYYY-MM-DD - planned outfits
+  // with their items and conflicts, for the next 7 days by default
+  async getPlanner(req, res) {
+    const from = req.query.from || toDateKey(new Date());
+    const to = req.query.to || toDateKey(addDays(new Date(`${from}T00:00:00`), DEFAULT_VIEW_DAYS - 1));
+
+    if (!isDateKey(from) || !isDateKey(to)) {
+      return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+    }
+    const span = daysBetween(from, to);
+    if (span < 1 || span > MAX_VIEW_DAYS) {
+      return res.status(400).json({ error: `to must be on or after from, at most ${MAX_VIEW_DAYS} days later` });
+    }
+
+    try {
+      const { plans, itemsByPlan, conflicts } = await getSchedule(req.params.userId, from, to);
+      res.json({
+        from,
+        to,
+        plans: plans.map(plan => formatPlan(plan, itemsByPlan.get(plan.id), conflicts)),
+        conflicts
+      });
+    } catch (error) {
+      console.error('Error getting outfit planner:', error);
+      res.status(500).json({ error: 'Failed to get planner' });
+    }
+  }
+
+  // POST /api/planner/plans { date, outfitId?, occasion?, notes? } - a plan for a day
+  async createPlan(req, res) {
+    const { date, outfitId } = req.body;
+    const occasion = readText(req.body.occasion);
+
+    const dateError = checkPlanDate(date);
+    if (dateError) {
+      return res.status(400).json({ error: dateError });
+    }
+    if (!outfitId && !occasion) {
+      return res.status(400).json({ error: 'A plan needs an outfitId or an occasion' });
+    }
+
+    try {
+      if (!await checkOutfit(outfitId, req.user.id, res)) return;
+
+      const planId = await PlanModel.create(req.user.id, {
+        planDate: date,
+        outfitId,
+        occasion,
+        notes: readText(req.body.notes)
+      });
+      res.status(201).json(await loadPlan(planId, req.user.id));
+    } catch (error) {
+      console.error('Error creating outfit plan:', error);
+      res.status(500).json({ error: 'Failed to create plan' });
+    }
+  }
+
+  // PUT /api/planner/plans/:planId { date?, outfitId?, occasion?, notes? }
+  // outfitId null unassigns the outfit. Plans for events keep the event's date.
+  async updatePlan(req, res) {
+    const { date, outfitId } = req.body;
+
+    try {
+      const plan = await PlanModel.getById(req.params.planId, req.user.id);
+      if (!plan) {
+        return res.status(404).json({ error: 'Plan not found' });
+      }
+      if (date !== undefined && date !== plan.plan_date) {
+        if (plan.event_id) {
+          return res.status(400).json({ error: "Plans for calendar events follow the event's date" });
+        }
+        const dateError = checkPlanDate(date);
+        if (dateError) {
+          return res.status(400).json({ error: dateError });
+        }
+      }
+      if (!await checkOutfit(outfitId, req.user.id, res)) return;
+
+      await PlanModel.update(plan.id, req.user.id, {
+        planDate: date,
+        outfitId,
+        occasion: readText(req.body.occasion),
+        notes: readText(req.body.notes)
+      });
+      res.json(await loadPlan(plan.id, req.user.id));
+    } catch (error) {
+      console.error('Error updating outfit plan:', error);
+      res.status(500).json({ error: 'Failed to update plan' });
+    }
+  }
+
+  // DELETE /api/planner/plans/:planId
+  async deletePlan(req, res) {
+    try {
+      const result = await PlanModel.delete(req.params.planId, req.user.id);
+      if (result.changes === 0) {
+        return res.status(404).json({ error: 'Plan not found' });
+      }
+      res.json({ message: 'Plan deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting outfit plan:', error);
+      res.status(500).json({ error: 'Failed to delete plan' });
+    }
+  }
+
+  // GET /api/planner/:userId/trips - trips that haven't ended; ?all=true for past ones too
+  async listTrips(req, res) {
+    try {
+      const since = req.query.all === 'true' ? null : toDateKey(new Date());
+      const trips = await TripModel.getAll(req.params.userId, since);
+      res.json(trips.map(formatTrip));
+    } catch (error) {
+      console.error('Error listing trips:', error);
+      res.status(500).json({ error: 'Failed to list trips' });
+    }
+  }
+
+  // POST /api/planner/trips { name, startDate, endDate, destination?, notes? }
+  async createTrip(req, res) {
+    const { startDate, endDate } = req.body;
+    const name = readText(req.body.name);
+
+    if (!name) {
+      return res.status(400).json({ error: 'A trip needs a name' });
+    }
+    const dateError = checkTripDates(startDate, endDate);
+    if (dateError) {
+      return res.status(400).json({ error: dateError });
+    }
+
+    try {
+      const tripId = await TripModel.create(req.user.id, {
+        name,
+        startDate,
+        endDate,
+        destination: readText(req.body.destination),
+        notes: readText(req.body.notes)
+      });
+      res.status(201).json(formatTrip(await TripModel.getById(tripId, req.user.id)));
+    } catch (error) {
+      console.error('Error creating trip:', error);
+      res.status(500).json({ error: 'Failed to create trip' });
+    }
+  }
+
+  // PUT /api/planner/trips/:tripId { name?, startDate?, endDate?, destination?, notes? }
+  async updateTrip(req, res) {
+    try {
+      const trip = await TripModel.getById(req.params.tripId, req.user.id);
+      if (!trip) {
+        return res.status(404).json({ error: 'Trip not found' });
+      }
+
+      const name = readText(req.body.name);
+      if (name === null) {
+        return res.status(400).json({ error: 'A trip needs a name' });
+      }
+      const startDate = req.body.startDate ?? trip.start_date;
+      const endDate = req.body.endDate ?? trip.end_date;
+      const dateError = checkTripDates(startDate, endDate);
+      if (dateError) {
+        return res.status(400).json({ error: dateError });
+      }
+
+      await TripModel.update(trip.id, req.user.id, {
+        name,
+        startDate,
+        endDate,
+        destination: readText(req.body.destination),
+        notes: readText(req.body.notes)
+      });
+      res.json(formatTrip(await TripModel.getById(trip.id, req.user.id)));
+    } catch (error) {
+      console.error('Error updating trip:', error);
+      res.status(500).json({ error: 'Failed to update trip' });
+    }
+  }
+
+  // DELETE /api/planner/trips/:tripId - the trip's plans stay
+  async deleteTrip(req, res) {
+    try {
+      const trip = await TripModel.getById(req.params.tripId, req.user.id);
+      if (!trip) {
+        return res.status(404).json({ error: 'Trip not found' });
+      }
+
+      await TripModel.delete(trip.id, req.user.id);
+      res.json({ message: 'Trip deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting trip:', error);
+      res.status(500).json({ error: 'Failed to delete trip' });
+    }
+  }
+
+  // GET /api/planner/trips/:tripId/packing - the items of every outfit planned
+  // during the trip, each listed once
+  async getPackingList(req, res) {
+    try {
+      const trip = await TripModel.getById(req.params.tripId, req.user.id);
+      if (!trip) {
+        return res.status(404).json({ error: 'Trip not found' });
+      }
+
+      const packing = await getPackingList(trip, req.user.id);
+      const conflicts = packing.conflicts;
+      res.json({
+        trip: formatTrip(trip),
+        days: packing.days.map(day => ({
+          date: day.date,
+          plans: day.plans.map(plan => formatPlan(plan, packing.itemsByPlan.get(plan.id), conflicts))
+        })),
+        items: packing.items.map(entry => ({
+          ...formatPlannedItem(entry.item),
+          days: entry.days,
+          outfits: entry.outfits,
+          packed: entry.packed
+        })),
+        unplannedDays: packing.unplannedDays,
+        summary: packing.summary,
+        conflicts
+      });
+    } catch (error) {
+      console.error('Error building packing list:', error);
+      res.status(500).json({ error: 'Failed to build packing list' });
+    }
+  }
+
+  // PUT /api/planner/trips/:tripId/items/:itemId { packed }
+  async setItemPacked(req, res) {
+    const { packed } = req.body;
+    if (typeof packed !== 'boolean') {
+      return res.status(400).json({ error: 'packed must be true or false' });
+    }
+
+    try {
+      const [trip, item] = await Promise.all([
+        TripModel.getById(req.params.tripId, req.user.id),
+        WardrobeModel.getById(req.params.itemId, req.user.id)
+      ]);
+      if (!trip) {
+        return res.status(404).json({ error: 'Trip not found' });
+      }
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      await TripModel.setPacked(trip.id, item.id, packed);
+      res.json({ tripId: trip.id, itemId: item.id, packed });
+    } catch (error) {
+      console.error('Error updating packed item:', error);
+      res.status(500).json({ error: 'Failed to update packing list' });
+    }
+  }
+}
+
+module.exports = new PlannerController();
@@ -0,0 +1,41 @@
+// backend/src/controllers/recommendationController.js
+const { getRecommendations } = require('../services/recommendationService');
+const { isDateKey } = require('../utils/dates');
+
+const MAX_SUGGESTIONS = 10;
+
+class RecommendationController {
+  // GET /api/recommendations/:userId?occasion=&temperature=&conditions=&date=&limit=
+  // Without temperature/conditions the weather provider's reading for `date`
+  // (default today) is used.
+  async getRecommendations(req, res) {
+    const { occasion, temperature, conditions, date } = req.query;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 3;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTIONS) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_SUGGESTIONS}` });
+    }
+    if (temperature !== undefined && temperature !== '' && isNaN(Number(temperature))) {
+      return res.status(400).json({ error: 'temperature must be a number (°F)' });
+    }
+    if (date !== undefined && !isDateKey(date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+
+    try {
+      const result = await getRecommendations(req.params.userId, {
+        occasion,
+        weather: { temperature, conditions },
+        date,
+        limit
+      });
+      console.log(`👗 Built ${result.suggestions.length} outfit suggestions (${result.occasion.profile})`);
+      res.json(result);
+    } catch (error) {
+      console.error('Error building recommendations:', error);
+      res.status(500).json({ error: 'Failed to build outfit recommendations' });
+    }
+  }
+}
+
+module.exports = new RecommendationController();
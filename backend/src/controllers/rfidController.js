@@ -0,0 +1,149 @@
+// backend/src/controllers/rfidController.js
+const Database = require('../database/Database');
+const WardrobeModel = require('../models/WardrobeModel');
+const RfidScanModel = require('../models/RfidScanModel');
+const { applyWearThresholds } = require('../services/laundryService');
+
+// Door reader event types (hardware/rfid_reader.py) mapped onto rfid_scans.scan_type
+const RFID_EVENT_SCAN_TYPES = {
+  departure: 'exit',
+  arrival: 'entry',
+  exit: 'exit',
+  entry: 'entry'
+};
+
+class RfidController {
+  // Single tag scan
+  async logScan(req, res) {
+    const { rfidTag, scanType, location } = req.body;
+    const userId = req.user.id;
+
+    if (!rfidTag || !scanType) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    let scanId;
+    try {
+      scanId = await RfidScanModel.create(userId, { rfidTag, scanType, location });
+    } catch (error) {
+      console.error('Error logging RFID scan:', error);
+      return res.status(500).json({ error: 'Failed to log scan' });
+    }
+
+    // Update item status based on scan type; the scan stays logged either way
+    try {
+      const item = await WardrobeModel.getByRFIDTag(rfidTag, userId);
+      if (item) {
+        await WardrobeModel.recordScan(item.id, scanType);
+        if (scanType === 'exit') {
+          await applyWearThresholds([item.id], userId);
+        }
+      }
+    } catch (updateError) {
+      console.error('Error updating item status:', updateError);
+    }
+
+    res.status(201).json({
+      id: scanId,
+      message: 'RFID scan logged successfully'
+    });
+  }
+
+  // Batch RFID event from the door reader - one request carries every tag seen
+  async logEvent(req, res) {
+    const { tags, event_type: eventType, timestamp, location } = req.body;
+
+    if (!Array.isArray(tags) || tags.length === 0 || !eventType) {
+      return res.status(400).json({ error: 'Missing required fields: tags, event_type' });
+    }
+    if (!tags.every(tag => typeof tag === 'string' && tag.trim())) {
+      return res.status(400).json({ error: 'tags must be non-empty strings' });
+    }
+
+    const scanType = RFID_EVENT_SCAN_TYPES[eventType];
+    if (!scanType) {
+      return res.status(400).json({
+        error: `Unknown event_type: ${eventType}`,
+        allowed: Object.keys(RFID_EVENT_SCAN_TYPES)
+      });
+    }
+
+    if (timestamp && isNaN(Date.parse(timestamp))) {
+      return res.status(400).json({ error: 'Invalid timestamp' });
+    }
+
+    // The reader reports local ISO time; store UTC like datetime('now') does
+    const eventTime = timestamp ? new Date(timestamp).toISOString() : null;
+    const uniqueTags = [...new Set(tags.map(tag => tag.trim()))];
+
+    try {
+      // Tags belonging to other users are reported as unknown
+      const knownItems = await WardrobeModel.getByRFIDTags(uniqueTags, req.user.id);
+
+      const itemsByTag = new Map(knownItems.map(item => [item.rfid_tag, item]));
+      const unknownTags = uniqueTags.filter(tag => !itemsByTag.has(tag));
+      const itemStatus = scanType === 'exit' ? 'worn' : 'in_closet';
+
+      // Log every scan and update every item, or nothing at all. Unknown
+      // tags are logged too, without an item, as single scans are.
+      const { scans, dirtyItemIds } = await Database.transaction(async () => {
+        const logged = [];
+        for (const item of knownItems) {
+          const scanId = await RfidScanModel.create(item.user_id, {
+            rfidTag: item.rfid_tag,
+            scanType,
+            location,
+            scanTime: eventTime
+          });
+          await WardrobeModel.recordScan(item.id, scanType, eventTime);
+
+          logged.push({
+            id: scanId,
+            rfidTag: item.rfid_tag,
+            itemId: item.id,
+            itemName: item.name,
+            status: itemStatus
+          });
+        }
+        for (const rfidTag of unknownTags) {
+          const scanId = await RfidScanModel.create(req.user.id, { rfidTag, scanType, location, scanTime: eventTime });
+          logged.push({ id: scanId, rfidTag, itemId: null, itemName: null, status: null });
+        }
+
+        // Departures count towards each item's wears-before-wash
+        const dirtied = scanType === 'exit'
+          ? await applyWearThresholds(knownItems.map(item => item.id), req.user.id)
+          : [];
+        return { scans: logged, dirtyItemIds: dirtied };
+      });
+
+      console.log(`📡 RFID ${eventType} event: ${knownItems.length} items updated, ${unknownTags.length} unknown tags`);
+
+      res.status(201).json({
+        eventType,
+        scanType,
+        processed: knownItems.length,
+        scans,
+        unknownTags,
+        dirtyItemIds,
+        message: 'RFID event logged successfully'
+      });
+    } catch (error) {
+      console.error('Error logging RFID event:', error);
+      res.status(500).json({ error: 'Failed to log RFID event' });
+    }
+  }
+
+  async getScans(req, res) {
+    const { limit = 50 } = req.query;
+
+    try {
+      res.json(await RfidScanModel.getRecent(req.params.userId, parseInt(limit)));
+    } catch (error) {
+      console.error('Error getting RFID scans:', error);
+      res.status(500).json({ error: 'Failed to get scans' });
+    }
+  }
+}
+
+module.exports = new RfidController();
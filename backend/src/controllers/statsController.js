@@ -0,0 +1,22 @@
+// backend/src/controllers/statsController.js
+const WardrobeModel = require('../models/WardrobeModel');
+const OutfitModel = require('../models/OutfitModel');
+
+class StatsController {
+  async getStats(req, res) {
+    const { userId } = req.params;
+
+    try {
+      res.json({
+        wardrobeCount: await WardrobeModel.count(userId),
+        outfitCount: await OutfitModel.count(userId),
+        mostWornItems: await WardrobeModel.getMostWorn(userId, 5)
+      });
+    } catch (error) {
+      console.error('Error getting stats:', error);
+      res.status(500).json({ error: 'Failed to get stats' });
+    }
+  }
+}
+
+module.exports = new StatsController();
@@ -0,0 +1,83 @@
+// backend/src/controllers/systemController.js
+const { getVisionProvider } = require('../services/vision');
+const { getPalette } = require('../utils/colors');
+const { COLOR_FAMILIES } = require('../config/colors');
+const { getTaxonomy, defaultWearsBeforeWash, roleOf } = require('../utils/taxonomy');
+
+// A taxonomy node's slot, formality, layer and color, inherited like wearsBeforeWash
+const roles = (node) => ({
+  slot: roleOf(node, 'slot'),
+  formality: roleOf(node, 'formality'),
+  layer: roleOf(node, 'layer'),
+  color: roleOf(node, 'color')
+});
+
+class SystemController {
+  health(req, res) {
+    res.json({
+      status: 'OK',
+      message: 'ClosetMonkey API is running',
+      timestamp: new Date().toISOString(),
+      version: '1.0.0'
+    });
+  }
+
+  // Which vision provider is active and whether it can answer requests
+  testVision(req, res) {
+    try {
+      res.json({
+        status: 'Vision API configured',
+        ...getVisionProvider().getStatus()
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: 'Vision API not configured',
+        details: error.message
+      });
+    }
+  }
+
+  // The color palette items are named from, with each color's family
+  colors(req, res) {
+    try {
+      res.json({
+        families: COLOR_FAMILIES,
+        colors: getPalette().map(({ name, hex, family }) => ({ name, hex, family }))
+      });
+    } catch (error) {
+      console.error('Error getting color palette:', error);
+      res.status(500).json({ error: 'Failed to get color palette' });
+    }
+  }
+
+  // Wardrobe categories and the item types under them (utils/taxonomy.js);
+  // wearsBeforeWash is the node's own, else the nearest parent's or the fallback's
+  taxonomy(req, res) {
+    try {
+      const { categories, types, generalTerms, fallback } = getTaxonomy();
+      res.json({
+        categories: categories.map(category => ({
+          name: category.name,
+          synonyms: category.synonyms,
+          wearsBeforeWash: defaultWearsBeforeWash(category),
+          ...roles(category)
+        })),
+        types: types.map(type => ({
+          name: type.name,
+          parent: type.parent.name,
+          category: type.category.name,
+          synonyms: type.synonyms,
+          wearsBeforeWash: defaultWearsBeforeWash(type),
+          ...roles(type)
+        })),
+        generalTerms,
+        fallback: { name: fallback.name, wearsBeforeWash: fallback.wearsBeforeWash, color: fallback.color }
+      });
+    } catch (error) {
+      console.error('Error getting clothing taxonomy:', error);
+      res.status(500).json({ error: 'Failed to get clothing taxonomy' });
+    }
+  }
+}
+
+module.exports = new SystemController();
@@ -0,0 +1,111 @@
+// backend/src/controllers/transferController.js
+const {
+  getExportTables,
+  writeJsonExport,
+  writeCsvExport,
+  writeZipExport,
+  readImportFile,
+  importWardrobe
+} = require('../services/transferService');
+const { TRANSFER_TABLES } = require('../config/transfer');
+const { toDateKey } = require('../utils/dates');
+
+const EXPORT_FORMATS = ['json', 'csv', 'zip'];
+const TABLE_NAMES = TRANSFER_TABLES.map(spec => spec.table);
+
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  zip: 'application/zip'
+};
+
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+class TransferController {
+  // GET /api/export/:userId?format=json|csv|zip - the whole wardrobe as one
+  // JSON document, one table as CSV (table=...), or a zip with the photos
+  // (data=json|csv picks how the rows are stored in it)
+  async exportWardrobe(req, res) {
+    const format = req.query.format || 'json';
+    const { table } = req.query;
+    const data = req.query.data || 'json';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    if (format === 'csv' && !TABLE_NAMES.includes(table)) {
+      return res.status(400).json({
+        error: `CSV exports one table at a time; table must be one of: ${TABLE_NAMES.join(', ')}`,
+        hint: 'Use format=zip&data=csv for every table at once'
+      });
+    }
+    if (format === 'zip' && !['json', 'csv'].includes(data)) {
+      return res.status(400).json({ error: 'data must be json or csv' });
+    }
+
+    let tables;
+    try {
+      tables = await getExportTables(req.user.id);
+    } catch (error) {
+      console.error('Error reading wardrobe for export:', error);
+      return res.status(500).json({ error: 'Failed to export wardrobe' });
+    }
+
+    const name = `closet-monkey-${format === 'csv' ? `${table}-` : ''}${toDateKey(new Date())}.${format}`;
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+
+    // Headers are sent with the first chunk, so a failure from here on can
+    // only cut the download short
+    try {
+      if (format === 'csv') {
+        await writeCsvExport(res, tables.find(entry => entry.table === table));
+      } else if (format === 'zip') {
+        const manifest = await writeZipExport(res, req.user, tables, { data });
+        if (manifest.missingImages.length > 0) {
+          console.warn(`⚠️ Export for ${req.user.username} is missing ${manifest.missingImages.length} image file(s)`);
+        }
+      } else {
+        await writeJsonExport(res, req.user, tables);
+      }
+      res.end();
+      console.log(`📦 Exported wardrobe for ${req.user.username} as ${format}`);
+    } catch (error) {
+      console.error('Error writing wardrobe export:', error);
+      res.destroy(error);
+    }
+  }
+
+  // POST /api/import - multipart "file": an export's .json or .zip, or a .csv
+  // of one table (table=...). dryRun=true validates without saving anything.
+  async importWardrobe(req, res) {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Upload a .json, .csv or .zip export as "file"' });
+    }
+
+    let parsed;
+    try {
+      parsed = readImportFile(req.file, { table: req.body.table });
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid import file', details: error.message });
+    }
+    if (Object.values(parsed.tables).every(rows => rows.length === 0)) {
+      return res.status(400).json({ error: 'The import file has no rows' });
+    }
+
+    try {
+      const report = await importWardrobe(req.user.id, parsed.tables, {
+        files: parsed.files,
+        dryRun: isTrue(req.body.dryRun) || isTrue(req.query.dryRun)
+      });
+      const created = Object.values(report.tables).reduce((sum, stats) => sum + stats.created, 0);
+      console.log(`📥 ${report.dryRun ? 'Checked' : 'Imported'} ${req.file.originalname}: ${created} rows, ${report.errors.length} errors`);
+      res.json(report);
+    } catch (error) {
+      console.error('Error importing wardrobe:', error);
+      res.status(500).json({ error: 'Failed to import wardrobe' });
+    }
+  }
+}
+
+module.exports = new TransferController();
@@ -0,0 +1,22 @@
+// backend/src/controllers/uploadController.js
+const { queueVariants } = require('../services/imageService');
+
+class UploadController {
+  // The file itself is stored by the upload middleware
+  uploadImage(req, res) {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const imageUrl = `/uploads/${req.file.filename}`;
+    queueVariants(imageUrl);
+
+    res.json({
+      message: 'Image uploaded successfully',
+      imageUrl,
+      filename: req.file.filename
+    });
+  }
+}
+
+module.exports = new UploadController();
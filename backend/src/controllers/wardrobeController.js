@@ -1,101 +1,355 @@
 // backend/src/controllers/wardrobeController.js
+const { v4: uuidv4 } = require('uuid');
 const WardrobeModel = require('../models/WardrobeModel');
+const ItemImageModel = require('../models/ItemImageModel');
+const OutfitModel = require('../models/OutfitModel');
+const {
+  LAUNDRY_STATES,
+  isLaundryState,
+  canTransition,
+  transitionItems
+} = require('../services/laundryService');
+const { queueCutout } = require('../services/cutoutService');
+const { queueCollage, queueItemCollages } = require('../services/collageService');
+const { SEARCH_FACETS, SEARCH_SORTS, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('../config/search');
+const { ITEM_SORT_KEYS, DEFAULT_LIST_SORT, DEFAULT_LIST_LIMIT, MAX_LIST_LIMIT } = require('../config/lists');
+const { COLOR_FAMILIES, PATTERNS } = require('../config/colors');
+const { GARMENT_ANALYSIS } = require('../config/images');
+const { hexToRgb, toColorList, parseColorList } = require('../utils/colors');
+const {
+  parsePositiveInt,
+  parseSort,
+  formatSort,
+  parseFields,
+  pickFields,
+  encodeCursor,
+  decodeCursor
+} = require('../utils/listQuery');
+
+// Fields PUT /api/wardrobe/items/:itemId may change; anything omitted is kept
+const EDITABLE_FIELDS = [
+  'name', 'description', 'type', 'color', 'colorHex', 'secondaryColors', 'pattern', 'material', 'brand',
+  'size', 'status', 'price', 'purchaseDate', 'ocrText'
+];
+
+// The main color plus these make up an item's colors
+const MAX_SECONDARY_COLORS = GARMENT_ANALYSIS.maxColors - 1;
+
+// A color hex from a client is fine when blank or a hex color
+const isColorHex = (hex) => hex === undefined || hex === null || hex === '' || !!hexToRgb(hex);
+
+const isPattern = (pattern) => pattern === undefined || pattern === null || pattern === '' || PATTERNS.includes(pattern);
+
+// Secondary colors from a client (see utils/colors.js toColorList); blank
+// clears them. Null when invalid.
+const parseSecondaryColors = (value) => {
+  if (value === null || value === '') return [];
+  const colors = toColorList(value);
+  return colors && colors.length <= MAX_SECONDARY_COLORS ? colors : null;
+};
+
+const SECONDARY_COLORS_ERROR =
+  `must be a list of at most ${MAX_SECONDARY_COLORS} colors, each a name or { name, hex, weight }`;
+
+// Purchase price feeds the cost-per-wear analytics. Returns null when blank
+// and NaN when invalid.
+const parsePrice = (price) => {
+  if (price === undefined || price === null || price === '') return null;
+  const value = Number(price);
+  return value >= 0 ? value : NaN;
+};
+
+// Generate RFID tag
+const generateRFIDTag = (itemType, itemId) => {
+  const typePrefix = itemType.substring(0, 2).toUpperCase();
+  const idSuffix = itemId.slice(-6).toUpperCase();
+  return `CM${typePrefix}${idSuffix}`;
+};
+
+// wardrobe_items row -> API shape
+const formatItem = (item) => ({
+  id: item.id,
+  name: item.name,
+  description: item.description,
+  type: item.type,
+  color: item.color,
+  colorHex: item.color_hex,
+  colorFamily: item.color_family,
+  secondaryColors: parseColorList(item.secondary_colors),
+  pattern: item.pattern,
+  material: item.material,
+  brand: item.brand,
+  size: item.size,
+  rfidTag: item.rfid_tag,
+  imageUrl: item.image_url,
+  cutoutUrl: item.cutout_url,
+  createdDate: item.created_date,
+  lastWornDate: item.last_worn_date,
+  status: item.status,
+  laundryStatus: item.laundry_status,
+  wearsSinceWash: item.wears_since_wash || 0,
+  price: item.price,
+  purchaseDate: item.purchase_date,
+  ocrText: item.ocr_text,
+  // Only on item lists (WardrobeModel.getList)
+  wearCount: item.wear_count
+});
+
+// What fields= may pick from
+const ITEM_FIELDS = Object.keys(formatItem({}));
+
+// ?brand=Gap&brand=Uniqlo -> ['Gap', 'Uniqlo']; a single value -> [value]
+const queryList = (value) => [].concat(value ?? [])
+  .map(entry => String(entry).trim())
+  .filter(Boolean);
 
 class WardrobeController {
-  async getAllItems(req, res) {
+  // GET /api/wardrobe/items/:userId?type=&status=&colorFamily=&pattern=&secondaryColor=&search=
+  //   &sort=-lastWornDate,name&fields=id,name&limit=50&cursor=...
+  // Every item unless limit or cursor is given; then one page as
+  // { items, nextCursor } with nextCursor null on the last page
+  async getItems(req, res) {
+    const { type, status, colorFamily, pattern, secondaryColor, search, cursor } = req.query;
+    const paged = req.query.limit !== undefined || cursor !== undefined;
+    const limit = parsePositiveInt(req.query.limit, DEFAULT_LIST_LIMIT);
+
+    if (Number.isNaN(limit) || limit > MAX_LIST_LIMIT) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_LIST_LIMIT}` });
+    }
+    if (colorFamily !== undefined && !COLOR_FAMILIES.includes(colorFamily)) {
+      return res.status(400).json({ error: `colorFamily must be one of: ${COLOR_FAMILIES.join(', ')}` });
+    }
+    if (pattern !== undefined && !PATTERNS.includes(pattern)) {
+      return res.status(400).json({ error: `pattern must be one of: ${PATTERNS.join(', ')}` });
+    }
+
+    let sort;
+    let fields;
+    let after = null;
     try {
-      const items = await WardrobeModel.getAll();
-      res.json(items);
+      sort = parseSort(req.query.sort || DEFAULT_LIST_SORT, ITEM_SORT_KEYS);
+      fields = parseFields(req.query.fields, ITEM_FIELDS);
+      if (cursor !== undefined) after = decodeCursor(cursor, sort);
     } catch (error) {
-      console.error('Error getting all items:', error);
-      res.status(500).json({ error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const filters = { type, status, colorFamily, pattern, secondaryColor, search };
+      const { rows, next } = await WardrobeModel.getList(req.params.userId, filters, {
+        sort,
+        limit: paged ? limit : null,
+        after
+      });
+      const items = rows.map(row => pickFields(formatItem(row), fields));
+      if (!paged) return res.json(items);
+
+      res.json({
+        items,
+        sort: formatSort(sort),
+        limit,
+        nextCursor: next ? encodeCursor(sort, next) : null
+      });
+    } catch (error) {
+      console.error('Error getting wardrobe items:', error);
+      res.status(500).json({ error: 'Failed to get wardrobe items' });
     }
   }
 
-  async getItemById(req, res) {
+  // GET /api/wardrobe/search/:userId?q=blue+oxford&type=Shirt&sort=relevance&page=1&limit=24
+  // Full-text search with facet counts; repeat a facet parameter to allow
+  // several values (?color=blue&color=navy)
+  async searchItems(req, res) {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const sort = req.query.sort || (query ? 'relevance' : 'newest');
+    const page = parsePositiveInt(req.query.page, 1);
+    const limit = parsePositiveInt(req.query.limit, DEFAULT_PAGE_SIZE);
+
+    if (!SEARCH_SORTS.includes(sort)) {
+      return res.status(400).json({ error: `sort must be one of: ${SEARCH_SORTS.join(', ')}` });
+    }
+    if (Number.isNaN(page)) {
+      return res.status(400).json({ error: 'page must be a positive whole number' });
+    }
+    if (Number.isNaN(limit) || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
+    }
+
+    const filters = {};
+    Object.keys(SEARCH_FACETS).forEach(facet => {
+      const values = queryList(req.query[facet]);
+      if (values.length > 0) filters[facet] = values;
+    });
+
     try {
-      const item = await WardrobeModel.getById(req.params.id);
-      if (!item) {
-        return res.status(404).json({ error: 'Item not found' });
-      }
-      res.json(item);
+      const { items, total, facets } = await WardrobeModel.search(req.params.userId, {
+        query,
+        filters,
+        sort,
+        limit,
+        offset: (page - 1) * limit
+      });
+      res.json({
+        query,
+        filters,
+        sort,
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        items: items.map(formatItem),
+        facets
+      });
     } catch (error) {
-      console.error('Error getting item by ID:', error);
-      res.status(500).json({ error: error.message });
+      console.error('Error searching wardrobe items:', error);
+      res.status(500).json({ error: 'Failed to search wardrobe items' });
     }
   }
 
   async createItem(req, res) {
+    const {
+      name, type, description, color, color_hex, secondary_colors, pattern, material, brand, size,
+      image_url, rfid_tag, price, purchase_date, ocr_text
+    } = req.body;
+
+    if (!name || !type) {
+      return res.status(400).json({ error: 'Missing required fields: name, type' });
+    }
+
+    const itemPrice = parsePrice(price);
+    if (Number.isNaN(itemPrice)) {
+      return res.status(400).json({ error: 'price must be a non-negative number' });
+    }
+    if (!isColorHex(color_hex)) {
+      return res.status(400).json({ error: 'color_hex must be a hex color such as #7b2d3a' });
+    }
+    const secondaryColors = secondary_colors === undefined ? [] : parseSecondaryColors(secondary_colors);
+    if (!secondaryColors) {
+      return res.status(400).json({ error: `secondary_colors ${SECONDARY_COLORS_ERROR}` });
+    }
+    if (!isPattern(pattern)) {
+      return res.status(400).json({ error: `pattern must be one of: ${PATTERNS.join(', ')}` });
+    }
+
+    const itemId = uuidv4();
+    const finalRfidTag = rfid_tag || generateRFIDTag(type, itemId);
+
     try {
-      const itemData = {
-        ...req.body,
-        image: req.file ? `/uploads/wardrobe/${req.file.filename}` : null,
-        createdAt: new Date().toISOString()
-      };
-      
-      console.log('Creating item:', itemData);
-      
-      const itemId = await WardrobeModel.create(itemData);
-      const newItem = await WardrobeModel.getById(itemId);
-      
-      res.status(201).json(newItem);
+      await WardrobeModel.create(req.user.id, {
+        id: itemId,
+        name,
+        type,
+        description,
+        color,
+        colorHex: color_hex,
+        secondaryColors,
+        pattern: pattern || null,
+        material,
+        brand,
+        size,
+        rfidTag: finalRfidTag,
+        imageUrl: image_url,
+        price: itemPrice,
+        purchaseDate: purchase_date,
+        ocrText: ocr_text
+      });
     } catch (error) {
-      console.error('Error creating item:', error);
-      res.status(500).json({ error: error.message });
+      console.error('Error adding wardrobe item:', error);
+      return res.status(500).json({ error: 'Failed to add item' });
     }
+
+    try {
+      const image = await ItemImageModel.addPrimary(itemId, image_url);
+      if (image) queueCutout(image);
+    } catch (imageError) {
+      console.error('Error recording item image:', imageError);
+    }
+
+    res.status(201).json({
+      id: itemId,
+      name,
+      type,
+      rfidTag: finalRfidTag,
+      imageUrl: image_url,
+      message: 'Item added successfully'
+    });
   }
 
+  // Partial update. laundryStatus changes go through the laundry state machine.
   async updateItem(req, res) {
-    try {
-      const itemData = { ...req.body };
-      if (req.file) {
-        itemData.image = `/uploads/wardrobe/${req.file.filename}`;
+    const { itemId } = req.params;
+    const { laundryStatus } = req.body;
+
+    const changes = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+
+    if (changes.price !== undefined) {
+      changes.price = parsePrice(changes.price);
+      if (Number.isNaN(changes.price)) {
+        return res.status(400).json({ error: 'price must be a non-negative number' });
       }
-      
-      await WardrobeModel.update(req.params.id, itemData);
-      const updatedItem = await WardrobeModel.getById(req.params.id);
-      
-      if (!updatedItem) {
-        return res.status(404).json({ error: 'Item not found' });
+    }
+    if (!isColorHex(changes.colorHex)) {
+      return res.status(400).json({ error: 'colorHex must be a hex color such as #7b2d3a' });
+    }
+    if (changes.secondaryColors !== undefined) {
+      changes.secondaryColors = parseSecondaryColors(changes.secondaryColors);
+      if (!changes.secondaryColors) {
+        return res.status(400).json({ error: `secondaryColors ${SECONDARY_COLORS_ERROR}` });
       }
-      
-      res.json(updatedItem);
-    } catch (error) {
-      console.error('Error updating item:', error);
-      res.status(500).json({ error: error.message });
     }
-  }
+    if (!isPattern(changes.pattern)) {
+      return res.status(400).json({ error: `pattern must be one of: ${PATTERNS.join(', ')}` });
+    }
+    if (changes.pattern === '') changes.pattern = null;
+    if (laundryStatus !== undefined && !isLaundryState(laundryStatus)) {
+      return res.status(400).json({ error: 'Invalid laundry status', allowed: LAUNDRY_STATES });
+    }
 
-  async deleteItem(req, res) {
     try {
-      const result = await WardrobeModel.delete(req.params.id);
-      if (result.changes === 0) {
+      const item = await WardrobeModel.getById(itemId, req.user.id);
+      if (!item) {
         return res.status(404).json({ error: 'Item not found' });
       }
-      res.status(204).send();
-    } catch (error) {
-      console.error('Error deleting item:', error);
-      res.status(500).json({ error: error.message });
-    }
-  }
 
-  async searchItems(req, res) {
-    try {
-      const items = await WardrobeModel.search(req.params.query);
-      res.json(items);
+      const currentLaundry = item.laundry_status || 'clean';
+      const laundryChanged = laundryStatus !== undefined && laundryStatus !== currentLaundry;
+      if (laundryChanged && !canTransition(currentLaundry, laundryStatus)) {
+        return res.status(409).json({ error: `Cannot move from ${currentLaundry} to ${laundryStatus}` });
+      }
+
+      if (Object.keys(changes).length > 0) {
+        await WardrobeModel.update(itemId, req.user.id, changes);
+        // Type and name decide where the item sits in outfit collages
+        if (changes.type !== undefined || changes.name !== undefined) queueItemCollages(itemId);
+      }
+      if (laundryChanged) {
+        await transitionItems([itemId], req.user.id, laundryStatus);
+      }
+      res.json({ message: 'Item updated successfully' });
     } catch (error) {
-      console.error('Error searching items:', error);
-      res.status(500).json({ error: error.message });
+      console.error('Error updating wardrobe item:', error);
+      res.status(500).json({ error: 'Failed to update item' });
     }
   }
 
-  async getItemsByCategory(req, res) {
+  async deleteItem(req, res) {
     try {
-      const items = await WardrobeModel.getByCategory(req.params.category);
-      res.json(items);
+      if (!await WardrobeModel.getById(req.params.itemId, req.user.id)) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      // Deleting the item takes it out of its outfits, so look them up first
+      // and redraw their collages without it
+      const outfitIds = await OutfitModel.getIdsForItem(req.params.itemId);
+      await WardrobeModel.delete(req.params.itemId, req.user.id);
+      outfitIds.forEach(queueCollage);
+      res.json({ message: 'Item deleted successfully' });
     } catch (error) {
-      console.error('Error getting items by category:', error);
-      res.status(500).json({ error: error.message });
+      console.error('Error deleting wardrobe item:', error);
+      res.status(500).json({ error: 'Failed to delete item' });
     }
   }
 }
@@ -0,0 +1,45 @@
+// backend/src/controllers/weatherController.js
+const { getWeatherProvider } = require('../services/weather');
+const { getCurrentWeather, getForecast } = require('../services/weatherService');
+const { MAX_FORECAST_DAYS } = require('../config/weather');
+
+const DEFAULT_FORECAST_DAYS = 5;
+
+class WeatherController {
+  // GET /api/weather/current
+  async getCurrent(req, res) {
+    try {
+      res.json(await getCurrentWeather());
+    } catch (error) {
+      console.error('Error reading current weather:', error);
+      res.status(500).json({ error: 'Failed to get current weather', details: error.message });
+    }
+  }
+
+  // GET /api/weather/forecast?days=5
+  async getForecast(req, res) {
+    const days = req.query.days !== undefined ? Number(req.query.days) : DEFAULT_FORECAST_DAYS;
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_FORECAST_DAYS) {
+      return res.status(400).json({ error: `days must be between 1 and ${MAX_FORECAST_DAYS}` });
+    }
+
+    try {
+      res.json({ days: await getForecast(days) });
+    } catch (error) {
+      console.error('Error reading weather forecast:', error);
+      res.status(500).json({ error: 'Failed to get weather forecast', details: error.message });
+    }
+  }
+
+  // Which weather provider is active and whether it can answer requests
+  getStatus(req, res) {
+    try {
+      res.json(getWeatherProvider().getStatus());
+    } catch (error) {
+      res.status(500).json({ error: 'Weather provider not configured', details: error.message });
+    }
+  }
+}
+
+module.exports = new WeatherController();
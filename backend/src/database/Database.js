@@ -1,25 +1,65 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// DATABASE_PATH is resolved against backend/, so server.js and the
+// migration CLI open the same file whatever the working directory is
+const BACKEND_ROOT = path.join(__dirname, '../..');
+const DEFAULT_DB_PATH = path.join(BACKEND_ROOT, 'closet_monkey.db');
 
 class Database {
   constructor() {
-    const dataDir = path.join(__dirname, '../../data');
+    this.path = process.env.DATABASE_PATH
+      ? path.resolve(BACKEND_ROOT, process.env.DATABASE_PATH)
+      : DEFAULT_DB_PATH;
+
+    const dataDir = path.dirname(this.path);
     if (!fs.existsSync(dataDir)) {
       fs.mkdirSync(dataDir, { recursive: true });
     }
     
-    const dbPath = path.join(dataDir, 'closet_monkey.db');
-    this.db = new sqlite3.Database(dbPath, (err) => {
+    this.db = new sqlite3.Database(this.path, (err) => {
       if (err) {
         console.error('Error opening database:', err.message);
       } else {
         console.log('Connected to SQLite database');
       }
     });
+
+    // There is one connection, so a transaction holds it until it commits:
+    // work is queued in order, and statements run within a transaction's
+    // callback (tracked through async calls) skip the queue
+    this.queue = Promise.resolve();
+    this.currentTransaction = new AsyncLocalStorage();
+  }
+
+  // Run task once everything queued before it has finished
+  exclusive(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  // Statements join the transaction they were issued from, else queue
+  schedule(statement) {
+    const transaction = this.currentTransaction.getStore();
+    return transaction && transaction.open ? statement() : this.exclusive(statement);
   }
 
   run(query, params = []) {
+    return this.schedule(() => this.execute(query, params));
+  }
+
+  get(query, params = []) {
+    return this.schedule(() => this.fetchOne(query, params));
+  }
+
+  all(query, params = []) {
+    return this.schedule(() => this.fetchAll(query, params));
+  }
+
+  execute(query, params) {
     return new Promise((resolve, reject) => {
       this.db.run(query, params, function(err) {
         if (err) {
@@ -31,7 +71,7 @@ class Database {
     });
   }
 
-  get(query, params = []) {
+  fetchOne(query, params) {
     return new Promise((resolve, reject) => {
       this.db.get(query, params, (err, row) => {
         if (err) {
@@ -43,7 +83,7 @@ class Database {
     });
   }
 
-  all(query, params = []) {
+  fetchAll(query, params) {
     return new Promise((resolve, reject) => {
       this.db.all(query, params, (err, rows) => {
         if (err) {
@@ -55,8 +95,36 @@ class Database {
     });
   }
 
+  // Run fn inside BEGIN/COMMIT, rolling back if it throws. Other requests'
+  // statements and transactions wait until it is done; one started inside
+  // fn is part of it.
+  async transaction(fn) {
+    const outer = this.currentTransaction.getStore();
+    if (outer && outer.open) return fn();
+
+    return this.exclusive(() => {
+      const transaction = { open: true };
+      return this.currentTransaction.run(transaction, async () => {
+        try {
+          await this.execute('BEGIN TRANSACTION');
+          try {
+            const result = await fn();
+            await this.execute('COMMIT');
+            return result;
+          } catch (error) {
+            await this.execute('ROLLBACK').catch(() => {});
+            throw error;
+          }
+        } finally {
+          // Work fn left running in the background queues from now on
+          transaction.open = false;
+        }
+      });
+    });
+  }
+
   close() {
-    return new Promise((resolve, reject) => {
+    return this.exclusive(() => new Promise((resolve, reject) => {
       this.db.close((err) => {
         if (err) {
           reject(err);
@@ -64,7 +132,7 @@ class Database {
           resolve();
         }
       });
-    });
+    }));
   }
 }
 
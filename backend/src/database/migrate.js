@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// backend/src/database/migrate.js
+// Usage:
+//   node src/database/migrate.js up [version]    apply pending migrations
+//   node src/database/migrate.js down [steps]    roll back (default 1 step)
+//   node src/database/migrate.js status          list migrations
+require('dotenv').config({ path: require('path').join(__dirname, '../../.env') });
+
+const Database = require('./Database');
+const { migrate, rollback, status } = require('./migrator');
+
+const run = async () => {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrate(arg ? parseInt(arg, 10) : Infinity);
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+      break;
+    }
+    case 'down': {
+      const reverted = await rollback(arg ? parseInt(arg, 10) : 1);
+      console.log(reverted.length ? `✅ Reverted ${reverted.length} migration(s)` : 'Nothing to roll back');
+      break;
+    }
+    case 'status': {
+      console.log(`Database: ${Database.path}`);
+      (await status()).forEach(m => {
+        const state = m.applied ? `applied ${m.appliedAt}` : 'pending';
+        console.log(`  ${m.applied ? '✓' : ' '} ${m.label}  (${state})`);
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => Database.close());
@@ -0,0 +1,92 @@
+// backend/src/database/migrations/001_initial_schema.js
+// Baseline schema as built by the old initDB in server.js. Tables use
+// IF NOT EXISTS and late columns go through addColumn so that databases
+// created before migrations existed are adopted as-is.
+const { addColumn } = require('../schema');
+
+const up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      username TEXT UNIQUE,
+      email TEXT UNIQUE,
+      created_date DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS wardrobe_items (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      type TEXT,
+      color TEXT,
+      material TEXT,
+      brand TEXT,
+      size TEXT,
+      rfid_tag TEXT UNIQUE,
+      image_url TEXT,
+      created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_worn_date DATETIME,
+      status TEXT DEFAULT 'in_closet',
+      laundry_status TEXT DEFAULT 'clean',
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS outfits (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      image_url TEXT,
+      occasion TEXT,
+      weather TEXT,
+      created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_worn_date DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS outfit_items (
+      outfit_id TEXT,
+      item_id TEXT,
+      confidence REAL DEFAULT 100,
+      FOREIGN KEY (outfit_id) REFERENCES outfits (id),
+      FOREIGN KEY (item_id) REFERENCES wardrobe_items (id),
+      PRIMARY KEY (outfit_id, item_id)
+    )
+  `);
+
+  // Snapshot of the detected item, kept even when it isn't in the wardrobe
+  await addColumn(db, 'outfit_items', 'item_name', 'TEXT');
+  await addColumn(db, 'outfit_items', 'item_type', 'TEXT');
+  await addColumn(db, 'outfit_items', 'item_color', 'TEXT');
+  await addColumn(db, 'outfit_items', 'item_category', 'TEXT');
+  await addColumn(db, 'outfit_items', 'item_image_url', 'TEXT');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS rfid_scans (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      rfid_tag TEXT NOT NULL,
+      scan_type TEXT, -- 'entry' or 'exit'
+      scan_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+      location TEXT,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS rfid_scans');
+  await db.run('DROP TABLE IF EXISTS outfit_items');
+  await db.run('DROP TABLE IF EXISTS outfits');
+  await db.run('DROP TABLE IF EXISTS wardrobe_items');
+  await db.run('DROP TABLE IF EXISTS users');
+};
+
+module.exports = { up, down };
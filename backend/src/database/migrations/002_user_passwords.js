@@ -0,0 +1,12 @@
+// backend/src/database/migrations/002_user_passwords.js
+const { addColumn, dropColumn } = require('../schema');
+
+const up = async (db) => {
+  await addColumn(db, 'users', 'password_hash', 'TEXT');
+};
+
+const down = async (db) => {
+  await dropColumn(db, 'users', 'password_hash');
+};
+
+module.exports = { up, down };
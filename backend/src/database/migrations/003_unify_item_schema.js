@@ -0,0 +1,29 @@
+// backend/src/database/migrations/003_unify_item_schema.js
+// Brings in the columns the modular backend (src/models) expected from its
+// own schema, on the server.js naming: price and purchase_date on items,
+// updated_date on items and outfits.
+const { addColumn, dropColumn } = require('../schema');
+
+const up = async (db) => {
+  await addColumn(db, 'wardrobe_items', 'price', 'DECIMAL(10,2)');
+  await addColumn(db, 'wardrobe_items', 'purchase_date', 'DATE');
+  await addColumn(db, 'wardrobe_items', 'updated_date', 'DATETIME');
+  await addColumn(db, 'outfits', 'updated_date', 'DATETIME');
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_wardrobe_items_user ON wardrobe_items (user_id)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_outfits_user ON outfits (user_id)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_rfid_scans_user_time ON rfid_scans (user_id, scan_time)');
+};
+
+const down = async (db) => {
+  await db.run('DROP INDEX IF EXISTS idx_rfid_scans_user_time');
+  await db.run('DROP INDEX IF EXISTS idx_outfits_user');
+  await db.run('DROP INDEX IF EXISTS idx_wardrobe_items_user');
+
+  await dropColumn(db, 'outfits', 'updated_date');
+  await dropColumn(db, 'wardrobe_items', 'updated_date');
+  await dropColumn(db, 'wardrobe_items', 'purchase_date');
+  await dropColumn(db, 'wardrobe_items', 'price');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,39 @@
+// backend/src/database/migrations/004_item_images.js
+// Photo gallery per wardrobe item. wardrobe_items.image_url stays the
+// denormalised copy of the primary photo so list queries don't need a join.
+const { v4: uuidv4 } = require('uuid');
+
+const up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS item_images (
+      id TEXT PRIMARY KEY,
+      item_id TEXT NOT NULL,
+      image_url TEXT NOT NULL,
+      is_primary INTEGER DEFAULT 0,
+      sort_order INTEGER DEFAULT 0,
+      created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (item_id) REFERENCES wardrobe_items (id)
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_item_images_item ON item_images (item_id, sort_order)');
+
+  // Existing item photos become the first, primary gallery image
+  const items = await db.all(`
+    SELECT id, image_url FROM wardrobe_items
+    WHERE image_url IS NOT NULL AND image_url != ''
+      AND id NOT IN (SELECT item_id FROM item_images)
+  `);
+  for (const item of items) {
+    await db.run(
+      'INSERT INTO item_images (id, item_id, image_url, is_primary, sort_order) VALUES (?, ?, ?, 1, 0)',
+      [uuidv4(), item.id, item.image_url]
+    );
+  }
+};
+
+const down = async (db) => {
+  await db.run('DROP INDEX IF EXISTS idx_item_images_item');
+  await db.run('DROP TABLE IF EXISTS item_images');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,32 @@
+// backend/src/database/migrations/005_laundry.js
+// Laundry lifecycle: wears counted since the last wash, when the item was
+// last washed, and per-user wears-before-wash overrides by item type.
+const { addColumn, dropColumn } = require('../schema');
+
+const up = async (db) => {
+  await addColumn(db, 'wardrobe_items', 'wears_since_wash', 'INTEGER DEFAULT 0');
+  await addColumn(db, 'wardrobe_items', 'last_washed_date', 'DATETIME');
+
+  // PUT /api/wardrobe/items used to null out laundry_status
+  await db.run(`UPDATE wardrobe_items SET laundry_status = 'clean' WHERE laundry_status IS NULL`);
+  await db.run(`UPDATE wardrobe_items SET wears_since_wash = 0 WHERE wears_since_wash IS NULL`);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS laundry_rules (
+      user_id TEXT NOT NULL,
+      category TEXT NOT NULL COLLATE NOCASE,
+      wears_before_wash INTEGER NOT NULL,
+      updated_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id),
+      PRIMARY KEY (user_id, category)
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS laundry_rules');
+  await dropColumn(db, 'wardrobe_items', 'last_washed_date');
+  await dropColumn(db, 'wardrobe_items', 'wears_since_wash');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// backend/src/database/migrations/006_outfit_weather.js
+// Structured weather on outfits: the temperature (°F) when the outfit was
+// saved, its band and the precipitation type. outfits.weather stays as the
+// human-readable summary.
+const { addColumn, dropColumn } = require('../schema');
+
+const up = async (db) => {
+  await addColumn(db, 'outfits', 'temperature', 'REAL');
+  await addColumn(db, 'outfits', 'temperature_band', 'TEXT');
+  await addColumn(db, 'outfits', 'precipitation', 'TEXT');
+
+  // Scanned outfits used to be saved with a placeholder
+  await db.run(`UPDATE outfits SET weather = NULL WHERE weather = 'Any'`);
+};
+
+const down = async (db) => {
+  await dropColumn(db, 'outfits', 'precipitation');
+  await dropColumn(db, 'outfits', 'temperature_band');
+  await dropColumn(db, 'outfits', 'temperature');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,53 @@
+// backend/src/database/migrations/007_calendar.js
+// Imported calendar events and the planned-outfit schedule. Events are
+// keyed by their ICS UID and start so re-importing a calendar updates them;
+// each upcoming event gets a plan the user can assign an outfit to, and
+// plans can also be made for a day without an event.
+const up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS calendar_events (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      uid TEXT NOT NULL,
+      source TEXT NOT NULL,
+      summary TEXT,
+      description TEXT,
+      location TEXT,
+      start_time DATETIME NOT NULL,
+      end_time DATETIME,
+      all_day INTEGER DEFAULT 0,
+      event_date TEXT NOT NULL,
+      occasion TEXT,
+      occasion_source TEXT,
+      imported_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id),
+      UNIQUE (user_id, uid, start_time)
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_calendar_events_user_date ON calendar_events (user_id, event_date)');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS planned_outfits (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      plan_date TEXT NOT NULL,
+      event_id TEXT,
+      outfit_id TEXT,
+      occasion TEXT,
+      notes TEXT,
+      created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id),
+      FOREIGN KEY (event_id) REFERENCES calendar_events (id),
+      FOREIGN KEY (outfit_id) REFERENCES outfits (id)
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_planned_outfits_user_date ON planned_outfits (user_id, plan_date)');
+};
+
+const down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS planned_outfits');
+  await db.run('DROP TABLE IF EXISTS calendar_events');
+};
+
+module.exports = { up, down };
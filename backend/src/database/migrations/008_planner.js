@@ -0,0 +1,38 @@
+// backend/src/database/migrations/008_planner.js
+// Trips for the planner's packing mode: a named date range whose planned
+// outfits make up the packing list, and which of those items are packed.
+const up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS trips (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      destination TEXT,
+      start_date TEXT NOT NULL,
+      end_date TEXT NOT NULL,
+      notes TEXT,
+      created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_trips_user_start ON trips (user_id, start_date)');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS trip_packed_items (
+      trip_id TEXT NOT NULL,
+      item_id TEXT NOT NULL,
+      packed_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (trip_id) REFERENCES trips (id),
+      FOREIGN KEY (item_id) REFERENCES wardrobe_items (id),
+      PRIMARY KEY (trip_id, item_id)
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS trip_packed_items');
+  await db.run('DROP TABLE IF EXISTS trips');
+};
+
+module.exports = { up, down };
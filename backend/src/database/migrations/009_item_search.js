@@ -0,0 +1,57 @@
+// backend/src/database/migrations/009_item_search.js
+// Full-text search over wardrobe items. wardrobe_items.ocr_text keeps the
+// text Vision read on an item (labels, logos) when it was detected in a scan.
+// wardrobe_items_fts holds its own copy of the searchable columns, keyed by
+// item id, and triggers keep it in step with wardrobe_items.
+const { addColumn, dropColumn } = require('../schema');
+
+const SEARCH_COLUMNS = ['name', 'description', 'type', 'brand', 'material', 'color', 'ocr_text'];
+
+const up = async (db) => {
+  await addColumn(db, 'wardrobe_items', 'ocr_text', 'TEXT');
+
+  const columns = SEARCH_COLUMNS.join(', ');
+  const values = (row) => SEARCH_COLUMNS.map(column => `${row}.${column}`).join(', ');
+
+  await db.run(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS wardrobe_items_fts USING fts5(
+      item_id UNINDEXED, ${columns},
+      tokenize = 'unicode61 remove_diacritics 2',
+      prefix = '2 3'
+    )
+  `);
+
+  await db.run(`
+    CREATE TRIGGER IF NOT EXISTS wardrobe_items_fts_insert AFTER INSERT ON wardrobe_items BEGIN
+      INSERT INTO wardrobe_items_fts (item_id, ${columns}) VALUES (new.id, ${values('new')});
+    END
+  `);
+  await db.run(`
+    CREATE TRIGGER IF NOT EXISTS wardrobe_items_fts_delete AFTER DELETE ON wardrobe_items BEGIN
+      DELETE FROM wardrobe_items_fts WHERE item_id = old.id;
+    END
+  `);
+  await db.run(`
+    CREATE TRIGGER IF NOT EXISTS wardrobe_items_fts_update AFTER UPDATE OF ${columns} ON wardrobe_items BEGIN
+      DELETE FROM wardrobe_items_fts WHERE item_id = old.id;
+      INSERT INTO wardrobe_items_fts (item_id, ${columns}) VALUES (new.id, ${values('new')});
+    END
+  `);
+
+  // Index the items that are already there
+  await db.run('DELETE FROM wardrobe_items_fts');
+  await db.run(`
+    INSERT INTO wardrobe_items_fts (item_id, ${columns})
+    SELECT id, ${columns} FROM wardrobe_items
+  `);
+};
+
+const down = async (db) => {
+  await db.run('DROP TRIGGER IF EXISTS wardrobe_items_fts_update');
+  await db.run('DROP TRIGGER IF EXISTS wardrobe_items_fts_delete');
+  await db.run('DROP TRIGGER IF EXISTS wardrobe_items_fts_insert');
+  await db.run('DROP TABLE IF EXISTS wardrobe_items_fts');
+  await dropColumn(db, 'wardrobe_items', 'ocr_text');
+};
+
+module.exports = { up, down };
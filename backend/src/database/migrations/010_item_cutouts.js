@@ -0,0 +1,17 @@
+// backend/src/database/migrations/010_item_cutouts.js
+// Background-removed cutouts of item photos (transparent PNGs made by
+// cutoutService). wardrobe_items.cutout_url mirrors the primary photo's
+// cutout, the same way image_url mirrors the photo.
+const { addColumn, dropColumn } = require('../schema');
+
+const up = async (db) => {
+  await addColumn(db, 'item_images', 'cutout_url', 'TEXT');
+  await addColumn(db, 'wardrobe_items', 'cutout_url', 'TEXT');
+};
+
+const down = async (db) => {
+  await dropColumn(db, 'wardrobe_items', 'cutout_url');
+  await dropColumn(db, 'item_images', 'cutout_url');
+};
+
+module.exports = { up, down };
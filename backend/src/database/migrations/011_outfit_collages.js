@@ -0,0 +1,17 @@
+// backend/src/database/migrations/011_outfit_collages.js
+// Collages composed from an outfit's item photos (collageService).
+// collage_key fingerprints the photos and layout a collage was made from, so
+// it is only redrawn when those change.
+const { addColumn, dropColumn } = require('../schema');
+
+const up = async (db) => {
+  await addColumn(db, 'outfits', 'collage_url', 'TEXT');
+  await addColumn(db, 'outfits', 'collage_key', 'TEXT');
+};
+
+const down = async (db) => {
+  await dropColumn(db, 'outfits', 'collage_key');
+  await dropColumn(db, 'outfits', 'collage_url');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,20 @@
+// backend/src/database/migrations/012_image_hashes.js
+// Perceptual hashes of uploaded images, keyed by their /uploads URL (files
+// are never changed in place - a rotation gets a new URL). Used to spot
+// duplicate outfits by what their photos look like (imageHashService).
+const up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS image_hashes (
+      image_url TEXT PRIMARY KEY,
+      ahash TEXT NOT NULL,
+      dhash TEXT NOT NULL,
+      created_date DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS image_hashes');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,15 @@
+// backend/src/database/migrations/013_image_histograms.js
+// Coarse color histograms next to the perceptual hashes, so scanned items
+// can be recognised against the wardrobe's photos by color as well as shape
+// (wardrobeMatchingService). Rows hashed before this get theirs on next use.
+const { addColumn, dropColumn } = require('../schema');
+
+const up = async (db) => {
+  await addColumn(db, 'image_hashes', 'histogram', 'TEXT');
+};
+
+const down = async (db) => {
+  await dropColumn(db, 'image_hashes', 'histogram');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,84 @@
+// backend/src/database/migrations/014_item_color_families.js
+// Items keep their color as a hex value and a family (neutral, warm, cool)
+// next to the name, so lists can be filtered by family (utils/colors.js).
+// Existing items get theirs from their color name where the palette knows it.
+// The palette and name matching are frozen here as they shipped with this
+// migration, so later palette changes don't change what it does.
+const { addColumn, dropColumn } = require('../schema');
+
+// [name, hex, family] of the default palette at the time
+const PALETTE = [
+  ['black', '#000000', 'neutral'], ['off-black', '#191919', 'neutral'], ['charcoal', '#36454f', 'neutral'],
+  ['dark gray', '#404040', 'neutral'], ['gray', '#808080', 'neutral'], ['medium gray', '#a0a0a0', 'neutral'],
+  ['light gray', '#d3d3d3', 'neutral'], ['silver', '#c0c0c0', 'neutral'], ['off-white', '#fafafa', 'neutral'],
+  ['white', '#ffffff', 'neutral'], ['cream', '#fffdd0', 'neutral'], ['ivory', '#fffff0', 'neutral'],
+  ['beige', '#f5f5dc', 'neutral'], ['light beige', '#f5e8d2', 'neutral'], ['sand', '#f4dfbb', 'neutral'],
+  ['tan', '#d2b48c', 'neutral'], ['light tan', '#dec4a5', 'neutral'], ['khaki', '#c3b091', 'neutral'],
+  ['dark khaki', '#bdb76b', 'neutral'], ['taupe', '#b7ada8', 'neutral'], ['camel', '#c19a6b', 'neutral'],
+  ['wheat', '#f5deb3', 'warm'], ['biscuit', '#e2c4a2', 'warm'], ['light brown', '#b58654', 'neutral'],
+  ['brown', '#964b00', 'neutral'], ['medium brown', '#8b5a2b', 'neutral'], ['dark brown', '#654321', 'neutral'],
+  ['chocolate', '#7b3f00', 'warm'], ['coffee', '#6f4e37', 'warm'], ['espresso', '#4c3930', 'warm'],
+  ['cognac', '#9f4513', 'warm'], ['chestnut', '#954535', 'warm'], ['mahogany', '#c04000', 'warm'],
+  ['rust', '#b7410e', 'warm'], ['sienna', '#a0522d', 'warm'], ['burnt sienna', '#8a360f', 'warm'],
+  ['saddle brown', '#8b4513', 'neutral'], ['mocha', '#816152', 'warm'], ['navy', '#000080', 'neutral'],
+  ['dark navy', '#000050', 'neutral'], ['midnight blue', '#191970', 'neutral'], ['oxford blue', '#002147', 'cool'],
+  ['prussian blue', '#003153', 'cool'], ['indigo', '#4b0082', 'cool'], ['royal blue', '#4169e1', 'cool'],
+  ['cobalt blue', '#0047ab', 'cool'], ['blue', '#0000ff', 'cool'], ['medium blue', '#007bff', 'cool'],
+  ['steel blue', '#4682b4', 'cool'], ['slate blue', '#6a5acd', 'cool'], ['cornflower blue', '#6495ed', 'cool'],
+  ['sky blue', '#87ceeb', 'cool'], ['light blue', '#add8e6', 'cool'], ['powder blue', '#b0e0e6', 'cool'],
+  ['baby blue', '#89cff0', 'cool'], ['pale blue', '#afeeee', 'cool'], ['ice blue', '#c5e7f0', 'cool'],
+  ['periwinkle', '#ccccff', 'cool'], ['denim blue', '#1560bd', 'neutral'], ['teal', '#008080', 'cool'],
+  ['turquoise', '#40e0d0', 'cool'], ['aqua', '#00ffff', 'cool'], ['burgundy', '#800020', 'warm'],
+  ['wine', '#722f37', 'warm'], ['maroon', '#800000', 'warm'], ['bordeaux', '#4c001c', 'warm'],
+  ['dark red', '#8b0000', 'warm'], ['brick red', '#b22222', 'warm'], ['crimson', '#dc143c', 'warm'],
+  ['red', '#ff0000', 'warm'], ['scarlet', '#ff2400', 'warm'], ['cherry red', '#de3163', 'warm'],
+  ['dark green', '#006400', 'cool'], ['forest green', '#228b22', 'cool'], ['hunter green', '#355e3b', 'cool'],
+  ['bottle green', '#006a4e', 'cool'], ['emerald', '#50c878', 'cool'], ['green', '#008000', 'cool'],
+  ['kelly green', '#4cbb17', 'cool'], ['olive', '#808000', 'warm'], ['olive green', '#556b2f', 'cool'],
+  ['army green', '#4b5320', 'cool'], ['sage', '#9dbb7b', 'cool'], ['mint green', '#98fb98', 'cool'],
+  ['sea green', '#2e8b57', 'cool'], ['eggplant', '#614051', 'cool'], ['dark purple', '#4b0082', 'cool'],
+  ['purple', '#800080', 'cool'], ['royal purple', '#7851a9', 'cool'], ['violet', '#ee82ee', 'cool'],
+  ['orchid', '#da70d6', 'cool'], ['plum', '#dda0dd', 'cool'], ['mauve', '#e0b0ff', 'cool'],
+  ['lavender', '#e6e6fa', 'cool'], ['lilac', '#c8a2c8', 'cool'], ['raspberry', '#e30b5d', 'warm'],
+  ['hot pink', '#ff69b4', 'warm'], ['fuchsia', '#ff00ff', 'cool'], ['pink', '#ffc0cb', 'warm'],
+  ['rose', '#ffe4e1', 'warm'], ['dusty rose', '#dc98a3', 'warm'], ['blush', '#de5d83', 'warm'],
+  ['coral', '#ff7f50', 'warm'], ['salmon', '#fa8072', 'warm'], ['peach', '#ffdab9', 'warm'],
+  ['yellow', '#ffff00', 'warm'], ['lemon', '#fff44f', 'warm'], ['gold', '#ffd700', 'warm'],
+  ['mustard', '#ffdb58', 'warm'], ['amber', '#ffbf00', 'warm'], ['honey', '#fbda75', 'warm'],
+  ['orange', '#ffa500', 'warm'], ['burnt orange', '#cc5500', 'warm'], ['tangerine', '#f28500', 'warm'],
+  ['apricot', '#fbceb1', 'warm'], ['dark olive', '#3c3c14', 'warm'], ['light olive', '#aaaa5a', 'warm'],
+  ['lime', '#32cd32', 'cool'], ['bright green', '#00dc00', 'cool'], ['magenta', '#ca1f7b', 'warm']
+];
+
+const normalizeName = (name) => String(name || '').toLowerCase().trim().replace(/\s+/g, ' ').replace(/grey/g, 'gray');
+
+// The exact name, else the longest palette name contained in it
+const findColor = (name) => {
+  const normalized = normalizeName(name);
+  if (!normalized) return null;
+  return PALETTE.find(([colorName]) => colorName === normalized) ||
+    PALETTE
+      .filter(([colorName]) => normalized.includes(colorName))
+      .sort((a, b) => b[0].length - a[0].length)[0] ||
+    null;
+};
+
+const up = async (db) => {
+  await addColumn(db, 'wardrobe_items', 'color_hex', 'TEXT');
+  await addColumn(db, 'wardrobe_items', 'color_family', 'TEXT');
+
+  const rows = await db.all("SELECT id, color FROM wardrobe_items WHERE color IS NOT NULL AND color != ''");
+  for (const row of rows) {
+    const color = findColor(row.color);
+    if (color) {
+      await db.run('UPDATE wardrobe_items SET color_hex = ?, color_family = ? WHERE id = ?', [color[1], color[2], row.id]);
+    }
+  }
+};
+
+const down = async (db) => {
+  await dropColumn(db, 'wardrobe_items', 'color_family');
+  await dropColumn(db, 'wardrobe_items', 'color_hex');
+};
+
+module.exports = { up, down };
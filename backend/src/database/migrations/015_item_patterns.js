@@ -0,0 +1,21 @@
+// backend/src/database/migrations/015_item_patterns.js
+// Items and the detected-item snapshots of outfits keep a pattern (solid,
+// striped, checked, dotted, printed) and their colors after the main one,
+// as a JSON list of { name, hex, family, weight } (garmentAnalysisService).
+const { addColumn, dropColumn } = require('../schema');
+
+const up = async (db) => {
+  await addColumn(db, 'wardrobe_items', 'pattern', 'TEXT');
+  await addColumn(db, 'wardrobe_items', 'secondary_colors', 'TEXT');
+  await addColumn(db, 'outfit_items', 'item_pattern', 'TEXT');
+  await addColumn(db, 'outfit_items', 'item_secondary_colors', 'TEXT');
+};
+
+const down = async (db) => {
+  await dropColumn(db, 'outfit_items', 'item_secondary_colors');
+  await dropColumn(db, 'outfit_items', 'item_pattern');
+  await dropColumn(db, 'wardrobe_items', 'secondary_colors');
+  await dropColumn(db, 'wardrobe_items', 'pattern');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,43 @@
+// backend/src/database/migrations/016_upload_owners.js
+// Who may see each uploaded file, keyed by its /uploads URL. /uploads only
+// serves a file to its owner (middleware/images.js). Files already on disk
+// go to the user whose items or outfits use them; anything unreferenced
+// (e.g. a scan that was never saved) has no owner and is no longer served.
+const REFERENCES = [
+  'SELECT image_url AS url, user_id FROM wardrobe_items',
+  'SELECT cutout_url AS url, user_id FROM wardrobe_items',
+  `SELECT ii.image_url AS url, wi.user_id FROM item_images ii
+   JOIN wardrobe_items wi ON wi.id = ii.item_id`,
+  `SELECT ii.cutout_url AS url, wi.user_id FROM item_images ii
+   JOIN wardrobe_items wi ON wi.id = ii.item_id`,
+  'SELECT image_url AS url, user_id FROM outfits',
+  'SELECT collage_url AS url, user_id FROM outfits',
+  `SELECT oi.item_image_url AS url, o.user_id FROM outfit_items oi
+   JOIN outfits o ON o.id = oi.outfit_id`
+];
+
+const up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS upload_owners (
+      image_url TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_upload_owners_user ON upload_owners (user_id)');
+
+  // A file two users reference stays with the first one found
+  for (const query of REFERENCES) {
+    await db.run(`
+      INSERT OR IGNORE INTO upload_owners (image_url, user_id)
+      SELECT url, user_id FROM (${query}) WHERE url LIKE '/uploads/%'
+    `);
+  }
+};
+
+const down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS upload_owners');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// backend/src/database/migrations/017_device_tokens.js
+// Long-lived tokens for hardware such as the RFID reader, so it doesn't
+// depend on a login session that expires. Only a SHA-256 of each token is
+// kept; revoking one sets revoked_date (middleware/auth.js).
+const up = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS device_tokens (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_date DATETIME,
+      revoked_date DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_device_tokens_user ON device_tokens (user_id)');
+};
+
+const down = async (db) => {
+  await db.run('DROP TABLE IF EXISTS device_tokens');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,104 @@
+// backend/src/database/migrator.js
+// Numbered migrations live in ./migrations as NNN_description.js and export
+// async up(db) / down(db). Applied versions are recorded in schema_version;
+// each migration runs in its own transaction.
+const fs = require('fs');
+const path = require('path');
+const Database = require('./Database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_(.+)\.js$/;
+
+const label = (migration) => `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+const loadMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) return null;
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        ...require(path.join(MIGRATIONS_DIR, file))
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+};
+
+const ensureVersionTable = () => {
+  return Database.run(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedVersions = async () => {
+  await ensureVersionTable();
+  const rows = await Database.all('SELECT version FROM schema_version ORDER BY version');
+  return rows.map(row => row.version);
+};
+
+// Apply every pending migration (or up to and including `target`)
+const migrate = async (target = Infinity) => {
+  const applied = new Set(await getAppliedVersions());
+  const pending = loadMigrations().filter(m => !applied.has(m.version) && m.version <= target);
+
+  for (const migration of pending) {
+    await Database.transaction(async () => {
+      await migration.up(Database);
+      await Database.run(
+        'INSERT INTO schema_version (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+    });
+    console.log(`⬆️  Applied migration ${label(migration)}`);
+  }
+
+  return pending.map(m => m.version);
+};
+
+// Revert the most recently applied `steps` migrations
+const rollback = async (steps = 1) => {
+  const applied = await getAppliedVersions();
+  const migrations = new Map(loadMigrations().map(m => [m.version, m]));
+  const toRevert = applied.slice(-steps).reverse();
+
+  for (const version of toRevert) {
+    const migration = migrations.get(version);
+    if (!migration) {
+      throw new Error(`Migration ${version} is applied but its file is missing`);
+    }
+
+    await Database.transaction(async () => {
+      await migration.down(Database);
+      await Database.run('DELETE FROM schema_version WHERE version = ?', [version]);
+    });
+    console.log(`⬇️  Reverted migration ${label(migration)}`);
+  }
+
+  return toRevert;
+};
+
+const status = async () => {
+  await ensureVersionTable();
+  const rows = await Database.all('SELECT version, applied_at FROM schema_version');
+  const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+
+  return loadMigrations().map(m => ({
+    version: m.version,
+    name: m.name,
+    label: label(m),
+    applied: appliedAt.has(m.version),
+    appliedAt: appliedAt.get(m.version) || null
+  }));
+};
+
+module.exports = {
+  migrate,
+  rollback,
+  status
+};
@@ -0,0 +1,26 @@
+// backend/src/database/schema.js
+// Small helpers for migrations that have to cope with databases created
+// before versioning existed (tables may already be there, columns may not)
+
+const hasColumn = async (db, table, column) => {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  return columns.some(col => col.name === column);
+};
+
+const addColumn = async (db, table, column, definition) => {
+  if (!await hasColumn(db, table, column)) {
+    await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
+const dropColumn = async (db, table, column) => {
+  if (await hasColumn(db, table, column)) {
+    await db.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+};
+
+module.exports = {
+  hasColumn,
+  addColumn,
+  dropColumn
+};
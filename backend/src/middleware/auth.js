@@ -0,0 +1,129 @@
+// backend/src/middleware/auth.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const DeviceTokenModel = require('../models/DeviceTokenModel');
+
+const DEV_SECRET = 'closet-monkey-dev-secret';
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '7d';
+// Device tokens are opaque, not JWTs; the prefix tells them apart
+const DEVICE_TOKEN_PREFIX = 'cmdev_';
+// Scope of the tokens put in image URLs, which can only load /uploads
+const IMAGES_SCOPE = 'images';
+
+const getSecret = () => {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  return DEV_SECRET;
+};
+
+// Issue a token for a users row; the subject is the user id every route scopes by
+const signToken = (user) => {
+  return jwt.sign(
+    { sub: user.id, username: user.username },
+    getSecret(),
+    { expiresIn: TOKEN_TTL }
+  );
+};
+
+// A token that only loads the user's images. <img> tags can't send headers,
+// so it goes in the URL (?token=) instead of the session token.
+const signImageToken = (user) => {
+  return jwt.sign(
+    { sub: user.id, scope: IMAGES_SCOPE },
+    getSecret(),
+    { expiresIn: TOKEN_TTL }
+  );
+};
+
+const hashDeviceToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A new device token; only its hash is stored, so it is shown once
+const createDeviceToken = () => {
+  const token = DEVICE_TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashDeviceToken(token) };
+};
+
+const bearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Payload of a valid JWT with the given scope (undefined for sessions), or null
+const verifyToken = (token, scope) => {
+  try {
+    const payload = jwt.verify(token, getSecret());
+    return payload.scope === scope ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Require a valid "Authorization: Bearer <token>" header and expose the
+// principal as req.user = { id, username }. Device tokens add deviceId;
+// app.js limits what they can call.
+const authenticate = async (req, res, next) => {
+  const token = bearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (token.startsWith(DEVICE_TOKEN_PREFIX)) {
+    try {
+      const device = await DeviceTokenModel.getActiveByHash(hashDeviceToken(token));
+      if (!device) {
+        return res.status(401).json({ error: 'Invalid or revoked device token' });
+      }
+      DeviceTokenModel.touch(device.id).catch(error => {
+        console.warn(`⚠️ Could not record use of device ${device.id}:`, error.message);
+      });
+      req.user = { id: device.user_id, username: device.username, deviceId: device.id };
+      return next();
+    } catch (error) {
+      console.error('Error checking device token:', error);
+      return res.status(500).json({ error: 'Failed to authenticate' });
+    }
+  }
+
+  const payload = verifyToken(token);
+  if (!payload) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+  req.user = { id: payload.sub, username: payload.username };
+  next();
+};
+
+// For /uploads: a session token in the header, or an image token in
+// ?token=. Sets req.user = { id }.
+const authenticateImage = (req, res, next) => {
+  const headerToken = bearerToken(req);
+  const payload = headerToken
+    ? verifyToken(headerToken)
+    : typeof req.query.token === 'string' && verifyToken(req.query.token, IMAGES_SCOPE);
+
+  if (!payload) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  req.user = { id: payload.sub };
+  next();
+};
+
+// For routes that still carry :userId in the URL - it must be the caller
+const requireSelf = (req, res, next) => {
+  if (req.params.userId !== req.user.id) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  next();
+};
+
+module.exports = {
+  signToken,
+  signImageToken,
+  createDeviceToken,
+  authenticate,
+  authenticateImage,
+  requireSelf
+};
@@ -0,0 +1,16 @@
+// backend/src/middleware/calendarUpload.js
+const multer = require('multer');
+
+// .ics uploads are parsed straight from memory and never written to uploads/.
+// Other files are dropped, so the handler sees no req.file.
+const calendarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    cb(null, /\.ics$/i.test(file.originalname) || file.mimetype === 'text/calendar');
+  }
+});
+
+module.exports = calendarUpload;
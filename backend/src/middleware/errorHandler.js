@@ -0,0 +1,23 @@
+// backend/src/middleware/errorHandler.js
+const multer = require('multer');
+
+const errorHandler = (error, req, res, next) => {
+  console.error('Unhandled error:', error);
+
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ error: 'File too large' });
+    }
+  }
+
+  res.status(500).json({ error: 'Internal server error' });
+};
+
+const notFound = (req, res) => {
+  res.status(404).json({ error: 'Endpoint not found' });
+};
+
+module.exports = {
+  errorHandler,
+  notFound
+};
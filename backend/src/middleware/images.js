@@ -0,0 +1,102 @@
+// backend/src/middleware/images.js
+const fs = require('fs');
+const path = require('path');
+const { UPLOADS_DIR, VARIANTS_DIR, resolveUploadPath } = require('../config/paths');
+const { IMAGE_SIZES } = require('../config/images');
+const { normalizeImage, ensureVariant } = require('../services/imageService');
+const UploadModel = require('../models/UploadModel');
+
+// uploads/variants/<path>.<size>.webp is a copy of uploads/<path>
+const VARIANT_URL = new RegExp(`^/uploads/variants(/.+)\\.(?:${Object.keys(IMAGE_SIZES).join('|')})\\.webp$`);
+
+// After an upload middleware: orient the photo upright and strip its
+// metadata before the handler sees it. A file sharp can't read is passed on
+// untouched.
+const normalizeUpload = async (req, res, next) => {
+  if (!req.file) return next();
+
+  try {
+    if (await normalizeImage(req.file.path)) {
+      console.log(`🧭 Normalized upload ${req.file.filename}`);
+    }
+  } catch (error) {
+    console.warn(`⚠️ Could not normalize upload ${req.file.filename}:`, error.message);
+  }
+  next();
+};
+
+// After normalizeUpload: the uploader owns the file (see requireImageOwner)
+const claimUpload = async (req, res, next) => {
+  if (!req.file) return next();
+
+  try {
+    await UploadModel.setOwner(`/uploads/${req.file.filename}`, req.user.id);
+    next();
+  } catch (error) {
+    console.error('Error recording upload owner:', error);
+    fs.rm(req.file.path, { force: true }, () => {});
+    res.status(500).json({ error: 'Failed to save upload' });
+  }
+};
+
+// After authenticateImage: /uploads only serves files to their owner, and
+// variants to the owner of the file they were made from. Anything else is
+// a 404, as if it didn't exist.
+const requireImageOwner = async (req, res, next) => {
+  let imageUrl;
+  try {
+    imageUrl = `/uploads${decodeURIComponent(req.path)}`;
+  } catch (error) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  const variant = imageUrl.match(VARIANT_URL);
+  if (variant) imageUrl = `/uploads${variant[1]}`;
+
+  try {
+    if (await UploadModel.getOwner(imageUrl) !== req.user.id) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking image owner:', error);
+    res.status(500).json({ error: 'Failed to load image' });
+  }
+};
+
+// In front of the /uploads static handler: ?size=thumb|medium|full serves a
+// resized WebP, made on first request if the upload didn't already make it.
+// Anything the variant can't be made for falls through to the original.
+const serveImageVariant = async (req, res, next) => {
+  const { size } = req.query;
+  if (size === undefined || size === 'original') return next();
+  if (!IMAGE_SIZES[size]) {
+    return res.status(400).json({ error: `size must be one of: original, ${Object.keys(IMAGE_SIZES).join(', ')}` });
+  }
+
+  let imagePath;
+  try {
+    imagePath = resolveUploadPath(path.join(UPLOADS_DIR, decodeURIComponent(req.path)));
+  } catch (error) {
+    return next();
+  }
+  // Variants are served as they are
+  if (!imagePath || imagePath.startsWith(VARIANTS_DIR + path.sep)) return next();
+
+  try {
+    const variant = await ensureVariant(imagePath, size);
+    if (!variant) return next();
+    // Private: the response depends on who asked
+    res.set('Cache-Control', 'private, max-age=604800');
+    res.sendFile(variant, { cacheControl: false });
+  } catch (error) {
+    console.warn(`⚠️ Could not make ${size} image for ${req.path}:`, error.message);
+    next();
+  }
+};
+
+module.exports = {
+  normalizeUpload,
+  claimUpload,
+  requireImageOwner,
+  serveImageVariant
+};
@@ -0,0 +1,18 @@
+// backend/src/middleware/importUpload.js
+const multer = require('multer');
+const { MAX_IMPORT_BYTES } = require('../config/transfer');
+
+// Wardrobe imports (.json, .csv or .zip) are read from memory; photos in a
+// zip are only written to uploads/ once the import commits. Other files are
+// dropped, so the handler sees no req.file.
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_BYTES
+  },
+  fileFilter: (req, file, cb) => {
+    cb(null, /\.(json|csv|zip)$/i.test(file.originalname));
+  }
+});
+
+module.exports = importUpload;
@@ -0,0 +1,37 @@
+// backend/src/models/AnalyticsModel.js
+const Database = require('../database/Database');
+
+// Raw rows behind the wear analytics; aggregation lives in analyticsService
+class AnalyticsModel {
+  async getItems(userId) {
+    return Database.all(`
+      SELECT id, name, type, color, price, purchase_date, last_worn_date, created_date
+      FROM wardrobe_items
+      WHERE user_id = ?
+    `, [userId]);
+  }
+
+  // One row per wear - an exit scan of an item's tag
+  async getWears(userId) {
+    return Database.all(`
+      SELECT wi.id AS item_id, rs.scan_time
+      FROM rfid_scans rs
+      JOIN wardrobe_items wi ON wi.rfid_tag = rs.rfid_tag AND wi.user_id = rs.user_id
+      WHERE rs.user_id = ? AND rs.scan_type = 'exit'
+      ORDER BY rs.scan_time ASC
+    `, [userId]);
+  }
+
+  // Outfits with the wardrobe items they link to (detected-only rows have no item_id)
+  async getOutfitItems(userId) {
+    return Database.all(`
+      SELECT o.id AS outfit_id, o.name, o.created_date, oi.item_id
+      FROM outfits o
+      JOIN outfit_items oi ON oi.outfit_id = o.id
+      JOIN wardrobe_items wi ON wi.id = oi.item_id AND wi.user_id = o.user_id
+      WHERE o.user_id = ?
+    `, [userId]);
+  }
+}
+
+module.exports = new AnalyticsModel();
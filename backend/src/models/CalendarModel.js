@@ -0,0 +1,93 @@
+// backend/src/models/CalendarModel.js
+const { v4: uuidv4 } = require('uuid');
+const Database = require('../database/Database');
+
+class CalendarModel {
+  async getById(id, userId) {
+    return Database.get('SELECT * FROM calendar_events WHERE id = ? AND user_id = ?', [id, userId]);
+  }
+
+  // Events whose day falls in [from, to] (YYYY-MM-DD, inclusive)
+  async getRange(userId, from, to) {
+    return Database.all(`
+      SELECT * FROM calendar_events
+      WHERE user_id = ? AND event_date BETWEEN ? AND ?
+      ORDER BY start_time ASC
+    `, [userId, from, to]);
+  }
+
+  async getBySource(userId, source, from, to) {
+    return Database.all(`
+      SELECT * FROM calendar_events
+      WHERE user_id = ? AND source = ? AND event_date BETWEEN ? AND ?
+    `, [userId, source, from, to]);
+  }
+
+  async findOccurrence(userId, uid, startTime) {
+    return Database.get(
+      'SELECT * FROM calendar_events WHERE user_id = ? AND uid = ? AND start_time = ?',
+      [userId, uid, startTime]
+    );
+  }
+
+  async create(userId, event) {
+    const id = uuidv4();
+    await Database.run(`
+      INSERT INTO calendar_events (
+        id, user_id, uid, source, summary, description, location,
+        start_time, end_time, all_day, event_date, occasion, occasion_source
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id,
+      userId,
+      event.uid,
+      event.source,
+      event.summary,
+      event.description,
+      event.location,
+      event.startTime,
+      event.endTime,
+      event.allDay ? 1 : 0,
+      event.eventDate,
+      event.occasion,
+      event.occasionSource
+    ]);
+    return id;
+  }
+
+  // Refresh an event from a re-import; the occasion is passed in by the
+  // caller, which keeps one the user chose by hand
+  async update(id, event) {
+    return Database.run(`
+      UPDATE calendar_events
+      SET source = ?, summary = ?, description = ?, location = ?, end_time = ?, all_day = ?,
+          event_date = ?, occasion = ?, occasion_source = ?, imported_date = datetime('now')
+      WHERE id = ?
+    `, [
+      event.source,
+      event.summary,
+      event.description,
+      event.location,
+      event.endTime,
+      event.allDay ? 1 : 0,
+      event.eventDate,
+      event.occasion,
+      event.occasionSource,
+      id
+    ]);
+  }
+
+  async setOccasion(id, userId, occasion, occasionSource) {
+    return Database.run(
+      'UPDATE calendar_events SET occasion = ?, occasion_source = ? WHERE id = ? AND user_id = ?',
+      [occasion, occasionSource, id, userId]
+    );
+  }
+
+  async delete(id) {
+    return Database.run('DELETE FROM calendar_events WHERE id = ?', [id]);
+  }
+}
+
+module.exports = new CalendarModel();
@@ -0,0 +1,47 @@
+// backend/src/models/DeviceTokenModel.js
+const { v4: uuidv4 } = require('uuid');
+const Database = require('../database/Database');
+
+// Device tokens are looked up by the SHA-256 of the token (middleware/auth.js)
+class DeviceTokenModel {
+  async create(userId, { name, tokenHash }) {
+    const id = uuidv4();
+    await Database.run(
+      'INSERT INTO device_tokens (id, user_id, name, token_hash) VALUES (?, ?, ?, ?)',
+      [id, userId, name, tokenHash]
+    );
+    return Database.get('SELECT * FROM device_tokens WHERE id = ?', [id]);
+  }
+
+  async listForUser(userId) {
+    return Database.all(
+      'SELECT * FROM device_tokens WHERE user_id = ? ORDER BY created_date DESC',
+      [userId]
+    );
+  }
+
+  // The unrevoked token with this hash, with its owner's username
+  async getActiveByHash(tokenHash) {
+    return Database.get(`
+      SELECT dt.*, u.username
+      FROM device_tokens dt
+      JOIN users u ON u.id = dt.user_id
+      WHERE dt.token_hash = ? AND dt.revoked_date IS NULL
+    `, [tokenHash]);
+  }
+
+  async touch(id) {
+    await Database.run("UPDATE device_tokens SET last_used_date = datetime('now') WHERE id = ?", [id]);
+  }
+
+  // Returns whether an unrevoked token of the user's was revoked
+  async revoke(id, userId) {
+    const { changes } = await Database.run(`
+      UPDATE device_tokens SET revoked_date = datetime('now')
+      WHERE id = ? AND user_id = ? AND revoked_date IS NULL
+    `, [id, userId]);
+    return changes > 0;
+  }
+}
+
+module.exports = new DeviceTokenModel();
@@ -0,0 +1,24 @@
+// backend/src/models/ImageHashModel.js
+const Database = require('../database/Database');
+
+// Perceptual hashes and color histograms (JSON) by image URL (see
+// imageHashService)
+class ImageHashModel {
+  async getMany(imageUrls) {
+    if (imageUrls.length === 0) return [];
+    const placeholders = imageUrls.map(() => '?').join(', ');
+    return Database.all(
+      `SELECT image_url, ahash, dhash, histogram FROM image_hashes WHERE image_url IN (${placeholders})`,
+      imageUrls
+    );
+  }
+
+  async save(imageUrl, { ahash, dhash, histogram }) {
+    await Database.run(
+      'INSERT OR REPLACE INTO image_hashes (image_url, ahash, dhash, histogram) VALUES (?, ?, ?, ?)',
+      [imageUrl, ahash, dhash, JSON.stringify(histogram)]
+    );
+  }
+}
+
+module.exports = new ImageHashModel();
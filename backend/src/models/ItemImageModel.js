@@ -0,0 +1,172 @@
+// backend/src/models/ItemImageModel.js
+const { v4: uuidv4 } = require('uuid');
+const Database = require('../database/Database');
+
+// Item photo gallery. wardrobe_items.image_url and cutout_url always mirror
+// the primary item_images row. Callers check item ownership before using
+// these.
+class ItemImageModel {
+  async listForItem(itemId) {
+    const images = await Database.all(`
+      SELECT id, image_url, cutout_url, is_primary, sort_order, created_date
+      FROM item_images
+      WHERE item_id = ?
+      ORDER BY sort_order ASC, created_date ASC
+    `, [itemId]);
+
+    return images.map(image => ({
+      id: image.id,
+      imageUrl: image.image_url,
+      cutoutUrl: image.cutout_url,
+      isPrimary: !!image.is_primary,
+      sortOrder: image.sort_order,
+      createdDate: image.created_date
+    }));
+  }
+
+  async getById(imageId, itemId) {
+    return Database.get('SELECT * FROM item_images WHERE id = ? AND item_id = ?', [imageId, itemId]);
+  }
+
+  async getIds(itemId) {
+    const rows = await Database.all('SELECT id FROM item_images WHERE item_id = ?', [itemId]);
+    return rows.map(row => row.id);
+  }
+
+  // New photos go to the end; an item's first photo becomes its primary
+  async add(itemId, imageUrl) {
+    const id = uuidv4();
+    const { nextOrder, primaryCount } = await Database.get(`
+      SELECT COALESCE(MAX(sort_order) + 1, 0) AS nextOrder, COALESCE(SUM(is_primary), 0) AS primaryCount
+      FROM item_images WHERE item_id = ?
+    `, [itemId]);
+    const isPrimary = primaryCount === 0;
+
+    await Database.transaction(async () => {
+      await Database.run(`
+        INSERT INTO item_images (id, item_id, image_url, is_primary, sort_order)
+        VALUES (?, ?, ?, 0, ?)
+      `, [id, itemId, imageUrl, nextOrder]);
+
+      if (isPrimary) {
+        await this.setPrimary(itemId, id);
+      }
+    });
+
+    return { id, imageUrl, cutoutUrl: null, isPrimary, sortOrder: nextOrder };
+  }
+
+  // Record the photo an item was created with as its first, primary image.
+  // Returns the new row, or null when there is no photo.
+  async addPrimary(itemId, imageUrl) {
+    if (!imageUrl) return null;
+    const id = uuidv4();
+    await Database.run(
+      'INSERT INTO item_images (id, item_id, image_url, is_primary, sort_order) VALUES (?, ?, ?, 1, 0)',
+      [id, itemId, imageUrl]
+    );
+    return this.getById(id, itemId);
+  }
+
+  // Make imageId the primary photo (or clear the primary when imageId is null)
+  async setPrimary(itemId, imageId) {
+    await Database.run('UPDATE item_images SET is_primary = CASE WHEN id = ? THEN 1 ELSE 0 END WHERE item_id = ?', [imageId, itemId]);
+    await Database.run(`
+      UPDATE wardrobe_items
+      SET image_url = (SELECT image_url FROM item_images WHERE id = ?),
+          cutout_url = (SELECT cutout_url FROM item_images WHERE id = ?),
+          updated_date = datetime('now')
+      WHERE id = ?
+    `, [imageId, imageId, itemId]);
+  }
+
+  async makePrimary(itemId, imageId) {
+    await Database.transaction(() => this.setPrimary(itemId, imageId));
+  }
+
+  async reorder(imageIds) {
+    await Database.transaction(async () => {
+      for (const [index, imageId] of imageIds.entries()) {
+        await Database.run('UPDATE item_images SET sort_order = ? WHERE id = ?', [index, imageId]);
+      }
+    });
+  }
+
+  // Losing the primary promotes the next photo in order (or clears image_url)
+  async delete(image) {
+    await Database.transaction(async () => {
+      await Database.run('DELETE FROM item_images WHERE id = ?', [image.id]);
+
+      if (image.is_primary) {
+        const next = await Database.get(
+          'SELECT id FROM item_images WHERE item_id = ? ORDER BY sort_order ASC, created_date ASC LIMIT 1',
+          [image.item_id]
+        );
+        await this.setPrimary(image.item_id, next ? next.id : null);
+      }
+    });
+  }
+
+  // Record a photo's cutout, unless the photo changed since the cutout was
+  // started from image.image_url. Runs outside any transaction (background
+  // cutouts), so each statement stands on its own. Returns whether it was
+  // recorded.
+  async setCutout(image, cutoutUrl) {
+    const { changes } = await Database.run(
+      'UPDATE item_images SET cutout_url = ? WHERE id = ? AND image_url = ?',
+      [cutoutUrl, image.id, image.image_url]
+    );
+    if (changes === 0) return false;
+
+    await Database.run(`
+      UPDATE wardrobe_items
+      SET cutout_url = (SELECT cutout_url FROM item_images WHERE item_id = wardrobe_items.id AND is_primary = 1)
+      WHERE id = ?
+    `, [image.item_id]);
+    return true;
+  }
+
+  // Point a photo at a new file (e.g. after a rotation), along with the
+  // item's image_url when it is the primary and the item's outfit snapshots.
+  // The old cutout no longer matches, so it is cleared.
+  async replaceUrl(image, imageUrl) {
+    await Database.transaction(async () => {
+      await Database.run('UPDATE item_images SET image_url = ?, cutout_url = NULL WHERE id = ?', [imageUrl, image.id]);
+      if (image.is_primary) {
+        await Database.run(
+          "UPDATE wardrobe_items SET image_url = ?, cutout_url = NULL, updated_date = datetime('now') WHERE id = ?",
+          [imageUrl, image.item_id]
+        );
+      }
+      await Database.run(
+        'UPDATE outfit_items SET item_image_url = ? WHERE item_id = ? AND item_image_url = ?',
+        [imageUrl, image.item_id, image.image_url]
+      );
+    });
+  }
+
+  // Every photo of every item the user owns, for recognising scanned items
+  async listForUser(userId) {
+    return Database.all(`
+      SELECT ii.item_id, ii.image_url, ii.cutout_url
+      FROM item_images ii
+      JOIN wardrobe_items wi ON wi.id = ii.item_id
+      WHERE wi.user_id = ?
+      ORDER BY ii.item_id, ii.sort_order ASC
+    `, [userId]);
+  }
+
+  // Crops are shared with outfit_items, so only remove files nothing else uses
+  async isReferenced(imageUrl) {
+    const row = await Database.get(`
+      SELECT
+        (SELECT COUNT(*) FROM item_images WHERE image_url = ?) +
+        (SELECT COUNT(*) FROM wardrobe_items WHERE image_url = ?) +
+        (SELECT COUNT(*) FROM outfit_items WHERE item_image_url = ?) +
+        (SELECT COUNT(*) FROM outfits WHERE image_url = ?) AS refs
+    `, [imageUrl, imageUrl, imageUrl, imageUrl]);
+    return row.refs > 0;
+  }
+}
+
+module.exports = new ItemImageModel();
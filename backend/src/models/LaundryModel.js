@@ -0,0 +1,88 @@
+// backend/src/models/LaundryModel.js
+const Database = require('../database/Database');
+
+const ITEM_COLUMNS = `
+  id, user_id, name, type, color, image_url, status, laundry_status,
+  wears_since_wash, last_worn_date, last_washed_date
+`;
+
+class LaundryModel {
+  async getItems(userId, itemIds = null) {
+    if (itemIds) {
+      if (itemIds.length === 0) return [];
+      const placeholders = itemIds.map(() => '?').join(', ');
+      return Database.all(
+        `SELECT ${ITEM_COLUMNS} FROM wardrobe_items WHERE user_id = ? AND id IN (${placeholders})`,
+        [userId, ...itemIds]
+      );
+    }
+    return Database.all(
+      `SELECT ${ITEM_COLUMNS} FROM wardrobe_items WHERE user_id = ? ORDER BY name ASC`,
+      [userId]
+    );
+  }
+
+  async getItemsInStates(userId, states) {
+    const placeholders = states.map(() => '?').join(', ');
+    return Database.all(
+      `SELECT ${ITEM_COLUMNS} FROM wardrobe_items WHERE user_id = ? AND laundry_status IN (${placeholders})`,
+      [userId, ...states]
+    );
+  }
+
+  // Washed since they were last worn but not back in the closet yet
+  async getReadyToPutAway(userId) {
+    return Database.all(`
+      SELECT ${ITEM_COLUMNS} FROM wardrobe_items
+      WHERE user_id = ? AND laundry_status = 'clean' AND status != 'in_closet'
+        AND last_washed_date IS NOT NULL
+        AND (last_worn_date IS NULL OR last_worn_date <= last_washed_date)
+      ORDER BY last_washed_date DESC
+    `, [userId]);
+  }
+
+  // Becoming clean starts a fresh wear count
+  async setStatus(id, status) {
+    if (status === 'clean') {
+      return Database.run(`
+        UPDATE wardrobe_items
+        SET laundry_status = 'clean', wears_since_wash = 0, last_washed_date = datetime('now'),
+            updated_date = datetime('now')
+        WHERE id = ?
+      `, [id]);
+    }
+    return Database.run(
+      `UPDATE wardrobe_items SET laundry_status = ?, updated_date = datetime('now') WHERE id = ?`,
+      [status, id]
+    );
+  }
+
+  async putAway(id) {
+    return Database.run(
+      `UPDATE wardrobe_items SET status = 'in_closet', updated_date = datetime('now') WHERE id = ?`,
+      [id]
+    );
+  }
+
+  async getRules(userId) {
+    return Database.all(
+      'SELECT category, wears_before_wash FROM laundry_rules WHERE user_id = ? ORDER BY category ASC',
+      [userId]
+    );
+  }
+
+  async setRule(userId, category, wearsBeforeWash) {
+    return Database.run(`
+      INSERT INTO laundry_rules (user_id, category, wears_before_wash, updated_date)
+      VALUES (?, ?, ?, datetime('now'))
+      ON CONFLICT (user_id, category)
+      DO UPDATE SET wears_before_wash = excluded.wears_before_wash, updated_date = excluded.updated_date
+    `, [userId, category, wearsBeforeWash]);
+  }
+
+  async deleteRule(userId, category) {
+    return Database.run('DELETE FROM laundry_rules WHERE user_id = ? AND category = ?', [userId, category]);
+  }
+}
+
+module.exports = new LaundryModel();
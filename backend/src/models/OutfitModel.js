@@ -0,0 +1,244 @@
+// backend/src/models/OutfitModel.js
+const { v4: uuidv4 } = require('uuid');
+const Database = require('../database/Database');
+const { keyset } = require('../utils/listQuery');
+const { serializeColorList } = require('../utils/colors');
+
+// config/lists.js OUTFIT_SORT_KEYS -> expressions over getList's rows, never
+// NULL so cursors can compare them
+const LIST_SORTS = {
+  lastWornDate: "COALESCE(t.last_worn_date, '')",
+  createdDate: "COALESCE(t.created_date, '')",
+  name: 't.name COLLATE NOCASE',
+  itemCount: 't.item_count'
+};
+
+class OutfitModel {
+  async getById(id, userId) {
+    return Database.get('SELECT * FROM outfits WHERE id = ? AND user_id = ?', [id, userId]);
+  }
+
+  // Outfits matching the filters in a parsed sort (utils/listQuery.js), with
+  // item_count and next_planned_date - the first day the outfit is planned
+  // for, counting from filters.today (YYYY-MM-DD). limit null returns every
+  // row; after and next work as in WardrobeModel.getList. Items come from
+  // getItems.
+  async getList(userId, filters = {}, { sort, limit = null, after = null }) {
+    const clauses = ['user_id = ?'];
+    const params = [userId];
+
+    if (filters.occasion) {
+      clauses.push('occasion = ?');
+      params.push(filters.occasion);
+    }
+
+    if (filters.weather) {
+      clauses.push('weather = ?');
+      params.push(filters.weather);
+    }
+
+    if (filters.temperatureBand) {
+      clauses.push('temperature_band = ?');
+      params.push(filters.temperatureBand);
+    }
+
+    if (filters.precipitation) {
+      clauses.push('precipitation = ?');
+      params.push(filters.precipitation);
+    }
+
+    // Outfits with an item of the pattern or secondary color, going by the
+    // wardrobe item and else by the snapshot
+    if (filters.pattern) {
+      clauses.push(`EXISTS (
+        SELECT 1 FROM outfit_items oi LEFT JOIN wardrobe_items wi ON oi.item_id = wi.id
+        WHERE oi.outfit_id = outfits.id AND COALESCE(wi.pattern, oi.item_pattern) = ?
+      )`);
+      params.push(filters.pattern);
+    }
+
+    if (filters.secondaryColor) {
+      clauses.push(`EXISTS (
+        SELECT 1 FROM outfit_items oi LEFT JOIN wardrobe_items wi ON oi.item_id = wi.id,
+          json_each(COALESCE(wi.secondary_colors, oi.item_secondary_colors)) colors
+        WHERE oi.outfit_id = outfits.id AND json_extract(colors.value, '$.name') = ? COLLATE NOCASE
+      )`);
+      params.push(filters.secondaryColor);
+    }
+
+    const order = keyset(sort, LIST_SORTS, 't.id');
+    const page = after ? order.after(after) : { sql: '1', params: [] };
+
+    const rows = await Database.all(`
+      SELECT t.*, ${order.columns} FROM (
+        SELECT outfits.*,
+               (SELECT MIN(p.plan_date) FROM planned_outfits p
+                WHERE p.outfit_id = outfits.id AND p.plan_date >= ?) as next_planned_date,
+               (SELECT COUNT(*) FROM outfit_items oi WHERE oi.outfit_id = outfits.id) as item_count
+        FROM outfits WHERE ${clauses.join(' AND ')}
+      ) t
+      WHERE ${page.sql}
+      ORDER BY ${order.orderBy}
+      ${limit ? 'LIMIT ?' : ''}
+    `, [filters.today || '', ...params, ...page.params, ...(limit ? [limit + 1] : [])]);
+
+    if (!limit || rows.length <= limit) return { rows, next: null };
+    return { rows: rows.slice(0, limit), next: order.cursorValues(rows[limit - 1]) };
+  }
+
+  // The items of the given outfits, in the order they were added. Items that
+  // were never added to the wardrobe (or were deleted from it) fall back to
+  // the outfit_items snapshot; item_id is null for those never added.
+  async getItems(outfitIds) {
+    if (outfitIds.length === 0) return [];
+    const placeholders = outfitIds.map(() => '?').join(', ');
+    return Database.all(`
+      SELECT oi.outfit_id,
+             COALESCE(wi.id, oi.item_id) as item_id,
+             COALESCE(wi.name, oi.item_name) as name,
+             COALESCE(wi.type, oi.item_type) as type,
+             COALESCE(wi.color, oi.item_color) as color,
+             COALESCE(wi.pattern, oi.item_pattern) as pattern,
+             COALESCE(wi.secondary_colors, oi.item_secondary_colors) as secondary_colors,
+             COALESCE(wi.image_url, oi.item_image_url) as image_url,
+             oi.item_category as category,
+             oi.confidence,
+             wi.id IS NOT NULL as in_wardrobe
+      FROM outfit_items oi
+      LEFT JOIN wardrobe_items wi ON oi.item_id = wi.id
+      WHERE oi.outfit_id IN (${placeholders})
+      ORDER BY oi.rowid
+    `, outfitIds);
+  }
+
+  // What an outfit's collage is drawn from: each item's cutout or photo
+  // (the wardrobe item's, else the detected snapshot) and what it is
+  async getCollageItems(outfitId) {
+    return Database.all(`
+      SELECT COALESCE(wi.cutout_url, wi.image_url, oi.item_image_url) as image_url,
+             COALESCE(wi.name, oi.item_name) as name,
+             COALESCE(wi.type, oi.item_type) as type,
+             oi.item_category as category
+      FROM outfit_items oi
+      LEFT JOIN wardrobe_items wi ON oi.item_id = wi.id
+      WHERE oi.outfit_id = ?
+      ORDER BY oi.rowid
+    `, [outfitId]);
+  }
+
+  // By id alone, for background collage work
+  async getCollage(id) {
+    return Database.get('SELECT id, user_id, collage_url, collage_key FROM outfits WHERE id = ?', [id]);
+  }
+
+  async setCollage(id, collageUrl, collageKey) {
+    return Database.run(
+      'UPDATE outfits SET collage_url = ?, collage_key = ? WHERE id = ?',
+      [collageUrl, collageKey, id]
+    );
+  }
+
+  // Outfits an item is part of
+  async getIdsForItem(itemId) {
+    const rows = await Database.all('SELECT DISTINCT outfit_id FROM outfit_items WHERE item_id = ?', [itemId]);
+    return rows.map(row => row.outfit_id);
+  }
+
+  async getRecent(userId, limit = 10) {
+    return Database.all(
+      'SELECT * FROM outfits WHERE user_id = ? ORDER BY created_date DESC LIMIT ?',
+      [userId, limit]
+    );
+  }
+
+  // Snapshot columns - used to compare a scan against saved outfits - and
+  // each item's picture (its scan crop, else the wardrobe photo). One row per
+  // outfit item; outfits without items are left out.
+  async getItemSummaries(userId) {
+    return Database.all(`
+      SELECT o.id as outfit_id, o.name as outfit_name, o.image_url as outfit_image_url,
+             o.collage_url as outfit_collage_url,
+             oi.item_name, oi.item_type, oi.item_color,
+             COALESCE(oi.item_image_url, wi.image_url) as item_image_url
+      FROM outfits o
+      JOIN outfit_items oi ON o.id = oi.outfit_id
+      LEFT JOIN wardrobe_items wi ON oi.item_id = wi.id
+      WHERE o.user_id = ?
+      ORDER BY o.created_date, o.id, oi.rowid
+    `, [userId]);
+  }
+
+  // outfitData.id may be supplied when the image was named after it
+  async create(userId, outfitData) {
+    const id = outfitData.id || uuidv4();
+    await Database.run(`
+      INSERT INTO outfits (
+        id, user_id, name, description, image_url, occasion,
+        weather, temperature, temperature_band, precipitation, created_date
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    `, [
+      id,
+      userId,
+      outfitData.name,
+      outfitData.description,
+      outfitData.imageUrl,
+      outfitData.occasion,
+      outfitData.weather,
+      outfitData.temperature ?? null,
+      outfitData.temperatureBand || null,
+      outfitData.precipitation || null
+    ]);
+    return id;
+  }
+
+  // Link an existing wardrobe item
+  async addItem(outfitId, itemId, confidence = 100) {
+    return Database.run(
+      'INSERT INTO outfit_items (outfit_id, item_id, confidence) VALUES (?, ?, ?)',
+      [outfitId, itemId, confidence]
+    );
+  }
+
+  // Link a detected item, keeping a snapshot of what was detected
+  // (secondaryColors as from utils/colors.js toColorList)
+  async addDetectedItem(outfitId, item) {
+    return Database.run(`
+      INSERT INTO outfit_items (
+        outfit_id, item_id, item_name, item_type, item_color, item_pattern, item_secondary_colors,
+        item_category, item_image_url
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      outfitId, item.itemId, item.name, item.type, item.color, item.pattern || null,
+      serializeColorList(item.secondaryColors), item.category, item.imageUrl
+    ]);
+  }
+
+  async rename(id, userId, name) {
+    return Database.run('UPDATE outfits SET name = ? WHERE id = ? AND user_id = ?', [name, id, userId]);
+  }
+
+  async updateImage(id, imageUrl) {
+    return Database.run(
+      'UPDATE outfits SET image_url = ?, updated_date = CURRENT_TIMESTAMP WHERE id = ?',
+      [imageUrl, id]
+    );
+  }
+
+  // Check ownership first - outfit_items and plans are updated by outfit id alone
+  async delete(id, userId) {
+    return Database.transaction(async () => {
+      await Database.run('DELETE FROM outfit_items WHERE outfit_id = ?', [id]);
+      await Database.run('UPDATE planned_outfits SET outfit_id = NULL WHERE outfit_id = ?', [id]);
+      return Database.run('DELETE FROM outfits WHERE id = ? AND user_id = ?', [id, userId]);
+    });
+  }
+
+  async count(userId) {
+    const row = await Database.get('SELECT COUNT(*) as count FROM outfits WHERE user_id = ?', [userId]);
+    return row.count;
+  }
+}
+
+module.exports = new OutfitModel();
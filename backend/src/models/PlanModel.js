@@ -0,0 +1,94 @@
+// backend/src/models/PlanModel.js
+const { v4: uuidv4 } = require('uuid');
+const Database = require('../database/Database');
+
+// Plans with the outfit and event they point at
+const PLAN_SELECT = `
+  SELECT p.*,
+         o.name as outfit_name, o.image_url as outfit_image_url,
+         e.summary as event_summary, e.start_time as event_start_time, e.all_day as event_all_day
+  FROM planned_outfits p
+  LEFT JOIN outfits o ON o.id = p.outfit_id
+  LEFT JOIN calendar_events e ON e.id = p.event_id
+`;
+
+class PlanModel {
+  async getById(id, userId) {
+    return Database.get(`${PLAN_SELECT} WHERE p.id = ? AND p.user_id = ?`, [id, userId]);
+  }
+
+  // Plans for days in [from, to] (YYYY-MM-DD, inclusive)
+  async getRange(userId, from, to) {
+    return Database.all(`
+      ${PLAN_SELECT}
+      WHERE p.user_id = ? AND p.plan_date BETWEEN ? AND ?
+      ORDER BY p.plan_date ASC, e.start_time ASC, p.created_date ASC
+    `, [userId, from, to]);
+  }
+
+  // The wardrobe items of the outfits planned for days in [from, to], one
+  // row per plan and item
+  async getItems(userId, from, to) {
+    return Database.all(`
+      SELECT p.id as plan_id, p.plan_date, p.outfit_id, o.name as outfit_name,
+             wi.id as item_id, wi.name, wi.type, wi.color, wi.image_url,
+             wi.status, wi.laundry_status, wi.last_worn_date
+      FROM planned_outfits p
+      JOIN outfits o ON o.id = p.outfit_id
+      JOIN outfit_items oi ON oi.outfit_id = p.outfit_id
+      JOIN wardrobe_items wi ON wi.id = oi.item_id
+      WHERE p.user_id = ? AND p.plan_date BETWEEN ? AND ?
+      ORDER BY p.plan_date ASC, wi.name ASC
+    `, [userId, from, to]);
+  }
+
+  async getByEvent(eventId) {
+    return Database.get('SELECT * FROM planned_outfits WHERE event_id = ?', [eventId]);
+  }
+
+  async create(userId, plan) {
+    const id = uuidv4();
+    await Database.run(`
+      INSERT INTO planned_outfits (id, user_id, plan_date, event_id, outfit_id, occasion, notes)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id,
+      userId,
+      plan.planDate,
+      plan.eventId || null,
+      plan.outfitId || null,
+      plan.occasion || null,
+      plan.notes || null
+    ]);
+    return id;
+  }
+
+  // fields: any of planDate, outfitId, occasion, notes
+  async update(id, userId, fields) {
+    const columns = { planDate: 'plan_date', outfitId: 'outfit_id', occasion: 'occasion', notes: 'notes' };
+    const updates = Object.keys(columns).filter(key => fields[key] !== undefined);
+    if (updates.length === 0) return { changes: 0 };
+
+    return Database.run(`
+      UPDATE planned_outfits
+      SET ${updates.map(key => `${columns[key]} = ?`).join(', ')}, updated_date = datetime('now')
+      WHERE id = ? AND user_id = ?
+    `, [...updates.map(key => fields[key]), id, userId]);
+  }
+
+  // The event a plan was made for went away: keep plans that have an outfit
+  // as plain day plans, drop the empty ones
+  async releaseEvent(eventId) {
+    await Database.run('DELETE FROM planned_outfits WHERE event_id = ? AND outfit_id IS NULL', [eventId]);
+    return Database.run(
+      `UPDATE planned_outfits SET event_id = NULL, updated_date = datetime('now') WHERE event_id = ?`,
+      [eventId]
+    );
+  }
+
+  async delete(id, userId) {
+    return Database.run('DELETE FROM planned_outfits WHERE id = ? AND user_id = ?', [id, userId]);
+  }
+}
+
+module.exports = new PlanModel();
@@ -0,0 +1,29 @@
+// backend/src/models/RfidScanModel.js
+const { v4: uuidv4 } = require('uuid');
+const Database = require('../database/Database');
+
+class RfidScanModel {
+  // scanTime is an ISO timestamp from the reader; it defaults to now
+  async create(userId, { rfidTag, scanType, location, scanTime = null }) {
+    const id = uuidv4();
+    await Database.run(`
+      INSERT INTO rfid_scans (id, user_id, rfid_tag, scan_type, location, scan_time)
+      VALUES (?, ?, ?, ?, ?, COALESCE(datetime(?), datetime('now')))
+    `, [id, userId, rfidTag, scanType, location, scanTime]);
+    return id;
+  }
+
+  async getRecent(userId, limit = 50) {
+    const query = `
+      SELECT rs.*, wi.name as item_name, wi.type as item_type
+      FROM rfid_scans rs
+      LEFT JOIN wardrobe_items wi ON rs.rfid_tag = wi.rfid_tag AND wi.user_id = rs.user_id
+      WHERE rs.user_id = ?
+      ORDER BY rs.scan_time DESC
+      LIMIT ?
+    `;
+    return Database.all(query, [userId, limit]);
+  }
+}
+
+module.exports = new RfidScanModel();
@@ -0,0 +1,59 @@
+// backend/src/models/TransferModel.js
+//
+// Raw rows for wardrobe exports and imports. Table and column names come
+// from config/transfer.js, never from requests.
+const Database = require('../database/Database');
+
+// Each table's rows for one user, oldest first
+const OWNED_ROWS = {
+  wardrobe_items: 'FROM wardrobe_items t WHERE t.user_id = ? ORDER BY t.created_date, t.rowid',
+  outfits: 'FROM outfits t WHERE t.user_id = ? ORDER BY t.created_date, t.rowid',
+  outfit_items: 'FROM outfit_items t JOIN outfits o ON o.id = t.outfit_id WHERE o.user_id = ? ORDER BY o.created_date, o.rowid, t.rowid',
+  item_images: 'FROM item_images t JOIN wardrobe_items wi ON wi.id = t.item_id WHERE wi.user_id = ? ORDER BY t.item_id, t.sort_order, t.rowid',
+  rfid_scans: 'FROM rfid_scans t WHERE t.user_id = ? ORDER BY t.scan_time, t.rowid'
+};
+
+class TransferModel {
+  async getRows(table, columns, userId) {
+    const select = columns.map(column => `t.${column}`).join(', ');
+    return Database.all(`SELECT ${select} ${OWNED_ROWS[table]}`, [userId]);
+  }
+
+  // values: column -> value; the caller supplies ids
+  async insert(table, values) {
+    const columns = Object.keys(values);
+    await Database.run(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map(column => values[column])
+    );
+  }
+
+  // RFID tags are unique across all users
+  async findItemByRfidTag(rfidTag) {
+    return Database.get('SELECT id, user_id FROM wardrobe_items WHERE rfid_tag = ?', [rfidTag]);
+  }
+
+  // Whether the user owns a row of wardrobe_items or outfits with this id
+  async isOwned(table, id, userId) {
+    const row = await Database.get(`SELECT 1 AS found FROM ${table} WHERE id = ? AND user_id = ?`, [id, userId]);
+    return !!row;
+  }
+
+  async hasOutfitItem(outfitId, itemId) {
+    const row = await Database.get(
+      'SELECT 1 AS found FROM outfit_items WHERE outfit_id = ? AND item_id IS ?',
+      [outfitId, itemId]
+    );
+    return !!row;
+  }
+
+  async hasScan(userId, scan) {
+    const row = await Database.get(`
+      SELECT 1 AS found FROM rfid_scans
+      WHERE user_id = ? AND rfid_tag = ? AND scan_type IS ? AND scan_time IS ?
+    `, [userId, scan.rfid_tag, scan.scan_type, scan.scan_time]);
+    return !!row;
+  }
+}
+
+module.exports = new TransferModel();
@@ -0,0 +1,73 @@
+// backend/src/models/TripModel.js
+const { v4: uuidv4 } = require('uuid');
+const Database = require('../database/Database');
+
+class TripModel {
+  async getById(id, userId) {
+    return Database.get('SELECT * FROM trips WHERE id = ? AND user_id = ?', [id, userId]);
+  }
+
+  // Trips that haven't ended before `since` (YYYY-MM-DD), soonest first
+  async getAll(userId, since = null) {
+    if (since) {
+      return Database.all(
+        'SELECT * FROM trips WHERE user_id = ? AND end_date >= ? ORDER BY start_date ASC',
+        [userId, since]
+      );
+    }
+    return Database.all('SELECT * FROM trips WHERE user_id = ? ORDER BY start_date ASC', [userId]);
+  }
+
+  async create(userId, trip) {
+    const id = uuidv4();
+    await Database.run(`
+      INSERT INTO trips (id, user_id, name, destination, start_date, end_date, notes)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [id, userId, trip.name, trip.destination || null, trip.startDate, trip.endDate, trip.notes || null]);
+    return id;
+  }
+
+  // fields: any of name, destination, startDate, endDate, notes
+  async update(id, userId, fields) {
+    const columns = {
+      name: 'name',
+      destination: 'destination',
+      startDate: 'start_date',
+      endDate: 'end_date',
+      notes: 'notes'
+    };
+    const updates = Object.keys(columns).filter(key => fields[key] !== undefined);
+    if (updates.length === 0) return { changes: 0 };
+
+    return Database.run(`
+      UPDATE trips
+      SET ${updates.map(key => `${columns[key]} = ?`).join(', ')}, updated_date = datetime('now')
+      WHERE id = ? AND user_id = ?
+    `, [...updates.map(key => fields[key]), id, userId]);
+  }
+
+  // Check ownership first - packed items are removed by trip id alone
+  async delete(id, userId) {
+    return Database.transaction(async () => {
+      await Database.run('DELETE FROM trip_packed_items WHERE trip_id = ?', [id]);
+      return Database.run('DELETE FROM trips WHERE id = ? AND user_id = ?', [id, userId]);
+    });
+  }
+
+  async getPackedItemIds(tripId) {
+    const rows = await Database.all('SELECT item_id FROM trip_packed_items WHERE trip_id = ?', [tripId]);
+    return new Set(rows.map(row => row.item_id));
+  }
+
+  async setPacked(tripId, itemId, packed) {
+    if (packed) {
+      return Database.run(
+        'INSERT OR IGNORE INTO trip_packed_items (trip_id, item_id) VALUES (?, ?)',
+        [tripId, itemId]
+      );
+    }
+    return Database.run('DELETE FROM trip_packed_items WHERE trip_id = ? AND item_id = ?', [tripId, itemId]);
+  }
+}
+
+module.exports = new TripModel();
@@ -0,0 +1,31 @@
+// backend/src/models/UploadModel.js
+const Database = require('../database/Database');
+
+// Owner of each uploaded file by its /uploads URL (see middleware/images.js)
+class UploadModel {
+  async getOwner(imageUrl) {
+    const row = await Database.get('SELECT user_id FROM upload_owners WHERE image_url = ?', [imageUrl]);
+    return row ? row.user_id : null;
+  }
+
+  async setOwner(imageUrl, userId) {
+    await Database.run(
+      'INSERT OR REPLACE INTO upload_owners (image_url, user_id) VALUES (?, ?)',
+      [imageUrl, userId]
+    );
+  }
+
+  // For files made from another (cutouts, rotations): same owner as the source
+  async copyOwner(imageUrl, sourceUrl) {
+    await Database.run(`
+      INSERT OR REPLACE INTO upload_owners (image_url, user_id)
+      SELECT ?, user_id FROM upload_owners WHERE image_url = ?
+    `, [imageUrl, sourceUrl]);
+  }
+
+  async remove(imageUrl) {
+    await Database.run('DELETE FROM upload_owners WHERE image_url = ?', [imageUrl]);
+  }
+}
+
+module.exports = new UploadModel();
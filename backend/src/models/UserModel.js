@@ -0,0 +1,28 @@
+// backend/src/models/UserModel.js
+const { v4: uuidv4 } = require('uuid');
+const Database = require('../database/Database');
+
+class UserModel {
+  async create({ username, email, passwordHash }) {
+    const id = uuidv4();
+    await Database.run(
+      'INSERT INTO users (id, username, email, password_hash) VALUES (?, ?, ?, ?)',
+      [id, username, email, passwordHash]
+    );
+    return id;
+  }
+
+  async getById(id) {
+    return Database.get('SELECT * FROM users WHERE id = ?', [id]);
+  }
+
+  // Login accepts either the username or the account's email address
+  async getByLogin(login) {
+    return Database.get(
+      'SELECT * FROM users WHERE username = ? OR email = ?',
+      [login, login]
+    );
+  }
+}
+
+module.exports = new UserModel();
@@ -1,128 +1,364 @@
 // backend/src/models/WardrobeModel.js
+const { v4: uuidv4 } = require('uuid');
 const Database = require('../database/Database');
+const { SEARCH_FACETS } = require('../config/search');
+const { keyset } = require('../utils/listQuery');
+const { describeColor, serializeColorList } = require('../utils/colors');
 
+// bm25 weights for wardrobe_items_fts columns: item_id, name, description,
+// type, brand, material, color, ocr_text
+const RANK = 'bm25(wardrobe_items_fts, 0, 10, 2, 4, 6, 3, 4, 1)';
+
+// The orders in config/search.js SEARCH_SORTS
+const SORTS = {
+  relevance: `${RANK} ASC`,
+  newest: 'wi.created_date DESC',
+  oldest: 'wi.created_date ASC',
+  name: 'wi.name COLLATE NOCASE ASC',
+  last_worn: 'wi.last_worn_date IS NULL, wi.last_worn_date DESC'
+};
+
+// Free text -> FTS5 query: every word must match, as a prefix ("blu oxf"
+// finds "Blue Oxford Shirt"). Null when there are no words to look for.
+const toMatchQuery = (text) => {
+  const words = String(text || '').match(/[\p{L}\p{N}]+/gu);
+  return words ? words.map(word => `"${word}"*`).join(' ') : null;
+};
+
+// Wear count is the number of exit scans of the item's tag
+const WEAR_COUNT = `
+  SELECT COUNT(*) FROM rfid_scans rs
+  WHERE rs.rfid_tag = wardrobe_items.rfid_tag AND rs.user_id = wardrobe_items.user_id AND rs.scan_type = 'exit'
+`;
+
+// config/lists.js ITEM_SORT_KEYS -> expressions over getList's rows, never
+// NULL so cursors can compare them (never worn sorts as oldest)
+const LIST_SORTS = {
+  lastWornDate: "COALESCE(t.last_worn_date, '')",
+  createdDate: "COALESCE(t.created_date, '')",
+  name: 't.name COLLATE NOCASE',
+  wearCount: 't.wear_count'
+};
+
+// WHERE clause over wardrobe_items for getAll and getList
+const itemFilters = (userId, filters) => {
+  const clauses = ['user_id = ?'];
+  const params = [userId];
+
+  if (filters.type) {
+    clauses.push('type = ?');
+    params.push(filters.type);
+  }
+
+  if (filters.status) {
+    clauses.push('status = ?');
+    params.push(filters.status);
+  }
+
+  if (filters.colorFamily) {
+    clauses.push('color_family = ?');
+    params.push(filters.colorFamily);
+  }
+
+  if (filters.pattern) {
+    clauses.push('pattern = ?');
+    params.push(filters.pattern);
+  }
+
+  if (filters.secondaryColor) {
+    clauses.push("EXISTS (SELECT 1 FROM json_each(secondary_colors) WHERE json_extract(value, '$.name') = ? COLLATE NOCASE)");
+    params.push(filters.secondaryColor);
+  }
+
+  const match = toMatchQuery(filters.search);
+  if (match) {
+    clauses.push('id IN (SELECT item_id FROM wardrobe_items_fts WHERE wardrobe_items_fts MATCH ?)');
+    params.push(match);
+  }
+
+  return { sql: clauses.join(' AND '), params };
+};
+
+// Every query is scoped to the owning user
 class WardrobeModel {
-  async getAll() {
-    const query = `
-      SELECT * FROM wardrobe_items 
-      ORDER BY created_at DESC
-    `;
-    return Database.all(query);
+  // Optional filters: type, status, colorFamily, pattern, secondaryColor (a
+  // color name among secondary_colors) and a full-text search (see search())
+  async getAll(userId, filters = {}) {
+    const where = itemFilters(userId, filters);
+    return Database.all(
+      `SELECT * FROM wardrobe_items WHERE ${where.sql} ORDER BY created_date DESC`,
+      where.params
+    );
   }
 
-  async getById(id) {
+  // getAll's filters in a parsed sort (utils/listQuery.js), with each item's
+  // wear_count. limit null returns every row. after holds the sort values of
+  // the row to continue from; next is the same for the last row returned
+  // when more follow, else null.
+  async getList(userId, filters = {}, { sort, limit = null, after = null }) {
+    const where = itemFilters(userId, filters);
+    const order = keyset(sort, LIST_SORTS, 't.id');
+    const page = after ? order.after(after) : { sql: '1', params: [] };
+
+    const rows = await Database.all(`
+      SELECT t.*, ${order.columns} FROM (
+        SELECT wardrobe_items.*, (${WEAR_COUNT}) AS wear_count
+        FROM wardrobe_items WHERE ${where.sql}
+      ) t
+      WHERE ${page.sql}
+      ORDER BY ${order.orderBy}
+      ${limit ? 'LIMIT ?' : ''}
+    `, [...where.params, ...page.params, ...(limit ? [limit + 1] : [])]);
+
+    if (!limit || rows.length <= limit) return { rows, next: null };
+    return { rows: rows.slice(0, limit), next: order.cursorValues(rows[limit - 1]) };
+  }
+
+  async getById(id, userId) {
     const query = `
-      SELECT * FROM wardrobe_items 
-      WHERE id = ?
+      SELECT * FROM wardrobe_items
+      WHERE id = ? AND user_id = ?
     `;
-    return Database.get(query, [id]);
+    return Database.get(query, [id, userId]);
   }
 
-  async create(itemData) {
+  // itemData.id may be supplied when the caller needs it up front (e.g. for
+  // the RFID tag). color_hex and color_family follow color and colorHex;
+  // secondaryColors is a list from utils/colors.js toColorList.
+  async create(userId, itemData) {
+    const id = itemData.id || uuidv4();
+    const colorValue = describeColor(itemData.color, itemData.colorHex);
     const query = `
       INSERT INTO wardrobe_items (
-        name, category, color, brand, material, size,
-        rfid_tag, image, description, status, laundry_status,
-        purchase_date, price, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        id, user_id, name, type, color, color_hex, color_family, secondary_colors, pattern,
+        brand, material, size, rfid_tag, image_url, description, status, laundry_status,
+        purchase_date, price, ocr_text, created_date
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
     `;
-    
+
     const params = [
+      id,
+      userId,
       itemData.name,
-      itemData.category,
+      itemData.type,
       itemData.color || null,
+      colorValue.hex,
+      colorValue.family,
+      serializeColorList(itemData.secondaryColors),
+      itemData.pattern || null,
       itemData.brand || null,
       itemData.material || null,
       itemData.size || null,
       itemData.rfidTag || null,
-      itemData.image,
+      itemData.imageUrl || null,
       itemData.description || null,
       itemData.status || 'in_closet',
       itemData.laundryStatus || 'clean',
       itemData.purchaseDate || null,
-      itemData.price || null,
-      itemData.createdAt
+      itemData.price ?? null,
+      itemData.ocrText || null
     ];
-    
-    const result = await Database.run(query, params);
-    return result.lastID;
+
+    await Database.run(query, params);
+    return id;
   }
 
-  async update(id, itemData) {
+  async update(id, userId, itemData) {
     const fields = [];
     const params = [];
-    
+
     // Convert camelCase to snake_case for database fields
     const fieldMapping = {
       'rfidTag': 'rfid_tag',
+      'imageUrl': 'image_url',
       'laundryStatus': 'laundry_status',
       'purchaseDate': 'purchase_date',
-      'createdAt': 'created_at',
-      'updatedAt': 'updated_at'
+      'lastWornDate': 'last_worn_date',
+      'ocrText': 'ocr_text'
     };
-    
+    const updatable = [
+      'name', 'description', 'type', 'color', 'pattern', 'material', 'brand', 'size',
+      'status', 'price', ...Object.keys(fieldMapping)
+    ];
+
     Object.keys(itemData).forEach(key => {
-      if (itemData[key] !== undefined) {
+      if (itemData[key] !== undefined && updatable.includes(key)) {
         const dbKey = fieldMapping[key] || key;
         fields.push(`${dbKey} = ?`);
         params.push(itemData[key]);
       }
     });
-    
+
+    // A new color name or hex replaces both derived columns
+    if (itemData.color !== undefined || itemData.colorHex !== undefined) {
+      const colorValue = describeColor(itemData.color, itemData.colorHex);
+      fields.push('color_hex = ?', 'color_family = ?');
+      params.push(colorValue.hex, colorValue.family);
+    }
+
+    if (itemData.secondaryColors !== undefined) {
+      fields.push('secondary_colors = ?');
+      params.push(serializeColorList(itemData.secondaryColors));
+    }
+
     if (fields.length === 0) {
       throw new Error('No fields to update');
     }
-    
-    params.push(id);
-    
+
+    params.push(id, userId);
+
     const query = `
-      UPDATE wardrobe_items 
-      SET ${fields.join(', ')}, updated_at = datetime('now')
-      WHERE id = ?
+      UPDATE wardrobe_items
+      SET ${fields.join(', ')}, updated_date = datetime('now')
+      WHERE id = ? AND user_id = ?
     `;
-    
+
     return Database.run(query, params);
   }
 
-  async delete(id) {
-    const query = `DELETE FROM wardrobe_items WHERE id = ?`;
-    return Database.run(query, [id]);
+  // Also drops the item from outfits, its photo gallery and trip packing
+  // lists - check ownership first
+  async delete(id, userId) {
+    return Database.transaction(async () => {
+      await Database.run('DELETE FROM outfit_items WHERE item_id = ?', [id]);
+      await Database.run('DELETE FROM item_images WHERE item_id = ?', [id]);
+      await Database.run('DELETE FROM trip_packed_items WHERE item_id = ?', [id]);
+      return Database.run('DELETE FROM wardrobe_items WHERE id = ? AND user_id = ?', [id, userId]);
+    });
+  }
+
+  // Subset of the given item ids that belong to the user
+  async getOwnedIds(itemIds, userId) {
+    const ids = [...new Set(itemIds.filter(Boolean))];
+    if (ids.length === 0) {
+      return new Set();
+    }
+
+    const placeholders = ids.map(() => '?').join(', ');
+    const rows = await Database.all(
+      `SELECT id FROM wardrobe_items WHERE user_id = ? AND id IN (${placeholders})`,
+      [userId, ...ids]
+    );
+    return new Set(rows.map(row => row.id));
+  }
+
+  // Full-text search over name, description, type, brand, material, color
+  // and OCR text, narrowed by facet filters ({ type: ['Shirt'], ... }; values
+  // of one facet are alternatives, and match case-insensitively). Returns a page of items, the total, and
+  // per-facet counts of { value, count }. Each facet is counted with every
+  // filter except its own, so picking a type still shows the other types.
+  async search(userId, { query, filters = {}, sort = 'newest', limit = 24, offset = 0 } = {}) {
+    const match = toMatchQuery(query);
+    const from = match
+      ? 'wardrobe_items_fts JOIN wardrobe_items wi ON wi.id = wardrobe_items_fts.item_id'
+      : 'wardrobe_items wi';
+
+    const where = (skipFacet) => {
+      const clauses = ['wi.user_id = ?'];
+      const params = [userId];
+      if (match) {
+        clauses.push('wardrobe_items_fts MATCH ?');
+        params.push(match);
+      }
+      Object.entries(SEARCH_FACETS).forEach(([facet, column]) => {
+        const values = filters[facet];
+        if (facet === skipFacet || !values || values.length === 0) return;
+        clauses.push(`wi.${column} COLLATE NOCASE IN (${values.map(() => '?').join(', ')})`);
+        params.push(...values);
+      });
+      return { sql: clauses.join(' AND '), params };
+    };
+
+    const all = where(null);
+    const orderBy = SORTS[sort === 'relevance' && !match ? 'newest' : sort] || SORTS.newest;
+    const items = await Database.all(`
+      SELECT wi.* FROM ${from}
+      WHERE ${all.sql}
+      ORDER BY ${orderBy}, wi.id
+      LIMIT ? OFFSET ?
+    `, [...all.params, limit, offset]);
+    const { total } = await Database.get(`SELECT COUNT(*) AS total FROM ${from} WHERE ${all.sql}`, all.params);
+
+    const facets = {};
+    for (const [facet, column] of Object.entries(SEARCH_FACETS)) {
+      const scoped = where(facet);
+      facets[facet] = await Database.all(`
+        SELECT wi.${column} AS value, COUNT(*) AS count FROM ${from}
+        WHERE ${scoped.sql} AND wi.${column} IS NOT NULL AND wi.${column} != ''
+        GROUP BY wi.${column} COLLATE NOCASE
+        ORDER BY count DESC, value COLLATE NOCASE
+      `, scoped.params);
+    }
+
+    return { items, total, facets };
+  }
+
+  async getByType(userId, type) {
+    const query = `
+      SELECT * FROM wardrobe_items
+      WHERE user_id = ? AND type = ?
+      ORDER BY created_date DESC
+    `;
+    return Database.all(query, [userId, type]);
   }
 
-  async search(searchTerm) {
+  async getByRFIDTag(rfidTag, userId) {
     const query = `
-      SELECT * FROM wardrobe_items 
-      WHERE name LIKE ? OR brand LIKE ? OR category LIKE ? OR color LIKE ?
-      ORDER BY created_at DESC
+      SELECT * FROM wardrobe_items
+      WHERE rfid_tag = ? AND user_id = ?
     `;
-    const searchPattern = `%${searchTerm}%`;
-    return Database.all(query, [searchPattern, searchPattern, searchPattern, searchPattern]);
+    return Database.get(query, [rfidTag, userId]);
   }
 
-  async getByCategory(category) {
+  async updateStatus(id, userId, status) {
     const query = `
-      SELECT * FROM wardrobe_items 
-      WHERE category = ?
-      ORDER BY created_at DESC
+      UPDATE wardrobe_items
+      SET status = ?, updated_date = datetime('now')
+      WHERE id = ? AND user_id = ?
     `;
-    return Database.all(query, [category]);
+    return Database.run(query, [status, id, userId]);
   }
 
-  async getByRFIDTag(rfidTag) {
+  async getByRFIDTags(rfidTags, userId) {
+    const placeholders = rfidTags.map(() => '?').join(', ');
     const query = `
-      SELECT * FROM wardrobe_items 
-      WHERE rfid_tag = ?
+      SELECT * FROM wardrobe_items
+      WHERE user_id = ? AND rfid_tag IN (${placeholders})
     `;
-    return Database.get(query, [rfidTag]);
+    return Database.all(query, [userId, ...rfidTags]);
+  }
+
+  // An exit scan marks the item worn (at wornAt, default now) and counts a
+  // wear towards its next wash; an entry puts it back
+  async recordScan(id, scanType, wornAt = null) {
+    if (scanType === 'exit') {
+      return Database.run(`
+        UPDATE wardrobe_items
+        SET status = 'worn', last_worn_date = COALESCE(datetime(?), datetime('now')),
+            wears_since_wash = COALESCE(wears_since_wash, 0) + 1
+        WHERE id = ?
+      `, [wornAt, id]);
+    }
+    return Database.run(`UPDATE wardrobe_items SET status = 'in_closet' WHERE id = ?`, [id]);
+  }
+
+  async count(userId) {
+    const row = await Database.get('SELECT COUNT(*) as count FROM wardrobe_items WHERE user_id = ?', [userId]);
+    return row.count;
   }
 
-  async updateStatus(id, status) {
+  // Wear count is the number of exit scans of the item's tag
+  async getMostWorn(userId, limit = 5) {
     const query = `
-      UPDATE wardrobe_items 
-      SET status = ?, updated_at = datetime('now')
-      WHERE id = ?
+      SELECT wi.name, wi.type, COUNT(rs.id) as wear_count
+      FROM wardrobe_items wi
+      LEFT JOIN rfid_scans rs ON wi.rfid_tag = rs.rfid_tag AND rs.user_id = wi.user_id AND rs.scan_type = 'exit'
+      WHERE wi.user_id = ?
+      GROUP BY wi.id
+      ORDER BY wear_count DESC
+      LIMIT ?
     `;
-    return Database.run(query, [status, id]);
+    return Database.all(query, [userId, limit]);
   }
 }
 
@@ -0,0 +1,10 @@
+// backend/src/routes/analytics.js
+const express = require('express');
+const router = express.Router();
+
+const analyticsController = require('../controllers/analyticsController');
+const { requireSelf } = require('../middleware/auth');
+
+router.get('/:userId', requireSelf, analyticsController.getWearAnalytics);
+
+module.exports = router;
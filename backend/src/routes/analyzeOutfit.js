@@ -0,0 +1,13 @@
+// backend/src/routes/analyzeOutfit.js
+const express = require('express');
+const router = express.Router();
+
+const analysisController = require('../controllers/analysisController');
+const upload = require('../middleware/upload');
+const { normalizeUpload, claimUpload } = require('../middleware/images');
+
+router.post('/', upload.single('outfitImage'), normalizeUpload, claimUpload, analysisController.analyzeOutfit);
+router.post('/confirm-save', upload.none(), analysisController.confirmSave);
+router.post('/save-anyway', upload.single('outfitImage'), normalizeUpload, claimUpload, analysisController.saveAnyway);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// backend/src/routes/auth.js
+const express = require('express');
+const router = express.Router();
+
+const authController = require('../controllers/authController');
+
+// register and login are public (see PUBLIC_API_PATHS in app.js)
+router.post('/register', authController.register);
+router.post('/login', authController.login);
+router.get('/me', authController.me);
+router.get('/devices', authController.listDevices);
+router.post('/devices', authController.createDevice);
+router.delete('/devices/:deviceId', authController.revokeDevice);
+
+module.exports = router;
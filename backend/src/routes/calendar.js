@@ -0,0 +1,18 @@
+// backend/src/routes/calendar.js
+const express = require('express');
+const router = express.Router();
+
+const calendarController = require('../controllers/calendarController');
+const calendarUpload = require('../middleware/calendarUpload');
+const { requireSelf } = require('../middleware/auth');
+
+// Import
+router.get('/files', calendarController.listFiles);
+router.post('/import', calendarUpload.single('calendar'), calendarController.importCalendar);
+
+// Events (their planned outfits are under /api/planner)
+router.put('/events/:eventId', calendarController.updateEvent);
+
+router.get('/:userId', requireSelf, calendarController.getCalendar);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+// backend/src/routes/export.js
+const express = require('express');
+const router = express.Router();
+
+const transferController = require('../controllers/transferController');
+const { requireSelf } = require('../middleware/auth');
+
+router.get('/:userId', requireSelf, transferController.exportWardrobe);
+
+module.exports = router;
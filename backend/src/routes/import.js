@@ -0,0 +1,10 @@
+// backend/src/routes/import.js
+const express = require('express');
+const router = express.Router();
+
+const transferController = require('../controllers/transferController');
+const importUpload = require('../middleware/importUpload');
+
+router.post('/', importUpload.single('file'), transferController.importWardrobe);
+
+module.exports = router;
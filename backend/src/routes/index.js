@@ -0,0 +1,41 @@
+// backend/src/routes/index.js
+//
+// Everything under /api. Authentication is applied in app.js before this
+// router, so handlers can rely on req.user.
+const express = require('express');
+const router = express.Router();
+
+const systemController = require('../controllers/systemController');
+const outfitController = require('../controllers/outfitController');
+const statsController = require('../controllers/statsController');
+const uploadController = require('../controllers/uploadController');
+const upload = require('../middleware/upload');
+const { normalizeUpload, claimUpload } = require('../middleware/images');
+const { requireSelf } = require('../middleware/auth');
+
+router.get('/health', systemController.health);
+router.get('/test-vision', systemController.testVision);
+router.get('/colors', systemController.colors);
+router.get('/taxonomy', systemController.taxonomy);
+
+router.use('/auth', require('./auth'));
+router.use('/users', require('./users'));
+router.use('/wardrobe', require('./wardrobe'));
+router.use('/outfits', require('./outfits'));
+router.use('/analyze-outfit', require('./analyzeOutfit'));
+router.use('/rfid', require('./rfid'));
+router.use('/analytics', require('./analytics'));
+router.use('/laundry', require('./laundry'));
+router.use('/recommendations', require('./recommendations'));
+router.use('/weather', require('./weather'));
+router.use('/calendar', require('./calendar'));
+router.use('/planner', require('./planner'));
+router.use('/export', require('./export'));
+router.use('/import', require('./import'));
+
+// Test endpoint to check saved outfits
+router.get('/outfits-test', outfitController.getRecentOutfits);
+router.get('/stats/:userId', requireSelf, statsController.getStats);
+router.post('/upload', upload.single('image'), normalizeUpload, claimUpload, uploadController.uploadImage);
+
+module.exports = router;
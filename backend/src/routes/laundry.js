@@ -0,0 +1,23 @@
+// backend/src/routes/laundry.js
+const express = require('express');
+const router = express.Router();
+
+const laundryController = require('../controllers/laundryController');
+const { requireSelf } = require('../middleware/auth');
+
+// Wears-before-wash rules
+router.get('/rules/:userId', requireSelf, laundryController.getRules);
+router.put('/rules/:category', laundryController.setRule);
+router.delete('/rules/:category', laundryController.deleteRule);
+
+// State changes
+router.put('/items/:itemId', laundryController.updateItemStatus);
+router.post('/transition', laundryController.transition);
+router.post('/wash', laundryController.startWash);
+router.post('/dry', laundryController.moveToDryer);
+router.post('/done', laundryController.finishLaundry);
+router.post('/put-away', laundryController.putAway);
+
+router.get('/:userId', requireSelf, laundryController.getLaundry);
+
+module.exports = router;
@@ -1,9 +1,18 @@
+// backend/src/routes/outfits.js
 const express = require('express');
 const router = express.Router();
 
-// Basic routes - will be expanded later
-router.get('/', (req, res) => {
-  res.json({ message: 'Outfits routes working' });
-});
+const outfitController = require('../controllers/outfitController');
+const upload = require('../middleware/upload');
+const { normalizeUpload, claimUpload } = require('../middleware/images');
+const { requireSelf } = require('../middleware/auth');
+
+router.post('/', outfitController.createOutfit);
+router.post('/scan', outfitController.scanOutfit);
+router.get('/:userId', requireSelf, outfitController.getOutfits);
+router.delete('/:outfitId', outfitController.deleteOutfit);
+router.put('/:outfitId/rename', outfitController.renameOutfit);
+router.post('/:outfitId/add-photo', upload.single('outfitImage'), normalizeUpload, claimUpload, outfitController.addPhoto);
+router.post('/:outfitId/collage', outfitController.createCollage);
 
 module.exports = router;
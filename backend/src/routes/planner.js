@@ -0,0 +1,23 @@
+// backend/src/routes/planner.js
+const express = require('express');
+const router = express.Router();
+
+const plannerController = require('../controllers/plannerController');
+const { requireSelf } = require('../middleware/auth');
+
+// Planned outfits
+router.post('/plans', plannerController.createPlan);
+router.put('/plans/:planId', plannerController.updatePlan);
+router.delete('/plans/:planId', plannerController.deletePlan);
+
+// Trips and their packing lists
+router.post('/trips', plannerController.createTrip);
+router.put('/trips/:tripId', plannerController.updateTrip);
+router.delete('/trips/:tripId', plannerController.deleteTrip);
+router.get('/trips/:tripId/packing', plannerController.getPackingList);
+router.put('/trips/:tripId/items/:itemId', plannerController.setItemPacked);
+
+router.get('/:userId/trips', requireSelf, plannerController.listTrips);
+router.get('/:userId', requireSelf, plannerController.getPlanner);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+// backend/src/routes/recommendations.js
+const express = require('express');
+const router = express.Router();
+
+const recommendationController = require('../controllers/recommendationController');
+const { requireSelf } = require('../middleware/auth');
+
+router.get('/:userId', requireSelf, recommendationController.getRecommendations);
+
+module.exports = router;
@@ -1,9 +1,12 @@
+// backend/src/routes/rfid.js
 const express = require('express');
 const router = express.Router();
 
-// Basic routes - will be expanded later
-router.get('/', (req, res) => {
-  res.json({ message: 'RFID routes working' });
-});
+const rfidController = require('../controllers/rfidController');
+const { requireSelf } = require('../middleware/auth');
+
+router.post('/scan', rfidController.logScan);
+router.post('/event', rfidController.logEvent);
+router.get('/scans/:userId', requireSelf, rfidController.getScans);
 
 module.exports = router;
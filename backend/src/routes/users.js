@@ -0,0 +1,10 @@
+// backend/src/routes/users.js
+const express = require('express');
+const router = express.Router();
+
+const authController = require('../controllers/authController');
+const { requireSelf } = require('../middleware/auth');
+
+router.get('/:userId', requireSelf, authController.getUser);
+
+module.exports = router;
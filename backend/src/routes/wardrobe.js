@@ -1,51 +1,27 @@
 // backend/src/routes/wardrobe.js
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const path = require('path');
-const { v4: uuidv4 } = require('uuid');
-const fs = require('fs');
 
 const wardrobeController = require('../controllers/wardrobeController');
+const itemImageController = require('../controllers/itemImageController');
+const upload = require('../middleware/upload');
+const { normalizeUpload, claimUpload } = require('../middleware/images');
+const { requireSelf } = require('../middleware/auth');
 
-// Ensure upload directory exists
-const uploadDir = path.join(__dirname, '../../uploads/wardrobe');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
+// Items
+router.post('/items', wardrobeController.createItem);
+router.get('/items/:userId', requireSelf, wardrobeController.getItems);
+router.get('/search/:userId', requireSelf, wardrobeController.searchItems);
+router.put('/items/:itemId', wardrobeController.updateItem);
+router.delete('/items/:itemId', wardrobeController.deleteItem);
 
-// Configure multer for image uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueName = uuidv4() + path.extname(file.originalname);
-    cb(null, uniqueName);
-  }
-});
-
-const upload = multer({ 
-  storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/webp'];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only JPEG, PNG, and WebP are allowed.'));
-    }
-  }
-});
-
-// Routes
-router.get('/', wardrobeController.getAllItems);
-router.get('/search/:query', wardrobeController.searchItems);
-router.get('/category/:category', wardrobeController.getItemsByCategory);
-router.get('/:id', wardrobeController.getItemById);
-router.post('/', upload.single('image'), wardrobeController.createItem);
-router.put('/:id', upload.single('image'), wardrobeController.updateItem);
-router.delete('/:id', wardrobeController.deleteItem);
+// Item photo gallery
+router.post('/items/:itemId/images', upload.single('image'), normalizeUpload, claimUpload, itemImageController.addImage);
+router.get('/items/:itemId/images', itemImageController.getImages);
+router.put('/items/:itemId/images/order', itemImageController.reorder);
+router.put('/items/:itemId/images/:imageId/primary', itemImageController.setPrimary);
+router.put('/items/:itemId/images/:imageId/rotate', itemImageController.rotateImage);
+router.post('/items/:itemId/images/:imageId/cutout', itemImageController.createCutout);
+router.delete('/items/:itemId/images/:imageId', itemImageController.deleteImage);
 
 module.exports = router;
-
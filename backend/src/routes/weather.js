@@ -0,0 +1,11 @@
+// backend/src/routes/weather.js
+const express = require('express');
+const router = express.Router();
+
+const weatherController = require('../controllers/weatherController');
+
+router.get('/current', weatherController.getCurrent);
+router.get('/forecast', weatherController.getForecast);
+router.get('/status', weatherController.getStatus);
+
+module.exports = router;
@@ -0,0 +1,177 @@
+// backend/src/services/analyticsService.js
+//
+// Wear analytics built from the rows AnalyticsModel returns. A wear is one
+// RFID exit scan of an item; an outfit counts as worn on a day when every
+// wardrobe item linked to it left the closet that day.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SQLite datetime('now') strings are UTC without a zone marker
+const parseDbDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+  return isNaN(date) ? null : date;
+};
+
+const toDay = (date) => date.toISOString().split('T')[0];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const daysBetween = (from, to) => Math.floor((to - from) / DAY_MS);
+
+// Group wear rows by item id -> sorted array of Dates
+const groupWearsByItem = (wears) => {
+  const byItem = new Map();
+  for (const wear of wears) {
+    const wornAt = parseDbDate(wear.scan_time);
+    if (!wornAt) continue;
+    if (!byItem.has(wear.item_id)) byItem.set(wear.item_id, []);
+    byItem.get(wear.item_id).push(wornAt);
+  }
+  return byItem;
+};
+
+const summarizeItem = (item) => ({
+  id: item.id,
+  name: item.name,
+  type: item.type,
+  color: item.color
+});
+
+// Latest of the last exit scan and last_worn_date (which may predate scan logging)
+const lastWornOf = (item, itemWears) => {
+  const candidates = [parseDbDate(item.last_worn_date), itemWears[itemWears.length - 1]].filter(Boolean);
+  return candidates.length ? new Date(Math.max(...candidates)) : null;
+};
+
+const wearCountsByWindow = (items, wearsByItem, windows, now) => windows.map(days => {
+  const since = new Date(now - days * DAY_MS);
+  const worn = items
+    .map(item => ({
+      ...summarizeItem(item),
+      wearCount: (wearsByItem.get(item.id) || []).filter(date => date >= since).length
+    }))
+    .filter(item => item.wearCount > 0)
+    .sort((a, b) => b.wearCount - a.wearCount);
+
+  return {
+    days,
+    since: since.toISOString(),
+    totalWears: worn.reduce((sum, item) => sum + item.wearCount, 0),
+    itemsWorn: worn.length,
+    itemsNotWorn: items.length - worn.length,
+    items: worn
+  };
+});
+
+const idleItems = (items, wearsByItem, idleDays, now) => items
+  .map(item => {
+    const lastWorn = lastWornOf(item, wearsByItem.get(item.id) || []);
+    return {
+      ...summarizeItem(item),
+      lastWornDate: lastWorn ? lastWorn.toISOString() : null,
+      daysSinceWorn: lastWorn ? daysBetween(lastWorn, now) : null,
+      neverWorn: !lastWorn
+    };
+  })
+  .filter(item => item.neverWorn || item.daysSinceWorn >= idleDays)
+  // Never-worn items first, then the longest idle
+  .sort((a, b) => (b.daysSinceWorn ?? Infinity) - (a.daysSinceWorn ?? Infinity));
+
+// Item and wear counts per value of `field` (type or color)
+const distribution = (items, wearsByItem, field) => {
+  const groups = new Map();
+  for (const item of items) {
+    const key = item[field] || 'Unknown';
+    const group = groups.get(key) || { [field === 'type' ? 'category' : field]: key, itemCount: 0, wearCount: 0 };
+    group.itemCount += 1;
+    group.wearCount += (wearsByItem.get(item.id) || []).length;
+    groups.set(key, group);
+  }
+
+  const totalWears = [...groups.values()].reduce((sum, group) => sum + group.wearCount, 0);
+  return [...groups.values()]
+    .map(group => ({ ...group, wearShare: totalWears ? round(group.wearCount / totalWears, 3) : 0 }))
+    .sort((a, b) => b.wearCount - a.wearCount || b.itemCount - a.itemCount);
+};
+
+const outfitRepeats = (outfitItems, wearsByItem) => {
+  const outfits = new Map();
+  for (const row of outfitItems) {
+    if (!outfits.has(row.outfit_id)) {
+      outfits.set(row.outfit_id, { id: row.outfit_id, name: row.name, itemIds: [] });
+    }
+    outfits.get(row.outfit_id).itemIds.push(row.item_id);
+  }
+
+  return [...outfits.values()]
+    .map(outfit => {
+      // Days on which every item of the outfit was worn
+      const daySets = outfit.itemIds.map(itemId => new Set((wearsByItem.get(itemId) || []).map(toDay)));
+      const wornDays = [...daySets[0]].filter(day => daySets.every(days => days.has(day))).sort();
+
+      const gaps = wornDays.slice(1).map((day, index) => daysBetween(new Date(wornDays[index]), new Date(day)));
+      return {
+        id: outfit.id,
+        name: outfit.name,
+        itemCount: outfit.itemIds.length,
+        timesWorn: wornDays.length,
+        firstWorn: wornDays[0] || null,
+        lastWorn: wornDays[wornDays.length - 1] || null,
+        averageDaysBetweenWears: gaps.length ? round(gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length, 1) : null
+      };
+    })
+    .sort((a, b) => b.timesWorn - a.timesWorn);
+};
+
+const costPerWear = (items, wearsByItem) => {
+  const priced = items
+    .filter(item => item.price !== null && item.price !== undefined)
+    .map(item => {
+      const wearCount = (wearsByItem.get(item.id) || []).length;
+      return {
+        ...summarizeItem(item),
+        price: item.price,
+        purchaseDate: item.purchase_date,
+        wearCount,
+        // Unworn items have no cost-per-wear yet
+        costPerWear: wearCount ? round(item.price / wearCount) : null
+      };
+    })
+    .sort((a, b) => (b.costPerWear ?? Infinity) - (a.costPerWear ?? Infinity));
+
+  const totalSpent = priced.reduce((sum, item) => sum + item.price, 0);
+  const totalWears = priced.reduce((sum, item) => sum + item.wearCount, 0);
+  return {
+    pricedItems: priced.length,
+    unpricedItems: items.length - priced.length,
+    totalSpent: round(totalSpent),
+    totalWears,
+    averageCostPerWear: totalWears ? round(totalSpent / totalWears) : null,
+    items: priced
+  };
+};
+
+// Assemble the full report. windows are day counts, idleDays the idle threshold.
+const buildWearAnalytics = ({ items, wears, outfitItems }, { windows, idleDays, now = new Date() }) => {
+  const wearsByItem = groupWearsByItem(wears);
+
+  return {
+    generatedAt: now.toISOString(),
+    totals: {
+      items: items.length,
+      wears: [...wearsByItem.values()].reduce((sum, dates) => sum + dates.length, 0),
+      // Outfits linked to at least one wardrobe item
+      trackedOutfits: new Set(outfitItems.map(row => row.outfit_id)).size
+    },
+    wearCounts: wearCountsByWindow(items, wearsByItem, windows, now),
+    idleItems: { days: idleDays, items: idleItems(items, wearsByItem, idleDays, now) },
+    categoryDistribution: distribution(items, wearsByItem, 'type'),
+    colorDistribution: distribution(items, wearsByItem, 'color'),
+    outfitRepeats: outfitRepeats(outfitItems, wearsByItem),
+    costPerWear: costPerWear(items, wearsByItem)
+  };
+};
+
+module.exports = {
+  buildWearAnalytics
+};
@@ -0,0 +1,134 @@
+// backend/src/services/calendarService.js
+//
+// Calendar import: each upcoming event from an .ics file is classified into
+// an outfit occasion (config/occasions) and gets a planned outfit for its
+// day. Re-importing the same file updates events in place (matched on UID
+// and start), keeps occasions the user picked by hand and removes events
+// that are no longer in it. Plans for events follow the event's day and
+// occasion.
+const Database = require('../database/Database');
+const CalendarModel = require('../models/CalendarModel');
+const PlanModel = require('../models/PlanModel');
+const { expandEvents } = require('../utils/ics');
+const { findRule } = require('../utils/keywords');
+const { toDateKey, addDays, startOfDay, toSqlDateTime, sqlDateTimeToIso } = require('../utils/dates');
+const {
+  EVENT_OCCASION_RULES,
+  WORKING_HOURS,
+  WORKDAY_OCCASION,
+  FRIDAY_OCCASION,
+  DEFAULT_EVENT_OCCASION
+} = require('../config/occasions');
+
+// event: { summary, description, location, start (Date), allDay }
+// -> { occasion, source: 'keyword' | 'schedule' | 'default', reason }
+const classifyEvent = (event) => {
+  const match = findRule((event.summary || '').toLowerCase(), EVENT_OCCASION_RULES)
+    || findRule(`${event.location || ''} ${event.description || ''}`.toLowerCase(), EVENT_OCCASION_RULES);
+  if (match) {
+    return { occasion: match.rule.occasion, source: 'keyword', reason: `"${match.keyword}" in the event` };
+  }
+
+  const day = event.start.getDay();
+  const hour = event.start.getHours();
+  if (!event.allDay && day >= 1 && day <= 5 && hour >= WORKING_HOURS.start && hour < WORKING_HOURS.end) {
+    return {
+      occasion: day === 5 ? FRIDAY_OCCASION : WORKDAY_OCCASION,
+      source: 'schedule',
+      reason: 'During weekday working hours'
+    };
+  }
+
+  return { occasion: DEFAULT_EVENT_OCCASION, source: 'default', reason: 'No keyword matched' };
+};
+
+// Store the events (from parseIcs) that fall in the next `days` days
+const importEvents = async (userId, events, { source, days, now = new Date() }) => {
+  const from = startOfDay(now);
+  const to = addDays(from, days);
+  const range = { from: toDateKey(from), to: toDateKey(addDays(to, -1)) };
+  const occurrences = expandEvents(events, { from, to });
+  const result = { source, ...range, created: 0, updated: 0, removed: 0, occasions: {} };
+
+  await Database.transaction(async () => {
+    const previous = await CalendarModel.getBySource(userId, source, range.from, range.to);
+    const seen = new Set();
+
+    for (const occurrence of occurrences) {
+      const startTime = toSqlDateTime(occurrence.start);
+      // Events without a UID are told apart by title and start
+      const uid = occurrence.uid || `${occurrence.summary || 'event'}@${startTime}`;
+      const existing = await CalendarModel.findOccurrence(userId, uid, startTime);
+      const manual = existing && existing.occasion_source === 'manual';
+      const classification = classifyEvent(occurrence);
+
+      const fields = {
+        uid,
+        source,
+        summary: occurrence.summary,
+        description: occurrence.description,
+        location: occurrence.location,
+        startTime,
+        endTime: occurrence.end ? toSqlDateTime(occurrence.end) : null,
+        allDay: occurrence.allDay,
+        eventDate: toDateKey(occurrence.start),
+        occasion: manual ? existing.occasion : classification.occasion,
+        occasionSource: manual ? 'manual' : classification.source
+      };
+
+      let eventId;
+      if (existing) {
+        await CalendarModel.update(existing.id, fields);
+        eventId = existing.id;
+        result.updated += 1;
+      } else {
+        eventId = await CalendarModel.create(userId, fields);
+        result.created += 1;
+      }
+      seen.add(eventId);
+      result.occasions[fields.occasion] = (result.occasions[fields.occasion] || 0) + 1;
+
+      const plan = await PlanModel.getByEvent(eventId);
+      if (plan) {
+        await PlanModel.update(plan.id, userId, { planDate: fields.eventDate, occasion: fields.occasion });
+      } else {
+        await PlanModel.create(userId, { planDate: fields.eventDate, eventId, occasion: fields.occasion });
+      }
+    }
+
+    for (const event of previous.filter(row => !seen.has(row.id))) {
+      await PlanModel.releaseEvent(event.id);
+      await CalendarModel.delete(event.id);
+      result.removed += 1;
+    }
+  });
+
+  return result;
+};
+
+// occasion: a name the user picked, or null to go back to the classifier
+const setEventOccasion = async (event, userId, occasion) => {
+  const classification = occasion ? { occasion, source: 'manual' } : classifyEvent({
+    summary: event.summary,
+    description: event.description,
+    location: event.location,
+    start: new Date(sqlDateTimeToIso(event.start_time)),
+    allDay: Boolean(event.all_day)
+  });
+
+  await Database.transaction(async () => {
+    await CalendarModel.setOccasion(event.id, userId, classification.occasion, classification.source);
+    const plan = await PlanModel.getByEvent(event.id);
+    if (plan) {
+      await PlanModel.update(plan.id, userId, { occasion: classification.occasion });
+    }
+  });
+
+  return classification;
+};
+
+module.exports = {
+  classifyEvent,
+  importEvents,
+  setEventOccasion
+};
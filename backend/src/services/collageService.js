@@ -0,0 +1,192 @@
+// backend/src/services/collageService.js
+//
+// Outfit collages: the outfit's item photos (cutouts where there are any)
+// laid out by category on one JPEG in uploads/outfits, used as the outfit's
+// thumbnail when it has no photo of its own. Collages are redrawn in the
+// background whenever what they show changes; outfits.collage_key records
+// what the current one was drawn from.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const OutfitModel = require('../models/OutfitModel');
+const UploadModel = require('../models/UploadModel');
+const { OUTFITS_DIR } = require('../config/paths');
+const { COLLAGE } = require('../config/images');
+const { garmentRole } = require('../utils/taxonomy');
+const { slotFor } = require('./recommendationService');
+const { imagePathForUrl, removeImage, queueVariants } = require('./imageService');
+
+// Collages are drawn one at a time; outfitId -> promise of a redraw that
+// hasn't started yet, so repeated changes share it
+let queue = Promise.resolve();
+const waiting = new Map();
+
+const groupFor = (item) => {
+  const slot = slotFor(item) || garmentRole(item.category, 'slot');
+  return COLLAGE.slotGroups[slot] || COLLAGE.defaultGroup;
+};
+
+// Where each item goes on the canvas: [{ item, left, top, width, height }]
+// in pixels, following COLLAGE.columns
+const layoutCollage = (items) => {
+  const margin = Math.round(COLLAGE.width * COLLAGE.margin);
+  const gap = Math.round(COLLAGE.width * COLLAGE.gap);
+  const byGroup = new Map();
+  items.forEach(item => {
+    if (!byGroup.has(item.group)) byGroup.set(item.group, []);
+    byGroup.get(item.group).push(item);
+  });
+
+  const columns = COLLAGE.columns
+    .map(column => ({ ...column, groups: column.groups.filter(entry => byGroup.has(entry.group)) }))
+    .filter(column => column.groups.length > 0);
+  const totalWidth = columns.reduce((sum, column) => sum + column.width, 0);
+  const innerWidth = COLLAGE.width - 2 * margin;
+  const innerHeight = COLLAGE.height - 2 * margin;
+
+  const placements = [];
+  let x = margin;
+  columns.forEach(column => {
+    const columnWidth = Math.round(innerWidth * column.width / totalWidth);
+    const totalWeight = column.groups.reduce((sum, entry) => sum + entry.weight, 0);
+    let y = margin;
+
+    column.groups.forEach(entry => {
+      const groupHeight = Math.round(innerHeight * entry.weight / totalWeight);
+      const members = byGroup.get(entry.group);
+      const cellWidth = columnWidth / members.length;
+
+      members.forEach((item, index) => {
+        placements.push({
+          item,
+          left: Math.round(x + index * cellWidth + gap / 2),
+          top: Math.round(y + gap / 2),
+          width: Math.max(1, Math.round(cellWidth - gap)),
+          height: Math.max(1, groupHeight - gap)
+        });
+      });
+      y += groupHeight;
+    });
+    x += columnWidth;
+  });
+
+  return placements;
+};
+
+const fileExists = async (filePath) => {
+  try {
+    await fs.promises.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// A photo scaled to fit its cell, or null if it can't be read
+const renderTile = async (placement) => {
+  const imagePath = imagePathForUrl(placement.item.image_url);
+  if (!imagePath) return null;
+  try {
+    const input = await sharp(imagePath, { autoOrient: true })
+      .resize(placement.width, placement.height, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png()
+      .toBuffer();
+    return { input, left: placement.left, top: placement.top };
+  } catch (error) {
+    console.warn(`⚠️ Left ${placement.item.image_url} out of a collage:`, error.message);
+    return null;
+  }
+};
+
+const clearCollage = async (outfit) => {
+  if (!outfit.collage_url) return null;
+  await OutfitModel.setCollage(outfit.id, null, null);
+  await removeImage(outfit.collage_url);
+  return null;
+};
+
+// Draw the outfit's collage unless the current one already shows the same
+// photos in the same places. Returns the collage URL, or null when none of
+// the items has a photo (or the outfit is gone).
+const refreshCollage = async (outfitId) => {
+  const outfit = await OutfitModel.getCollage(outfitId);
+  if (!outfit) return null;
+
+  const items = (await OutfitModel.getCollageItems(outfitId))
+    .filter(item => item.image_url)
+    .slice(0, COLLAGE.maxItems)
+    .map(item => ({ ...item, group: groupFor(item) }));
+  const placements = layoutCollage(items);
+  if (placements.length === 0) return clearCollage(outfit);
+
+  const collageKey = crypto.createHash('sha1')
+    .update(JSON.stringify(placements.map(({ item, left, top, width, height }) => [item.image_url, left, top, width, height])))
+    .digest('hex');
+  if (collageKey === outfit.collage_key && outfit.collage_url &&
+      await fileExists(imagePathForUrl(outfit.collage_url))) {
+    return outfit.collage_url;
+  }
+
+  const tiles = (await Promise.all(placements.map(renderTile))).filter(Boolean);
+  if (tiles.length === 0) return clearCollage(outfit);
+
+  const filename = `collage_${outfitId}_${uuidv4()}.jpg`;
+  const collageUrl = `/uploads/outfits/${filename}`;
+  await sharp({
+    create: { width: COLLAGE.width, height: COLLAGE.height, channels: 3, background: COLLAGE.background }
+  })
+    .composite(tiles)
+    .jpeg({ quality: COLLAGE.quality })
+    .toFile(path.join(OUTFITS_DIR, filename));
+  await UploadModel.setOwner(collageUrl, outfit.user_id);
+
+  const { changes } = await OutfitModel.setCollage(outfitId, collageUrl, collageKey);
+  if (changes === 0) {
+    // Deleted while drawing
+    await removeImage(collageUrl);
+    return null;
+  }
+  if (outfit.collage_url) {
+    await removeImage(outfit.collage_url);
+  }
+  queueVariants(collageUrl);
+  console.log(`🧩 Drew collage for outfit ${outfitId} from ${tiles.length} item(s)`);
+  return collageUrl;
+};
+
+// Redraw after everything already queued; resolves to the collage URL
+const updateCollage = (outfitId) => {
+  if (waiting.has(outfitId)) return waiting.get(outfitId);
+
+  const run = queue.then(() => {
+    waiting.delete(outfitId);
+    return refreshCollage(outfitId);
+  });
+  waiting.set(outfitId, run);
+  queue = run.catch(() => {});
+  return run;
+};
+
+// Redraw in the background after an outfit's items change
+const queueCollage = (outfitId) => {
+  updateCollage(outfitId).catch(error => {
+    console.warn(`⚠️ Could not draw collage for outfit ${outfitId}:`, error.message);
+  });
+};
+
+// Redraw every outfit with this item after its photo, cutout or type changes
+const queueItemCollages = (itemId) => {
+  OutfitModel.getIdsForItem(itemId)
+    .then(outfitIds => outfitIds.forEach(queueCollage))
+    .catch(error => console.warn(`⚠️ Could not find outfits for item ${itemId}:`, error.message));
+};
+
+module.exports = {
+  layoutCollage,
+  refreshCollage,
+  updateCollage,
+  queueCollage,
+  queueItemCollages
+};
@@ -0,0 +1,247 @@
+// backend/src/services/cutoutService.js
+//
+// Offline background removal for item photos. Works for a garment laid or
+// hung against a fairly plain, contrasting background: the colors along the
+// photo's border are taken as background, everything connected to the border
+// in those colors is removed, and what is left becomes a transparent PNG
+// centred on a standard canvas (config/images.js CUTOUT) in uploads/cutouts.
+const path = require('path');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const ItemImageModel = require('../models/ItemImageModel');
+const UploadModel = require('../models/UploadModel');
+const { CUTOUTS_DIR } = require('../config/paths');
+const { CUTOUT } = require('../config/images');
+const { colorDistance } = require('../utils/colors');
+const { imagePathForUrl, removeImage, queueVariants } = require('./imageService');
+const { queueItemCollages } = require('./collageService');
+
+// Photos are cut out one at a time in the background
+let queue = Promise.resolve();
+
+// Background colors: k-means over the border pixels, keeping clusters that
+// cover enough of the border (a garment touching the edge doesn't count)
+const borderColors = (pixels) => {
+  const k = Math.min(CUTOUT.borderClusters, pixels.length);
+  let centers = Array.from({ length: k }, (_, index) => pixels[Math.floor((index * pixels.length) / k)]);
+  let members = [];
+
+  for (let round = 0; round < 6; round++) {
+    members = centers.map(() => []);
+    pixels.forEach(pixel => {
+      let best = 0;
+      centers.forEach((center, index) => {
+        if (colorDistance(pixel, center) < colorDistance(pixel, centers[best])) best = index;
+      });
+      members[best].push(pixel);
+    });
+    centers = centers.map((center, index) => {
+      const group = members[index];
+      if (group.length === 0) return center;
+      return [0, 1, 2].map(channel => group.reduce((sum, pixel) => sum + pixel[channel], 0) / group.length);
+    });
+  }
+
+  return centers.filter((_, index) => members[index].length >= pixels.length * CUTOUT.minClusterShare);
+};
+
+// Foreground mask (0 or 255 per pixel) of a raw RGB image, with its share of
+// the image and bounding box
+const segmentForeground = (data, width, height, channels) => {
+  const count = width * height;
+  const colorAt = (index) => [data[index * channels], data[index * channels + 1], data[index * channels + 2]];
+
+  const border = [];
+  for (let x = 0; x < width; x++) border.push(x, (height - 1) * width + x);
+  for (let y = 1; y < height - 1; y++) border.push(y * width, y * width + width - 1);
+
+  const backgroundColors = borderColors(border.map(colorAt));
+  const distanceToBackground = (index) => {
+    const color = colorAt(index);
+    return Math.min(...backgroundColors.map(background => colorDistance(color, background)));
+  };
+
+  // Grow the background in from the border. A pixel joins when it is close
+  // to a background color, or a little further off but close to the
+  // background pixel next to it (shadows and gradients).
+  const background = new Uint8Array(count);
+  const queue = new Int32Array(count);
+  let head = 0;
+  let tail = 0;
+  border.forEach(index => {
+    if (!background[index] && distanceToBackground(index) < CUTOUT.tolerance) {
+      background[index] = 1;
+      queue[tail++] = index;
+    }
+  });
+
+  while (head < tail) {
+    const index = queue[head++];
+    const x = index % width;
+    const neighbours = [
+      x > 0 ? index - 1 : -1,
+      x < width - 1 ? index + 1 : -1,
+      index - width,
+      index + width
+    ];
+    for (const next of neighbours) {
+      if (next < 0 || next >= count || background[next]) continue;
+      const distance = distanceToBackground(next);
+      if (distance < CUTOUT.tolerance ||
+          (distance < CUTOUT.tolerance * 2 && colorDistance(colorAt(next), colorAt(index)) < CUTOUT.tolerance / 3)) {
+        background[next] = 1;
+        queue[tail++] = next;
+      }
+    }
+  }
+
+  // Label the foreground regions and drop specks
+  const region = new Int32Array(count).fill(-1);
+  const regionSizes = [];
+  for (let start = 0; start < count; start++) {
+    if (background[start] || region[start] !== -1) continue;
+    const label = regionSizes.length;
+    let size = 0;
+    head = 0;
+    tail = 0;
+    queue[tail++] = start;
+    region[start] = label;
+    while (head < tail) {
+      const index = queue[head++];
+      size++;
+      const x = index % width;
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        index - width,
+        index + width
+      ];
+      for (const next of neighbours) {
+        if (next < 0 || next >= count || background[next] || region[next] !== -1) continue;
+        region[next] = label;
+        queue[tail++] = next;
+      }
+    }
+    regionSizes.push(size);
+  }
+
+  const largest = Math.max(0, ...regionSizes);
+  const mask = new Uint8Array(count);
+  const box = { left: width, top: height, right: -1, bottom: -1 };
+  let area = 0;
+  for (let index = 0; index < count; index++) {
+    const label = region[index];
+    if (label === -1 || regionSizes[label] < largest * CUTOUT.minRegionShare) continue;
+    mask[index] = 255;
+    area++;
+    const x = index % width;
+    const y = Math.floor(index / width);
+    box.left = Math.min(box.left, x);
+    box.right = Math.max(box.right, x);
+    box.top = Math.min(box.top, y);
+    box.bottom = Math.max(box.bottom, y);
+  }
+
+  return { mask, share: area / count, box };
+};
+
+// Cut the garment out of an uploaded photo. Returns the cutout's URL; throws
+// when the photo can't be read or no background could be told apart.
+const createCutout = async (imageUrl) => {
+  const imagePath = imagePathForUrl(imageUrl);
+  if (!imagePath) {
+    throw new Error('Image file not found');
+  }
+
+  // Upright, alpha flattened onto white, at most maxSourceSize
+  const { data: source, info } = await sharp(imagePath, { autoOrient: true })
+    .resize({ width: CUTOUT.maxSourceSize, height: CUTOUT.maxSourceSize, fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const sourceRaw = { raw: { width: info.width, height: info.height, channels: info.channels } };
+
+  const { data: small, info: smallInfo } = await sharp(source, sourceRaw)
+    .resize({ width: CUTOUT.workingSize, height: CUTOUT.workingSize, fit: 'inside', withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { mask, share, box } = segmentForeground(small, smallInfo.width, smallInfo.height, smallInfo.channels);
+
+  if (share < CUTOUT.minForeground || share > CUTOUT.maxForeground) {
+    throw new Error(`Could not tell the item from its background (${Math.round(share * 100)}% foreground)`);
+  }
+
+  // Mask back at full size, edges softened
+  const alpha = await sharp(Buffer.from(mask), { raw: { width: smallInfo.width, height: smallInfo.height, channels: 1 } })
+    .resize(info.width, info.height, { fit: 'fill' })
+    .blur(CUTOUT.feather)
+    .extractChannel(0)
+    .raw()
+    .toBuffer();
+
+  const scaleX = info.width / smallInfo.width;
+  const scaleY = info.height / smallInfo.height;
+  const left = Math.max(0, Math.floor(box.left * scaleX));
+  const top = Math.max(0, Math.floor(box.top * scaleY));
+  const right = Math.min(info.width, Math.ceil((box.right + 1) * scaleX));
+  const bottom = Math.min(info.height, Math.ceil((box.bottom + 1) * scaleY));
+
+  const innerWidth = Math.round(CUTOUT.width * (1 - 2 * CUTOUT.padding));
+  const innerHeight = Math.round(CUTOUT.height * (1 - 2 * CUTOUT.padding));
+  // Joined on its own: sharp skips extract/resize in a joinChannel pipeline
+  const withAlpha = await sharp(source, sourceRaw)
+    .joinChannel(alpha, { raw: { width: info.width, height: info.height, channels: 1 } })
+    .raw()
+    .toBuffer();
+  const garment = await sharp(withAlpha, { raw: { width: info.width, height: info.height, channels: 4 } })
+    .extract({ left, top, width: right - left, height: bottom - top })
+    .resize({ width: innerWidth, height: innerHeight, fit: 'inside' })
+    .png()
+    .toBuffer();
+
+  const baseName = path.basename(imagePath, path.extname(imagePath));
+  const filename = `${baseName}-cutout-${uuidv4()}.png`;
+  await sharp({
+    create: { width: CUTOUT.width, height: CUTOUT.height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } }
+  })
+    .composite([{ input: garment, gravity: 'centre' }])
+    .png()
+    .toFile(path.join(CUTOUTS_DIR, filename));
+
+  const cutoutUrl = `/uploads/cutouts/${filename}`;
+  await UploadModel.copyOwner(cutoutUrl, imageUrl);
+  return cutoutUrl;
+};
+
+// Make (or remake) the cutout of an item_images row and record it. The old
+// cutout file is removed; if the photo changed meanwhile the new one is
+// dropped instead. Returns the cutout URL, or null when it was dropped.
+const cutOutImage = async (image) => {
+  const cutoutUrl = await createCutout(image.image_url);
+  const current = await ItemImageModel.getById(image.id, image.item_id);
+  if (!current || !await ItemImageModel.setCutout(image, cutoutUrl)) {
+    await removeImage(cutoutUrl);
+    return null;
+  }
+  if (current.cutout_url) {
+    await removeImage(current.cutout_url);
+  }
+  queueVariants(cutoutUrl);
+  queueItemCollages(image.item_id);
+  console.log(`✂️ Cut out photo ${image.id}`);
+  return cutoutUrl;
+};
+
+// Cut out in the background after a photo is added or changed
+const queueCutout = (image) => {
+  queue = queue
+    .then(() => cutOutImage(image))
+    .catch(error => console.warn(`⚠️ No cutout for photo ${image.id}:`, error.message));
+};
+
+module.exports = {
+  segmentForeground,
+  createCutout,
+  cutOutImage,
+  queueCutout
+};
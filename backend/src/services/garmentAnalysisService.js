@@ -0,0 +1,359 @@
+// backend/src/services/garmentAnalysisService.js
+//
+// Colors and pattern of one garment, read from its crop: up to three
+// palette colors weighted by how much of the garment they cover, and
+// whether it is solid, striped, checked, dotted or printed
+// (config/images.js GARMENT_ANALYSIS). The work is done on plain pixel
+// arrays, so the classifiers can be run on any image.
+const sharp = require('sharp');
+const { GARMENT_ANALYSIS } = require('../config/images');
+const { rgbToLab, rgbToHex, deltaE2000, matchColor } = require('../utils/colors');
+
+// The middle of the picture (inset trimmed off each side), at most size px
+// on its longest side: { width, height, rgb, lab, opaque } with 3 values a
+// pixel in rgb and lab, and 0 in opaque for transparent pixels and the
+// background. A crop is padded with background around the garment, so when
+// one color fills most of the trimmed border (plainBackground) but much less
+// of the middle (backgroundInside times as much), it is background there too.
+const readPixels = async (input) => {
+  const { size, inset, mergeDifference, plainBackground, backgroundInside } = GARMENT_ANALYSIS;
+  const { data, info } = await sharp(input, { autoOrient: true })
+    .ensureAlpha()
+    .resize({ width: size, height: size, fit: 'inside' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const left = Math.floor(info.width * inset);
+  const top = Math.floor(info.height * inset);
+  const width = info.width - 2 * left;
+  const height = info.height - 2 * top;
+  if (width < 3 || height < 3) {
+    throw new Error('Image is too small to analyse');
+  }
+
+  const rgb = new Uint8Array(width * height * 3);
+  const lab = new Float32Array(width * height * 3);
+  const opaque = new Uint8Array(width * height);
+  const border = [];
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      const source = (y * info.width + x) * 4;
+      if (data[source + 3] < 128) continue;
+      const color = [data[source], data[source + 1], data[source + 2]];
+      if (x < left || y < top || x >= left + width || y >= top + height) {
+        border.push(rgbToLab(color));
+        continue;
+      }
+      const index = (y - top) * width + x - left;
+      rgb.set(color, index * 3);
+      lab.set(rgbToLab(color), index * 3);
+      opaque[index] = 1;
+    }
+  }
+
+  if (border.length > 0) {
+    const median = [0, 1, 2].map(channel => {
+      const values = border.map(color => color[channel]).sort((a, b) => a - b);
+      return values[Math.floor(values.length / 2)];
+    });
+    const isBackground = (color) => deltaE2000(color, median) < mergeDifference;
+    const borderShare = border.filter(isBackground).length / border.length;
+
+    const inside = [];
+    opaque.forEach((isOpaque, index) => {
+      if (isOpaque && isBackground(lab.subarray(index * 3, index * 3 + 3))) inside.push(index);
+    });
+    const insideShare = inside.length / opaque.reduce((sum, isOpaque) => sum + isOpaque, 0);
+
+    if (borderShare >= plainBackground && insideShare < borderShare * backgroundInside) {
+      inside.forEach(index => { opaque[index] = 0; });
+      // with the pixels blending into it
+      const outline = [];
+      opaque.forEach((isOpaque, index) => {
+        const x = index % width;
+        if (isOpaque && ((x > 0 && !opaque[index - 1]) || (x < width - 1 && !opaque[index + 1]) ||
+            opaque[index - width] === 0 || opaque[index + width] === 0)) {
+          outline.push(index);
+        }
+      });
+      outline.forEach(index => { opaque[index] = 0; });
+    }
+  }
+
+  return { width, height, rgb, lab, opaque };
+};
+
+const labDistance = (lab, index, center) => {
+  const dl = lab[index * 3] - center[0];
+  const da = lab[index * 3 + 1] - center[1];
+  const db = lab[index * 3 + 2] - center[2];
+  return dl * dl + da * da + db * db;
+};
+
+// Up to maxColors palette colors covering the opaque pixels, largest first:
+// [{ name, hex, family, weight }] with weights adding up to 1. Pixels are
+// clustered by k-means in Lab, seeded from the most different pixels so a
+// thin stripe still gets a cluster.
+const dominantColors = ({ rgb, lab, opaque }) => {
+  const { clusters, rounds, mergeDifference, blendDistance, minColorShare, maxColors } = GARMENT_ANALYSIS;
+  const indexes = [];
+  opaque.forEach((isOpaque, index) => { if (isOpaque) indexes.push(index); });
+  if (indexes.length === 0) return [];
+
+  const sample = indexes.filter((_, position) => position % Math.ceil(indexes.length / 2000) === 0);
+  const mean = [0, 1, 2].map(channel => sample.reduce((sum, index) => sum + lab[index * 3 + channel], 0) / sample.length);
+  const centers = [];
+  const nearest = sample.map(index => labDistance(lab, index, mean));
+  while (centers.length < Math.min(clusters, sample.length)) {
+    const farthest = nearest.reduce((best, distance, position) => (distance > nearest[best] ? position : best), 0);
+    const index = sample[farthest];
+    const center = [lab[index * 3], lab[index * 3 + 1], lab[index * 3 + 2]];
+    centers.push(center);
+    sample.forEach((other, position) => {
+      nearest[position] = Math.min(nearest[position], labDistance(lab, other, center));
+    });
+  }
+
+  const assignment = new Int32Array(indexes.length);
+  for (let round = 0; round < rounds; round++) {
+    const sums = centers.map(() => [0, 0, 0, 0]);
+    indexes.forEach((index, position) => {
+      let best = 0;
+      let bestDistance = Infinity;
+      centers.forEach((center, cluster) => {
+        const distance = labDistance(lab, index, center);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = cluster;
+        }
+      });
+      assignment[position] = best;
+      sums[best][0] += lab[index * 3];
+      sums[best][1] += lab[index * 3 + 1];
+      sums[best][2] += lab[index * 3 + 2];
+      sums[best][3]++;
+    });
+    sums.forEach(([l, a, b, count], cluster) => {
+      if (count > 0) centers[cluster] = [l / count, a / count, b / count];
+    });
+  }
+
+  // Clusters as [l, a, b, r, g, b, count] sums; ones closer than
+  // mergeDifference are shades of one color (a fold, a shadow) and merge
+  let groups = centers.map(() => [0, 0, 0, 0, 0, 0, 0]);
+  indexes.forEach((index, position) => {
+    const group = groups[assignment[position]];
+    for (let channel = 0; channel < 3; channel++) {
+      group[channel] += lab[index * 3 + channel];
+      group[channel + 3] += rgb[index * 3 + channel];
+    }
+    group[6]++;
+  });
+  groups = groups.filter(group => group[6] > 0);
+  const labOf = (group) => group.slice(0, 3).map(sum => sum / group[6]);
+  const rgbOf = (group) => group.slice(3, 6).map(sum => sum / group[6]);
+  for (;;) {
+    let closest = null;
+    groups.forEach((first, i) => groups.slice(i + 1).forEach((second, offset) => {
+      const difference = deltaE2000(labOf(first), labOf(second));
+      if (difference < mergeDifference && (!closest || difference < closest.difference)) {
+        closest = { i, j: i + 1 + offset, difference };
+      }
+    }));
+    if (!closest) break;
+    groups[closest.i] = groups[closest.i].map((sum, channel) => sum + groups[closest.j][channel]);
+    groups.splice(closest.j, 1);
+  }
+
+  // Pixels along the boundary of two colors average out between them; a
+  // smaller cluster lying on the line between two larger ones is dropped
+  groups.sort((a, b) => b[6] - a[6]);
+  const isBlend = (group, position) => groups.slice(0, position).some((first, i) =>
+    groups.slice(i + 1, position).some(second => {
+      const [from, to, point] = [rgbOf(first), rgbOf(second), rgbOf(group)];
+      const span = to.map((value, channel) => value - from[channel]);
+      const length = span.reduce((sum, value) => sum + value * value, 0);
+      const along = span.reduce((sum, value, channel) => sum + value * (point[channel] - from[channel]), 0) / length;
+      if (along <= 0.1 || along >= 0.9) return false;
+      return Math.hypot(...point.map((value, channel) => value - from[channel] - along * span[channel])) < blendDistance;
+    }));
+  groups = groups.filter((group, position) => !isBlend(group, position));
+
+  // Named, merged again by name
+  const byName = new Map();
+  groups.forEach(group => {
+    const { name } = matchColor(rgbOf(group));
+    if (name === 'unknown') return;
+    const [r, g, b] = group.slice(3, 6);
+    const merged = byName.get(name) || [0, 0, 0, 0];
+    byName.set(name, [merged[0] + r, merged[1] + g, merged[2] + b, merged[3] + group[6]]);
+  });
+
+  const kept = [...byName.values()]
+    .filter(([, , , count]) => count >= indexes.length * minColorShare)
+    .sort((a, b) => b[3] - a[3])
+    .slice(0, maxColors);
+  const keptCount = kept.reduce((sum, [, , , count]) => sum + count, 0);
+
+  return kept.map(([r, g, b, count]) => {
+    const color = matchColor([r / count, g / count, b / count]);
+    return {
+      name: color.name,
+      hex: rgbToHex([r / count, g / count, b / count]),
+      family: color.family,
+      weight: Number((count / keptCount).toFixed(2))
+    };
+  });
+};
+
+// Whether the pixels that stand out from the ground (the median lightness)
+// form enough small, round-ish blobs of about the same size
+const hasDots = ({ width, height, lab, opaque }) => {
+  const { dotContrast, minDots, minDotPixels, minDotFill, maxDotAspect, maxDotSizeSpread } = GARMENT_ANALYSIS;
+  const count = width * height;
+  const lightness = [];
+  for (let index = 0; index < count; index++) {
+    if (opaque[index]) lightness.push(lab[index * 3]);
+  }
+  if (lightness.length === 0) return false;
+  lightness.sort((a, b) => a - b);
+  const ground = lightness[Math.floor(lightness.length / 2)];
+
+  const ink = new Uint8Array(count);
+  for (let index = 0; index < count; index++) {
+    ink[index] = opaque[index] && Math.abs(lab[index * 3] - ground) > dotContrast ? 1 : 0;
+  }
+
+  // Blobs cut off by the edge of the picture (or of the garment) don't count
+  const blobs = [];
+  const seen = new Uint8Array(count);
+  const queue = new Int32Array(count);
+  for (let start = 0; start < count; start++) {
+    if (!ink[start] || seen[start]) continue;
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = start;
+    seen[start] = 1;
+    const blob = { size: 0, left: width, right: 0, top: height, bottom: 0, cut: false };
+    while (head < tail) {
+      const index = queue[head++];
+      const x = index % width;
+      const y = Math.floor(index / width);
+      blob.size++;
+      blob.left = Math.min(blob.left, x);
+      blob.right = Math.max(blob.right, x);
+      blob.top = Math.min(blob.top, y);
+      blob.bottom = Math.max(blob.bottom, y);
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) blob.cut = true;
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        y > 0 ? index - width : -1,
+        y < height - 1 ? index + width : -1
+      ];
+      for (const next of neighbours) {
+        if (next < 0) continue;
+        if (!opaque[next]) blob.cut = true;
+        if (!ink[next] || seen[next]) continue;
+        seen[next] = 1;
+        queue[tail++] = next;
+      }
+    }
+    if (!blob.cut && blob.size >= minDotPixels) blobs.push(blob);
+  }
+  if (blobs.length < minDots) return false;
+
+  const round = blobs.filter(blob => {
+    const blobWidth = blob.right - blob.left + 1;
+    const blobHeight = blob.bottom - blob.top + 1;
+    return blob.size / (blobWidth * blobHeight) >= minDotFill &&
+      Math.max(blobWidth, blobHeight) / Math.min(blobWidth, blobHeight) <= maxDotAspect;
+  });
+  if (round.length < minDots || round.length < blobs.length * 0.8) return false;
+
+  const meanSize = round.reduce((sum, blob) => sum + blob.size, 0) / round.length;
+  const spread = Math.sqrt(round.reduce((sum, blob) => sum + (blob.size - meanSize) ** 2, 0) / round.length) / meanSize;
+  return spread <= maxDotSizeSpread;
+};
+
+// 'solid', 'striped', 'checked', 'dotted' or 'printed', from the Sobel
+// gradients of the Lab channels: solid when most tiles of the picture have
+// few edges. Edge directions are summed as doubled angles
+// (stripes line up, crossing lines cancel) and as quadrupled angles (lines
+// square to each other line up too). Null when nothing opaque is left.
+const classifyPattern = (pixels) => {
+  const { width, height, lab, opaque } = pixels;
+  const { edgeStrength, tiles, solidEdgeShare, stripeCoherence, checkCoherence } = GARMENT_ANALYSIS;
+
+  // Pixels and edges per tile
+  const counted = new Array(tiles * tiles).fill(0);
+  const edges = new Array(tiles * tiles).fill(0);
+  let strength = 0;
+  const doubled = [0, 0];
+  const quadrupled = [0, 0];
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      let inside = true;
+      for (let dy = -1; dy <= 1 && inside; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (!opaque[(y + dy) * width + x + dx]) {
+            inside = false;
+            break;
+          }
+        }
+      }
+      if (!inside) continue;
+      const tile = Math.floor(y * tiles / height) * tiles + Math.floor(x * tiles / width);
+      counted[tile]++;
+
+      // The channel that changes most, so red on green of equal lightness
+      // still has an edge
+      let gx = 0;
+      let gy = 0;
+      let magnitude = 0;
+      for (let channel = 0; channel < 3; channel++) {
+        const at = (dx, dy) => lab[((y + dy) * width + x + dx) * 3 + channel];
+        const channelX = at(1, -1) + 2 * at(1, 0) + at(1, 1) - at(-1, -1) - 2 * at(-1, 0) - at(-1, 1);
+        const channelY = at(-1, 1) + 2 * at(0, 1) + at(1, 1) - at(-1, -1) - 2 * at(0, -1) - at(1, -1);
+        const channelMagnitude = Math.hypot(channelX, channelY);
+        if (channelMagnitude > magnitude) {
+          [gx, gy, magnitude] = [channelX, channelY, channelMagnitude];
+        }
+      }
+      if (magnitude < edgeStrength) continue;
+
+      edges[tile]++;
+      strength += magnitude;
+      const angle = Math.atan2(gy, gx);
+      doubled[0] += magnitude * Math.cos(2 * angle);
+      doubled[1] += magnitude * Math.sin(2 * angle);
+      quadrupled[0] += magnitude * Math.cos(4 * angle);
+      quadrupled[1] += magnitude * Math.sin(4 * angle);
+    }
+  }
+
+  // A pattern covers the garment; a seam, a logo or the garment's outline
+  // only some of the tiles
+  const densities = counted
+    .map((count, tile) => (count > 0 ? edges[tile] / count : null))
+    .filter(density => density !== null)
+    .sort((a, b) => a - b);
+  if (densities.length === 0) return null;
+  if (densities[Math.floor(densities.length / 2)] < solidEdgeShare) return 'solid';
+  if (Math.hypot(...doubled) / strength >= stripeCoherence) return 'striped';
+  if (Math.hypot(...quadrupled) / strength >= checkCoherence) return 'checked';
+  return hasDots(pixels) ? 'dotted' : 'printed';
+};
+
+// input is a file path or an image buffer -> { colors, pattern }
+const analyzeGarment = async (input) => {
+  const pixels = await readPixels(input);
+  return { colors: dominantColors(pixels), pattern: classifyPattern(pixels) };
+};
+
+module.exports = {
+  readPixels,
+  dominantColors,
+  classifyPattern,
+  analyzeGarment
+};
@@ -0,0 +1,292 @@
+// backend/src/services/garmentLayeringService.js
+//
+// Which garments of an outfit photo are worn over which, from the bounding
+// boxes of the detections (config/layering.js): each garment gets a layer,
+// garments hidden under others (a shirt under a suit or beside a tie) are
+// inferred, and every garment's colors are read only from the pixels no
+// garment over it covers. resolveLayers works on a plain pixel array, so it
+// can be run on any image.
+const sharp = require('sharp');
+const { GARMENT_LAYERS, INFERRED_LAYERS, LAYERING } = require('../config/layering');
+const { rgbToLab, hexToRgb, deltaE2000 } = require('../utils/colors');
+const { normalizeTerm, lineageOf, garmentRole } = require('../utils/taxonomy');
+const { dominantColors } = require('./garmentAnalysisService');
+
+// 'base', 'main', 'accent', 'mid', 'outer', 'accessory' or null
+const layerOf = (type) => garmentRole(type, 'layer');
+
+// Whether type is one of names or filed under one (INFERRED_LAYERS)
+const isAny = (type, names) => {
+  const lineage = [normalizeTerm(type), ...lineageOf(type).map(node => normalizeTerm(node.name))];
+  return names.some(name => lineage.includes(normalizeTerm(name)));
+};
+
+// The photo, upright, at most LAYERING.size px: { width, height, rgb }
+const readImage = async (input) => {
+  const { data, info } = await sharp(input, { autoOrient: true })
+    .removeAlpha()
+    .resize({ width: LAYERING.size, height: LAYERING.size, fit: 'inside' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { width: info.width, height: info.height, rgb: new Uint8Array(data) };
+};
+
+// Normalized bounding box -> [left, top, right, bottom] in pixels, or null
+const boxRect = (boundingBox, width, height) => {
+  if (!boundingBox || boundingBox.length < 4) return null;
+  const xs = boundingBox.map(vertex => Math.min(1, Math.max(0, vertex.x || 0)) * width);
+  const ys = boundingBox.map(vertex => Math.min(1, Math.max(0, vertex.y || 0)) * height);
+  const rect = [Math.floor(Math.min(...xs)), Math.floor(Math.min(...ys)), Math.ceil(Math.max(...xs)), Math.ceil(Math.max(...ys))];
+  return rect[2] > rect[0] && rect[3] > rect[1] ? rect : null;
+};
+
+const fillRect = (mask, width, height, [left, top, right, bottom]) => {
+  for (let y = Math.max(0, top); y < Math.min(height, bottom); y++) {
+    mask.fill(1, y * width + Math.max(0, left), y * width + Math.min(width, right));
+  }
+};
+
+// Pixels of the photo's background: a color filling plainBackground of the
+// edge, flooded inwards while pixels stay close to it
+const findBackground = (width, height, lab) => {
+  const background = new Uint8Array(width * height);
+  const edge = [];
+  for (let x = 0; x < width; x++) edge.push(x, (height - 1) * width + x);
+  for (let y = 1; y < height - 1; y++) edge.push(y * width, y * width + width - 1);
+
+  const labAt = (index) => lab.subarray(index * 3, index * 3 + 3);
+  const median = [0, 1, 2].map(channel => {
+    const values = edge.map(index => lab[index * 3 + channel]).sort((a, b) => a - b);
+    return values[Math.floor(values.length / 2)];
+  });
+  const isBackground = (index) => deltaE2000(labAt(index), median) < LAYERING.backgroundDifference;
+  const seeds = edge.filter(isBackground);
+  if (seeds.length < edge.length * LAYERING.plainBackground) return background;
+
+  const queue = new Int32Array(width * height);
+  let tail = 0;
+  seeds.forEach(index => {
+    if (background[index]) return;
+    background[index] = 1;
+    queue[tail++] = index;
+  });
+  for (let head = 0; head < tail; head++) {
+    const index = queue[head];
+    const x = index % width;
+    const neighbours = [x > 0 ? index - 1 : -1, x < width - 1 ? index + 1 : -1, index - width, index + width];
+    for (const next of neighbours) {
+      if (next < 0 || next >= width * height || background[next] || !isBackground(next)) continue;
+      background[next] = 1;
+      queue[tail++] = next;
+    }
+  }
+  return background;
+};
+
+const isSkin = (r, g, b) => {
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  const { skin } = LAYERING;
+  return cb >= skin.cb[0] && cb <= skin.cb[1] && cr >= skin.cr[0] && cr <= skin.cr[1];
+};
+
+// Garments inferred under the detected ones, by INFERRED_LAYERS. A detected
+// garment that makes a rule unnecessary but has no box of its own (a label
+// such as "dress shirt") is looked for where the inferred one would be.
+const inferGarments = (garments) => {
+  const inferred = [];
+  INFERRED_LAYERS.forEach(rule => {
+    const under = [];
+    let confidence = 0;
+    garments.forEach((garment, position) => {
+      const entry = rule.under.find(candidate => isAny(garment.type, candidate.garments));
+      if (!entry) return;
+      under.push(position);
+      confidence = Math.max(confidence, entry.confidence);
+    });
+    if (under.length === 0) return;
+
+    const present = [...garments, ...inferred].filter(garment => isAny(garment.type, rule.unless));
+    if (present.length > 0) {
+      const unplaced = present.find(garment => !garment.inferred && !garment.rect && !garment.revealedBy);
+      if (unplaced && present.every(garment => !garment.rect)) unplaced.revealedBy = under;
+      return;
+    }
+
+    inferred.push({
+      type: rule.type,
+      color: rule.color || null,
+      layer: layerOf(rule.type),
+      inferred: true,
+      confidence,
+      // The garments it was inferred under, which it shows around
+      revealedBy: under
+    });
+  });
+  return inferred;
+};
+
+const hexToLab = (hex) => rgbToLab(hexToRgb(hex));
+
+// colors less the ones (after the first) within claimDifference of any of
+// others, reweighing the rest
+const withoutColors = (colors, others) => {
+  const othersLab = others.map(color => hexToLab(color.hex));
+  const kept = colors.filter((color, position) => position === 0 ||
+    !othersLab.some(lab => deltaE2000(hexToLab(color.hex), lab) < LAYERING.claimDifference));
+  if (kept.length === colors.length) return colors;
+  const total = kept.reduce((sum, color) => sum + color.weight, 0);
+  return kept.map(color => ({ ...color, weight: Number((color.weight / total).toFixed(2)) }));
+};
+
+// items: [{ type, boundingBox }] with normalized bounding boxes, as detected.
+// image: { width, height, rgb } with 3 values a pixel, or null to work on
+// the boxes alone (no colors then). Returns { garments, order }: garments
+// has one entry for each item, in the same order, then one for each
+// inferred garment: { type, layer, inferred, colors, over, under } with
+// over and under positions in garments, and inferred ones also carrying
+// confidence and the color to fall back on. order lists the positions of
+// the garments that have a layer, innermost first.
+const resolveLayers = (image, items) => {
+  const width = image ? image.width : LAYERING.size;
+  const height = image ? image.height : LAYERING.size;
+  const pixelCount = width * height;
+
+  const detected = items.map(item => ({
+    type: (item.type || '').toLowerCase(),
+    layer: layerOf(item.type),
+    inferred: false,
+    rect: boxRect(item.boundingBox, width, height)
+  }));
+  const garments = [...detected, ...inferGarments(detected)];
+
+  // Where each garment is: its box, or for one placed by inferGarments the
+  // boxes it is under grown by their reveal
+  garments.forEach(garment => {
+    garment.area = null;
+    if (!garment.layer) return;
+    const rects = garment.revealedBy
+      ? garment.revealedBy.map(position => {
+          const { rect, layer } = garments[position];
+          const reveal = LAYERING.reveal[layer];
+          if (!rect || !reveal) return rect;
+          const [left, top, right, bottom] = rect;
+          const sides = Math.round((right - left) * reveal.sides);
+          return [left - sides, top - Math.round((bottom - top) * reveal.top), right + sides, bottom];
+        })
+      : [garment.rect];
+    if (!rects.some(Boolean)) return;
+    garment.area = new Uint8Array(pixelCount);
+    rects.filter(Boolean).forEach(rect => fillRect(garment.area, width, height, rect));
+  });
+
+  const depthOf = (garment) => GARMENT_LAYERS.indexOf(garment.layer);
+  const layeredIn = (list) => list.map((_, position) => position).filter(position => list[position].layer);
+
+  // Colors, from the outermost layer in
+  garments.forEach(garment => { garment.colors = []; });
+  if (image) {
+    const layered = layeredIn(garments);
+    const lab = new Float32Array(pixelCount * 3);
+    for (let index = 0; index < pixelCount; index++) {
+      lab.set(rgbToLab([image.rgb[index * 3], image.rgb[index * 3 + 1], image.rgb[index * 3 + 2]]), index * 3);
+    }
+    const background = findBackground(width, height, lab);
+    const takenDepth = new Int8Array(pixelCount).fill(-1);
+
+    const depths = [...new Set(layered.map(position => depthOf(garments[position])))].sort((a, b) => b - a);
+    depths.forEach(depth => {
+      const inLayer = layered.filter(position => depthOf(garments[position]) === depth && garments[position].area);
+      inLayer.forEach(position => {
+        const garment = garments[position];
+        const shown = new Uint8Array(pixelCount);
+        for (let index = 0; index < pixelCount; index++) {
+          if (!garment.area[index] || background[index] || takenDepth[index] > depth) continue;
+          if (garment.revealedBy && isSkin(image.rgb[index * 3], image.rgb[index * 3 + 1], image.rgb[index * 3 + 2])) continue;
+          shown[index] = 1;
+        }
+        // less the pixels along its outline, which blend into what is next to it
+        const visible = new Uint8Array(pixelCount);
+        let count = 0;
+        for (let index = 0; index < pixelCount; index++) {
+          const x = index % width;
+          if (!shown[index] || x === 0 || x === width - 1 || !shown[index - 1] || !shown[index + 1] ||
+              !shown[index - width] || !shown[index + width]) continue;
+          visible[index] = 1;
+          count++;
+        }
+        garment.visible = visible;
+        if (count >= LAYERING.minPixels) garment.colors = dominantColors({ rgb: image.rgb, lab, opaque: visible });
+      });
+
+      // Taken only once the whole layer has looked
+      inLayer.forEach(position => {
+        const { visible, colors } = garments[position];
+        if (colors.length === 0) return;
+        const mainLab = hexToLab(colors[0].hex);
+        for (let index = 0; index < pixelCount; index++) {
+          if (visible[index] && deltaE2000(lab.subarray(index * 3, index * 3 + 3), mainLab) < LAYERING.claimDifference) {
+            takenDepth[index] = depth;
+          }
+        }
+      });
+    });
+  }
+
+  // Inferred garments without a color to fall back on need to be seen
+  const resolved = garments.filter(garment => !garment.inferred || garment.color || garment.colors.length > 0);
+  const layered = layeredIn(resolved);
+
+  // Who covers whom
+  resolved.forEach(garment => {
+    garment.over = [];
+    garment.under = [];
+  });
+  layered.forEach(outer => layered.forEach(inner => {
+    const [outerGarment, innerGarment] = [resolved[outer], resolved[inner]];
+    if (depthOf(outerGarment) <= depthOf(innerGarment) || !outerGarment.area || !innerGarment.area) return;
+    let shared = 0;
+    let outerSize = 0;
+    let innerSize = 0;
+    for (let index = 0; index < pixelCount; index++) {
+      outerSize += outerGarment.area[index];
+      innerSize += innerGarment.area[index];
+      shared += outerGarment.area[index] & innerGarment.area[index];
+    }
+    if (shared < Math.min(outerSize, innerSize) * LAYERING.minOverlap) return;
+    outerGarment.over.push(inner);
+    innerGarment.under.push(outer);
+  }));
+
+  // A second color of an outer garment close to the main color of one it
+  // covers is that garment showing through (a shirt front inside a jacket),
+  // and the other way round for what is left of the outer's colors
+  resolved.forEach(outer => outer.over.forEach(inner => {
+    const innerColors = resolved[inner].colors;
+    if (innerColors.length > 0) outer.colors = withoutColors(outer.colors, innerColors.slice(0, 1));
+  }));
+  resolved.forEach(inner => inner.under.forEach(outer => {
+    inner.colors = withoutColors(inner.colors, resolved[outer].colors);
+  }));
+
+  const order = [...layered].sort((a, b) => depthOf(resolved[a]) - depthOf(resolved[b]) || a - b);
+
+  return {
+    garments: resolved.map(garment => ({
+      type: garment.type,
+      layer: garment.layer,
+      inferred: garment.inferred,
+      ...(garment.inferred && { confidence: garment.confidence, color: garment.color }),
+      colors: garment.colors,
+      over: garment.over,
+      under: garment.under
+    })),
+    order
+  };
+};
+
+module.exports = {
+  layerOf,
+  readImage,
+  resolveLayers
+};
@@ -0,0 +1,170 @@
+// backend/src/services/imageCropService.js
+const sharp = require('sharp');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { CROPS_DIR } = require('../config/paths');
+
+// Helper function to create cropped images from multiple bounding boxes (for shoes)
+const createCombinedCroppedImage = (imageBuffer, boundingBoxes, itemName) => {
+  // First, create a rotated buffer to ensure consistent dimensions
+  return sharp(imageBuffer)
+    .rotate() // Auto-rotate based on EXIF orientation
+    .toBuffer({ resolveWithObject: true })
+    .then(({ data: rotatedBuffer, info }) => {
+      const { width, height } = info;
+      
+      console.log(`   🎯 Processing combined crop for ${itemName} - Image dimensions: ${width}x${height}`);
+      
+      // Calculate combined bounding box that encompasses all individual boxes
+      let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+      
+      boundingBoxes.forEach((boundingBox, index) => {
+        const vertices = boundingBox;
+        if (vertices && vertices.length >= 4) {
+          const xCoords = vertices.map(v => (v.x || 0) * width);
+          const yCoords = vertices.map(v => (v.y || 0) * height);
+          
+          minX = Math.min(minX, ...xCoords);
+          minY = Math.min(minY, ...yCoords);
+          maxX = Math.max(maxX, ...xCoords);
+          maxY = Math.max(maxY, ...yCoords);
+          
+          console.log(`      Box ${index + 1}: X[${Math.floor(Math.min(...xCoords))}-${Math.ceil(Math.max(...xCoords))}], Y[${Math.floor(Math.min(...yCoords))}-${Math.ceil(Math.max(...yCoords))}]`);
+        }
+      });
+      
+      // Add padding for combined crops
+      const PADDING_PERCENT = 0.1; // 10% padding
+      const boxWidth = maxX - minX;
+      const boxHeight = maxY - minY;
+      const xPadding = boxWidth * PADDING_PERCENT;
+      const yPadding = boxHeight * PADDING_PERCENT;
+      
+      // Apply padding to the bounds
+      minX = Math.max(0, minX - xPadding);
+      minY = Math.max(0, minY - yPadding);
+      maxX = Math.min(width - 1, maxX + xPadding);
+      maxY = Math.min(height - 1, maxY + yPadding);
+      
+      // Calculate final crop bounds
+      const left = Math.max(0, Math.floor(minX));
+      const top = Math.max(0, Math.floor(minY));
+      const right = Math.min(width - 1, Math.ceil(maxX));
+      const bottom = Math.min(height - 1, Math.ceil(maxY));
+      
+      const cropWidth = Math.max(1, right - left);
+      const cropHeight = Math.max(1, bottom - top);
+      
+      console.log(`   📐 Combined crop area: left=${left}, top=${top}, width=${cropWidth}, height=${cropHeight}`);
+      console.log(`      Applied ${PADDING_PERCENT * 100}% padding to combined box`);
+      
+      if (cropWidth <= 0 || cropHeight <= 0 || left + cropWidth > width || top + cropHeight > height) {
+        console.error(`   ❌ Invalid crop dimensions: ${cropWidth}x${cropHeight} at (${left},${top}) for image ${width}x${height}`);
+        throw new Error(`Invalid combined crop dimensions: ${cropWidth}x${cropHeight} at position (${left},${top})`);
+      }
+      
+      // Generate unique filename
+      const filename = `${itemName}_${uuidv4()}.jpg`;
+      const outputPath = path.join(CROPS_DIR, filename);
+      
+      // Crop and save the combined image from the rotated buffer
+      return sharp(rotatedBuffer)
+        .extract({
+          left: left,
+          top: top,
+          width: cropWidth,
+          height: cropHeight
+        })
+        .jpeg({ quality: 85 })
+        .toFile(outputPath)
+        .then(() => {
+          console.log(`   ✅ Saved combined crop: ${filename}`);
+          return `/uploads/crops/${filename}`;
+        })
+        .catch(err => {
+          console.error(`   ❌ Sharp extract error:`, err.message);
+          throw err;
+        });
+    });
+};
+
+// Helper function to create cropped images from bounding boxes
+const createCroppedImage = (imageBuffer, boundingBox, itemName) => {
+  // First, create a rotated buffer to ensure consistent dimensions
+  return sharp(imageBuffer)
+    .rotate() // Auto-rotate based on EXIF orientation
+    .toBuffer({ resolveWithObject: true })
+    .then(({ data: rotatedBuffer, info }) => {
+      const { width, height } = info;
+      
+      console.log(`   🎯 Processing crop for ${itemName} - Image dimensions: ${width}x${height}`);
+      
+      // Convert normalized coordinates to pixel coordinates
+      const vertices = boundingBox;
+      if (!vertices || vertices.length < 4) {
+        throw new Error('Invalid bounding box: missing vertices');
+      }
+      
+      // Find bounding rectangle from normalized vertices
+      const xCoords = vertices.map(v => (v.x || 0) * width);
+      const yCoords = vertices.map(v => (v.y || 0) * height);
+      
+      console.log(`      Normalized coords: X[${Math.min(...vertices.map(v => v.x || 0)).toFixed(3)}-${Math.max(...vertices.map(v => v.x || 0)).toFixed(3)}], Y[${Math.min(...vertices.map(v => v.y || 0)).toFixed(3)}-${Math.max(...vertices.map(v => v.y || 0)).toFixed(3)}]`);
+      console.log(`      Pixel coords: X[${Math.floor(Math.min(...xCoords))}-${Math.ceil(Math.max(...xCoords))}], Y[${Math.floor(Math.min(...yCoords))}-${Math.ceil(Math.max(...yCoords))}]`);
+      
+      // Add padding to the bounding box to ensure we capture the full item
+      // This helps when Vision API detection is too tight
+      const PADDING_PERCENT = 0.1; // 10% padding on each side
+      const boxWidth = Math.max(...xCoords) - Math.min(...xCoords);
+      const boxHeight = Math.max(...yCoords) - Math.min(...yCoords);
+      const xPadding = boxWidth * PADDING_PERCENT;
+      const yPadding = boxHeight * PADDING_PERCENT;
+      
+      // Calculate bounds with padding and safety checks
+      const left = Math.max(0, Math.floor(Math.min(...xCoords) - xPadding));
+      const top = Math.max(0, Math.floor(Math.min(...yCoords) - yPadding));
+      const right = Math.min(width - 1, Math.ceil(Math.max(...xCoords) + xPadding));
+      const bottom = Math.min(height - 1, Math.ceil(Math.max(...yCoords) + yPadding));
+      
+      const cropWidth = Math.max(1, right - left);
+      const cropHeight = Math.max(1, bottom - top);
+      
+      console.log(`      Applied ${PADDING_PERCENT * 100}% padding - Final crop: left=${left}, top=${top}, width=${cropWidth}, height=${cropHeight}`);
+      
+      console.log(`   📐 Crop area: left=${left}, top=${top}, width=${cropWidth}, height=${cropHeight}`);
+      
+      // Validate crop dimensions
+      if (cropWidth <= 0 || cropHeight <= 0 || left + cropWidth > width || top + cropHeight > height) {
+        console.error(`   ❌ Invalid crop dimensions: ${cropWidth}x${cropHeight} at (${left},${top}) for image ${width}x${height}`);
+        throw new Error(`Invalid crop dimensions: ${cropWidth}x${cropHeight} at position (${left},${top})`);
+      }
+      
+      // Generate unique filename
+      const filename = `${itemName}_${uuidv4()}.jpg`;
+      const outputPath = path.join(CROPS_DIR, filename);
+      
+      // Crop and save the image from the rotated buffer
+      return sharp(rotatedBuffer)
+        .extract({
+          left: left,
+          top: top,
+          width: cropWidth,
+          height: cropHeight
+        })
+        .jpeg({ quality: 85 })
+        .toFile(outputPath)
+        .then(() => {
+          console.log(`   ✅ Saved crop: ${filename}`);
+          return `/uploads/crops/${filename}`;
+        })
+        .catch(err => {
+          console.error(`   ❌ Sharp extract error:`, err.message);
+          throw err;
+        });
+    });
+};
+
+module.exports = {
+  createCroppedImage,
+  createCombinedCroppedImage
+};
@@ -0,0 +1,141 @@
+// backend/src/services/imageHashService.js
+//
+// Perceptual hashes of images: 64-bit aHash (each pixel of an 8x8 greyscale
+// thumbnail against the mean) and dHash (each pixel of a 9x8 thumbnail
+// against its right neighbour), as 16 hex digits. Similar-looking pictures
+// get hashes that differ in few bits, whatever their size or compression.
+// Alongside them goes a coarse color histogram (config/images.js HISTOGRAM),
+// which tells a navy shirt from a white one where the hashes can't. Both
+// are cached in image_hashes by URL.
+const sharp = require('sharp');
+const ImageHashModel = require('../models/ImageHashModel');
+const { HISTOGRAM } = require('../config/images');
+const { rgbToHsl } = require('../utils/colors');
+const { imagePathForUrl } = require('./imageService');
+
+// Bits (true/false, 64 of them) -> hex
+const bitsToHex = (bits) => {
+  let hex = '';
+  for (let index = 0; index < bits.length; index += 4) {
+    const nibble = bits.slice(index, index + 4).reduce((value, bit) => (value << 1) | (bit ? 1 : 0), 0);
+    hex += nibble.toString(16);
+  }
+  return hex;
+};
+
+const greyThumbnail = (input, width, height) => sharp(input, { autoOrient: true })
+  .flatten({ background: '#ffffff' })
+  .greyscale()
+  .resize(width, height, { fit: 'fill' })
+  .raw()
+  .toBuffer();
+
+// Share of the picture's opaque pixels in each bin: colored pixels by hue
+// and lightness, greys by lightness alone. Transparent pixels (the
+// background of a cutout) don't count.
+const colorHistogram = async (input) => {
+  const { size, hues, greys, minSaturation } = HISTOGRAM;
+  const data = await sharp(input, { autoOrient: true })
+    .ensureAlpha()
+    .resize(size, size, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  const bins = new Array(hues * 2 + greys).fill(0);
+  let counted = 0;
+  for (let index = 0; index < data.length; index += 4) {
+    if (data[index + 3] < 128) continue;
+    const [hue, saturation, lightness] = rgbToHsl(data[index], data[index + 1], data[index + 2]);
+    const lightnessBin = (levels) => Math.min(levels - 1, Math.floor(lightness * levels));
+    if (saturation >= minSaturation && lightness > 0.1 && lightness < 0.9) {
+      bins[Math.floor(hue / 360 * hues) % hues * 2 + lightnessBin(2)]++;
+    } else {
+      bins[hues * 2 + lightnessBin(greys)]++;
+    }
+    counted++;
+  }
+  return bins.map(count => (counted ? Number((count / counted).toFixed(4)) : 0));
+};
+
+// input is a file path or an image buffer
+const computeHashes = async (input) => {
+  const [average, gradient, histogram] = await Promise.all([
+    greyThumbnail(input, 8, 8),
+    greyThumbnail(input, 9, 8),
+    colorHistogram(input)
+  ]);
+
+  const pixels = [...average];
+  const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length;
+  const aBits = pixels.map(value => value > mean);
+
+  const dBits = [];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      dBits.push(gradient[y * 9 + x] > gradient[y * 9 + x + 1]);
+    }
+  }
+
+  return { ahash: bitsToHex(aBits), dhash: bitsToHex(dBits), histogram };
+};
+
+const hammingDistance = (hexA, hexB) => {
+  let difference = BigInt(`0x${hexA}`) ^ BigInt(`0x${hexB}`);
+  let count = 0;
+  while (difference > 0n) {
+    count += Number(difference & 1n);
+    difference >>= 1n;
+  }
+  return count;
+};
+
+// Mean of the aHash and dHash distances, 0 (same picture) .. 64
+const hashDistance = (a, b) => (hammingDistance(a.ahash, b.ahash) + hammingDistance(a.dhash, b.dhash)) / 2;
+
+// Hash distance -> similarity: 1 at 0, falling to 0 at 2 x maxDistance
+const hashSimilarity = (distance, maxDistance) => Math.max(0, 1 - distance / (2 * maxDistance));
+
+// Histogram intersection, 0 (no colors in common) .. 1 (same mix)
+const histogramSimilarity = (a, b) => a.reduce((sum, share, index) => sum + Math.min(share, b[index] || 0), 0);
+
+// Hashes of uploaded images by URL: Map url -> { ahash, dhash, histogram }.
+// Missing ones (or ones cached before histograms) are computed and cached;
+// images that can't be read are left out.
+const getHashes = async (imageUrls) => {
+  const urls = [...new Set(imageUrls.filter(Boolean))];
+  const hashes = new Map((await ImageHashModel.getMany(urls))
+    .filter(row => row.histogram)
+    .map(row => [row.image_url, { ...row, histogram: JSON.parse(row.histogram) }]));
+
+  for (const url of urls) {
+    if (hashes.has(url)) continue;
+    const imagePath = imagePathForUrl(url);
+    if (!imagePath) continue;
+    try {
+      const computed = await computeHashes(imagePath);
+      await ImageHashModel.save(url, computed);
+      hashes.set(url, computed);
+    } catch (error) {
+      console.warn(`⚠️ Could not hash ${url}:`, error.message);
+    }
+  }
+  return hashes;
+};
+
+// Hash new uploads in the background so duplicate checks find them cached
+const queueHashes = (imageUrls) => {
+  getHashes(imageUrls).catch(error => {
+    console.warn('⚠️ Could not hash images:', error.message);
+  });
+};
+
+module.exports = {
+  colorHistogram,
+  computeHashes,
+  hammingDistance,
+  hashDistance,
+  hashSimilarity,
+  histogramSimilarity,
+  getHashes,
+  queueHashes
+};
@@ -0,0 +1,156 @@
+// backend/src/services/imageService.js
+//
+// Uploaded photos on disk: cleaning up new uploads, the resized WebP
+// variants served with ?size=, and user rotations. Images are referred to by
+// their public "/uploads/..." URL; variants live under uploads/variants/ at
+// the same relative path plus ".<size>.webp".
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const UploadModel = require('../models/UploadModel');
+const { UPLOADS_DIR, VARIANTS_DIR, resolveUploadPath, uploadUrlToPath } = require('../config/paths');
+const { IMAGE_SIZES, VARIANT_QUALITY, NORMALIZED_FORMATS } = require('../config/images');
+
+// Variant path -> promise of it being written, so concurrent requests for a
+// missing variant share one resize
+const pending = new Map();
+
+// "/uploads/..." URL -> path on disk, or null if it points outside uploads/
+const imagePathForUrl = (imageUrl) => (imageUrl ? resolveUploadPath(uploadUrlToPath(imageUrl)) : null);
+
+const variantPath = (imagePath, size) => path.join(
+  VARIANTS_DIR,
+  `${path.relative(UPLOADS_DIR, imagePath)}.${size}.webp`
+);
+
+const fileTime = async (filePath) => {
+  try {
+    return (await fs.promises.stat(filePath)).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Apply the EXIF orientation and drop metadata (GPS position included) in
+// place. Files that have neither, or that sharp can't re-encode, are left
+// alone. Returns whether the file was rewritten.
+const normalizeImage = async (imagePath) => {
+  const metadata = await sharp(imagePath).metadata();
+  const options = NORMALIZED_FORMATS[metadata.format];
+  if (!options) return false;
+
+  const rotated = metadata.orientation && metadata.orientation !== 1;
+  if (!rotated && !metadata.exif && !metadata.xmp && !metadata.iptc) return false;
+
+  // Written beside the original and swapped in, so a failure leaves it intact
+  const tempPath = `${imagePath}.tmp`;
+  try {
+    await sharp(imagePath, { autoOrient: true })
+      .keepIccProfile()
+      .toFormat(metadata.format, options)
+      .toFile(tempPath);
+    await fs.promises.rename(tempPath, imagePath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+  return true;
+};
+
+// Path of the image's variant of the given size, written first if it is
+// missing or older than the image. Null when the image doesn't exist.
+const ensureVariant = async (imagePath, size) => {
+  const imageTime = await fileTime(imagePath);
+  if (imageTime === null) return null;
+
+  const target = variantPath(imagePath, size);
+  const targetTime = await fileTime(target);
+  if (targetTime !== null && targetTime >= imageTime) return target;
+
+  if (!pending.has(target)) {
+    const { width, height } = IMAGE_SIZES[size];
+    const tempPath = `${target}.${process.pid}.tmp`;
+    const write = (async () => {
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      try {
+        await sharp(imagePath, { autoOrient: true })
+          .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+          .webp({ quality: VARIANT_QUALITY })
+          .toFile(tempPath);
+        await fs.promises.rename(tempPath, target);
+      } catch (error) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw error;
+      }
+    })().finally(() => pending.delete(target));
+    pending.set(target, write);
+  }
+  await pending.get(target);
+  return target;
+};
+
+// Every size of an uploaded image, smallest first
+const generateVariants = async (imageUrl) => {
+  const imagePath = imagePathForUrl(imageUrl);
+  if (!imagePath) return;
+  for (const size of Object.keys(IMAGE_SIZES)) {
+    await ensureVariant(imagePath, size);
+  }
+};
+
+// Background variant generation after an upload. Requests that arrive
+// before it finishes wait for the same resize.
+const queueVariants = (imageUrl) => {
+  generateVariants(imageUrl).catch(error => {
+    console.warn(`⚠️ Could not create image sizes for ${imageUrl}:`, error.message);
+  });
+};
+
+// Rotate an image clockwise by degrees into a new file next to it (new URL,
+// so cached copies of the old one don't linger). Returns the new URL.
+const rotateImage = async (imageUrl, degrees) => {
+  const imagePath = imagePathForUrl(imageUrl);
+  if (!imagePath || await fileTime(imagePath) === null) {
+    throw new Error('Image file not found');
+  }
+
+  const metadata = await sharp(imagePath).metadata();
+  const format = NORMALIZED_FORMATS[metadata.format] ? metadata.format : 'jpeg';
+  const extension = format === 'jpeg' ? (path.extname(imagePath) || '.jpg') : `.${format}`;
+  // image-1.jpg -> image-1-r<uuid>.jpg; rotating again replaces the suffix
+  // (older rotations have -r<time>)
+  const baseName = path.basename(imagePath, path.extname(imagePath)).replace(/-r(?:\d+|[0-9a-f-]{36})$/, '');
+  const rotatedPath = path.join(path.dirname(imagePath), `${baseName}-r${uuidv4()}${extension}`);
+
+  await sharp(imagePath, { autoOrient: true })
+    .rotate(degrees)
+    .toFormat(format, NORMALIZED_FORMATS[format])
+    .toFile(rotatedPath);
+
+  const rotatedUrl = `/uploads/${path.relative(UPLOADS_DIR, rotatedPath).split(path.sep).join('/')}`;
+  await UploadModel.copyOwner(rotatedUrl, imageUrl);
+  return rotatedUrl;
+};
+
+// Delete an image, its variants and its owner record. Callers check nothing
+// references it.
+const removeImage = async (imageUrl) => {
+  const imagePath = imagePathForUrl(imageUrl);
+  if (!imagePath) return;
+  await fs.promises.rm(imagePath, { force: true });
+  for (const size of Object.keys(IMAGE_SIZES)) {
+    await fs.promises.rm(variantPath(imagePath, size), { force: true });
+  }
+  await UploadModel.remove(imageUrl);
+};
+
+module.exports = {
+  imagePathForUrl,
+  normalizeImage,
+  ensureVariant,
+  generateVariants,
+  queueVariants,
+  rotateImage,
+  removeImage
+};
@@ -0,0 +1,241 @@
+// backend/src/services/laundryService.js
+//
+// Laundry lifecycle for wardrobe items:
+//
+//   clean -> dirty -> hamper -> washing -> drying -> clean
+//
+// Exit scans count wears since the last wash; a clean item goes dirty once
+// it reaches its category's wears-before-wash. Items can skip ahead (a dirty
+// shirt straight into the wash, a hand-washed one straight to clean) but
+// never backwards out of the machine.
+const Database = require('../database/Database');
+const LaundryModel = require('../models/LaundryModel');
+const {
+  normalizeTerm,
+  getTaxonomy,
+  lineageOf,
+  defaultWearsBeforeWash
+} = require('../utils/taxonomy');
+
+const LAUNDRY_STATES = ['clean', 'dirty', 'hamper', 'washing', 'drying'];
+
+const TRANSITIONS = {
+  clean: ['dirty', 'hamper', 'washing'],
+  dirty: ['hamper', 'washing', 'clean'],
+  hamper: ['dirty', 'washing', 'clean'],
+  washing: ['drying', 'clean'],
+  drying: ['washing', 'clean']
+};
+
+const isLaundryState = (state) => LAUNDRY_STATES.includes(state);
+
+// Items saved before laundry tracking may have no (or a stray) status
+const currentState = (item) => (isLaundryState(item.laundry_status) ? item.laundry_status : 'clean');
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// Wears-before-wash comes from the taxonomy (utils/taxonomy.js): the item
+// type's node, else the nearest parent that sets one, else the fallback.
+// userRules: Map of lower-cased category -> wears. A rule for the exact item
+// type beats one for a node of its lineage (the most specific first), which
+// beats the defaults.
+const resolveWearsBeforeWash = (type, userRules = new Map()) => {
+  const exact = normalizeTerm(type);
+  if (exact && userRules.has(exact)) {
+    return { category: exact, wearsBeforeWash: userRules.get(exact), source: 'user' };
+  }
+
+  const lineage = lineageOf(type);
+  const fallback = getTaxonomy().fallback;
+  const names = (lineage.length > 0 ? lineage : [fallback]).map(node => normalizeTerm(node.name));
+  const ruled = names.find(name => userRules.has(name));
+  if (ruled) {
+    return { category: ruled, wearsBeforeWash: userRules.get(ruled), source: 'user' };
+  }
+
+  const defaulted = lineage.find(node => node.wearsBeforeWash !== null);
+  return {
+    category: defaulted ? normalizeTerm(defaulted.name) : names[names.length - 1],
+    wearsBeforeWash: defaultWearsBeforeWash(lineage[0]),
+    source: 'default'
+  };
+};
+
+const loadUserRules = async (userId) => {
+  const rows = await LaundryModel.getRules(userId);
+  return new Map(rows.map(row => [row.category.toLowerCase(), row.wears_before_wash]));
+};
+
+// Taxonomy nodes that set a wears-before-wash, and the fallback, with the
+// user's overrides applied; plus the user's other rules, with the default
+// they replace when they name a taxonomy node
+const getEffectiveRules = async (userId) => {
+  const userRules = await loadUserRules(userId);
+  const { categories, types, fallback } = getTaxonomy();
+  const nodes = new Map();
+  [...categories, ...types].forEach(node => {
+    const category = normalizeTerm(node.name);
+    if (!nodes.has(category)) nodes.set(category, node);
+  });
+
+  const ruleFor = (category, keywords, defaultWearsBeforeWash) => ({
+    category,
+    keywords,
+    defaultWearsBeforeWash,
+    wearsBeforeWash: userRules.has(category) ? userRules.get(category) : defaultWearsBeforeWash,
+    source: userRules.has(category) ? 'user' : 'default'
+  });
+  const nodeRule = (category, node) => ruleFor(category, [normalizeTerm(node.name), ...node.synonyms], defaultWearsBeforeWash(node));
+
+  const builtIn = [...nodes.entries()]
+    .filter(([, node]) => node.wearsBeforeWash !== null)
+    .map(([category, node]) => nodeRule(category, node));
+  builtIn.push(ruleFor(normalizeTerm(fallback.name), [], fallback.wearsBeforeWash));
+
+  const builtInNames = new Set(builtIn.map(rule => rule.category));
+  const custom = [...userRules.keys()]
+    .filter(category => !builtInNames.has(category))
+    .map(category => (nodes.has(category) ? nodeRule(category, nodes.get(category)) : ruleFor(category, [], null)));
+
+  return [...builtIn, ...custom];
+};
+
+// Called after exit scans have bumped wears_since_wash. Clean items that
+// reached their threshold go dirty; returns the ids that changed.
+const applyWearThresholds = async (itemIds, userId) => {
+  const items = await LaundryModel.getItems(userId, itemIds);
+  const userRules = await loadUserRules(userId);
+  const dirtied = [];
+
+  for (const item of items) {
+    if (currentState(item) !== 'clean') continue;
+    const { wearsBeforeWash } = resolveWearsBeforeWash(item.type, userRules);
+    if (wearsBeforeWash > 0 && item.wears_since_wash >= wearsBeforeWash) {
+      await LaundryModel.setStatus(item.id, 'dirty');
+      dirtied.push(item.id);
+    }
+  }
+
+  if (dirtied.length > 0) {
+    console.log(`🧺 ${dirtied.length} items reached their wear limit and need washing`);
+  }
+  return dirtied;
+};
+
+// Requested ids without repeats, and a rejection for each that isn't a string
+const readIds = (itemIds) => ({
+  ids: [...new Set(itemIds.filter(id => typeof id === 'string'))],
+  rejected: itemIds.filter(id => typeof id !== 'string').map(id => ({ id, reason: 'Item id must be a string' }))
+});
+
+// Move items to `to`. Items not owned by the user, or whose current state
+// can't move there (or isn't one of fromStates, when given), are reported
+// instead of failing the whole batch. Items already in `to` count as
+// updated so bulk actions can be repeated.
+const transitionItems = async (itemIds, userId, to, fromStates = null) => {
+  const { ids, rejected } = readIds(itemIds);
+  const items = await LaundryModel.getItems(userId, ids);
+  const itemsById = new Map(items.map(item => [item.id, item]));
+  const updated = [];
+
+  await Database.transaction(async () => {
+    for (const id of ids) {
+      const item = itemsById.get(id);
+      if (!item) {
+        rejected.push({ id, reason: 'Item not found' });
+        continue;
+      }
+
+      const from = currentState(item);
+      if (from === to) {
+        updated.push({ id, name: item.name, from, to });
+        continue;
+      }
+      if (!canTransition(from, to)) {
+        rejected.push({ id, name: item.name, from, reason: `Cannot move from ${from} to ${to}` });
+        continue;
+      }
+      if (fromStates && !fromStates.includes(from)) {
+        rejected.push({ id, name: item.name, from, reason: `Only ${fromStates.join(' or ')} items can move to ${to}` });
+        continue;
+      }
+
+      await LaundryModel.setStatus(id, to);
+      updated.push({ id, name: item.name, from, to });
+    }
+  });
+
+  return { status: to, updated, rejected };
+};
+
+// Move every item currently in one of `fromStates` to `to` - the bulk "did
+// laundry" actions. Given itemIds, just those move; any that aren't the
+// user's or aren't in fromStates come back as rejected.
+const transitionAllInStates = async (userId, fromStates, to, itemIds = null) => {
+  if (itemIds) {
+    return transitionItems(itemIds, userId, to, fromStates);
+  }
+  const items = await LaundryModel.getItemsInStates(userId, fromStates);
+  return transitionItems(items.map(item => item.id), userId, to, fromStates);
+};
+
+// Ready-to-put-away items go back in the closet (what an RFID arrival would
+// do). Given itemIds, just those; any that aren't the user's or aren't ready
+// come back as rejected.
+const putAwayItems = async (userId, itemIds = null) => {
+  let items = await LaundryModel.getReadyToPutAway(userId);
+  let rejected = [];
+  if (itemIds) {
+    const requested = readIds(itemIds);
+    const ready = new Map(items.map(item => [item.id, item]));
+    const owned = new Map((await LaundryModel.getItems(userId, requested.ids)).map(item => [item.id, item]));
+    rejected = requested.rejected;
+    items = [];
+    requested.ids.forEach(id => {
+      if (ready.has(id)) {
+        items.push(ready.get(id));
+      } else if (owned.has(id)) {
+        rejected.push({ id, name: owned.get(id).name, reason: 'Not ready to put away' });
+      } else {
+        rejected.push({ id, reason: 'Item not found' });
+      }
+    });
+  }
+
+  await Database.transaction(async () => {
+    for (const item of items) {
+      await LaundryModel.putAway(item.id);
+    }
+  });
+  return { putAway: items.map(item => ({ id: item.id, name: item.name })), rejected };
+};
+
+const getOverview = async (userId) => {
+  const [items, readyToPutAway, userRules] = await Promise.all([
+    LaundryModel.getItems(userId),
+    LaundryModel.getReadyToPutAway(userId),
+    loadUserRules(userId)
+  ]);
+
+  const groups = Object.fromEntries(LAUNDRY_STATES.map(state => [state, []]));
+  for (const item of items) {
+    const { wearsBeforeWash } = resolveWearsBeforeWash(item.type, userRules);
+    groups[currentState(item)].push({ ...item, wears_before_wash: wearsBeforeWash });
+  }
+
+  return { groups, readyToPutAway };
+};
+
+module.exports = {
+  LAUNDRY_STATES,
+  TRANSITIONS,
+  isLaundryState,
+  canTransition,
+  resolveWearsBeforeWash,
+  getEffectiveRules,
+  applyWearThresholds,
+  transitionItems,
+  transitionAllInStates,
+  putAwayItems,
+  getOverview
+};
@@ -0,0 +1,288 @@
+// backend/src/services/outfitAnalysisService.js
+const { analyzeImageWithVision, mergeDetectedItems } = require('./visionAnalysisService');
+const { createCroppedImage, createCombinedCroppedImage } = require('./imageCropService');
+const { matchItemsWithWardrobe } = require('./wardrobeMatchingService');
+const { generateOutfitName, checkForDuplicateOutfits } = require('./outfitService');
+const { analyzeGarment } = require('./garmentAnalysisService');
+const { readImage, resolveLayers } = require('./garmentLayeringService');
+const { imagePathForUrl } = require('./imageService');
+const UploadModel = require('../models/UploadModel');
+const { categoryOf, garmentRole, getTaxonomy } = require('../utils/taxonomy');
+
+const titleCase = (text) => text.replace(/\b\w/g, letter => letter.toUpperCase());
+
+// What the item's crop shows (garmentAnalysisService): its largest color
+// becomes the item's color, and leads its name while that is still the
+// generated one; the others become its secondary colors
+const applyGarmentLook = (item, { colors, pattern }) => {
+  item.pattern = pattern;
+  if (colors.length === 0) return;
+
+  const [main, ...secondary] = colors;
+  const generatedPrefix = titleCase(`${item.color} `);
+  if (item.name.startsWith(generatedPrefix)) {
+    item.name = titleCase(`${main.name} `) + item.name.slice(generatedPrefix.length);
+  }
+  item.color = main.name;
+  item.colorHex = main.hex;
+  item.secondaryColors = secondary;
+};
+
+// Turn an outfit photo into items for the user to review: detect, name and
+// color each item, work out how the garments are layered (inferring hidden
+// ones), merge shoes, crop each item, recognise the ones already in the
+// user's wardrobe and look for similar saved outfits. Nothing is saved here.
+const analyzeOutfitImage = async (imageBuffer, userId) => {
+  const base64Image = imageBuffer.toString('base64');
+
+  // Analyze the outfit image
+  const { detectedItems, brands, colors } = await analyzeImageWithVision(`data:image/jpeg;base64,${base64Image}`);
+  
+  console.log('\n🔍 ANALYZE OUTFIT - VISION API RESULTS');
+  console.log('══════════════════════════════════════════════════════════════');
+  console.log(`🎯 Total items detected: ${detectedItems.length}`);
+  console.log(`🔖 Brands detected: ${brands.length > 0 ? brands.join(', ') : 'None'}`);
+  console.log(`🎨 Colors detected: ${colors.length > 0 ? colors.join(', ') : 'None'}`);
+  
+  console.log('\n📦 Detailed item breakdown:');
+  detectedItems.forEach((item, idx) => {
+    console.log(`\n  [${idx + 1}] ${item.type.toUpperCase()}`);
+    console.log(`      Confidence: ${item.confidence}%`);
+    console.log(`      Source: ${item.source}`);
+    if (item.boundingBox) {
+      const bbox = item.boundingBox;
+      console.log(`      Bounding Box: YES`);
+      console.log(`         Coordinates: [${bbox[0]?.x?.toFixed(3)},${bbox[0]?.y?.toFixed(3)}] to [${bbox[2]?.x?.toFixed(3)},${bbox[2]?.y?.toFixed(3)}]`);
+    } else {
+      console.log(`      Bounding Box: NO (will use full image)`);
+    }
+  });
+
+  // Process detected items and create proper item objects
+  const processedItems = detectedItems.map((item, index) => {
+    const itemType = item.type.toLowerCase();
+    const category = categoryOf(itemType);
+    
+    // Use intelligent color assignment based on Vision API results
+    let primaryColor = null;
+    
+    // First, check if this item has a bounding box to extract color from that region
+    if (colors.length > 0) {
+      if (item.boundingBox) {
+        // For now, use the first detected color from Vision API
+        // In a more sophisticated implementation, we could analyze the specific region
+        primaryColor = colors[index % colors.length] || colors[0];
+        console.log(`\n  🎨 COLOR ASSIGNMENT for ${item.type}:`);
+        console.log(`     Assigned color: "${primaryColor}" (from detected color ${(index % colors.length) + 1}/${colors.length})`);
+        console.log(`     Method: Using bounding box region`);
+      } else {
+        // If no bounding box, distribute colors across items
+        primaryColor = colors[index % colors.length];
+        console.log(`\n  🎨 COLOR ASSIGNMENT for ${item.type}:`);
+        console.log(`     Assigned color: "${primaryColor}" (from detected color ${(index % colors.length) + 1}/${colors.length})`);
+        console.log(`     Method: Distributed assignment (no bounding box)`);
+      }
+    } else {
+      console.log(`\n  ⚠️  COLOR ASSIGNMENT for ${item.type}:`);
+      console.log(`     No colors detected by Vision API, will use fallback`);
+    }
+    
+    // The taxonomy's usual color for the garment if Vision didn't detect one
+    if (!primaryColor || primaryColor === 'Unknown' || primaryColor === 'unknown') {
+      primaryColor = garmentRole(itemType, 'color') || getTaxonomy().fallback.color;
+      console.log(`     Fallback color: "${primaryColor}"`);
+      console.log(`     Reason: Vision API returned no/unknown color`);
+    }
+    
+    // Create item name
+    const itemName = titleCase(`${primaryColor} ${item.type}`);
+
+    // We'll generate cropped images after processing all items
+    let croppedImageUrl = null;
+
+    return {
+      name: itemName,
+      category: category,
+      color: primaryColor,
+      // Filled in from the crop
+      colorHex: null,
+      secondaryColors: [],
+      pattern: null,
+      type: itemType,
+      confidence: item.confidence / 100,
+      boundingBox: item.boundingBox,
+      croppedImageUrl: croppedImageUrl,
+      brand: brands.length > 0 ? brands[0] : '',
+      ocrText: item.ocrText || null,
+      // Filled in by the layering
+      layer: null,
+      layerOrder: null,
+      status: 'new',
+      matchedItem: null
+    };
+  });
+
+  // Work out which garments are worn over which, infer the ones hidden
+  // under them (a dress shirt under a suit) and read each garment's colors
+  // from the part of it that shows
+  console.log('\n🧥 LAYERING');
+  console.log('══════════════════════════════════════════════════════════════');
+  let image = null;
+  try {
+    image = await readImage(imageBuffer);
+  } catch (error) {
+    console.warn('  ⚠️  Could not read the photo for layering:', error.message);
+  }
+  const { garments, order } = resolveLayers(image, processedItems);
+
+  // Colors of garments overlapping others; the crop of such a garment
+  // also shows what is over or under it
+  const visibleColors = new Map();
+  processedItems.forEach((item, position) => {
+    const garment = garments[position];
+    item.layer = garment.layer;
+    if (garment.colors.length > 0 && (garment.over.length > 0 || garment.under.length > 0)) {
+      applyGarmentLook(item, { colors: garment.colors, pattern: null });
+      visibleColors.set(item, garment.colors);
+    }
+  });
+
+  const complementaryItems = garments.slice(processedItems.length).map(garment => {
+    const [main, ...secondary] = garment.colors;
+    const color = main ? main.name : garment.color;
+    console.log(`\n  → INFERENCE: Adding ${garment.type} (under ${garment.under.map(position => garments[position].type).join(', ')})`);
+    console.log(main ? `  → Detected ${garment.type} color: ${color}` : `  → No clear ${garment.type} color detected, using default: ${color}`);
+
+    return {
+      name: titleCase(`${color} ${garment.type}`),
+      category: categoryOf(garment.type),
+      color,
+      colorHex: main ? main.hex : null,
+      secondaryColors: secondary,
+      pattern: null,
+      type: garment.type,
+      confidence: garment.confidence,
+      boundingBox: null, // No specific bounding box
+      croppedImageUrl: null,
+      brand: '',
+      layer: garment.layer,
+      layerOrder: null,
+      status: 'new',
+      matchedItem: null,
+      inferred: true // Mark as inferred
+    };
+  });
+
+  // Add complementary items to processed items
+  const allItems = [...processedItems, ...complementaryItems];
+  order.forEach((position, rank) => { allItems[position].layerOrder = rank; });
+  console.log(`  Layers, innermost first: ${order.map(position => allItems[position].name).join(' < ') || 'none'}`);
+  console.log(`\n  Total inferred items: ${complementaryItems.length}`);
+  console.log(`  Total items after inference: ${allItems.length}`);
+
+  // Merge similar detected items (especially shoes) before matching with wardrobe
+  console.log('\n🔗 ITEM MERGING PROCESS');
+  console.log('══════════════════════════════════════════════════════════════');
+  console.log(`  Items before merge: ${allItems.length}`);
+  const mergedItems = mergeDetectedItems(allItems);
+  console.log(`  Items after merge: ${mergedItems.length}`);
+  console.log(`  Items merged: ${allItems.length - mergedItems.length}`);
+  // Renumbered so merged items leave no gaps in the layer order
+  mergedItems
+    .filter(item => item.layerOrder !== null)
+    .sort((a, b) => a.layerOrder - b.layerOrder)
+    .forEach((item, rank) => { item.layerOrder = rank; });
+
+  // Generate cropped images for each item (after merging)
+  console.log('🖼️  Generating cropped images for detected items...');
+  for (let i = 0; i < mergedItems.length; i++) {
+    const item = mergedItems[i];
+    
+    try {
+      let croppedUrl;
+      
+      // Special handling for shoes with multiple bounding boxes
+      if (item.type === 'shoes' && item.allBoundingBoxes && item.allBoundingBoxes.length > 1) {
+        console.log(`   🖼️  Creating combined crop for ${item.allBoundingBoxes.length} shoes`);
+        croppedUrl = await createCombinedCroppedImage(
+          imageBuffer, 
+          item.allBoundingBoxes, 
+          `${item.type}_${i}`
+        );
+      } else if (item.boundingBox && item.boundingBox.length >= 4) {
+        // Validate bounding box before cropping
+        const isValidBox = item.boundingBox.every(vertex => 
+          vertex.hasOwnProperty('x') && vertex.hasOwnProperty('y') &&
+          vertex.x >= 0 && vertex.x <= 1 && vertex.y >= 0 && vertex.y <= 1
+        );
+        
+        if (isValidBox) {
+          croppedUrl = await createCroppedImage(
+            imageBuffer, 
+            item.boundingBox, 
+            `${item.type}_${i}`
+          );
+        } else {
+          console.log(`   ⚠️  Invalid bounding box for ${item.type}, skipping crop`);
+          croppedUrl = null;
+        }
+      } else if (item.useFullImage) {
+        console.log(`   📷  Using full image for ${item.type} (label-based detection)`);
+        croppedUrl = null; // Will use full image in frontend
+      } else {
+        console.log(`   ⚠️  No bounding box available for ${item.type}`);
+        croppedUrl = null;
+      }
+      
+      if (croppedUrl) {
+        await UploadModel.setOwner(croppedUrl, userId);
+        mergedItems[i].croppedImageUrl = croppedUrl;
+        console.log(`   ✓ Generated crop for ${item.type}: ${croppedUrl}`);
+
+        try {
+          // Colors read from the visible part of the garment win over its crop's
+          const look = await analyzeGarment(imagePathForUrl(croppedUrl));
+          const colors = visibleColors.get(item);
+          applyGarmentLook(mergedItems[i], colors ? { ...look, colors } : look);
+          const colorList = [mergedItems[i].color, ...mergedItems[i].secondaryColors.map(color => color.name)];
+          console.log(`   🎨 ${item.type}: ${colorList.join(', ')} (${mergedItems[i].pattern})`);
+        } catch (error) {
+          console.warn(`   ⚠️  Could not read the colors of the ${item.type} crop:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error(`   ✗ Failed to crop ${item.type}:`, error.message);
+    }
+  }
+
+  // Recognise items already in the wardrobe by their crops
+  const matchedItems = await matchItemsWithWardrobe(mergedItems, userId);
+
+  // Check for duplicate outfits before saving
+  let duplicateOutfits = [];
+  try {
+    duplicateOutfits = await checkForDuplicateOutfits(matchedItems, userId, imageBuffer);
+    console.log(`🔍 Found ${duplicateOutfits.length} similar outfits`);
+  } catch (dupError) {
+    console.error('⚠️  Error checking for duplicates:', dupError.message);
+  }
+
+  // DON'T automatically save - just return the detected items for user review
+  // The frontend will call a separate endpoint to save after user confirmation
+  console.log('\n📋 FINAL PROCESSING SUMMARY');
+  console.log('══════════════════════════════════════════════════════════════');
+  console.log(`  Status: Returning items for user review (not saving)`);
+  console.log(`  Total matched items: ${matchedItems.length}`);
+  console.log(`  New items: ${matchedItems.filter(item => item.status === 'new').length}`);
+  console.log(`  Existing items: ${matchedItems.filter(item => item.status === 'existing').length}`);
+  
+  // Generate a suggested outfit name for the frontend to use
+  const suggestedOutfitName = generateOutfitName(matchedItems);
+  console.log(`  Suggested outfit name: "${suggestedOutfitName}"`);
+
+  return { matchedItems, duplicateOutfits, suggestedOutfitName };
+};
+
+module.exports = {
+  analyzeOutfitImage
+};
@@ -0,0 +1,344 @@
+// backend/src/services/outfitService.js
+const { v4: uuidv4 } = require('uuid');
+const path = require('path');
+const fs = require('fs');
+const OutfitModel = require('../models/OutfitModel');
+const WardrobeModel = require('../models/WardrobeModel');
+const ItemImageModel = require('../models/ItemImageModel');
+const UploadModel = require('../models/UploadModel');
+const { getOutfitWeatherStamp } = require('./weatherService');
+const { queueVariants } = require('./imageService');
+const { queueCutout } = require('./cutoutService');
+const { queueCollage } = require('./collageService');
+const { computeHashes, hashDistance, hashSimilarity, getHashes, queueHashes } = require('./imageHashService');
+const { OUTFITS_DIR } = require('../config/paths');
+const { OUTFIT_OCCASIONS } = require('../config/occasions');
+const { DUPLICATE_RULES } = require('../config/duplicates');
+const { PATTERNS } = require('../config/colors');
+const { GARMENT_ANALYSIS } = require('../config/images');
+const { toColorList } = require('../utils/colors');
+const { categoryOf } = require('../utils/taxonomy');
+
+// Pattern and secondary colors of a detected item as the client sent them
+// back (from garmentAnalysisService), dropped when they don't check out
+const detectedLook = (item) => ({
+  pattern: PATTERNS.includes(item.pattern) ? item.pattern : null,
+  secondaryColors: (toColorList(item.secondaryColors) || []).slice(0, GARMENT_ANALYSIS.maxColors - 1)
+});
+
+// Helper function to generate smart outfit names
+const generateOutfitName = (items) => {
+  const occasions = OUTFIT_OCCASIONS;
+  
+  const styles = [
+    'Professional', 'Sophisticated', 'Polished', 'Sharp', 'Elegant', 'Classic',
+    'Modern', 'Refined', 'Tailored', 'Distinguished', 'Stylish', 'Contemporary'
+  ];
+  
+  // Analyze the outfit composition
+  const itemTypes = items.map(item => item.type.toLowerCase());
+  const hassuit = itemTypes.some(type => type.includes('suit') || type.includes('blazer') || type.includes('coat'));
+  const hastie = itemTypes.some(type => type.includes('tie'));
+  const hasshoes = itemTypes.some(type => type.includes('shoe'));
+  
+  // Get primary colors
+  const colors = items.map(item => item.color).filter(color => color && color !== 'Unknown');
+  const primaryColor = colors[0] || '';
+  
+  let name = '';
+  
+  if (hassuit && hastie) {
+    // Formal business outfit
+    const occasion = occasions[Math.floor(Math.random() * 3)]; // First 3 are most formal
+    name = `${occasion} - ${primaryColor} Suit`;
+  } else if (hassuit) {
+    // Business casual
+    const style = styles[Math.floor(Math.random() * styles.length)];
+    name = `${style} ${primaryColor} Look`;
+  } else {
+    // Casual or mixed
+    const occasion = occasions[Math.floor(Math.random() * occasions.length)];
+    name = `${occasion} Ensemble`;
+  }
+  
+  // Add date for uniqueness
+  const date = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  return `${name} (${date})`;
+};
+
+// Save a scanned outfit: the photo is copied to uploads/outfits and every
+// item is linked, either to the user's own wardrobe item it matched or as a
+// detected-item snapshot under a fresh id
+const saveDetectedOutfit = async (name, items, imagePath, userId) => {
+  if (!userId) {
+    throw new Error('saveDetectedOutfit requires a userId');
+  }
+  
+  const outfitId = uuidv4();
+
+  // Matched items may only link to the user's own wardrobe
+  const ownedIds = await WardrobeModel.getOwnedIds(
+    items.map(item => (item.matchedItem && item.matchedItem.id) || item.id),
+    userId
+  );
+  
+  // Copy image to outfits directory with new name
+  const originalExt = path.extname(imagePath);
+  const newImageName = `outfit_${outfitId}${originalExt}`;
+  fs.copyFileSync(imagePath, path.join(OUTFITS_DIR, newImageName));
+  const imageUrl = `/uploads/outfits/${newImageName}`;
+  await UploadModel.setOwner(imageUrl, userId);
+  queueVariants(imageUrl);
+
+  const occasion = 'Scanned Outfit';
+  const weather = await getOutfitWeatherStamp();
+  const description = `Auto-detected outfit with ${items.length} items: ${items.map(item => item.name).join(', ')}`;
+
+  console.log('💾 Inserting outfit:', { outfitId, userId, name, description, imageUrl, occasion, weather: weather.weather });
+  await OutfitModel.create(userId, { id: outfitId, name, description, imageUrl, occasion, ...weather });
+  console.log('✅ Outfit saved to database');
+
+  console.log('💾 Saving outfit items:', items.map(item => ({
+    id: item.id || null,
+    name: item.name,
+    type: item.type,
+    color: item.color,
+    category: item.category,
+    croppedImageUrl: item.croppedImageUrl
+  })));
+
+  for (const item of items) {
+    // Use the matched item's ID if available, otherwise use a generated ID
+    let itemId;
+    if (item.matchedItem && ownedIds.has(item.matchedItem.id)) {
+      itemId = item.matchedItem.id;
+    } else if (ownedIds.has(item.id)) {
+      itemId = item.id;
+    } else {
+      itemId = uuidv4();
+    }
+
+    // Get image URL from matched item or use cropped image URL
+    let itemImageUrl = null;
+    if (item.matchedItem && item.matchedItem.image_url) {
+      itemImageUrl = item.matchedItem.image_url;
+    } else if (item.croppedImageUrl) {
+      itemImageUrl = item.croppedImageUrl;
+    } else if (item.imageUrl) {
+      itemImageUrl = item.imageUrl;
+    }
+
+    // A bad item is logged and skipped rather than failing the whole outfit
+    try {
+      await OutfitModel.addDetectedItem(outfitId, {
+        itemId,
+        name: item.name,
+        type: item.type,
+        color: item.color,
+        ...detectedLook(item),
+        category: item.category,
+        imageUrl: itemImageUrl
+      });
+      console.log('✅ Saved outfit item:', item.name, 'with ID:', itemId, 'and image:', itemImageUrl);
+    } catch (err) {
+      console.error('❌ Error saving outfit item:', err);
+      console.error('   Item data:', { outfitId, itemId, name: item.name, type: item.type, imageUrl: itemImageUrl });
+    }
+  }
+
+  console.log(`💾 Saved outfit: "${name}" with ${items.length} items`);
+  queueCollage(outfitId);
+  // Ready for the next scan's duplicate check
+  queueHashes([imageUrl, ...items.map(item => item.croppedImageUrl)]);
+
+  return {
+    id: outfitId,
+    name: name,
+    description: description,
+    imageUrl: imageUrl,
+    items: items
+  };
+};
+
+// Helper function to save detected items as individual wardrobe items
+const saveDetectedItemsToWardrobe = async (detectedItems, userId) => {
+  const savedItems = [];
+  
+  for (const item of detectedItems) {
+    // Skip if item already exists in wardrobe (status === 'existing')
+    if (item.status === 'existing') {
+      console.log(`   ⏭️  Skipping ${item.name} - already in wardrobe`);
+      continue;
+    }
+    
+    try {
+      // The category picked in review, else the detected type's
+      const category = categoryOf(item.category, item.type);
+      
+      const wardrobeItem = {
+        id: uuidv4(),
+        user_id: userId,
+        name: item.name,
+        description: `Auto-detected from outfit scan with ${Math.round((item.confidence || 0) * 100)}% confidence`,
+        type: category,
+        color: item.color,
+        material: null,
+        brand: item.brand || null,
+        size: null,
+        rfid_tag: null,
+        image_url: item.croppedImageUrl || null,
+        status: 'in_closet',
+        laundry_status: 'clean'
+      };
+      
+      await WardrobeModel.create(userId, {
+        id: wardrobeItem.id,
+        name: wardrobeItem.name,
+        description: wardrobeItem.description,
+        type: wardrobeItem.type,
+        color: wardrobeItem.color,
+        colorHex: item.colorHex,
+        ...detectedLook(item),
+        brand: wardrobeItem.brand,
+        imageUrl: wardrobeItem.image_url,
+        ocrText: item.ocrText,
+        status: wardrobeItem.status,
+        laundryStatus: wardrobeItem.laundry_status
+      });
+      console.log(`   ✅ Saved ${item.name} to wardrobe`);
+      savedItems.push(wardrobeItem);
+
+      const image = await ItemImageModel.addPrimary(wardrobeItem.id, wardrobeItem.image_url);
+      if (image) queueCutout(image);
+      
+    } catch (error) {
+      console.error(`   ❌ Failed to save ${item.name} to wardrobe:`, error);
+    }
+  }
+  
+  return savedItems;
+};
+
+// Saved outfits that look like the scanned one, blending item type:color
+// overlap with perceptual-hash comparisons of the photo and the item crops
+// (config/duplicates.js). photo is the scanned photo's path or buffer, if
+// there is one. Each duplicate lists the crops that matched an item of it,
+// for showing side by side.
+const checkForDuplicateOutfits = async (detectedItems, userId, photo = null) => {
+  const rows = await OutfitModel.getItemSummaries(userId);
+
+  // One entry per outfit with its items in order
+  const existingOutfits = new Map();
+  rows.forEach(row => {
+    if (!existingOutfits.has(row.outfit_id)) {
+      existingOutfits.set(row.outfit_id, {
+        id: row.outfit_id,
+        name: row.outfit_name,
+        imageUrl: row.outfit_image_url,
+        thumbnailUrl: row.outfit_image_url || row.outfit_collage_url,
+        items: []
+      });
+    }
+    existingOutfits.get(row.outfit_id).items.push(row);
+  });
+
+  const crops = detectedItems.filter(item => item.croppedImageUrl);
+  const hashes = await getHashes([
+    ...crops.map(item => item.croppedImageUrl),
+    ...rows.map(row => row.outfit_image_url),
+    ...rows.map(row => row.item_image_url)
+  ]);
+  const hashedCrops = crops.filter(item => hashes.has(item.croppedImageUrl));
+
+  let photoHash = null;
+  if (photo) {
+    try {
+      photoHash = await computeHashes(photo);
+    } catch (error) {
+      console.warn('⚠️ Could not hash the scanned photo:', error.message);
+    }
+  }
+
+  const duplicates = [];
+  const detectedItemsStr = detectedItems.map(item => `${item.type}:${item.color}`).sort().join(',');
+  
+  existingOutfits.forEach(outfit => {
+    const existingItems = outfit.items.map(item => item.item_name).filter(Boolean);
+    if (existingItems.length === 0) return;
+    
+    const existingItemsStr = outfit.items
+      .filter(item => item.item_type)
+      .map(item => `${item.item_type}:${item.item_color || 'unknown'}`)
+      .sort().join(',');
+    
+    const signals = { metadata: calculateSimilarity(detectedItemsStr, existingItemsStr) };
+
+    let photoDistance = null;
+    if (photoHash && hashes.has(outfit.imageUrl)) {
+      photoDistance = hashDistance(photoHash, hashes.get(outfit.imageUrl));
+      signals.photo = hashSimilarity(photoDistance, DUPLICATE_RULES.maxPhotoDistance);
+    }
+
+    // Each crop against the closest-looking item of the outfit
+    const pictured = outfit.items.filter(item => hashes.has(item.item_image_url));
+    const closest = pictured.length === 0 ? [] : hashedCrops.map(detected => {
+      const cropHash = hashes.get(detected.croppedImageUrl);
+      return pictured
+        .map(item => ({ detected, item, distance: hashDistance(cropHash, hashes.get(item.item_image_url)) }))
+        .reduce((best, pair) => (pair.distance < best.distance ? pair : best));
+    });
+    if (closest.length > 0) {
+      signals.items = closest
+        .reduce((sum, pair) => sum + hashSimilarity(pair.distance, DUPLICATE_RULES.maxItemDistance), 0) / closest.length;
+    }
+
+    const used = Object.keys(signals);
+    const totalWeight = used.reduce((sum, signal) => sum + DUPLICATE_RULES.weights[signal], 0);
+    const similarity = used.reduce((sum, signal) => sum + signals[signal] * DUPLICATE_RULES.weights[signal], 0) / totalWeight;
+
+    if (similarity > DUPLICATE_RULES.threshold) {
+      duplicates.push({
+        id: outfit.id,
+        name: outfit.name,
+        similarity: Math.round(similarity * 100),
+        metadataSimilarity: Math.round(signals.metadata * 100),
+        photoDistance,
+        imageUrl: outfit.imageUrl,
+        thumbnailUrl: outfit.thumbnailUrl,
+        itemNames: existingItems,
+        matches: closest
+          .filter(pair => pair.distance <= DUPLICATE_RULES.maxItemDistance)
+          .map(pair => ({
+            detectedName: pair.detected.name || pair.detected.type,
+            detectedImageUrl: pair.detected.croppedImageUrl,
+            itemName: pair.item.item_name,
+            itemImageUrl: pair.item.item_image_url,
+            distance: pair.distance
+          }))
+      });
+    }
+  });
+  
+  return duplicates.sort((a, b) => b.similarity - a.similarity);
+};
+
+// Simple similarity calculation
+const calculateSimilarity = (str1, str2) => {
+  if (str1 === str2) return 1.0;
+  
+  const set1 = new Set(str1.split(','));
+  const set2 = new Set(str2.split(','));
+  
+  const intersection = new Set([...set1].filter(x => set2.has(x)));
+  const union = new Set([...set1, ...set2]);
+  
+  return intersection.size / union.size;
+};
+
+module.exports = {
+  generateOutfitName,
+  saveDetectedOutfit,
+  saveDetectedItemsToWardrobe,
+  checkForDuplicateOutfits,
+  calculateSimilarity
+};
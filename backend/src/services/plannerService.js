@@ -0,0 +1,181 @@
+// backend/src/services/plannerService.js
+//
+// Outfit planner: outfits planned for days ahead (planned_outfits, also fed
+// by calendar imports), the conflicts in that schedule, and packing lists
+// for trips.
+//
+// A planned item conflicts when
+//   - dirty:         it isn't clean (dirty, in the hamper, washer or dryer)
+//   - out_of_closet: RFID last saw it leave the closet (status 'worn')
+//   - double_booked: another outfit planned for the same day uses it too
+// The first two describe the item right now, so they are only reported for
+// today and later. The same outfit planned for several events of one day is
+// one outfit worn all day, not a double booking.
+const PlanModel = require('../models/PlanModel');
+const TripModel = require('../models/TripModel');
+const { toDateKey, parseDateKey, addDays } = require('../utils/dates');
+
+const LAUNDRY_LABELS = {
+  dirty: 'dirty',
+  hamper: 'in the hamper',
+  washing: 'in the wash',
+  drying: 'in the dryer'
+};
+
+// Every YYYY-MM-DD from `from` to `to`, inclusive
+const dateKeysBetween = (from, to) => {
+  const keys = [];
+  for (let date = parseDateKey(from); toDateKey(date) <= to; date = addDays(date, 1)) {
+    keys.push(toDateKey(date));
+  }
+  return keys;
+};
+
+// PlanModel.getItems rows -> Map of plan id -> item rows (each item once)
+const groupItemsByPlan = (rows) => {
+  const byPlan = new Map();
+  for (const row of rows) {
+    if (!byPlan.has(row.plan_id)) byPlan.set(row.plan_id, []);
+    const items = byPlan.get(row.plan_id);
+    if (!items.some(item => item.item_id === row.item_id)) items.push(row);
+  }
+  return byPlan;
+};
+
+// PlanModel.getItems rows -> conflicts, one per plan and item and problem
+const findConflicts = (rows, { today }) => {
+  const conflicts = [];
+  const byDayAndItem = new Map();
+  const seen = new Set();
+
+  for (const row of rows) {
+    const key = `${row.plan_id}|${row.item_id}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const base = { date: row.plan_date, planId: row.plan_id, itemId: row.item_id, itemName: row.name };
+    const laundryStatus = row.laundry_status || 'clean';
+    if (row.plan_date >= today && laundryStatus !== 'clean') {
+      conflicts.push({
+        ...base,
+        type: 'dirty',
+        laundryStatus,
+        message: `${row.name} is ${LAUNDRY_LABELS[laundryStatus] || laundryStatus}`
+      });
+    }
+    if (row.plan_date >= today && (row.status || 'in_closet') !== 'in_closet') {
+      conflicts.push({
+        ...base,
+        type: 'out_of_closet',
+        lastWornDate: row.last_worn_date,
+        message: `${row.name} hasn't been back in the closet since it was last worn`
+      });
+    }
+
+    const dayKey = `${row.plan_date}|${row.item_id}`;
+    if (!byDayAndItem.has(dayKey)) byDayAndItem.set(dayKey, []);
+    byDayAndItem.get(dayKey).push(row);
+  }
+
+  for (const uses of byDayAndItem.values()) {
+    const outfitIds = new Set(uses.map(use => use.outfit_id));
+    if (outfitIds.size < 2) continue;
+
+    for (const use of uses) {
+      const others = uses.filter(other => other.outfit_id !== use.outfit_id);
+      conflicts.push({
+        date: use.plan_date,
+        planId: use.plan_id,
+        itemId: use.item_id,
+        itemName: use.name,
+        type: 'double_booked',
+        otherPlanIds: others.map(other => other.plan_id),
+        message: `${use.name} is also planned with ${[...new Set(others.map(other => other.outfit_name))].join(', ')}`
+      });
+    }
+  }
+
+  return conflicts.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Plans for [from, to] with their items and the schedule's conflicts
+const getSchedule = async (userId, from, to, { now = new Date() } = {}) => {
+  const [plans, itemRows] = await Promise.all([
+    PlanModel.getRange(userId, from, to),
+    PlanModel.getItems(userId, from, to)
+  ]);
+
+  return {
+    plans,
+    itemsByPlan: groupItemsByPlan(itemRows),
+    conflicts: findConflicts(itemRows, { today: toDateKey(now) })
+  };
+};
+
+// Everything to pack for a trip: each item once, however many of the
+// trip's planned outfits use it, with the days it's needed
+const buildPackingList = (trip, { plans, itemsByPlan }, packedIds) => {
+  const days = dateKeysBetween(trip.start_date, trip.end_date).map(date => ({
+    date,
+    plans: plans.filter(plan => plan.plan_date === date)
+  }));
+
+  const items = new Map();
+  let itemDays = 0;
+  for (const plan of plans) {
+    for (const row of itemsByPlan.get(plan.id) || []) {
+      if (!items.has(row.item_id)) {
+        items.set(row.item_id, { item: row, days: new Set(), outfits: new Map() });
+      }
+      const entry = items.get(row.item_id);
+      if (!entry.days.has(plan.plan_date)) itemDays += 1;
+      entry.days.add(plan.plan_date);
+      entry.outfits.set(plan.outfit_id, plan.outfit_name);
+    }
+  }
+
+  const packingItems = [...items.values()]
+    .map(entry => ({
+      item: entry.item,
+      days: [...entry.days].sort(),
+      outfits: [...entry.outfits].map(([id, name]) => ({ id, name })),
+      packed: packedIds.has(entry.item.item_id)
+    }))
+    .sort((a, b) => (a.item.type || '').localeCompare(b.item.type || '') || a.item.name.localeCompare(b.item.name));
+
+  const unplannedDays = days
+    .filter(day => !day.plans.some(plan => plan.outfit_id))
+    .map(day => day.date);
+
+  return {
+    days,
+    items: packingItems,
+    unplannedDays,
+    summary: {
+      days: days.length,
+      outfits: new Set(plans.filter(plan => plan.outfit_id).map(plan => plan.outfit_id)).size,
+      items: packingItems.length,
+      // Items needed summed over the days - what packing each day separately would take
+      itemDays,
+      packed: packingItems.filter(entry => entry.packed).length
+    }
+  };
+};
+
+const getPackingList = async (trip, userId, { now = new Date() } = {}) => {
+  const schedule = await getSchedule(userId, trip.start_date, trip.end_date, { now });
+  const packedIds = await TripModel.getPackedItemIds(trip.id);
+  return {
+    ...buildPackingList(trip, schedule, packedIds),
+    itemsByPlan: schedule.itemsByPlan,
+    conflicts: schedule.conflicts
+  };
+};
+
+module.exports = {
+  dateKeysBetween,
+  findConflicts,
+  getSchedule,
+  buildPackingList,
+  getPackingList
+};
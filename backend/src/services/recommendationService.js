@@ -0,0 +1,400 @@
+// backend/src/services/recommendationService.js
+//
+// Rule-based outfit recommendations. Only clean items that are in the closet
+// are considered. Each candidate outfit (top + bottom, or a one-piece, plus
+// shoes, an optional layer and accessories) is scored on how well its items
+// suit the occasion and weather, how fresh they are, and how well their
+// colors go together, and comes back with the reasons behind its score.
+const WardrobeModel = require('../models/WardrobeModel');
+const { rgbToHsl, colorNameToRgb } = require('../utils/colors');
+const { matchesAny } = require('../utils/keywords');
+const { garmentRole } = require('../utils/taxonomy');
+const { temperatureBandFor, precipitationFor, isWet, getWeatherForDate } = require('./weatherService');
+const {
+  DEFAULT_ITEM_FORMALITY,
+  OCCASION_PROFILES,
+  DEFAULT_OCCASION_PROFILE,
+  LAYER_NEEDS,
+  WARM_KEYWORDS,
+  HOT_WEATHER_KEYWORDS,
+  RAIN_UNFRIENDLY_KEYWORDS,
+  RAIN_FRIENDLY_KEYWORDS,
+  NEUTRAL_COLOR_KEYWORDS,
+  RECENTLY_WORN_DAYS
+} = require('../config/recommendations');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CANDIDATES_PER_SLOT = 6;
+const MAX_ACCESSORIES = 2;
+const REUSE_PENALTY = 0.15;
+
+const describe = (item) => `${item.type || ''} ${item.material || ''} ${item.name || ''}`.toLowerCase();
+
+// The slot and formality of the item's type in the taxonomy, falling back to
+// the name when the type says nothing useful
+const slotFor = (item) => garmentRole(item.type, 'slot') || garmentRole(item.name, 'slot');
+
+const formalityOf = (item) =>
+  garmentRole(item.type, 'formality') ?? garmentRole(item.name, 'formality') ?? DEFAULT_ITEM_FORMALITY;
+
+const resolveOccasion = (occasion) => {
+  const text = (occasion || '').toLowerCase();
+  const profile = OCCASION_PROFILES.find(rule => matchesAny(text, rule.keywords))
+    || OCCASION_PROFILES.find(rule => rule.profile === DEFAULT_OCCASION_PROFILE);
+  return { requested: occasion || null, profile: profile.profile, formality: profile.formality };
+};
+
+// temperature in °F (null when unknown); precipitation is one of the
+// config/weather types, or read from free-text conditions like "rain"
+const resolveWeather = ({ temperature = null, conditions = null, precipitation = null, source = 'request' } = {}) => {
+  const temp = temperature === null || temperature === undefined || temperature === '' ? null : Number(temperature);
+  const temperatureBand = temperatureBandFor(temp);
+  const precipitationType = precipitationFor(conditions, precipitation);
+
+  return {
+    temperature: temperatureBand ? temp : null,
+    temperatureBand,
+    precipitation: precipitationType,
+    conditions: conditions || null,
+    needsLayer: LAYER_NEEDS[temperatureBand] || 'optional',
+    wet: isWet(precipitationType),
+    source: temperatureBand || precipitationType ? source : null
+  };
+};
+
+const colorInfo = (colorName) => {
+  const name = (colorName || '').toLowerCase();
+  if (!name || name === 'unknown') return null;
+
+  const rgb = colorNameToRgb(name);
+  const [hue, saturation, lightness] = rgb ? rgbToHsl(...rgb) : [0, 0, 0.5];
+  const neutral = matchesAny(name, NEUTRAL_COLOR_KEYWORDS) || !rgb || saturation < 0.15 || lightness < 0.12 || lightness > 0.92;
+  return { name, hue, neutral };
+};
+
+const hueDistance = (a, b) => {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+};
+
+// 0..1 for one pair of colors, with the reason
+const pairHarmony = (a, b) => {
+  if (a.neutral || b.neutral) return { score: 1, kind: 'neutral' };
+
+  const distance = hueDistance(a.hue, b.hue);
+  if (distance <= 30) return { score: 0.9, kind: 'analogous' };
+  if (distance >= 150) return { score: 0.85, kind: 'complementary' };
+  if (distance >= 105 && distance <= 135) return { score: 0.7, kind: 'triadic' };
+  return { score: 0.35, kind: 'clash' };
+};
+
+const colorHarmony = (items) => {
+  const colors = items.map(item => colorInfo(item.color)).filter(Boolean);
+  const accents = colors.filter(color => !color.neutral);
+  const pairs = [];
+  for (let i = 0; i < colors.length; i++) {
+    for (let j = i + 1; j < colors.length; j++) {
+      pairs.push({ a: colors[i], b: colors[j], ...pairHarmony(colors[i], colors[j]) });
+    }
+  }
+
+  let score = pairs.length ? pairs.reduce((sum, pair) => sum + pair.score, 0) / pairs.length : 0.8;
+  // More than two accent colors gets busy whatever their hues
+  if (accents.length > 2) score -= 0.1 * (accents.length - 2);
+
+  let reason;
+  const clash = pairs.find(pair => pair.kind === 'clash');
+  const complementary = pairs.find(pair => pair.kind === 'complementary');
+  const analogous = pairs.find(pair => pair.kind === 'analogous');
+  if (colors.length < 2) {
+    reason = 'Not enough color information to judge the palette';
+  } else if (clash) {
+    reason = `${clash.a.name} and ${clash.b.name} compete a little`;
+  } else if (accents.length === 0) {
+    reason = `All-neutral palette (${[...new Set(colors.map(color => color.name))].join(', ')})`;
+  } else if (complementary) {
+    reason = `${complementary.a.name} and ${complementary.b.name} are complementary`;
+  } else if (analogous) {
+    reason = `${analogous.a.name} and ${analogous.b.name} sit next to each other on the color wheel`;
+  } else {
+    reason = `${accents.map(color => color.name).join(' and ')} anchored by neutrals`;
+  }
+
+  return { score: Math.max(0, Math.min(1, score)), reason };
+};
+
+const daysSince = (value, now) => {
+  if (!value) return null;
+  const date = new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+  return isNaN(date) ? null : Math.floor((now - date) / DAY_MS);
+};
+
+const weatherFit = (item, slot, weather) => {
+  const text = describe(item);
+  let score = 1;
+  const notes = [];
+
+  if (weather.temperatureBand === 'hot' && matchesAny(text, WARM_KEYWORDS)) {
+    score -= 0.5;
+    notes.push('warm for the heat');
+  }
+  if ((weather.temperatureBand === 'cold' || weather.temperatureBand === 'cool') && matchesAny(text, HOT_WEATHER_KEYWORDS)) {
+    score -= weather.temperatureBand === 'cold' ? 0.5 : 0.25;
+    notes.push('light for the cold');
+  }
+  if (weather.temperatureBand === 'cold' && slot === 'layer' && !matchesAny(text, WARM_KEYWORDS)) {
+    score -= 0.2;
+    notes.push('not the warmest layer');
+  }
+  if (weather.wet && matchesAny(text, RAIN_UNFRIENDLY_KEYWORDS)) {
+    score -= 0.4;
+    notes.push('not great in the wet');
+  }
+  if (weather.wet && (slot === 'layer' || slot === 'shoes') && matchesAny(text, RAIN_FRIENDLY_KEYWORDS)) {
+    score += 0.2;
+  }
+
+  return { score: Math.max(0, Math.min(1, score)), notes };
+};
+
+const scoreItem = (item, slot, occasion, weather, now) => {
+  const formality = formalityOf(item);
+  const occasionScore = 1 - Math.abs(formality - occasion.formality) / 3;
+  const weatherScore = weatherFit(item, slot, weather);
+
+  const wornDaysAgo = daysSince(item.last_worn_date, now);
+  const recentlyWorn = wornDaysAgo !== null && wornDaysAgo < RECENTLY_WORN_DAYS;
+  const freshness = recentlyWorn ? 0.3 + 0.2 * wornDaysAgo : 1;
+
+  return {
+    item,
+    slot,
+    formality,
+    wornDaysAgo,
+    recentlyWorn,
+    weatherNotes: weatherScore.notes,
+    score: occasionScore * 0.45 + weatherScore.score * 0.3 + freshness * 0.25
+  };
+};
+
+const formatItem = (item) => ({
+  id: item.id,
+  name: item.name,
+  type: item.type,
+  color: item.color,
+  imageUrl: item.image_url
+});
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+const layerFit = (candidate, weather) => {
+  if (weather.needsLayer === 'avoid') return -0.3;
+  if (weather.needsLayer === 'required') return candidate.score + 0.3;
+  if (weather.needsLayer === 'recommended') return candidate.score + 0.1;
+  // Mild weather: only worth it when it really suits the occasion
+  return candidate.score > 0.85 ? candidate.score - 0.2 : -1;
+};
+
+// Best-harmonising accessories that suit the occasion. Formal occasions
+// take any reasonable fit; otherwise only accessories that score well.
+const pickAccessories = (base, accessories, occasion) => accessories
+  .filter(candidate => candidate.score >= (occasion.profile === 'formal' ? 0.5 : 0.8))
+  .map(candidate => ({ candidate, harmony: colorHarmony([...base, candidate.item]).score }))
+  .sort((a, b) => (b.harmony + b.candidate.score) - (a.harmony + a.candidate.score))
+  .slice(0, MAX_ACCESSORIES)
+  .map(entry => entry.candidate);
+
+const explain = ({ picks, occasion, weather, harmony, missing }) => {
+  const reasons = [];
+  const core = picks.filter(pick => pick.slot !== 'accessories');
+
+  const fits = core.filter(pick => Math.abs(pick.formality - occasion.formality) <= 1);
+  const misfits = core.filter(pick => !fits.includes(pick));
+  reasons.push(misfits.length === 0
+    ? `Everything suits a ${occasion.profile} occasion`
+    : `${misfits.map(pick => pick.item.name).join(', ')} ${misfits.length === 1 ? 'is' : 'are'} a stretch for a ${occasion.profile} occasion`);
+
+  const layer = picks.find(pick => pick.slot === 'layer');
+  if (weather.temperatureBand) {
+    const temp = `${Math.round(weather.temperature)}°F`;
+    if (layer) {
+      reasons.push(`${layer.item.name} layered on top for ${weather.temperatureBand} weather (${temp})`);
+    } else if (weather.needsLayer === 'required' || weather.needsLayer === 'recommended') {
+      reasons.push(`It's ${weather.temperatureBand} (${temp}) but there's no clean layer available`);
+    } else {
+      reasons.push(`No layer needed at ${temp}`);
+    }
+  }
+  if (weather.wet) {
+    reasons.push(layer ? 'Covered up for the wet weather' : 'Wet weather expected - consider a jacket');
+  }
+  picks.forEach(pick => pick.weatherNotes.forEach(note => reasons.push(`${pick.item.name} is ${note}`)));
+
+  reasons.push(harmony.reason);
+
+  const recent = picks.filter(pick => pick.recentlyWorn);
+  if (recent.length === 0) {
+    reasons.push('Nothing here was worn in the last few days');
+  } else {
+    recent.forEach(pick => reasons.push(`${pick.item.name} was worn ${pick.wornDaysAgo === 0 ? 'today' : `${pick.wornDaysAgo} day(s) ago`} - no fresher option`));
+  }
+
+  if (missing.length) {
+    reasons.push(`No clean ${missing.join(' or ')} available`);
+  }
+  return reasons;
+};
+
+// All base combinations: top + bottom (+ shoes), or one-piece (+ shoes)
+const baseCombinations = (bySlot) => {
+  const shoes = bySlot.shoes.length ? bySlot.shoes : [null];
+  const combos = [];
+
+  for (const shoe of shoes) {
+    for (const top of bySlot.top) {
+      for (const bottom of bySlot.bottom) {
+        combos.push([top, bottom, shoe].filter(Boolean));
+      }
+    }
+    for (const onePiece of bySlot.onePiece) {
+      combos.push([onePiece, shoe].filter(Boolean));
+    }
+  }
+  return combos;
+};
+
+// Candidate score after the penalty for items earlier suggestions already use
+const adjusted = (candidate, used) =>
+  candidate.score - REUSE_PENALTY * candidate.picks.filter(pick => used.has(pick.item.id)).length;
+
+const sameItems = (a, b) =>
+  a.picks.length === b.picks.length && a.picks.every(pick => b.picks.some(other => other.item.id === pick.item.id));
+
+// Build up to `limit` outfits from the given wardrobe rows
+const recommendOutfits = (items, { occasion, weather, limit = 3, now = new Date() } = {}) => {
+  const occasionInfo = resolveOccasion(occasion);
+  const weatherInfo = resolveWeather(weather);
+
+  const excluded = { laundry: 0, outOfCloset: 0, unclassified: 0 };
+  const bySlot = { top: [], bottom: [], onePiece: [], shoes: [], layer: [], accessories: [] };
+
+  for (const item of items) {
+    if ((item.laundry_status || 'clean') !== 'clean') {
+      excluded.laundry += 1;
+      continue;
+    }
+    if ((item.status || 'in_closet') !== 'in_closet') {
+      excluded.outOfCloset += 1;
+      continue;
+    }
+    const slot = slotFor(item);
+    if (!slot) {
+      excluded.unclassified += 1;
+      continue;
+    }
+    bySlot[slot].push(scoreItem(item, slot, occasionInfo, weatherInfo, now));
+  }
+
+  Object.keys(bySlot).forEach(slot => {
+    bySlot[slot] = bySlot[slot].sort((a, b) => b.score - a.score).slice(0, CANDIDATES_PER_SLOT);
+  });
+
+  const missing = [];
+  if (bySlot.onePiece.length === 0 && bySlot.top.length === 0) missing.push('top');
+  if (bySlot.onePiece.length === 0 && bySlot.bottom.length === 0) missing.push('bottom');
+  if (bySlot.shoes.length === 0) missing.push('shoes');
+
+  const candidates = baseCombinations(bySlot).map(base => {
+    const bestLayer = bySlot.layer
+      .map(candidate => ({ candidate, fit: layerFit(candidate, weatherInfo) }))
+      .filter(entry => entry.fit > 0)
+      .map(entry => ({ ...entry, harmony: colorHarmony([...base, entry.candidate].map(pick => pick.item)).score }))
+      .sort((a, b) => (b.fit + b.harmony) - (a.fit + a.harmony))[0];
+
+    const withLayer = bestLayer ? [...base, bestLayer.candidate] : base;
+    const accessories = pickAccessories(withLayer.map(pick => pick.item), bySlot.accessories, occasionInfo);
+    const picks = [...withLayer, ...accessories];
+    const harmony = colorHarmony(picks.map(pick => pick.item));
+
+    let score = average(picks.map(pick => pick.score)) * 0.6 + harmony.score * 0.4;
+    if (weatherInfo.needsLayer === 'required' && !bestLayer) score -= 0.15;
+
+    return { picks, harmony, score };
+  });
+
+  // Greedy pick, discouraging reuse of items already suggested
+  const suggestions = [];
+  const used = new Set();
+  const remaining = [...candidates];
+  while (suggestions.length < limit && remaining.length) {
+    remaining.sort((a, b) => adjusted(b, used) - adjusted(a, used));
+    const best = remaining.shift();
+    if (suggestions.some(existing => sameItems(existing, best))) continue;
+    best.picks.forEach(pick => used.add(pick.item.id));
+    suggestions.push(best);
+  }
+
+  return {
+    occasion: occasionInfo,
+    weather: weatherInfo,
+    excluded,
+    suggestions: suggestions.sort((a, b) => b.score - a.score).map(({ picks, harmony, score }) => {
+      const pickFor = slot => picks.find(pick => pick.slot === slot);
+      const onePiece = pickFor('onePiece');
+      return {
+        score: Math.round(score * 100) / 100,
+        colorHarmony: Math.round(harmony.score * 100) / 100,
+        items: {
+          top: pickFor('top') ? formatItem(pickFor('top').item) : null,
+          bottom: pickFor('bottom') ? formatItem(pickFor('bottom').item) : null,
+          onePiece: onePiece ? formatItem(onePiece.item) : null,
+          shoes: pickFor('shoes') ? formatItem(pickFor('shoes').item) : null,
+          layer: pickFor('layer') ? formatItem(pickFor('layer').item) : null,
+          accessories: picks.filter(pick => pick.slot === 'accessories').map(pick => formatItem(pick.item))
+        },
+        itemIds: picks.map(pick => pick.item.id),
+        explanation: explain({ picks, occasion: occasionInfo, weather: weatherInfo, harmony, missing })
+      };
+    })
+  };
+};
+
+// Weather given with the request wins; otherwise the provider's reading for
+// `date` (today when omitted). Without either, weather is left out of scoring.
+const weatherContext = async ({ temperature, conditions } = {}, date) => {
+  const given = (value) => value !== undefined && value !== null && value !== '';
+  if (given(temperature) || given(conditions)) {
+    return { temperature, conditions, source: 'request' };
+  }
+
+  try {
+    const forecast = await getWeatherForDate(date);
+    if (!forecast) return {};
+    return {
+      temperature: forecast.temperature,
+      conditions: forecast.conditions,
+      precipitation: forecast.precipitation,
+      source: forecast.provider
+    };
+  } catch (error) {
+    console.warn('⚠️  Recommending without weather:', error.message);
+    return {};
+  }
+};
+
+const getRecommendations = async (userId, { weather, date, ...options } = {}) => {
+  const [items, context] = await Promise.all([
+    WardrobeModel.getAll(userId),
+    weatherContext(weather, date)
+  ]);
+  return recommendOutfits(items, { ...options, weather: context });
+};
+
+module.exports = {
+  slotFor,
+  resolveOccasion,
+  resolveWeather,
+  colorHarmony,
+  recommendOutfits,
+  getRecommendations
+};
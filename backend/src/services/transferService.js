@@ -0,0 +1,518 @@
+// backend/src/services/transferService.js
+//
+// Whole-wardrobe export and import (see config/transfer.js for what is
+// included). Exports are written straight to the response: one JSON
+// document, one table as CSV, or a zip with the data and the photos it
+// refers to. Imports give every row a new id and rewrite references to
+// match, so a file can be imported into any account, or twice. Items whose
+// rfid_tag the user already has are matched to the existing item rather than
+// created again.
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const Database = require('../database/Database');
+const TransferModel = require('../models/TransferModel');
+const UploadModel = require('../models/UploadModel');
+const { queueCollage } = require('./collageService');
+const { formatCsvRow, parseCsv } = require('../utils/csv');
+const { ZipWriter, readZip } = require('../utils/zip');
+const { isDateKey, toSqlDateTime } = require('../utils/dates');
+const { describeColor, toColorList, serializeColorList } = require('../utils/colors');
+const { UPLOADS_DIR, resolveUploadPath } = require('../config/paths');
+const {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  TRANSFER_TABLES,
+  MAX_UNZIPPED_BYTES,
+  MAX_REPORTED_ERRORS
+} = require('../config/transfer');
+
+const DATA_FILE = 'wardrobe.json';
+const MANIFEST_FILE = 'manifest.json';
+const SQL_DATETIME = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+const ROLLBACK_DRY_RUN = new Error('dry run');
+
+const getSpec = (table) => TRANSFER_TABLES.find(spec => spec.table === table);
+
+const csvPath = (table) => `csv/${table}.csv`;
+
+// "/uploads/crops/x.jpg" -> "uploads/crops/x.jpg" (its path in a zip), or
+// null for anything outside uploads/
+const imageEntryName = (imageUrl) => {
+  if (typeof imageUrl !== 'string' || !imageUrl.startsWith('/uploads/')) return null;
+  const entry = imageUrl.slice(1);
+  return resolveUploadPath(entry) ? entry : null;
+};
+
+// Honours backpressure so large exports don't pile up in memory
+const write = async (output, chunk) => {
+  if (!output.write(chunk)) {
+    await new Promise(resolve => output.once('drain', resolve));
+  }
+};
+
+// ---- Export ----
+
+// Every transfer table's rows for the user: [{ table, columns, rows }]
+const getExportTables = async (userId) => {
+  const tables = [];
+  for (const spec of TRANSFER_TABLES) {
+    const columns = spec.columns.map(column => column.name);
+    tables.push({ table: spec.table, columns, rows: await TransferModel.getRows(spec.table, columns, userId) });
+  }
+  return tables;
+};
+
+const exportHeader = (user) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  user: { id: user.id, username: user.username }
+});
+
+// { format, version, exportedAt, user, tables: { <table>: [rows] } }, one
+// row per line
+const writeJsonExport = async (output, user, tables) => {
+  const header = JSON.stringify(exportHeader(user));
+  await write(output, `${header.slice(0, -1)},"tables":{`);
+  for (const [index, { table, rows }] of tables.entries()) {
+    await write(output, `${index ? ',' : ''}\n${JSON.stringify(table)}:[`);
+    for (const [rowIndex, row] of rows.entries()) {
+      await write(output, `${rowIndex ? ',' : ''}\n${JSON.stringify(row)}`);
+    }
+    await write(output, '\n]');
+  }
+  await write(output, '\n}}\n');
+};
+
+const writeCsvExport = async (output, { columns, rows }) => {
+  await write(output, formatCsvRow(columns));
+  for (const row of rows) {
+    await write(output, formatCsvRow(columns.map(column => row[column])));
+  }
+};
+
+const toCsv = ({ columns, rows }) => [
+  formatCsvRow(columns),
+  ...rows.map(row => formatCsvRow(columns.map(column => row[column])))
+].join('');
+
+// The data as wardrobe.json (or csv/<table>.csv each), every photo it refers
+// to under uploads/, and manifest.json listing counts and missing photos
+const writeZipExport = async (output, user, tables, { data = 'json' } = {}) => {
+  const zip = new ZipWriter(output);
+  const header = exportHeader(user);
+
+  if (data === 'csv') {
+    for (const table of tables) {
+      await zip.addFile(csvPath(table.table), toCsv(table));
+    }
+  } else {
+    const document = { ...header, tables: {} };
+    tables.forEach(({ table, rows }) => { document.tables[table] = rows; });
+    await zip.addFile(DATA_FILE, JSON.stringify(document, null, 2));
+  }
+
+  const images = new Set();
+  for (const { table, rows } of tables) {
+    const imageColumns = getSpec(table).columns.filter(column => column.type === 'image');
+    for (const row of rows) {
+      imageColumns.forEach(column => {
+        const entry = imageEntryName(row[column.name]);
+        if (entry) images.add(entry);
+      });
+    }
+  }
+
+  const missingImages = [];
+  let imageCount = 0;
+  for (const entry of images) {
+    const filePath = resolveUploadPath(entry);
+    if (!fs.existsSync(filePath)) {
+      missingImages.push(`/${entry}`);
+      continue;
+    }
+    const stats = fs.statSync(filePath);
+    await zip.addFile(entry, fs.readFileSync(filePath), stats.mtime);
+    imageCount++;
+  }
+
+  const manifest = {
+    ...header,
+    data: data === 'csv' ? tables.map(({ table }) => csvPath(table)) : [DATA_FILE],
+    counts: Object.fromEntries(tables.map(({ table, rows }) => [table, rows.length])),
+    images: imageCount,
+    missingImages
+  };
+  await zip.addFile(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+  await zip.finish();
+  return manifest;
+};
+
+// ---- Reading import files ----
+
+const checkHeader = (header) => {
+  if (header.format !== undefined && header.format !== EXPORT_FORMAT) {
+    throw new Error(`Unknown format "${header.format}"; expected "${EXPORT_FORMAT}"`);
+  }
+  if (header.version !== undefined && !(Number(header.version) <= EXPORT_VERSION)) {
+    throw new Error(`Export version ${header.version} is newer than this server supports (${EXPORT_VERSION})`);
+  }
+};
+
+// An export document -> { <table>: [rows] }
+const readJsonDocument = (text) => {
+  let document;
+  try {
+    document = JSON.parse(text.charCodeAt(0) === 0xfeff ? text.slice(1) : text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  if (!document || typeof document !== 'object' || !document.tables || typeof document.tables !== 'object') {
+    throw new Error('Expected an export document with a "tables" object');
+  }
+  checkHeader(document);
+
+  const tables = {};
+  for (const { table } of TRANSFER_TABLES) {
+    const rows = document.tables[table];
+    if (rows === undefined) continue;
+    if (!Array.isArray(rows)) {
+      throw new Error(`tables.${table} must be an array`);
+    }
+    tables[table] = rows;
+  }
+  return tables;
+};
+
+// CSV with a header row -> row objects. A record with the wrong number of
+// fields becomes an Error in its place, reported against that row.
+const readCsvTable = (text, table) => {
+  const [header, ...records] = parseCsv(text);
+  if (!header) return [];
+  const names = header.map(name => (name || '').trim());
+  const known = getSpec(table).columns.map(column => column.name);
+  if (!names.some(name => known.includes(name))) {
+    throw new Error(`${table} CSV header has none of its columns (${known.join(', ')})`);
+  }
+
+  return records.map(record => {
+    if (record.length !== names.length) {
+      return new Error(`has ${record.length} fields, the header has ${names.length}`);
+    }
+    return Object.fromEntries(names.map((name, index) => [name, record[index]]));
+  });
+};
+
+// Uploaded file -> { tables: { <table>: [rows] }, files } where files maps
+// zip entry names under uploads/ to their contents. Throws if the file
+// can't be read at all; problems with single rows are left to the import.
+const readImportFile = ({ buffer, originalname }, { table } = {}) => {
+  const isZip = buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  const extension = path.extname(originalname || '').toLowerCase();
+
+  if (isZip || extension === '.zip') {
+    const entries = readZip(buffer, { maxTotalSize: MAX_UNZIPPED_BYTES });
+    const files = new Map([...entries].filter(([name]) => name.startsWith('uploads/')));
+    if (entries.has(MANIFEST_FILE)) {
+      try {
+        checkHeader(JSON.parse(entries.get(MANIFEST_FILE).toString('utf8')));
+      } catch (error) {
+        throw new Error(`${MANIFEST_FILE}: ${error.message}`);
+      }
+    }
+
+    if (entries.has(DATA_FILE)) {
+      return { tables: readJsonDocument(entries.get(DATA_FILE).toString('utf8')), files };
+    }
+    const tables = {};
+    for (const { table: name } of TRANSFER_TABLES) {
+      const entry = [csvPath(name), `${name}.csv`].find(candidate => entries.has(candidate));
+      if (entry) tables[name] = readCsvTable(entries.get(entry).toString('utf8'), name);
+    }
+    if (Object.keys(tables).length === 0) {
+      throw new Error(`Zip has neither ${DATA_FILE} nor csv/<table>.csv files`);
+    }
+    return { tables, files };
+  }
+
+  const text = buffer.toString('utf8');
+  if (extension === '.csv') {
+    if (!getSpec(table)) {
+      throw new Error(`CSV imports need table: one of ${TRANSFER_TABLES.map(spec => spec.table).join(', ')}`);
+    }
+    return { tables: { [table]: readCsvTable(text, table) }, files: new Map() };
+  }
+  return { tables: readJsonDocument(text), files: new Map() };
+};
+
+// ---- Import ----
+
+// One value checked and converted for its column -> { value } or { error }
+const normalizeValue = (column, raw) => {
+  let value = raw;
+  if (typeof value === 'string') value = value.trim();
+  if (value === undefined || value === null || value === '') {
+    return column.required ? { error: 'is required' } : { value: null };
+  }
+  if (typeof value === 'object') {
+    return { error: 'must be a single value' };
+  }
+
+  switch (column.type) {
+    case 'integer':
+      value = Number(value);
+      if (!Number.isInteger(value)) return { error: 'must be a whole number' };
+      break;
+    case 'real':
+      value = Number(value);
+      if (!Number.isFinite(value)) return { error: 'must be a number' };
+      break;
+    case 'date':
+      value = String(value);
+      if (!isDateKey(value)) return { error: 'must be a date (YYYY-MM-DD)' };
+      break;
+    case 'datetime': {
+      value = String(value);
+      if (SQL_DATETIME.test(value)) break;
+      const time = Date.parse(value);
+      if (Number.isNaN(time)) return { error: 'must be a date and time' };
+      value = toSqlDateTime(new Date(time));
+      break;
+    }
+    case 'colors': {
+      let colors = null;
+      try {
+        colors = toColorList(JSON.parse(String(value)));
+      } catch (error) {
+        colors = null;
+      }
+      if (!colors) return { error: 'must be a JSON list of colors' };
+      value = serializeColorList(colors);
+      break;
+    }
+    default:
+      value = String(value);
+  }
+
+  if (column.min !== undefined && value < column.min) {
+    return { error: `must be at least ${column.min}` };
+  }
+  if (column.values && !column.values.includes(value)) {
+    return { error: `must be one of: ${column.values.join(', ')}` };
+  }
+  return { value };
+};
+
+// Rows of one table, in file order, with what happened to each
+const importTable = async (context, spec, rows) => {
+  const { report, ids, createdItems, dedupedItems, images } = context;
+  const stats = { received: rows.length, created: 0, skipped: 0, failed: 0 };
+  report.tables[spec.table] = stats;
+
+  for (const [index, raw] of rows.entries()) {
+    const rowNumber = index + 1;
+    const errors = [];
+    images.used.clear();
+    const fail = (field, error) => errors.push({ table: spec.table, row: rowNumber, field, error });
+
+    if (raw instanceof Error) {
+      fail(null, raw.message);
+    } else if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      fail(null, 'must be an object of column values');
+    }
+
+    const values = {};
+    let oldId = null;
+    if (errors.length === 0) {
+      for (const column of spec.columns) {
+        const { value, error } = normalizeValue(column, raw[column.name]);
+        if (error) {
+          fail(column.name, error);
+          continue;
+        }
+
+        if (column.type === 'id') {
+          oldId = value;
+        } else if (column.type === 'ref' && value !== null) {
+          const mapped = await resolveRef(context, column.table, value);
+          if (mapped) values[column.name] = mapped;
+          else fail(column.name, `${value} isn't a ${column.table} id in the import or your wardrobe`);
+        } else if (column.type === 'image' && value !== null) {
+          const imageUrl = resolveImage(context, value);
+          if (imageUrl) {
+            values[column.name] = imageUrl;
+          } else if (column.required) {
+            fail(column.name, `image ${value} is not in the import or on this server`);
+          } else {
+            addIssue(report, 'warnings', { table: spec.table, row: rowNumber, field: column.name, warning: `image ${value} not found; imported without it` });
+          }
+        } else if (value !== null) {
+          values[column.name] = value;
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      stats.failed++;
+      errors.forEach(error => addIssue(report, 'errors', error));
+      continue;
+    }
+
+    try {
+      const outcome = await importRow(context, spec.table, values);
+      if (outcome.error) {
+        stats.failed++;
+        addIssue(report, 'errors', { table: spec.table, row: rowNumber, field: outcome.field || null, error: outcome.error });
+        continue;
+      }
+      if (oldId && outcome.id && ids[spec.table]) ids[spec.table].set(oldId, outcome.id);
+      if (outcome.duplicate) {
+        stats.skipped++;
+        if (spec.table === 'wardrobe_items' && !createdItems.has(outcome.id)) dedupedItems.add(outcome.id);
+      } else {
+        stats.created++;
+        if (spec.table === 'wardrobe_items') createdItems.add(outcome.id);
+        images.used.forEach(entry => images.pending.set(entry, images.names.get(entry)));
+      }
+    } catch (error) {
+      stats.failed++;
+      addIssue(report, 'errors', { table: spec.table, row: rowNumber, field: null, error: error.message });
+    }
+  }
+};
+
+// Inserts one validated row, or says why not -> { id, duplicate } or { error }
+const importRow = async ({ userId, dedupedItems }, table, values) => {
+  switch (table) {
+    case 'wardrobe_items': {
+      if (values.rfid_tag) {
+        const existing = await TransferModel.findItemByRfidTag(values.rfid_tag);
+        if (existing && existing.user_id !== userId) {
+          return { field: 'rfid_tag', error: 'is already used by another account' };
+        }
+        if (existing) return { id: existing.id, duplicate: true };
+      }
+      // As for new items: an exported hex is kept (older exports have none)
+      // and the family follows this server's palette
+      const { hex, family } = describeColor(values.color, values.color_hex);
+      Object.assign(values, { color_hex: hex, color_family: family });
+      const id = uuidv4();
+      await TransferModel.insert(table, { id, user_id: userId, ...values });
+      return { id };
+    }
+    case 'outfits': {
+      const id = uuidv4();
+      await TransferModel.insert(table, { id, user_id: userId, ...values });
+      return { id };
+    }
+    case 'outfit_items':
+      if (values.item_id && await TransferModel.hasOutfitItem(values.outfit_id, values.item_id)) {
+        return { duplicate: true };
+      }
+      await TransferModel.insert(table, values);
+      return {};
+    case 'item_images': {
+      // Items matched by rfid_tag keep the photos they already have
+      if (dedupedItems.has(values.item_id)) return { duplicate: true };
+      const id = uuidv4();
+      await TransferModel.insert(table, { id, ...values });
+      return { id };
+    }
+    case 'rfid_scans': {
+      if (await TransferModel.hasScan(userId, { scan_type: null, scan_time: null, ...values })) {
+        return { duplicate: true };
+      }
+      const id = uuidv4();
+      await TransferModel.insert(table, { id, user_id: userId, ...values });
+      return { id };
+    }
+    default:
+      throw new Error(`Unknown table ${table}`);
+  }
+};
+
+// An exported id -> the id it was imported as, or the same id if the user
+// already owns that row (e.g. a CSV of outfit_items for existing outfits)
+const resolveRef = async ({ userId, ids }, table, oldId) => {
+  if (ids[table].has(oldId)) return ids[table].get(oldId);
+  return (await TransferModel.isOwned(table, oldId, userId)) ? oldId : null;
+};
+
+// An image URL from the import -> the URL to store, or null if the file is
+// missing. Photos in the zip get new names in uploads/ (written once the
+// import commits); other /uploads/ URLs are kept if the file is on this
+// server, and http(s) URLs are kept as they are.
+const resolveImage = ({ files, images }, imageUrl) => {
+  if (/^https?:\/\//i.test(imageUrl)) return imageUrl;
+  const entry = imageEntryName(imageUrl);
+  if (!entry) return null;
+
+  if (files.has(entry)) {
+    if (!images.names.has(entry)) {
+      const extension = path.extname(entry).toLowerCase();
+      const name = `import-${uuidv4()}${/^\.[a-z0-9]{1,5}$/.test(extension) ? extension : ''}`;
+      images.names.set(entry, name);
+    }
+    images.used.add(entry);
+    return `/uploads/${images.names.get(entry)}`;
+  }
+  return fs.existsSync(resolveUploadPath(entry)) ? imageUrl : null;
+};
+
+const addIssue = (report, list, issue) => {
+  if (report[list].length < MAX_REPORTED_ERRORS) {
+    report[list].push(issue);
+  } else {
+    report.truncated = true;
+  }
+};
+
+// tables: { <table>: [rows] } as read by readImportFile. Runs in one
+// transaction; a dry run rolls it back and writes no photos, but reports
+// exactly what a real import would do.
+const importWardrobe = async (userId, tables, { files = new Map(), dryRun = false } = {}) => {
+  const report = { dryRun, tables: {}, images: 0, errors: [], warnings: [] };
+  const context = {
+    userId,
+    report,
+    files,
+    ids: { wardrobe_items: new Map(), outfits: new Map() },
+    // Items created by this import, and existing items matched by rfid_tag
+    createdItems: new Set(),
+    dedupedItems: new Set(),
+    // zip entry -> new file name; `used` holds the current row's photos,
+    // `pending` those of rows that were imported
+    images: { names: new Map(), used: new Set(), pending: new Map() }
+  };
+
+  try {
+    await Database.transaction(async () => {
+      for (const spec of TRANSFER_TABLES) {
+        if (tables[spec.table]) await importTable(context, spec, tables[spec.table]);
+      }
+      if (dryRun) throw ROLLBACK_DRY_RUN;
+    });
+  } catch (error) {
+    if (error !== ROLLBACK_DRY_RUN) throw error;
+  }
+
+  report.images = context.images.pending.size;
+  if (!dryRun) {
+    for (const [entry, name] of context.images.pending) {
+      await fs.promises.writeFile(path.join(UPLOADS_DIR, name), files.get(entry));
+      await UploadModel.setOwner(`/uploads/${name}`, userId);
+    }
+    context.ids.outfits.forEach(outfitId => queueCollage(outfitId));
+  }
+  return report;
+};
+
+module.exports = {
+  getExportTables,
+  writeJsonExport,
+  writeCsvExport,
+  writeZipExport,
+  readImportFile,
+  importWardrobe
+};
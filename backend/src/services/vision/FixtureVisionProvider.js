@@ -0,0 +1,49 @@
+// backend/src/services/vision/FixtureVisionProvider.js
+const fs = require('fs');
+const path = require('path');
+const { hashImage, getFixtureDir, fixturePathFor } = require('./fixtures');
+
+// Replays saved annotateImage responses instead of calling Google.
+// A fixture recorded for the exact image (<fixtureDir>/<sha256>.json) wins;
+// otherwise the fallback fixture is used. Files are re-read on every call so
+// they can be edited while the server runs.
+class FixtureVisionProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.fixtureDir = options.fixtureDir || getFixtureDir();
+    this.fixturePath = options.fixturePath ||
+      process.env.VISION_FIXTURE_PATH ||
+      path.join(this.fixtureDir, 'default.json');
+  }
+
+  getStatus() {
+    const fixtureExists = fs.existsSync(this.fixturePath);
+    const recordedFixtures = fs.existsSync(this.fixtureDir)
+      ? fs.readdirSync(this.fixtureDir).filter(file => /^[0-9a-f]{64}\.json$/.test(file)).length
+      : 0;
+
+    return {
+      provider: this.name,
+      fixtureDir: this.fixtureDir,
+      recordedFixtures,
+      fixturePath: this.fixturePath,
+      fixtureExists,
+      ready: fixtureExists || recordedFixtures > 0
+    };
+  }
+
+  async annotate(imageBuffer) {
+    const recordedPath = fixturePathFor(hashImage(imageBuffer), this.fixtureDir);
+    const fixturePath = fs.existsSync(recordedPath) ? recordedPath : this.fixturePath;
+
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`Vision fixture not found: ${fixturePath}`);
+    }
+
+    console.log(`📼 Replaying vision fixture: ${path.basename(fixturePath)}`);
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    return fixture.response || fixture;
+  }
+}
+
+module.exports = FixtureVisionProvider;
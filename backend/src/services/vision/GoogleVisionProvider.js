@@ -0,0 +1,55 @@
+// backend/src/services/vision/GoogleVisionProvider.js
+const vision = require('@google-cloud/vision');
+const fs = require('fs');
+
+// All five detections in a single annotateImage request
+const FEATURES = [
+  { type: 'OBJECT_LOCALIZATION' },
+  { type: 'LABEL_DETECTION' },
+  { type: 'TEXT_DETECTION' },
+  { type: 'IMAGE_PROPERTIES' },
+  { type: 'WEB_DETECTION' }
+];
+
+class GoogleVisionProvider {
+  constructor(options = {}) {
+    this.name = 'google';
+    this.keyFilename = options.keyFilename ||
+      process.env.GOOGLE_APPLICATION_CREDENTIALS ||
+      './service-account-key.json';
+    this.client = null;
+  }
+
+  // Created lazily so the server can boot without credentials
+  getClient() {
+    if (!this.client) {
+      this.client = new vision.ImageAnnotatorClient({ keyFilename: this.keyFilename });
+    }
+    return this.client;
+  }
+
+  getStatus() {
+    const credentialsExist = fs.existsSync(this.keyFilename);
+    return {
+      provider: this.name,
+      credentialsPath: this.keyFilename,
+      credentialsExist,
+      ready: credentialsExist
+    };
+  }
+
+  async annotate(imageBuffer) {
+    const [response] = await this.getClient().annotateImage({
+      image: { content: imageBuffer },
+      features: FEATURES
+    });
+
+    if (response.error && response.error.message) {
+      throw new Error(`Vision API error: ${response.error.message}`);
+    }
+
+    return response;
+  }
+}
+
+module.exports = GoogleVisionProvider;
@@ -0,0 +1,153 @@
+// backend/src/services/vision/LocalVisionProvider.js
+const sharp = require('sharp');
+
+const ANALYSIS_SIZE = 128;        // Downscale before looking at pixels
+const BACKGROUND_DISTANCE = 60;   // RGB distance from the border colour that counts as foreground
+const MIN_FOREGROUND = 0.02;      // Ignore images where almost nothing differs from the background
+const MAX_COLORS = 10;
+
+// Average colour of the outermost ring of pixels - the surface the item sits on
+const estimateBackground = (data, { width, height, channels }) => {
+  let r = 0, g = 0, b = 0, count = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (x !== 0 && y !== 0 && x !== width - 1 && y !== height - 1) continue;
+      const i = (y * width + x) * channels;
+      r += data[i];
+      g += data[i + 1];
+      b += data[i + 2];
+      count++;
+    }
+  }
+
+  return [r / count, g / count, b / count];
+};
+
+const colorDistance = (r, g, b, [br, bg, bb]) => {
+  return Math.sqrt((r - br) ** 2 + (g - bg) ** 2 + (b - bb) ** 2);
+};
+
+// Bounding box of every pixel that stands out from the background
+const findForeground = (data, info, background) => {
+  const { width, height, channels } = info;
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+  let foreground = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * channels;
+      if (colorDistance(data[i], data[i + 1], data[i + 2], background) > BACKGROUND_DISTANCE) {
+        foreground++;
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+      }
+    }
+  }
+
+  const fraction = foreground / (width * height);
+  if (fraction < MIN_FOREGROUND) return null;
+
+  return {
+    fraction,
+    left: minX / width,
+    top: minY / height,
+    right: (maxX + 1) / width,
+    bottom: (maxY + 1) / height
+  };
+};
+
+// Bucket pixels into a 16-level-per-channel grid and average each bucket,
+// mimicking the dominantColors block of an imageProperties response
+const extractDominantColors = (data, info, background, useForegroundOnly) => {
+  const { width, height, channels } = info;
+  const buckets = new Map();
+  let total = 0;
+
+  for (let i = 0; i < width * height * channels; i += channels) {
+    const r = data[i], g = data[i + 1], b = data[i + 2];
+    if (useForegroundOnly && colorDistance(r, g, b, background) <= BACKGROUND_DISTANCE) continue;
+
+    const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+    const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, count: 0 };
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+    bucket.count++;
+    buckets.set(key, bucket);
+    total++;
+  }
+
+  return [...buckets.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_COLORS)
+    .map(bucket => ({
+      color: {
+        red: Math.round(bucket.r / bucket.count),
+        green: Math.round(bucket.g / bucket.count),
+        blue: Math.round(bucket.b / bucket.count)
+      },
+      score: bucket.count / total,
+      pixelFraction: bucket.count / total
+    }));
+};
+
+// Offline stand-in that needs nothing but sharp. It can't recognise garments,
+// so it reports one generic "Clothing" object around whatever differs from the
+// background, plus the dominant colours of that region.
+class LocalVisionProvider {
+  constructor() {
+    this.name = 'local';
+  }
+
+  getStatus() {
+    return { provider: this.name, ready: true };
+  }
+
+  async annotate(imageBuffer) {
+    const { data, info } = await sharp(imageBuffer)
+      .rotate()
+      .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside' })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const background = estimateBackground(data, info);
+    const box = findForeground(data, info, background);
+    const colors = extractDominantColors(data, info, background, !!box);
+
+    const localizedObjectAnnotations = [];
+    const labelAnnotations = [];
+
+    if (box) {
+      // Confidence grows with how much of the frame the item fills
+      const score = Math.min(0.9, 0.6 + box.fraction / 2);
+
+      localizedObjectAnnotations.push({
+        name: 'Clothing',
+        score,
+        boundingPoly: {
+          normalizedVertices: [
+            { x: box.left, y: box.top },
+            { x: box.right, y: box.top },
+            { x: box.right, y: box.bottom },
+            { x: box.left, y: box.bottom }
+          ]
+        }
+      });
+      labelAnnotations.push({ description: 'Clothing', score });
+    }
+
+    return {
+      localizedObjectAnnotations,
+      labelAnnotations,
+      textAnnotations: [],
+      imagePropertiesAnnotation: { dominantColors: { colors } },
+      webDetection: { webEntities: [] }
+    };
+  }
+}
+
+module.exports = LocalVisionProvider;
@@ -0,0 +1,45 @@
+// backend/src/services/vision/RecordingVisionProvider.js
+const fs = require('fs');
+const { hashImage, getFixtureDir, fixturePathFor } = require('./fixtures');
+
+// Wraps another provider and saves every raw response it returns as
+// <fixtureDir>/<sha256 of image>.json, ready to be replayed by the fixture provider.
+class RecordingVisionProvider {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.name = provider.name;
+    this.fixtureDir = options.fixtureDir || getFixtureDir();
+  }
+
+  getStatus() {
+    return {
+      ...this.provider.getStatus(),
+      recording: true,
+      fixtureDir: this.fixtureDir
+    };
+  }
+
+  async annotate(imageBuffer) {
+    const response = await this.provider.annotate(imageBuffer);
+    const imageHash = hashImage(imageBuffer);
+    const fixturePath = fixturePathFor(imageHash, this.fixtureDir);
+
+    // A failed write must never break the analysis that produced the response
+    try {
+      fs.mkdirSync(this.fixtureDir, { recursive: true });
+      fs.writeFileSync(fixturePath, JSON.stringify({
+        imageHash,
+        recordedAt: new Date().toISOString(),
+        provider: this.provider.name,
+        response
+      }, null, 2));
+      console.log(`📼 Recorded vision fixture: ${fixturePath}`);
+    } catch (error) {
+      console.error('Failed to record vision fixture:', error.message);
+    }
+
+    return response;
+  }
+}
+
+module.exports = RecordingVisionProvider;
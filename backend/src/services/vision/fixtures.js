@@ -0,0 +1,23 @@
+// backend/src/services/vision/fixtures.js
+const crypto = require('crypto');
+const path = require('path');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '../../../fixtures/vision');
+
+// Fixtures are keyed by the SHA-256 of the exact image bytes sent to the annotator
+const hashImage = (imageBuffer) => {
+  return crypto.createHash('sha256').update(imageBuffer).digest('hex');
+};
+
+const getFixtureDir = () => process.env.VISION_FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+
+const fixturePathFor = (imageHash, fixtureDir = getFixtureDir()) => {
+  return path.join(fixtureDir, `${imageHash}.json`);
+};
+
+module.exports = {
+  DEFAULT_FIXTURE_DIR,
+  hashImage,
+  getFixtureDir,
+  fixturePathFor
+};
@@ -0,0 +1,47 @@
+// backend/src/services/vision/index.js
+//
+// Vision providers all expose the same two methods:
+//   annotate(imageBuffer) -> Promise<AnnotateImageResponse-shaped object>
+//     { localizedObjectAnnotations, labelAnnotations, textAnnotations,
+//       imagePropertiesAnnotation, webDetection }
+//   getStatus()           -> { provider, ready, ... }
+//
+// VISION_PROVIDER picks the implementation: google (default), fixture or local.
+// VISION_RECORD=true additionally saves every response as a fixture keyed by
+// image hash, so a session can later be replayed with VISION_PROVIDER=fixture.
+const GoogleVisionProvider = require('./GoogleVisionProvider');
+const FixtureVisionProvider = require('./FixtureVisionProvider');
+const LocalVisionProvider = require('./LocalVisionProvider');
+const RecordingVisionProvider = require('./RecordingVisionProvider');
+
+const PROVIDERS = {
+  google: GoogleVisionProvider,
+  fixture: FixtureVisionProvider,
+  local: LocalVisionProvider
+};
+
+let activeProvider = null;
+
+const createVisionProvider = (name, options = {}) => {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown vision provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+};
+
+const getVisionProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createVisionProvider((process.env.VISION_PROVIDER || 'google').toLowerCase());
+
+    if (process.env.VISION_RECORD === 'true') {
+      activeProvider = new RecordingVisionProvider(activeProvider);
+    }
+  }
+  return activeProvider;
+};
+
+module.exports = {
+  createVisionProvider,
+  getVisionProvider
+};
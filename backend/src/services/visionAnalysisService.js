@@ -0,0 +1,485 @@
+// backend/src/services/visionAnalysisService.js
+const sharp = require('sharp');
+const { getVisionProvider } = require('./vision');
+const { rgbToHsl, rgbToColorName } = require('../utils/colors');
+const { isClothing, findCategory } = require('../utils/taxonomy');
+
+// Gives each detected item the OCR text found on it (searchable as
+// wardrobe_items.ocr_text once saved): words whose centre falls inside the
+// item's bounding box. Items found by labels or web entities have no box and
+// get all of the photo's text. textAnnotations[0] is the full text; the rest
+// are single words with pixel vertices.
+const assignDetectedText = async (detectedItems, textAnnotations, imageBuffer) => {
+  const fullText = textAnnotations.length > 0 ? (textAnnotations[0].description || '').trim() : '';
+  if (!fullText) return fullText;
+
+  let size = null;
+  try {
+    const { width, height } = await sharp(imageBuffer).metadata();
+    if (width && height) size = { width, height };
+  } catch (error) {
+    console.log('⚠️  Could not read image size for text placement:', error.message);
+  }
+
+  const words = textAnnotations.slice(1)
+    .filter(word => word.description && word.boundingPoly && word.boundingPoly.vertices)
+    .map(word => {
+      const vertices = word.boundingPoly.vertices;
+      const centre = (axis) => vertices.reduce((sum, vertex) => sum + (vertex[axis] || 0), 0) / vertices.length;
+      return { text: word.description, x: centre('x'), y: centre('y') };
+    });
+
+  detectedItems.forEach(item => {
+    if (!item.boundingBox || !size) {
+      item.ocrText = fullText;
+      return;
+    }
+    const xs = item.boundingBox.map(vertex => (vertex.x || 0) * size.width);
+    const ys = item.boundingBox.map(vertex => (vertex.y || 0) * size.height);
+    const inside = words.filter(word =>
+      word.x >= Math.min(...xs) && word.x <= Math.max(...xs) &&
+      word.y >= Math.min(...ys) && word.y <= Math.max(...ys)
+    );
+    item.ocrText = inside.map(word => word.text).join(' ') || null;
+  });
+  return fullText;
+};
+
+// Analyze image with Google Vision API
+const analyzeImageWithVision = async (imageData) => {
+  try {
+    let imageBuffer;
+    
+    // Handle base64 image data
+    if (imageData.startsWith('data:image')) {
+      const base64Data = imageData.split(',')[1];
+      imageBuffer = Buffer.from(base64Data, 'base64');
+    } else {
+      imageBuffer = Buffer.from(imageData, 'base64');
+    }
+
+    // One annotate request covers objects, labels, text, image properties and
+    // web entities; which backend answers it is picked by VISION_PROVIDER
+    const annotations = await getVisionProvider().annotate(imageBuffer);
+    const objectResult = annotations;
+    const labelResult = annotations;
+    const textResult = annotations;
+    const propertiesResult = annotations.imagePropertiesAnnotation || {};
+    const webResult = annotations.webDetection || {};
+
+    const detectedItems = [];
+    const colors = [];
+    
+    console.log('🔍 Processing detected objects first...');
+    
+    // Extract actual colors from Vision API FIRST
+    console.log('🎨 Extracting colors from Vision API...');
+    // Don't log entire properties result as it's too verbose
+    const detectedColors = [];
+    
+    // Track all detections for debugging summary
+    const debugSummary = {
+      totalObjectsDetected: 0,
+      objectsAccepted: [],
+      objectsRejected: [],
+      objectsFiltered: [],
+      labelsDetected: [],
+      webEntitiesDetected: [],
+      colorsDetected: [],
+      finalItemsCount: 0
+    };
+    
+    // Check multiple possible response structures from Vision API
+    let dominantColors = null;
+    
+    // Try different possible paths for the dominant colors
+    if (propertiesResult.dominantColors && propertiesResult.dominantColors.colors) {
+      dominantColors = propertiesResult.dominantColors.colors;
+    } else if (propertiesResult.imagePropertiesAnnotation && propertiesResult.imagePropertiesAnnotation.dominantColors) {
+      dominantColors = propertiesResult.imagePropertiesAnnotation.dominantColors.colors;
+    } else if (propertiesResult.imageProperties && propertiesResult.imageProperties.dominantColors) {
+      dominantColors = propertiesResult.imageProperties.dominantColors.colors;
+    }
+    
+    if (dominantColors && dominantColors.length > 0) {
+      console.log(`   Found ${dominantColors.length} dominant colors`);
+      
+      dominantColors.slice(0, 5).forEach((colorInfo, index) => {
+        const { red, green, blue } = colorInfo.color;
+        const r = Math.round(red || 0);
+        const g = Math.round(green || 0); 
+        const b = Math.round(blue || 0);
+        const colorName = rgbToColorName(r, g, b);
+        const pixelFraction = colorInfo.pixelFraction || 0;
+        
+        console.log(`   🎨 Color ${index + 1}: RGB(${r}, ${g}, ${b}) = ${colorName} (${(pixelFraction * 100).toFixed(1)}%)`);
+        
+        // Additional debug for olive/green colors or low saturation colors
+        const [h, s, l] = rgbToHsl(r, g, b);
+        if ((h >= 50 && h <= 150) || s < 0.1 || colorName.includes('olive') || colorName.includes('green')) {
+          console.log(`      🔍 Color analysis: HSL(${h.toFixed(1)}°, ${(s*100).toFixed(1)}%, ${(l*100).toFixed(1)}%)`);
+        }
+        
+        // Only add valid color names
+        if (colorName && colorName !== 'unknown') {
+          detectedColors.push(colorName);
+        }
+      });
+    } else {
+      console.log('⚠️  No dominant colors found in Vision API response');
+      console.log('   Direct dominantColors exists:', !!propertiesResult.dominantColors);
+      console.log('   imagePropertiesAnnotation exists:', !!propertiesResult.imagePropertiesAnnotation);
+      console.log('   imageProperties exists:', !!propertiesResult.imageProperties);
+      
+      // Log the actual structure for debugging
+      console.log('   Available keys in propertiesResult:', Object.keys(propertiesResult));
+    }
+    
+    // Helper function to calculate IoU (Intersection over Union) for bounding boxes
+    // This helps detect overlapping items to prevent duplicates
+    const calculateIoU = (box1, box2) => {
+      if (!box1 || !box2 || box1.length < 4 || box2.length < 4) return 0;
+      
+      // Get min/max coordinates for each box
+      const getMinMax = (vertices) => {
+        const xs = vertices.map(v => v.x || 0);
+        const ys = vertices.map(v => v.y || 0);
+        return {
+          minX: Math.min(...xs),
+          maxX: Math.max(...xs),
+          minY: Math.min(...ys),
+          maxY: Math.max(...ys)
+        };
+      };
+      
+      const bounds1 = getMinMax(box1);
+      const bounds2 = getMinMax(box2);
+      
+      // Calculate intersection
+      const xOverlap = Math.max(0, Math.min(bounds1.maxX, bounds2.maxX) - Math.max(bounds1.minX, bounds2.minX));
+      const yOverlap = Math.max(0, Math.min(bounds1.maxY, bounds2.maxY) - Math.max(bounds1.minY, bounds2.minY));
+      const intersectionArea = xOverlap * yOverlap;
+      
+      // Calculate union
+      const area1 = (bounds1.maxX - bounds1.minX) * (bounds1.maxY - bounds1.minY);
+      const area2 = (bounds2.maxX - bounds2.minX) * (bounds2.maxY - bounds2.minY);
+      const unionArea = area1 + area2 - intersectionArea;
+      
+      return unionArea > 0 ? intersectionArea / unionArea : 0;
+    };
+
+    // Process detected objects AFTER color detection
+    if (objectResult.localizedObjectAnnotations) {
+      debugSummary.totalObjectsDetected = objectResult.localizedObjectAnnotations.length;
+      console.log(`\n📦 OBJECT DETECTION RESULTS: ${debugSummary.totalObjectsDetected} objects found`);
+      console.log('══════════════════════════════════════════════════════════════');
+      
+      objectResult.localizedObjectAnnotations.forEach((obj, idx) => {
+        const bbox = obj.boundingPoly?.normalizedVertices;
+        console.log(`\n  [${idx + 1}] Object: "${obj.name}" (Confidence: ${(obj.score * 100).toFixed(1)}%)`);
+        if (bbox && bbox.length >= 4) {
+          console.log(`      📍 Bounding Box:`);
+          console.log(`         Top-Left:     (${(bbox[0]?.x || 0).toFixed(3)}, ${(bbox[0]?.y || 0).toFixed(3)})`);
+          console.log(`         Top-Right:    (${(bbox[1]?.x || 0).toFixed(3)}, ${(bbox[1]?.y || 0).toFixed(3)})`);
+          console.log(`         Bottom-Right: (${(bbox[2]?.x || 0).toFixed(3)}, ${(bbox[2]?.y || 0).toFixed(3)})`);
+          console.log(`         Bottom-Left:  (${(bbox[3]?.x || 0).toFixed(3)}, ${(bbox[3]?.y || 0).toFixed(3)})`);
+          console.log(`         Width:  ${((bbox[1]?.x - bbox[0]?.x) || 0).toFixed(3)}`);
+          console.log(`         Height: ${((bbox[2]?.y - bbox[0]?.y) || 0).toFixed(3)}`);
+        } else {
+          console.log(`      ⚠️  No bounding box data`);
+        }
+      });
+      console.log('\n══════════════════════════════════════════════════════════════');
+      
+      // Filter and process objects with confidence threshold
+      const MIN_CONFIDENCE = 0.4; // 40% minimum confidence (lowered to catch more items)
+      const IOU_THRESHOLD = 0.3; // 30% overlap threshold for considering duplicates
+      
+      const candidateItems = [];
+      
+      // First, collect all valid clothing items with sufficient confidence
+      objectResult.localizedObjectAnnotations.forEach(obj => {
+        const objectName = obj.name.toLowerCase();
+        const isClothingItem = isClothing(objectName);
+        
+        if (obj.score >= MIN_CONFIDENCE && isClothingItem) {
+          console.log(`\n   ✅ ACCEPTED: "${obj.name}" (${(obj.score * 100).toFixed(1)}%)`);
+          console.log(`      Reason: Matches clothing terms and confidence >= ${(MIN_CONFIDENCE * 100).toFixed(0)}%`);
+          debugSummary.objectsAccepted.push(`${obj.name} (${(obj.score * 100).toFixed(1)}%)`);
+          candidateItems.push({
+            type: objectName,
+            confidence: Math.round(obj.score * 100),
+            boundingBox: obj.boundingPoly.normalizedVertices,
+            source: 'object_detection',
+            score: obj.score
+          });
+        } else if (isClothingItem) {
+          console.log(`\n   ❌ REJECTED: "${obj.name}" (${(obj.score * 100).toFixed(1)}%)`);
+          console.log(`      Reason: Confidence below ${(MIN_CONFIDENCE * 100).toFixed(0)}% threshold`);
+          debugSummary.objectsRejected.push(`${obj.name} (${(obj.score * 100).toFixed(1)}%) - low confidence`);
+        } else if (obj.score >= MIN_CONFIDENCE) {
+          console.log(`\n   ❌ REJECTED: "${obj.name}" (${(obj.score * 100).toFixed(1)}%)`);
+          console.log(`      Reason: Not a clothing item`);
+          debugSummary.objectsRejected.push(`${obj.name} (${(obj.score * 100).toFixed(1)}%) - not clothing`);
+        }
+      });
+      
+      // Sort by confidence score (highest first)
+      candidateItems.sort((a, b) => b.score - a.score);
+      
+      // Remove duplicates based on bounding box overlap
+      const filteredItems = [];
+      candidateItems.forEach(item => {
+        let isDuplicate = false;
+        
+        // Check if this item overlaps significantly with any already accepted item
+        for (const acceptedItem of filteredItems) {
+          // Check if same type or similar type
+          const sameType = item.type === acceptedItem.type || 
+                          (item.type.includes(acceptedItem.type) || acceptedItem.type.includes(item.type));
+          
+          if (sameType && item.boundingBox && acceptedItem.boundingBox) {
+            const iou = calculateIoU(item.boundingBox, acceptedItem.boundingBox);
+            if (iou > IOU_THRESHOLD) {
+              isDuplicate = true;
+              console.log(`\n   🔄 FILTERED DUPLICATE: "${item.type}" (${item.confidence}%)`);
+              console.log(`      Overlaps with: "${acceptedItem.type}" (${acceptedItem.confidence}%)`);
+              console.log(`      IoU (Intersection over Union): ${(iou * 100).toFixed(1)}%`);
+              debugSummary.objectsFiltered.push(`${item.type} overlaps ${acceptedItem.type} (IoU: ${(iou * 100).toFixed(1)}%)`);
+              break;
+            }
+          }
+        }
+        
+        if (!isDuplicate) {
+          filteredItems.push(item);
+        }
+      });
+      
+      // Add filtered items to detectedItems
+      filteredItems.forEach(item => {
+        delete item.score; // Remove temporary score field
+        detectedItems.push(item);
+      });
+      
+      console.log(`\n📊 OBJECT FILTERING SUMMARY:`);
+      console.log(`   Total candidates: ${candidateItems.length}`);
+      console.log(`   After duplicate removal: ${filteredItems.length}`);
+      console.log(`   Duplicates filtered: ${candidateItems.length - filteredItems.length}`);
+    }
+
+    // Log raw label results
+    if (labelResult.labelAnnotations) {
+      console.log(`\n🏷️  LABEL DETECTION RESULTS: ${labelResult.labelAnnotations.length} labels found`);
+      console.log('══════════════════════════════════════════════════════════════');
+      labelResult.labelAnnotations.slice(0, 15).forEach((label, idx) => {
+        console.log(`  [${idx + 1}] "${label.description}" (${(label.score * 100).toFixed(1)}%)`);
+        debugSummary.labelsDetected.push(`${label.description} (${(label.score * 100).toFixed(1)}%)`);
+      });
+      if (labelResult.labelAnnotations.length > 15) {
+        console.log(`  ... and ${labelResult.labelAnnotations.length - 15} more labels`);
+      }
+    }
+
+    // If no objects detected, try to infer from labels
+    if (detectedItems.length === 0 && labelResult.labelAnnotations) {
+      console.log(`\n⚠️  No objects detected via object localization, falling back to labels...`);
+      const clothingLabels = labelResult.labelAnnotations.filter(label => {
+        const description = label.description.toLowerCase();
+        return isClothing(description);
+      });
+
+      console.log(`   Found ${clothingLabels.length} clothing-related labels`);
+      clothingLabels.slice(0, 5).forEach(label => {
+        console.log(`   ➕ Adding from label: "${label.description}" (${(label.score * 100).toFixed(1)}%)`);
+        // For label-based detection without bounding boxes, we'll use the full image
+        // but flag it so the UI knows this is a full-image detection
+        detectedItems.push({
+          type: label.description.toLowerCase(),
+          confidence: Math.round(label.score * 100),
+          boundingBox: null,
+          source: 'label_detection',
+          useFullImage: true
+        });
+      });
+    }
+
+    // Use web detection to improve clothing item detection
+    if (webResult.webEntities && webResult.webEntities.length > 0) {
+      console.log(`\n🌐 WEB DETECTION RESULTS: ${webResult.webEntities.length} entities found`);
+      console.log('══════════════════════════════════════════════════════════════');
+      webResult.webEntities.slice(0, 10).forEach((entity, idx) => {
+        if (entity.description && entity.score > 0.5) {
+          const desc = entity.description.toLowerCase();
+          console.log(`  [${idx + 1}] "${entity.description}" (${(entity.score * 100).toFixed(1)}%)`);
+          debugSummary.webEntitiesDetected.push(`${entity.description} (${(entity.score * 100).toFixed(1)}%)`);
+          
+          // Check if this names a garment (not just "formal wear") we haven't detected
+          if (findCategory(desc) && !detectedItems.some(item => item.type === desc)) {
+            detectedItems.push({
+              type: desc,
+              confidence: Math.round(entity.score * 100),
+              boundingBox: null,
+              source: 'web_detection',
+              useFullImage: true
+            });
+            console.log(`   ➕ Added clothing item from web: "${desc}"`);
+          }
+        }
+      });
+    }
+
+    // Extract brand information from text detection
+    const brands = [];
+    const text = await assignDetectedText(detectedItems, textResult.textAnnotations || [], imageBuffer);
+    if (text) {
+      const commonBrands = ['nike', 'adidas', 'gucci', 'prada', 'versace', 'armani', 'hugo boss', 'calvin klein'];
+      commonBrands.forEach(brand => {
+        if (text.toLowerCase().includes(brand)) {
+          brands.push(brand);
+        }
+      });
+    }
+
+    console.log('\n🎯 Final detected colors:', detectedColors);
+    debugSummary.colorsDetected = detectedColors;
+    
+    // If no colors detected, add a warning and try to extract from labels
+    if (detectedColors.length === 0) {
+      console.log('⚠️  WARNING: No colors detected from Vision API!');
+      console.log('   This may indicate an issue with the Vision API response or image quality.');
+      
+      // Try to extract colors from labels as a fallback
+      if (labelResult.labelAnnotations) {
+        const colorKeywords = ['black', 'white', 'gray', 'grey', 'navy', 'blue', 'brown', 'tan', 'beige', 'red', 'green', 'purple', 'pink', 'yellow', 'orange'];
+        labelResult.labelAnnotations.forEach(label => {
+          const description = label.description.toLowerCase();
+          colorKeywords.forEach(color => {
+            if (description.includes(color) && !detectedColors.includes(color)) {
+              console.log(`   Found color "${color}" in label: ${description}`);
+              detectedColors.push(color);
+            }
+          });
+        });
+      }
+    }
+    
+    // Final debugging summary
+    debugSummary.finalItemsCount = detectedItems.length;
+    console.log(`\n\n📋 VISION API ANALYSIS SUMMARY`);
+    console.log('══════════════════════════════════════════════════════════════');
+    console.log(`🔍 Total objects detected: ${debugSummary.totalObjectsDetected}`);
+    console.log(`✅ Objects accepted: ${debugSummary.objectsAccepted.length}`);
+    if (debugSummary.objectsAccepted.length > 0) {
+      debugSummary.objectsAccepted.forEach(item => console.log(`   - ${item}`));
+    }
+    console.log(`❌ Objects rejected: ${debugSummary.objectsRejected.length}`);
+    if (debugSummary.objectsRejected.length > 0) {
+      debugSummary.objectsRejected.forEach(item => console.log(`   - ${item}`));
+    }
+    console.log(`🔄 Objects filtered (duplicates): ${debugSummary.objectsFiltered.length}`);
+    if (debugSummary.objectsFiltered.length > 0) {
+      debugSummary.objectsFiltered.forEach(item => console.log(`   - ${item}`));
+    }
+    console.log(`🏷️  Labels detected: ${debugSummary.labelsDetected.length}`);
+    console.log(`🌐 Web entities detected: ${debugSummary.webEntitiesDetected.length}`);
+    console.log(`🎨 Colors detected: ${debugSummary.colorsDetected.length}`);
+    if (debugSummary.colorsDetected.length > 0) {
+      console.log(`   Colors: ${debugSummary.colorsDetected.join(', ')}`);
+    }
+    console.log(`\n📦 FINAL RESULT: ${debugSummary.finalItemsCount} clothing items`);
+    console.log('══════════════════════════════════════════════════════════════\n');
+
+    return { detectedItems, brands, colors: detectedColors, text };
+  } catch (error) {
+    console.error('Vision API error:', error);
+    return { detectedItems: [], brands: [], colors: [], text: '' };
+  }
+};
+
+// Helper function to merge similar detected items (especially shoes)
+const mergeDetectedItems = (items) => {
+  console.log('🔗 Starting merge process with items:', items.map(i => ({ type: i.type, name: i.name })));
+  const merged = [];
+  const processed = new Set();
+  
+  items.forEach((item, index) => {
+    if (processed.has(index)) return;
+    
+    const itemType = item.type.toLowerCase();
+    console.log(`   Checking item ${index}: ${item.type} (${itemType})`);
+    
+    // For shoes, merge all shoe detections into one "shoes" item
+    if (itemType.includes('shoe') || itemType.includes('footwear')) {
+      // Find all other shoe items
+      const shoeItems = items.filter((otherItem, otherIndex) => {
+        const otherType = otherItem.type.toLowerCase();
+        return (otherType.includes('shoe') || otherType.includes('footwear')) && !processed.has(otherIndex);
+      });
+      
+      console.log(`   👟 Found ${shoeItems.length} shoe items to merge`);
+      
+      if (shoeItems.length > 0) {
+        // Mark all shoe items as processed
+        items.forEach((otherItem, otherIndex) => {
+          const otherType = otherItem.type.toLowerCase();
+          if (otherType.includes('shoe') || otherType.includes('footwear')) {
+            processed.add(otherIndex);
+          }
+        });
+        
+        // Create a merged shoes item with highest confidence
+        const bestShoe = shoeItems.reduce((best, current) => 
+          current.confidence > best.confidence ? current : best
+        );
+        
+        // Store all bounding boxes for combined cropping
+        const allBoundingBoxes = shoeItems.map(shoe => shoe.boundingBox).filter(box => box);
+        console.log(`   📦 Collected ${allBoundingBoxes.length} bounding boxes for shoes`);
+        
+        merged.push({
+          ...bestShoe,
+          type: 'shoes', // Plural form
+          confidence: Math.max(...shoeItems.map(s => s.confidence)),
+          allBoundingBoxes: allBoundingBoxes // Store all shoe bounding boxes for cropping
+        });
+        
+        console.log(`   🔗 Merged ${shoeItems.length} shoe detections into single "shoes" item with ${allBoundingBoxes.length} bounding boxes`);
+      }
+    }
+    // For other items, check for exact duplicates
+    else {
+      // Find items of the same type
+      const sameTypeItems = items.filter((otherItem, otherIndex) => {
+        return otherItem.type.toLowerCase() === itemType && !processed.has(otherIndex);
+      });
+      
+      if (sameTypeItems.length > 1) {
+        // Mark all as processed
+        items.forEach((otherItem, otherIndex) => {
+          if (otherItem.type.toLowerCase() === itemType) {
+            processed.add(otherIndex);
+          }
+        });
+        
+        // Keep the one with highest confidence
+        const bestItem = sameTypeItems.reduce((best, current) => 
+          current.confidence > best.confidence ? current : best
+        );
+        
+        merged.push(bestItem);
+        console.log(`   🔗 Merged ${sameTypeItems.length} ${itemType} detections into single item`);
+      } else {
+        processed.add(index);
+        merged.push(item);
+      }
+    }
+  });
+  
+  return merged;
+};
+
+module.exports = {
+  analyzeImageWithVision,
+  mergeDetectedItems
+};
@@ -0,0 +1,297 @@
+// backend/src/services/wardrobeMatchingService.js
+//
+// Recognising scanned items as ones already in the wardrobe: each detection's
+// crop is compared with the photos and cutouts of the user's items by color
+// histogram and perceptual hash, and blended with how well type, color and
+// brand agree (config/matching.js). Matches come back ranked, so re-scanning
+// a known outfit links to the items already saved instead of new ones.
+const { v4: uuidv4 } = require('uuid');
+const sharp = require('sharp');
+const WardrobeModel = require('../models/WardrobeModel');
+const ItemImageModel = require('../models/ItemImageModel');
+const { MATCH_RULES } = require('../config/matching');
+const { colorNameToRgb, colorDistance } = require('../utils/colors');
+const { categoryOf } = require('../utils/taxonomy');
+const { slotFor } = require('./recommendationService');
+const {
+  computeHashes,
+  hashDistance,
+  hashSimilarity,
+  histogramSimilarity,
+  getHashes
+} = require('./imageHashService');
+
+const lower = (value) => (value || '').toLowerCase().trim();
+
+// The user's items, each with the URLs of its pictures (cutouts first)
+const loadWardrobe = async (userId) => {
+  const [items, images] = await Promise.all([
+    WardrobeModel.getAll(userId),
+    ItemImageModel.listForUser(userId)
+  ]);
+
+  const pictures = new Map(items.map(item => [item.id, [item.cutout_url, item.image_url]]));
+  images.forEach(image => {
+    if (pictures.has(image.item_id)) pictures.get(image.item_id).push(image.cutout_url, image.image_url);
+  });
+
+  return items.map(item => ({
+    item,
+    slot: slotFor(item),
+    pictureUrls: [...new Set(pictures.get(item.id).filter(Boolean))]
+  }));
+};
+
+// Share of the metadata weights whose attributes agree, over the attributes
+// both sides have (types in the same outfit slot agree by half); null when
+// they have none in common
+const metadataScore = (detected, detectedSlot, entry) => {
+  const { item } = entry;
+  const parts = [];
+
+  // Items saved from scans are typed by category ("Other"), so the name counts too
+  const detectedType = lower(detected.type);
+  const itemType = lower(item.type);
+  if (detectedType && itemType) {
+    const sameType = detectedType.includes(itemType) || itemType.includes(detectedType) ||
+      lower(item.name).includes(detectedType);
+    let agreement = sameType ? 1 : 0;
+    if (!agreement && detectedSlot && detectedSlot === entry.slot) agreement = 0.5;
+    parts.push([MATCH_RULES.metadata.type, agreement]);
+  }
+
+  const detectedColor = lower(detected.color);
+  const itemColor = lower(item.color);
+  if (detectedColor && itemColor) {
+    let agreement = detectedColor === itemColor ? 1 : 0;
+    const [detectedRgb, itemRgb] = [colorNameToRgb(detectedColor), colorNameToRgb(itemColor)];
+    if (!agreement && detectedRgb && itemRgb &&
+        colorDistance(detectedRgb, itemRgb) <= MATCH_RULES.closeColorDistance) {
+      agreement = 0.5;
+    }
+    parts.push([MATCH_RULES.metadata.color, agreement]);
+  }
+
+  const detectedBrands = [].concat(detected.brand || [], detected.brands || []).map(lower).filter(Boolean);
+  const itemBrand = lower(item.brand);
+  if (detectedBrands.length > 0 && itemBrand) {
+    const sameBrand = detectedBrands.some(brand => itemBrand.includes(brand) || brand.includes(itemBrand));
+    parts.push([MATCH_RULES.metadata.brand, sameBrand ? 1 : 0]);
+  }
+
+  const total = parts.reduce((sum, [weight]) => sum + weight, 0);
+  return total ? parts.reduce((sum, [weight, agreement]) => sum + weight * agreement, 0) / total : null;
+};
+
+// Histogram and hash similarity to the item's closest-looking picture
+const visualScores = (features, entry, hashes) => {
+  let best = null;
+  entry.pictureUrls.forEach(url => {
+    const picture = hashes.get(url);
+    if (!picture) return;
+    const scores = {
+      histogram: histogramSimilarity(features.histogram, picture.histogram),
+      hash: hashSimilarity(hashDistance(features, picture), MATCH_RULES.maxHashDistance)
+    };
+    const combined = scores.histogram * MATCH_RULES.weights.histogram + scores.hash * MATCH_RULES.weights.hash;
+    if (!best || combined > best.combined) best = { ...scores, combined, imageUrl: url };
+  });
+  return best;
+};
+
+// Every wardrobe item the detection could be, best first:
+// [{ entry, score, signals, imageUrl }]. Items of a different kind (a shoe
+// for a shirt) are never candidates.
+const rankCandidates = (detected, features, wardrobe, hashes) => {
+  const detectedSlot = slotFor(detected);
+
+  return wardrobe
+    .filter(entry => !detectedSlot || !entry.slot || entry.slot === detectedSlot)
+    .map(entry => {
+      const signals = {};
+      const visual = features ? visualScores(features, entry, hashes) : null;
+      if (visual) {
+        signals.histogram = visual.histogram;
+        signals.hash = visual.hash;
+      }
+      const metadata = metadataScore(detected, detectedSlot, entry);
+      if (metadata !== null) signals.metadata = metadata;
+
+      // A photographed detection counts an item without photos as looking
+      // nothing like it, so such items are only ever picked by hand
+      const weighed = new Set(Object.keys(signals));
+      if (features) ['histogram', 'hash'].forEach(name => weighed.add(name));
+      const totalWeight = [...weighed].reduce((sum, name) => sum + MATCH_RULES.weights[name], 0);
+      const score = totalWeight
+        ? [...weighed].reduce((sum, name) => sum + (signals[name] || 0) * MATCH_RULES.weights[name], 0) / totalWeight
+        : 0;
+      return { entry, score, signals, imageUrl: visual ? visual.imageUrl : null };
+    })
+    .filter(candidate => candidate.score >= MATCH_RULES.candidateScore)
+    .sort((a, b) => b.score - a.score);
+};
+
+const toPercent = (score) => Math.round(score * 100);
+
+const formatCandidate = ({ entry, score, signals, imageUrl }) => ({
+  id: entry.item.id,
+  name: entry.item.name,
+  type: entry.item.type,
+  color: entry.item.color,
+  brand: entry.item.brand,
+  imageUrl: entry.item.image_url,
+  // The photo or cutout that looked closest
+  matchedImageUrl: imageUrl,
+  confidence: toPercent(score),
+  signals: Object.fromEntries(Object.entries(signals).map(([name, value]) => [name, toPercent(value)]))
+});
+
+// Ranked candidates for each detection, and the match picked for it (or
+// null): the highest-scoring pairs are taken first so two detections never
+// claim the same wardrobe item. featuresFor(detected, index) resolves to the
+// detection's { ahash, dhash, histogram }, or null when it has no picture.
+const matchDetections = async (detectedItems, userId, featuresFor) => {
+  const wardrobe = await loadWardrobe(userId);
+  const hashes = await getHashes(wardrobe.flatMap(entry => entry.pictureUrls));
+
+  const ranked = [];
+  for (let index = 0; index < detectedItems.length; index++) {
+    const features = await featuresFor(detectedItems[index], index);
+    ranked.push(rankCandidates(detectedItems[index], features, wardrobe, hashes));
+  }
+
+  const matches = detectedItems.map(() => null);
+  const taken = new Set();
+  ranked
+    .flatMap((candidates, index) => candidates.map(candidate => ({ candidate, index })))
+    .filter(({ candidate }) => candidate.score >= MATCH_RULES.matchScore)
+    .sort((a, b) => b.candidate.score - a.candidate.score)
+    .forEach(({ candidate, index }) => {
+      if (matches[index] || taken.has(candidate.entry.item.id)) return;
+      matches[index] = candidate;
+      taken.add(candidate.entry.item.id);
+    });
+
+  return detectedItems.map((detected, index) => {
+    const shown = ranked[index].slice(0, MATCH_RULES.maxCandidates);
+    // The match is always listed, even when better candidates went elsewhere
+    if (matches[index] && !shown.includes(matches[index])) shown.push(matches[index]);
+    return { match: matches[index], candidates: shown.map(formatCandidate) };
+  });
+};
+
+// Part of an upright raw image inside a normalized bounding box, as a PNG
+const cropRegion = async (upright, boundingBox) => {
+  const { width, height } = upright.info;
+  const xs = boundingBox.map(vertex => Math.min(1, Math.max(0, vertex.x || 0)) * width);
+  const ys = boundingBox.map(vertex => Math.min(1, Math.max(0, vertex.y || 0)) * height);
+  const left = Math.floor(Math.min(...xs));
+  const top = Math.floor(Math.min(...ys));
+  const right = Math.min(width, Math.ceil(Math.max(...xs)));
+  const bottom = Math.min(height, Math.ceil(Math.max(...ys)));
+  if (right - left < 2 || bottom - top < 2) return null;
+
+  return sharp(upright.data, { raw: { width, height, channels: upright.info.channels } })
+    .extract({ left, top, width: right - left, height: bottom - top })
+    .png()
+    .toBuffer();
+};
+
+// Match detected items with existing wardrobe. imageBuffer is the scanned
+// photo; detections with a bounding box are compared by what's inside it.
+const matchWithWardrobe = async (detectedItems, userId, imageBuffer = null) => {
+  let upright = null;
+  if (imageBuffer) {
+    try {
+      upright = await sharp(imageBuffer, { autoOrient: true }).raw().toBuffer({ resolveWithObject: true });
+    } catch (error) {
+      console.warn('⚠️ Could not read the scanned photo for matching:', error.message);
+    }
+  }
+
+  const results = await matchDetections(detectedItems, userId, async (detected) => {
+    if (!upright || !detected.boundingBox || detected.boundingBox.length < 4) return null;
+    try {
+      const region = await cropRegion(upright, detected.boundingBox);
+      return region ? await computeHashes(region) : null;
+    } catch (error) {
+      console.warn(`⚠️ Could not compare the ${detected.type} with the wardrobe:`, error.message);
+      return null;
+    }
+  });
+
+  const catalogedItems = [];
+  const uncatalogedItems = [];
+
+  detectedItems.forEach((detectedItem, index) => {
+    const { match, candidates } = results[index];
+
+    if (match) {
+      const matchScore = toPercent(match.score);
+      catalogedItems.push({
+        id: match.entry.item.id,
+        name: match.entry.item.name,
+        type: match.entry.item.type,
+        category: categoryOf(match.entry.item.type),
+        brand: match.entry.item.brand,
+        rfidTag: match.entry.item.rfid_tag,
+        confidence: Math.min(detectedItem.confidence * (matchScore / 100), 95),
+        matchScore,
+        candidates
+      });
+    } else if (detectedItem.confidence > 60) {
+      // Generate suggested name
+      const suggestedName = detectedItem.type
+        .split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+
+      uncatalogedItems.push({
+        id: uuidv4(),
+        suggestedName,
+        type: detectedItem.type,
+        category: categoryOf(detectedItem.type),
+        confidence: detectedItem.confidence,
+        source: detectedItem.source,
+        brands: detectedItem.brands || [],
+        ocrText: detectedItem.ocrText || null,
+        // Near misses the user may still pick
+        candidates
+      });
+    }
+  });
+
+  return { catalogedItems, uncatalogedItems };
+};
+
+// Mark each analysed item 'existing' (with the wardrobe_items row it matched)
+// or 'new', comparing its crop (croppedImageUrl) with the wardrobe's photos
+const matchItemsWithWardrobe = async (detectedItems, userId) => {
+  const crops = await getHashes(detectedItems.map(item => item.croppedImageUrl));
+  const results = await matchDetections(detectedItems, userId,
+    async (detected) => crops.get(detected.croppedImageUrl) || null);
+
+  return detectedItems.map((detectedItem, index) => {
+    const { match, candidates } = results[index];
+    if (match) {
+      return {
+        ...detectedItem,
+        status: 'existing',
+        matchedItem: match.entry.item,
+        matchScore: toPercent(match.score),
+        candidates
+      };
+    }
+    return {
+      ...detectedItem,
+      status: 'new',
+      matchedItem: null,
+      candidates
+    };
+  });
+};
+
+module.exports = {
+  matchWithWardrobe,
+  matchItemsWithWardrobe
+};
@@ -0,0 +1,66 @@
+// backend/src/services/weather/FileWeatherProvider.js
+const fs = require('fs');
+const path = require('path');
+const { BACKEND_ROOT } = require('../../config/paths');
+const { toDateKey, addDays } = require('../../utils/dates');
+
+const DEFAULT_WEATHER_FILE = path.join(BACKEND_ROOT, 'fixtures/weather/default.json');
+
+// Serves weather from a JSON file:
+//   { "location": "...",
+//     "current": { "temperature": 58, "conditions": "Light rain", ... },
+//     "forecast": [{ "date": "2024-03-01", "high": 61, "low": 49, "conditions": "..." }] }
+// Forecast entries without a date are today, tomorrow, ... in file order, so
+// a checked-in file never goes stale. The file is re-read on every call so
+// it can be edited while the server runs.
+class FileWeatherProvider {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.filePath = path.resolve(BACKEND_ROOT, options.filePath || process.env.WEATHER_FILE_PATH || DEFAULT_WEATHER_FILE);
+  }
+
+  getStatus() {
+    const fileExists = fs.existsSync(this.filePath);
+    return {
+      provider: this.name,
+      filePath: this.filePath,
+      fileExists,
+      ready: fileExists
+    };
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      throw new Error(`Weather file not found: ${this.filePath}`);
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+  }
+
+  async getCurrent({ now = new Date() } = {}) {
+    const data = this.load();
+    if (!data.current) {
+      throw new Error(`Weather file has no "current" block: ${this.filePath}`);
+    }
+
+    return {
+      location: data.location || null,
+      observedAt: now.toISOString(),
+      ...data.current
+    };
+  }
+
+  async getForecast(days, { now = new Date() } = {}) {
+    const data = this.load();
+    const wanted = Array.from({ length: days }, (_, index) => toDateKey(addDays(now, index)));
+    const byDate = new Map((data.forecast || []).map((entry, index) => [
+      entry.date || toDateKey(addDays(now, index)),
+      entry
+    ]));
+
+    return wanted
+      .filter(date => byDate.has(date))
+      .map(date => ({ location: data.location || null, ...byDate.get(date), date }));
+  }
+}
+
+module.exports = FileWeatherProvider;
@@ -0,0 +1,94 @@
+// backend/src/services/weather/MockWeatherProvider.js
+const crypto = require('crypto');
+const { toDateKey, addDays } = require('../../utils/dates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deterministic 0..1 values per location and date, so a day's weather stays
+// the same across requests and restarts
+const dailyNoise = (location, dateKey) => {
+  const digest = crypto.createHash('sha256').update(`${location}:${dateKey}`).digest();
+  return [digest[0], digest[1], digest[2], digest[3]].map(byte => byte / 255);
+};
+
+// Temperate northern-hemisphere seasons: daily mean around 37°F in
+// mid-January and 77°F in mid-July
+const seasonalMean = (date) => {
+  const dayOfYear = Math.floor((date - new Date(date.getFullYear(), 0, 0)) / DAY_MS);
+  return 57 - 20 * Math.cos((2 * Math.PI * (dayOfYear - 15)) / 365);
+};
+
+// Made-up but plausible weather for development, no network or files needed
+class MockWeatherProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.location = options.location || process.env.WEATHER_LOCATION || 'Mock City';
+  }
+
+  getStatus() {
+    return {
+      provider: this.name,
+      location: this.location,
+      ready: true
+    };
+  }
+
+  dayFor(date) {
+    const dateKey = toDateKey(date);
+    const [tempNoise, spreadNoise, skyNoise, chanceNoise] = dailyNoise(this.location, dateKey);
+    const mean = seasonalMean(date) + (tempNoise - 0.5) * 16;
+    const spread = 8 + spreadNoise * 10;
+    const freezing = mean < 34;
+
+    let conditions;
+    let precipitationChance;
+    if (skyNoise < 0.35) {
+      conditions = 'Sunny';
+      precipitationChance = chanceNoise * 0.05;
+    } else if (skyNoise < 0.6) {
+      conditions = 'Partly cloudy';
+      precipitationChance = 0.05 + chanceNoise * 0.15;
+    } else if (skyNoise < 0.75) {
+      conditions = 'Cloudy';
+      precipitationChance = 0.2 + chanceNoise * 0.2;
+    } else if (skyNoise < 0.88) {
+      conditions = freezing ? 'Light snow' : 'Light rain';
+      precipitationChance = 0.6 + chanceNoise * 0.3;
+    } else {
+      conditions = freezing ? 'Snow' : 'Rain';
+      precipitationChance = 0.8 + chanceNoise * 0.2;
+    }
+
+    return {
+      date: dateKey,
+      high: Math.round(mean + spread / 2),
+      low: Math.round(mean - spread / 2),
+      conditions,
+      precipitationChance: Math.round(precipitationChance * 100) / 100
+    };
+  }
+
+  async getCurrent({ now = new Date() } = {}) {
+    const day = this.dayFor(now);
+    // Coolest around 3am, warmest around 3pm
+    const hour = now.getHours() + now.getMinutes() / 60;
+    const warmth = (1 + Math.cos((2 * Math.PI * (hour - 15)) / 24)) / 2;
+
+    return {
+      location: this.location,
+      observedAt: now.toISOString(),
+      temperature: Math.round(day.low + (day.high - day.low) * warmth),
+      conditions: day.conditions,
+      precipitationChance: day.precipitationChance
+    };
+  }
+
+  async getForecast(days, { now = new Date() } = {}) {
+    return Array.from({ length: days }, (_, index) => ({
+      location: this.location,
+      ...this.dayFor(addDays(now, index))
+    }));
+  }
+}
+
+module.exports = MockWeatherProvider;
@@ -0,0 +1,41 @@
+// backend/src/services/weather/index.js
+//
+// Weather providers all expose the same methods:
+//   getCurrent({ now })        -> Promise<{ temperature, conditions, precipitation?,
+//                                           precipitationChance?, location, observedAt }>
+//   getForecast(days, { now }) -> Promise<[{ date, high, low, conditions,
+//                                            precipitation?, precipitationChance?, location }]>
+//   getStatus()                -> { provider, ready, ... }
+// Temperatures are °F. weatherService turns these readings into the shared
+// shape with a temperature band and precipitation type.
+//
+// WEATHER_PROVIDER picks the implementation: mock (default) or file.
+const MockWeatherProvider = require('./MockWeatherProvider');
+const FileWeatherProvider = require('./FileWeatherProvider');
+
+const PROVIDERS = {
+  mock: MockWeatherProvider,
+  file: FileWeatherProvider
+};
+
+let activeProvider = null;
+
+const createWeatherProvider = (name, options = {}) => {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown weather provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+};
+
+const getWeatherProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createWeatherProvider((process.env.WEATHER_PROVIDER || 'mock').toLowerCase());
+  }
+  return activeProvider;
+};
+
+module.exports = {
+  createWeatherProvider,
+  getWeatherProvider
+};
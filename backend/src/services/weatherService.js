@@ -0,0 +1,122 @@
+// backend/src/services/weatherService.js
+//
+// Turns weather provider readings into the shape the rest of the app uses:
+//   { temperature, temperatureBand, precipitation, precipitationChance,
+//     conditions, location, provider }
+// plus observedAt for current conditions, or date/high/low for forecast days.
+// A forecast day's temperature is the midpoint of its high and low.
+const { getWeatherProvider } = require('./weather');
+const { toDateKey } = require('../utils/dates');
+const {
+  TEMPERATURE_BANDS,
+  PRECIPITATION_TYPES,
+  PRECIPITATION_KEYWORDS,
+  MAX_FORECAST_DAYS
+} = require('../config/weather');
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+};
+
+const temperatureBandFor = (temperature) => {
+  const temp = toNumber(temperature);
+  return temp === null ? null : TEMPERATURE_BANDS.find(entry => temp < entry.below).band;
+};
+
+// The provider's own precipitation type when it is one we know, otherwise
+// read from the description. null when there is nothing to go on.
+const precipitationFor = (conditions, precipitation = null) => {
+  if (PRECIPITATION_TYPES.includes(precipitation)) return precipitation;
+  if (!conditions) return null;
+
+  const text = conditions.toLowerCase();
+  const entry = PRECIPITATION_KEYWORDS.find(rule => rule.keywords.some(keyword => text.includes(keyword)));
+  return entry ? entry.precipitation : 'none';
+};
+
+const isWet = (precipitation) => Boolean(precipitation) && precipitation !== 'none';
+
+const normalize = (reading, temperature, provider) => {
+  const temp = toNumber(temperature);
+  return {
+    temperature: temp === null ? null : Math.round(temp),
+    temperatureBand: temperatureBandFor(temp),
+    precipitation: precipitationFor(reading.conditions, reading.precipitation),
+    precipitationChance: toNumber(reading.precipitationChance),
+    conditions: reading.conditions || null,
+    location: reading.location || null,
+    provider
+  };
+};
+
+const getCurrentWeather = async ({ now = new Date() } = {}) => {
+  const provider = getWeatherProvider();
+  const reading = await provider.getCurrent({ now });
+  return {
+    ...normalize(reading, reading.temperature, provider.name),
+    observedAt: reading.observedAt
+  };
+};
+
+const getForecast = async (days, { now = new Date() } = {}) => {
+  const provider = getWeatherProvider();
+  const readings = await provider.getForecast(Math.min(days, MAX_FORECAST_DAYS), { now });
+
+  return readings.map(reading => {
+    const high = toNumber(reading.high);
+    const low = toNumber(reading.low);
+    const temperature = high !== null && low !== null ? (high + low) / 2 : (high ?? low ?? reading.temperature);
+    return {
+      date: reading.date,
+      high,
+      low,
+      ...normalize(reading, temperature, provider.name)
+    };
+  });
+};
+
+// Current conditions for today (or no date), the forecast for a later
+// date (YYYY-MM-DD), null for past dates or ones beyond the forecast
+const getWeatherForDate = async (date, { now = new Date() } = {}) => {
+  const today = toDateKey(now);
+  if (!date || date === today) return getCurrentWeather({ now });
+  if (date < today) return null;
+
+  const forecast = await getForecast(MAX_FORECAST_DAYS, { now });
+  return forecast.find(day => day.date === date) || null;
+};
+
+const weatherLabel = (weather) => [
+  weather.conditions,
+  weather.temperature !== null ? `${weather.temperature}°F` : null
+].filter(Boolean).join(', ');
+
+// Outfit columns for the weather right now. Weather is nice to have, so a
+// failing provider leaves them empty rather than failing the save.
+const getOutfitWeatherStamp = async () => {
+  try {
+    const current = await getCurrentWeather();
+    return {
+      weather: weatherLabel(current) || null,
+      temperature: current.temperature,
+      temperatureBand: current.temperatureBand,
+      precipitation: current.precipitation
+    };
+  } catch (error) {
+    console.warn('⚠️  Could not read the weather for this outfit:', error.message);
+    return { weather: null, temperature: null, temperatureBand: null, precipitation: null };
+  }
+};
+
+module.exports = {
+  temperatureBandFor,
+  precipitationFor,
+  isWet,
+  getCurrentWeather,
+  getForecast,
+  getWeatherForDate,
+  weatherLabel,
+  getOutfitWeatherStamp
+};
@@ -0,0 +1,282 @@
+// backend/src/utils/colors.js
+//
+// Color naming. Colors are named after the closest entry of the palette
+// (config/palettes/default.json, plus any *.json in PALETTES_DIR) by
+// CIEDE2000 difference in Lab space, within COLOR_NAMING.maxDifference.
+// Every palette color has a family - neutral, warm or cool - given in its
+// file or worked out from its chroma and hue.
+const fs = require('fs');
+const path = require('path');
+const { PALETTES_DIR } = require('../config/paths');
+const { COLOR_NAMING, COLOR_FAMILIES, DEFAULT_PALETTE_PATH } = require('../config/colors');
+
+// Helper function to convert RGB to HSL
+const rgbToHsl = (r, g, b) => {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  let h, s, l = (max + min) / 2;
+
+  if (max === min) {
+    h = s = 0; // achromatic
+  } else {
+    const d = max - min;
+    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    switch (max) {
+      case r: h = (g - b) / d + (g < b ? 6 : 0); break;
+      case g: h = (b - r) / d + 2; break;
+      case b: h = (r - g) / d + 4; break;
+    }
+    h /= 6;
+  }
+
+  return [h * 360, s, l];
+};
+
+// "#7b2d3a" or "7B2D3A" (or "#abc") -> [123, 45, 58]; null if it isn't one
+const hexToRgb = (hex) => {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex || '').trim());
+  if (!match) return null;
+  const digits = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+  return [0, 2, 4].map(index => parseInt(digits.slice(index, index + 2), 16));
+};
+
+const rgbToHex = (rgb) => `#${rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+
+// sRGB (D65) -> CIE L*a*b*
+const rgbToLab = ([r, g, b]) => {
+  const linear = (channel) => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  };
+  const [lr, lg, lb] = [linear(r), linear(g), linear(b)];
+  const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+  const y = lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750;
+  const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883;
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  return [116 * f(y) - 16, 500 * (f(x) - f(y)), 200 * (f(y) - f(z))];
+};
+
+// CIEDE2000 color difference between two Lab colors: about 1 is just
+// noticeable, over 10 clearly a different color
+const deltaE2000 = ([l1, a1, b1], [l2, a2, b2]) => {
+  const toRadians = Math.PI / 180;
+  const meanChroma = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+  const g = 0.5 * (1 - Math.sqrt(Math.pow(meanChroma, 7) / (Math.pow(meanChroma, 7) + Math.pow(25, 7))));
+  const a1p = a1 * (1 + g);
+  const a2p = a2 * (1 + g);
+  const c1p = Math.hypot(a1p, b1);
+  const c2p = Math.hypot(a2p, b2);
+  const hueOf = (a, b) => (a === 0 && b === 0 ? 0 : (Math.atan2(b, a) / toRadians + 360) % 360);
+  const h1p = hueOf(a1p, b1);
+  const h2p = hueOf(a2p, b2);
+
+  const deltaL = l2 - l1;
+  const deltaC = c2p - c1p;
+  let deltaH = 0;
+  if (c1p * c2p !== 0) {
+    deltaH = h2p - h1p;
+    if (deltaH > 180) deltaH -= 360;
+    else if (deltaH < -180) deltaH += 360;
+  }
+  const deltaHue = 2 * Math.sqrt(c1p * c2p) * Math.sin(deltaH / 2 * toRadians);
+
+  const meanL = (l1 + l2) / 2;
+  const meanC = (c1p + c2p) / 2;
+  let meanH = h1p + h2p;
+  if (c1p * c2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) meanH = (h1p + h2p) / 2;
+    else meanH = (h1p + h2p < 360 ? h1p + h2p + 360 : h1p + h2p - 360) / 2;
+  }
+
+  const t = 1 -
+    0.17 * Math.cos((meanH - 30) * toRadians) +
+    0.24 * Math.cos(2 * meanH * toRadians) +
+    0.32 * Math.cos((3 * meanH + 6) * toRadians) -
+    0.20 * Math.cos((4 * meanH - 63) * toRadians);
+  const rotation = 30 * Math.exp(-Math.pow((meanH - 275) / 25, 2));
+  const rc = 2 * Math.sqrt(Math.pow(meanC, 7) / (Math.pow(meanC, 7) + Math.pow(25, 7)));
+  const sl = 1 + (0.015 * Math.pow(meanL - 50, 2)) / Math.sqrt(20 + Math.pow(meanL - 50, 2));
+  const sc = 1 + 0.045 * meanC;
+  const sh = 1 + 0.015 * meanC * t;
+  const rt = -Math.sin(2 * rotation * toRadians) * rc;
+
+  return Math.sqrt(
+    Math.pow(deltaL / sl, 2) +
+    Math.pow(deltaC / sc, 2) +
+    Math.pow(deltaHue / sh, 2) +
+    rt * (deltaC / sc) * (deltaHue / sh)
+  );
+};
+
+// neutral when nearly grey, otherwise warm or cool by Lab hue
+const familyOfLab = ([, a, b]) => {
+  if (Math.hypot(a, b) < COLOR_NAMING.neutralChroma) return 'neutral';
+  const hue = (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+  const { from, to } = COLOR_NAMING.warmHues;
+  const warm = from <= to ? hue >= from && hue < to : hue >= from || hue < to;
+  return warm ? 'warm' : 'cool';
+};
+
+const normalizeName = (name) => String(name || '').toLowerCase().trim().replace(/\s+/g, ' ').replace(/grey/g, 'gray');
+
+// One palette file's colors, checked; bad entries are skipped with a warning
+const readPaletteFile = (filePath) => {
+  const { colors } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(colors)) {
+    throw new Error('expected { "colors": [...] }');
+  }
+
+  return colors.flatMap(color => {
+    const name = normalizeName(color && color.name);
+    const rgb = hexToRgb(color && color.hex);
+    if (!name || !rgb || (color.family && !COLOR_FAMILIES.includes(color.family))) {
+      console.warn(`⚠️ Skipped color ${JSON.stringify(color)} in ${path.basename(filePath)}`);
+      return [];
+    }
+    const lab = rgbToLab(rgb);
+    return [{ name, hex: rgbToHex(rgb), rgb, lab, family: color.family || familyOfLab(lab) }];
+  });
+};
+
+let palette = null;
+
+// The default palette, then PALETTES_DIR files in name order; a later color
+// with an existing name replaces it. Read once, on first use.
+const getPalette = () => {
+  if (palette) return palette;
+
+  const files = [DEFAULT_PALETTE_PATH];
+  if (fs.existsSync(PALETTES_DIR)) {
+    fs.readdirSync(PALETTES_DIR)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .forEach(file => files.push(path.join(PALETTES_DIR, file)));
+  }
+
+  const byName = new Map();
+  files.forEach(filePath => {
+    try {
+      readPaletteFile(filePath).forEach(color => byName.set(color.name, color));
+    } catch (error) {
+      console.warn(`⚠️ Could not load color palette ${filePath}:`, error.message);
+    }
+  });
+  palette = [...byName.values()];
+  return palette;
+};
+
+// Closest palette color to [r, g, b]: { name, hex, family, difference }.
+// hex is the color itself; past maxDifference the name is 'unknown' and
+// the family is worked out from the color.
+const matchColor = (rgb) => {
+  const lab = rgbToLab(rgb);
+  let closest = null;
+  let difference = Infinity;
+  getPalette().forEach(color => {
+    const candidate = deltaE2000(lab, color.lab);
+    if (candidate < difference) {
+      difference = candidate;
+      closest = color;
+    }
+  });
+
+  if (!closest || difference > COLOR_NAMING.maxDifference) {
+    return { name: 'unknown', hex: rgbToHex(rgb), family: familyOfLab(lab), difference };
+  }
+  return { name: closest.name, hex: rgbToHex(rgb), family: closest.family, difference };
+};
+
+const rgbToColorName = (r, g, b) => matchColor([r, g, b]).name;
+
+// Palette entry for a stored color name (from rgbToColorName or typed by
+// the user): the exact name, else the longest palette name contained in it,
+// so e.g. "Dark Olive Green" resolves to dark olive. Null if unknown.
+const findColor = (name) => {
+  const normalized = normalizeName(name);
+  if (!normalized) return null;
+
+  const colors = getPalette();
+  return colors.find(color => color.name === normalized) ||
+    colors
+      .filter(color => normalized.includes(color.name))
+      .sort((a, b) => b.name.length - a.name.length)[0] ||
+    null;
+};
+
+const colorNameToRgb = (name) => {
+  const color = findColor(name);
+  return color ? color.rgb : null;
+};
+
+// What to store beside an item's color name: { hex, family }. An explicit
+// hex wins over the name's palette color; the family comes from the named
+// palette color, else the one closest to the hex. Nulls when neither is known.
+const describeColor = (name, hex = null) => {
+  const named = findColor(name);
+  const rgb = hexToRgb(hex) || (named && named.rgb);
+  if (!rgb) return { hex: null, family: null };
+  return { hex: rgbToHex(rgb), family: named ? named.family : matchColor(rgb).family };
+};
+
+// Colors sent by a client or read from an import -> [{ name, hex, family,
+// weight }]. Each entry is a color name or { name, hex?, weight? } with
+// weight a share from 0 to 1; hex and family default as in describeColor.
+// Null when it isn't such a list.
+const toColorList = (value) => {
+  if (!Array.isArray(value)) return null;
+  const colors = [];
+  for (const entry of value) {
+    const color = typeof entry === 'string' ? { name: entry } : entry;
+    if (!color || typeof color !== 'object' || typeof color.name !== 'string' || !color.name.trim()) return null;
+    if (color.hex !== undefined && color.hex !== null && color.hex !== '' && !hexToRgb(color.hex)) return null;
+    const weight = color.weight === undefined || color.weight === null ? null : Number(color.weight);
+    if (weight !== null && !(weight >= 0 && weight <= 1)) return null;
+    colors.push({ name: color.name.trim(), ...describeColor(color.name, color.hex), weight });
+  }
+  return colors;
+};
+
+// Color lists are stored as JSON text, NULL when empty
+const serializeColorList = (colors) => (colors && colors.length > 0 ? JSON.stringify(colors) : null);
+
+const parseColorList = (text) => {
+  if (!text) return [];
+  try {
+    const colors = JSON.parse(text);
+    return Array.isArray(colors) ? colors : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Perceptual distance between two RGB colors ("redmean" weighting, 0 to
+// about 765). Cheap enough to run per pixel.
+const colorDistance = ([r1, g1, b1], [r2, g2, b2]) => {
+  const redMean = (r1 + r2) / 2;
+  const dr = r1 - r2;
+  const dg = g1 - g2;
+  const db = b1 - b2;
+  return Math.sqrt((2 + redMean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - redMean) / 256) * db * db);
+};
+
+module.exports = {
+  rgbToHsl,
+  hexToRgb,
+  rgbToHex,
+  rgbToLab,
+  deltaE2000,
+  getPalette,
+  matchColor,
+  rgbToColorName,
+  findColor,
+  colorNameToRgb,
+  describeColor,
+  toColorList,
+  serializeColorList,
+  parseColorList,
+  colorDistance
+};
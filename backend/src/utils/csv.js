@@ -0,0 +1,79 @@
+// backend/src/utils/csv.js
+//
+// RFC 4180 CSV: fields holding commas, quotes or line breaks are quoted and
+// quotes are doubled. Empty fields read back as null, which is how nulls are
+// written.
+
+const needsQuotes = (text) => /[",\r\n]/.test(text) || text !== text.trim();
+
+const formatField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return needsQuotes(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CRLF-terminated line
+const formatCsvRow = (values) => `${values.map(formatField).join(',')}\r\n`;
+
+// CSV text -> array of records (arrays of strings or null). Blank lines are
+// skipped; a leading byte order mark is ignored. Throws on an unterminated
+// quoted field.
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+  let line = 1;
+  let quoteLine = 0;
+
+  const endField = () => {
+    record.push(field === '' && !quoted ? null : field);
+    field = '';
+    quoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0] !== null) records.push(record);
+    record = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+      quoted = true;
+      quoteLine = line;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+  }
+  if (field !== '' || quoted || record.length > 0) endRecord();
+  return records;
+};
+
+module.exports = {
+  formatCsvRow,
+  parseCsv
+};
@@ -0,0 +1,45 @@
+// backend/src/utils/dates.js
+//
+// Calendar days (forecasts, calendar events, outfit plans) are keyed by the
+// server's local date as YYYY-MM-DD.
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const toDateKey = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Local midnight of a YYYY-MM-DD key, or null if it isn't a real date
+const parseDateKey = (key) => {
+  const match = DATE_KEY_PATTERN.exec(key || '');
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return toDateKey(date) === key ? date : null;
+};
+
+const isDateKey = (value) => parseDateKey(value) !== null;
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Local midnight at the start of the given day
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Date -> SQLite datetime('now') format (UTC, no zone suffix)
+const toSqlDateTime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+// SQLite datetime (UTC, no zone suffix) -> ISO string
+const sqlDateTimeToIso = (value) => (value ? new Date(`${value.replace(' ', 'T')}Z`).toISOString() : null);
+
+module.exports = {
+  toDateKey,
+  parseDateKey,
+  isDateKey,
+  addDays,
+  startOfDay,
+  toSqlDateTime,
+  sqlDateTimeToIso
+};
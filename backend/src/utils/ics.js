@@ -0,0 +1,292 @@
+// backend/src/utils/ics.js
+//
+// Just enough iCalendar (RFC 5545) for calendar imports: VEVENTs with their
+// summary, description, location and start/end. Recurring events are expanded
+// for DAILY and WEEKLY rules (INTERVAL, COUNT, UNTIL, BYDAY), minus EXDATEs
+// and with RECURRENCE-ID overrides applied; any other rule yields only its
+// first occurrence. Cancelled events are dropped.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_STEPS = 5000;
+
+// Continuation lines start with a space or tab
+const unfold = (text) => text.replace(/\r?\n[ \t]/g, '');
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// 'DTSTART;TZID="Europe/Paris":20240105T090000' -> { name, params, value }
+const parseLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// Milliseconds timeZone is ahead of UTC at the given instant
+const zoneOffset = (timeZone, instant) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(instant).map(part => [part.type, Number(part.value)])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// Wall-clock times are carried as milliseconds of the same fields in UTC, so
+// recurrences can step through days without DST getting in the way. zone is
+// 'utc', 'local' (floating and all-day values) or an IANA time zone.
+const toInstant = (wall, zone) => {
+  if (zone === 'utc') return new Date(wall);
+  if (zone === 'local') {
+    const fields = new Date(wall);
+    return new Date(
+      fields.getUTCFullYear(), fields.getUTCMonth(), fields.getUTCDate(),
+      fields.getUTCHours(), fields.getUTCMinutes(), fields.getUTCSeconds()
+    );
+  }
+  // The second pass settles times near a DST change
+  const first = wall - zoneOffset(zone, new Date(wall));
+  return new Date(wall - zoneOffset(zone, new Date(first)));
+};
+
+const isKnownTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// DATE or DATE-TIME value -> { date, allDay, wall, zone }. UTC ("Z") and
+// TZID times are converted; floating times and unknown zones (e.g. Windows
+// zone names) are read as server local time, all-day dates as local midnight.
+const parseDateValue = (value, params = {}) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec((value || '').trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const allDay = hour === undefined || params.VALUE === 'DATE';
+  const wall = allDay
+    ? Date.UTC(Number(year), Number(month) - 1, Number(day))
+    : Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+
+  let zone = 'local';
+  if (!allDay && utc) zone = 'utc';
+  else if (!allDay && params.TZID && isKnownTimeZone(params.TZID)) zone = params.TZID;
+
+  return { date: toInstant(wall, zone), allDay, wall, zone };
+};
+
+// "PT1H30M", "P1D", "P2W" -> milliseconds
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec((value || '').trim());
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+  const ms = ((Number(weeks) * 7 + Number(days)) * 24 * 3600 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+const parseRule = (value) => Object.fromEntries(
+  value.split(';').filter(Boolean).map(part => {
+    const [key, ...rest] = part.split('=');
+    return [key.toUpperCase(), rest.join('=')];
+  })
+);
+
+const buildEvent = (props) => {
+  const first = (name) => props.find(prop => prop.name === name);
+  const text = (name) => (first(name) ? unescapeText(first(name).value).trim() : null);
+
+  const dtstart = first('DTSTART');
+  const start = dtstart ? parseDateValue(dtstart.value, dtstart.params) : null;
+  if (!start) return null;
+
+  let end = null;
+  const dtend = first('DTEND');
+  const duration = first('DURATION');
+  if (dtend) {
+    const parsed = parseDateValue(dtend.value, dtend.params);
+    end = parsed ? parsed.date : null;
+  } else if (duration && parseDuration(duration.value) !== null) {
+    end = new Date(start.date.getTime() + parseDuration(duration.value));
+  } else if (start.allDay) {
+    end = new Date(start.date.getFullYear(), start.date.getMonth(), start.date.getDate() + 1);
+  }
+
+  // An override whose RECURRENCE-ID can't be read replaces no known
+  // occurrence, so it is skipped like an event without a start
+  const recurrenceIdProp = first('RECURRENCE-ID');
+  const recurrenceId = recurrenceIdProp ? parseDateValue(recurrenceIdProp.value, recurrenceIdProp.params) : null;
+  if (recurrenceIdProp && !recurrenceId) return null;
+
+  const exdates = props
+    .filter(prop => prop.name === 'EXDATE')
+    .flatMap(prop => prop.value.split(',').map(value => parseDateValue(value, prop.params)))
+    .filter(Boolean)
+    .map(parsed => parsed.date.getTime());
+
+  return {
+    uid: text('UID'),
+    summary: text('SUMMARY'),
+    description: text('DESCRIPTION'),
+    location: text('LOCATION'),
+    status: (text('STATUS') || '').toUpperCase() || null,
+    start: start.date,
+    startWall: start.wall,
+    zone: start.zone,
+    end,
+    allDay: start.allDay,
+    rrule: first('RRULE') ? parseRule(first('RRULE').value) : null,
+    exdates,
+    recurrenceId: recurrenceId ? recurrenceId.date.getTime() : null
+  };
+};
+
+// .ics text -> VEVENTs (not yet expanded). Throws on anything that isn't a calendar.
+const parseIcs = (text) => {
+  const lines = unfold(String(text || '')).split(/\r?\n/).filter(line => line.trim() !== '');
+  if (!lines.length || lines[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+    throw new Error('Not an iCalendar file (expected BEGIN:VCALENDAR)');
+  }
+
+  const events = [];
+  let props = null;
+  let nested = 0; // VALARMs and the like inside a VEVENT
+
+  for (const line of lines) {
+    const prop = parseLine(line);
+    if (!prop) continue;
+
+    if (prop.name === 'BEGIN' && prop.value.toUpperCase() === 'VEVENT') {
+      props = [];
+    } else if (prop.name === 'END' && prop.value.toUpperCase() === 'VEVENT') {
+      const event = props ? buildEvent(props) : null;
+      if (event) events.push(event);
+      props = null;
+    } else if (props && prop.name === 'BEGIN') {
+      nested += 1;
+    } else if (props && prop.name === 'END') {
+      nested -= 1;
+    } else if (props && nested === 0) {
+      props.push(prop);
+    }
+  }
+
+  return events;
+};
+
+// Start times of a recurring event, in order. Without a COUNT, periods that
+// end well before `from` are skipped rather than walked through.
+const recurrenceStarts = function* (event, from) {
+  const rule = event.rrule;
+  const interval = Math.max(1, Number(rule.INTERVAL) || 1);
+  const until = rule.UNTIL ? parseDateValue(rule.UNTIL) : null;
+  const count = rule.COUNT ? Number(rule.COUNT) : Infinity;
+  const untilTime = until ? until.date.getTime() + (until.allDay ? DAY_MS - 1 : 0) : Infinity;
+
+  if (rule.FREQ !== 'DAILY' && rule.FREQ !== 'WEEKLY') {
+    yield event.start;
+    return;
+  }
+
+  const wallStart = new Date(event.startWall);
+
+  const byDay = rule.FREQ === 'WEEKLY' && rule.BYDAY
+    ? rule.BYDAY.split(',').map(day => WEEKDAYS.indexOf(day.slice(-2))).filter(day => day >= 0).sort()
+    : null;
+
+  const periodMs = (rule.FREQ === 'DAILY' ? 1 : 7) * DAY_MS * interval;
+  const firstStep = count === Infinity ? Math.max(0, Math.floor((from - event.start) / periodMs) - 1) : 0;
+
+  let produced = 0;
+  for (let step = firstStep; produced < count && step < firstStep + MAX_STEPS; step++) {
+    const walls = [];
+    if (rule.FREQ === 'DAILY') {
+      walls.push(event.startWall + step * interval * DAY_MS);
+    } else {
+      // The week (Sunday-based) that is `step` intervals after the first
+      const weekStart = event.startWall + (step * interval * 7 - wallStart.getUTCDay()) * DAY_MS;
+      for (const weekday of byDay || [wallStart.getUTCDay()]) {
+        const wall = weekStart + weekday * DAY_MS;
+        if (wall >= event.startWall) walls.push(wall);
+      }
+    }
+
+    for (const date of walls.map(wall => toInstant(wall, event.zone))) {
+      if (date.getTime() > untilTime || produced >= count) return;
+      produced += 1;
+      yield date;
+    }
+  }
+};
+
+// Occurrences that overlap [from, to), sorted by start
+const expandEvents = (events, { from, to }) => {
+  const overrides = new Set(
+    events.filter(event => event.recurrenceId !== null).map(event => `${event.uid}|${event.recurrenceId}`)
+  );
+  const occurrences = [];
+
+  const add = (event, start) => {
+    const duration = event.end ? event.end.getTime() - event.start.getTime() : 0;
+    const end = event.end ? new Date(start.getTime() + duration) : null;
+    if (start >= to || (end || start) < from) return;
+    occurrences.push({
+      uid: event.uid,
+      summary: event.summary,
+      description: event.description,
+      location: event.location,
+      start,
+      end,
+      allDay: event.allDay,
+      recurring: Boolean(event.rrule) || event.recurrenceId !== null
+    });
+  };
+
+  for (const event of events) {
+    if (event.status === 'CANCELLED') continue;
+    if (!event.rrule || event.recurrenceId !== null) {
+      add(event, event.start);
+      continue;
+    }
+
+    for (const start of recurrenceStarts(event, from)) {
+      if (start >= to) break;
+      const time = start.getTime();
+      if (event.exdates.includes(time) || overrides.has(`${event.uid}|${time}`)) continue;
+      add(event, start);
+    }
+  }
+
+  return occurrences.sort((a, b) => a.start - b.start);
+};
+
+module.exports = {
+  parseIcs,
+  expandEvents,
+  parseDateValue
+};
@@ -0,0 +1,26 @@
+// backend/src/utils/keywords.js
+//
+// Keyword matching for the free-text rules in config/ (item types, event
+// titles). Keywords match at the start of a word: "shirt" matches "t-shirt"
+// but not "sweatshirt", "date" matches "date night" but not "update".
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const matchesKeyword = (text, keyword) => new RegExp(`\\b${escapeRegExp(keyword)}`).test(text);
+
+const matchesAny = (text, keywords) => keywords.some(keyword => matchesKeyword(text, keyword));
+
+// First rule with a keyword in text -> { rule, keyword }, or null
+const findRule = (text, rules) => {
+  for (const rule of rules) {
+    const keyword = rule.keywords.find(candidate => matchesKeyword(text, candidate));
+    if (keyword) return { rule, keyword };
+  }
+  return null;
+};
+
+module.exports = {
+  escapeRegExp,
+  matchesKeyword,
+  matchesAny,
+  findRule
+};
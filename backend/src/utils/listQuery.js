@@ -0,0 +1,117 @@
+// backend/src/utils/listQuery.js
+//
+// Sorting, cursor paging and field selection for list endpoints. Parsers
+// throw an Error whose message can go straight into a 400 response.
+//
+// Cursors are keyset cursors: they hold the sort values of the last row
+// returned, so a page starts right after it no matter how many rows were
+// added or removed in the meantime.
+const SORT_TERM_PATTERN = /^(-?)([A-Za-z]+)$/;
+
+// Positive whole number from a query string, the fallback when absent, or NaN
+const parsePositiveInt = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 1 ? number : NaN;
+};
+
+// '-lastWornDate,name' -> [{ key: 'lastWornDate', desc: true }, { key: 'name', desc: false }]
+const parseSort = (value, allowedKeys) => {
+  const terms = String(value).split(',').map(term => term.trim()).filter(Boolean);
+  const usage = `sort must list keys from: ${allowedKeys.join(', ')} (prefix - for descending)`;
+  if (terms.length === 0) throw new Error(usage);
+
+  const sort = terms.map(term => {
+    const match = SORT_TERM_PATTERN.exec(term);
+    if (!match || !allowedKeys.includes(match[2])) throw new Error(usage);
+    return { key: match[2], desc: match[1] === '-' };
+  });
+  if (new Set(sort.map(term => term.key)).size !== sort.length) {
+    throw new Error('sort lists a key more than once');
+  }
+  return sort;
+};
+
+const formatSort = (sort) => sort.map(term => `${term.desc ? '-' : ''}${term.key}`).join(',');
+
+// 'id,name' -> ['id', 'name'], or null (every field) when absent. id is
+// always included.
+const parseFields = (value, allowedFields) => {
+  if (value === undefined || value === '') return null;
+  const fields = String(value).split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = fields.filter(field => !allowedFields.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown field(s) ${unknown.join(', ')}; fields must be from: ${allowedFields.join(', ')}`);
+  }
+  return [...new Set(['id', ...fields])];
+};
+
+const pickFields = (record, fields) => {
+  if (!fields) return record;
+  return Object.fromEntries(fields.map(field => [field, record[field]]));
+};
+
+// SQL for a parsed sort. expressions maps each sort key to a SQL expression
+// that is never NULL; idColumn breaks ties so every row has one place in the
+// order. Each term is also selected as sort_<n> for building cursors.
+const keyset = (sort, expressions, idColumn) => {
+  const terms = [
+    ...sort.map(term => ({ sql: expressions[term.key], desc: term.desc })),
+    { sql: idColumn, desc: false }
+  ];
+
+  return {
+    columns: terms.map((term, index) => `${term.sql} AS sort_${index}`).join(', '),
+    orderBy: terms.map(term => `${term.sql} ${term.desc ? 'DESC' : 'ASC'}`).join(', '),
+
+    // Rows that come after the given sort values:
+    // (a > ?) OR (a = ? AND b > ?) OR (a = ? AND b = ? AND id > ?)
+    after(values) {
+      const clauses = [];
+      const params = [];
+      terms.forEach((term, index) => {
+        const parts = terms.slice(0, index).map(previous => `${previous.sql} = ?`);
+        parts.push(`${term.sql} ${term.desc ? '<' : '>'} ?`);
+        clauses.push(`(${parts.join(' AND ')})`);
+        params.push(...values.slice(0, index + 1));
+      });
+      return { sql: `(${clauses.join(' OR ')})`, params };
+    },
+
+    cursorValues: (row) => terms.map((_, index) => row[`sort_${index}`])
+  };
+};
+
+const encodeCursor = (sort, values) => Buffer
+  .from(JSON.stringify({ sort: formatSort(sort), after: values }))
+  .toString('base64url');
+
+// The sort values a cursor points after (one per sort key, then the id). A
+// cursor only works with the sort it was made for.
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+  if (!decoded || !Array.isArray(decoded.after) || decoded.after.length !== sort.length + 1 ||
+      !decoded.after.every(value => ['string', 'number'].includes(typeof value))) {
+    throw new Error('Invalid cursor');
+  }
+  if (decoded.sort !== formatSort(sort)) {
+    throw new Error(`cursor was made for sort=${decoded.sort}`);
+  }
+  return decoded.after;
+};
+
+module.exports = {
+  parsePositiveInt,
+  parseSort,
+  formatSort,
+  parseFields,
+  pickFields,
+  keyset,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,243 @@
+// backend/src/utils/taxonomy.js
+//
+// The clothing taxonomy (config/taxonomy.json, or TAXONOMY_FILE): wardrobe
+// categories and the item types filed under them. A type's parent is a
+// category or a broader type ("dress shirt" -> shirt -> Shirts). Names and
+// synonyms match free text as whole words, plurals included, and where
+// several match the one ending last wins - the head of the phrase, so "shirt
+// dress" is a dress and "dress shirt" a shirt. A node's wearsBeforeWash and
+// roles hold for everything under it that doesn't set its own.
+const fs = require('fs');
+const { TAXONOMY_FILE } = require('../config/paths');
+const { OUTFIT_SLOTS, FORMALITY_LEVELS } = require('../config/recommendations');
+const { GARMENT_LAYERS } = require('../config/layering');
+const { escapeRegExp } = require('./keywords');
+
+// What a node says about the garments under it, with a check of each value:
+// the outfit slot they fill (recommendations, collages), their formality,
+// the layer they're worn in (garment layering) and the color a scan assumes
+// when it can't read one
+const ROLES = {
+  slot: value => OUTFIT_SLOTS.includes(value),
+  formality: value => FORMALITY_LEVELS.includes(value),
+  layer: value => GARMENT_LAYERS.includes(value),
+  color: value => typeof value === 'string' && value.trim() !== ''
+};
+const ROLE_NAMES = Object.keys(ROLES);
+
+// Used when the file has no (valid) fallback, or for its missing color
+const DEFAULT_FALLBACK = { name: 'Other', wearsBeforeWash: 3, color: 'gray' };
+
+const normalizeTerm = (text) => String(text || '').toLowerCase().trim().replace(/\s+/g, ' ');
+
+const termPattern = (term) => new RegExp(`\\b${escapeRegExp(term)}(?:e?s)?\\b`, 'g');
+
+const isWearsBeforeWash = (value) => Number.isInteger(value) && value >= 0;
+
+// { name, synonyms, wearsBeforeWash, ...roles } from the file, or null if malformed
+const readNode = (entry) => {
+  const name = entry && typeof entry.name === 'string' ? entry.name.trim() : '';
+  const synonyms = entry && entry.synonyms !== undefined ? entry.synonyms : [];
+  if (!name || !Array.isArray(synonyms) || !synonyms.every(synonym => typeof synonym === 'string' && synonym.trim())) {
+    return null;
+  }
+  if (entry.wearsBeforeWash !== undefined && !isWearsBeforeWash(entry.wearsBeforeWash)) return null;
+  if (ROLE_NAMES.some(role => entry[role] !== undefined && !ROLES[role](entry[role]))) return null;
+  const node = {
+    name,
+    synonyms: synonyms.map(normalizeTerm),
+    wearsBeforeWash: entry.wearsBeforeWash === undefined ? null : entry.wearsBeforeWash
+  };
+  ROLE_NAMES.forEach(role => {
+    node[role] = entry[role] === undefined ? null : entry[role];
+  });
+  return node;
+};
+
+// Parse and check the file; bad entries are skipped with a warning. A type
+// and a category may share a name ("pants" in Pants); a parent is the one
+// spelled exactly so, else the type. Types may come before their parents,
+// but a parent must exist.
+const readTaxonomyFile = (filePath) => {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!data || !Array.isArray(data.categories) || !Array.isArray(data.types)) {
+    throw new Error('expected { "categories": [...], "types": [...] }');
+  }
+
+  const skip = (entry, reason) => console.warn(`⚠️ Skipped taxonomy entry ${JSON.stringify(entry)}: ${reason}`);
+  const categoriesByName = new Map();
+  const typesByName = new Map();
+  const add = (byName, node, entry) => {
+    const key = normalizeTerm(node.name);
+    if (byName.has(key)) {
+      skip(entry, 'duplicate name');
+      return false;
+    }
+    byName.set(key, node);
+    return true;
+  };
+
+  const categories = [];
+  data.categories.forEach(entry => {
+    const node = readNode(entry);
+    if (!node) {
+      skip(entry, 'needs a name, string synonyms, a whole wearsBeforeWash and known roles');
+      return;
+    }
+    const category = { ...node, kind: 'category', parent: null };
+    if (add(categoriesByName, category, entry)) categories.push(category);
+  });
+
+  const types = [];
+  let pending = data.types.filter(entry => {
+    const valid = readNode(entry) && typeof entry.parent === 'string';
+    if (!valid) skip(entry, 'needs a name, a parent, string synonyms, a whole wearsBeforeWash and known roles');
+    return valid;
+  });
+  let added = true;
+  while (pending.length > 0 && added) {
+    added = false;
+    pending = pending.filter(entry => {
+      const parentName = normalizeTerm(entry.parent);
+      const candidates = [typesByName.get(parentName), categoriesByName.get(parentName)].filter(Boolean);
+      const parent = candidates.find(candidate => candidate.name === entry.parent.trim()) || candidates[0];
+      if (!parent) return true;
+      const node = { ...readNode(entry), kind: 'type', parent };
+      node.category = parent.kind === 'category' ? parent : parent.category;
+      if (add(typesByName, node, entry)) types.push(node);
+      added = true;
+      return false;
+    });
+  }
+  pending.forEach(entry => skip(entry, `unknown parent "${entry.parent}"`));
+
+  const fallback = readNode(data.fallback);
+  const generalTerms = Array.isArray(data.generalTerms)
+    ? data.generalTerms.filter(term => typeof term === 'string' && term.trim()).map(normalizeTerm)
+    : [];
+
+  return {
+    fallback: fallback && fallback.wearsBeforeWash !== null
+      ? { ...fallback, color: fallback.color || DEFAULT_FALLBACK.color }
+      : DEFAULT_FALLBACK,
+    generalTerms,
+    categories,
+    types
+  };
+};
+
+// Every name and synonym with the node it stands for. A term two nodes
+// share belongs to the first, so types (listed first) win over categories.
+const indexTerms = (nodes) => {
+  const terms = new Map();
+  nodes.forEach(node => {
+    [normalizeTerm(node.name), ...node.synonyms].forEach(term => {
+      const existing = terms.get(term);
+      if (existing) {
+        if (existing.node !== node && existing.node.kind === node.kind) {
+          console.warn(`⚠️ Taxonomy term "${term}" is used twice; keeping ${existing.node.name}`);
+        }
+        return;
+      }
+      terms.set(term, { term, pattern: termPattern(term), node });
+    });
+  });
+  return [...terms.values()];
+};
+
+let taxonomy = null;
+
+// Read once, on first use. A file that can't be read leaves only the
+// fallback category.
+const getTaxonomy = () => {
+  if (taxonomy) return taxonomy;
+
+  try {
+    taxonomy = readTaxonomyFile(TAXONOMY_FILE);
+  } catch (error) {
+    console.warn(`⚠️ Could not load clothing taxonomy ${TAXONOMY_FILE}:`, error.message);
+    taxonomy = { fallback: DEFAULT_FALLBACK, generalTerms: [], categories: [], types: [] };
+  }
+  taxonomy.terms = indexTerms([...taxonomy.types, ...taxonomy.categories]);
+  taxonomy.generalPatterns = taxonomy.generalTerms.map(termPattern);
+  return taxonomy;
+};
+
+// Category or type named in free text ("navy suit trousers" -> pants), or null
+const findNode = (text) => {
+  const normalized = normalizeTerm(text);
+  if (!normalized) return null;
+
+  let best = null;
+  getTaxonomy().terms.forEach(({ term, pattern, node }) => {
+    for (const match of normalized.matchAll(pattern)) {
+      const end = match.index + match[0].length;
+      if (!best || end > best.end || (end === best.end && term.length > best.term.length)) {
+        best = { term, end, node };
+      }
+    }
+  });
+  return best && best.node;
+};
+
+// The node for text and its parents up to the category, most specific first
+const lineageOf = (text) => {
+  const lineage = [];
+  for (let node = findNode(text); node; node = node.parent) {
+    lineage.push(node);
+  }
+  return lineage;
+};
+
+const findCategory = (text) => {
+  const lineage = lineageOf(text);
+  return lineage.length > 0 ? lineage[lineage.length - 1] : null;
+};
+
+// Category name for the first of texts that names one, else the fallback's
+const categoryOf = (...texts) => {
+  for (const text of texts) {
+    const category = findCategory(text);
+    if (category) return category.name;
+  }
+  return getTaxonomy().fallback.name;
+};
+
+// The node's own wearsBeforeWash, else the nearest parent's, else the fallback's
+const defaultWearsBeforeWash = (node) => {
+  for (let current = node; current; current = current.parent) {
+    if (current.wearsBeforeWash !== null) return current.wearsBeforeWash;
+  }
+  return getTaxonomy().fallback.wearsBeforeWash;
+};
+
+// The node's own slot, formality, layer or color, else the nearest parent's,
+// else null
+const roleOf = (node, role) => {
+  for (let current = node; current; current = current.parent) {
+    if (current[role] !== null) return current[role];
+  }
+  return null;
+};
+
+// The role of the garment text names ("navy suit trousers" -> bottom), or null
+const garmentRole = (text, role) => roleOf(findNode(text), role);
+
+// Whether text names a garment, or clothing in general ("formal wear")
+const isClothing = (text) => {
+  if (findNode(text)) return true;
+  const normalized = normalizeTerm(text);
+  return getTaxonomy().generalPatterns.some(pattern => normalized.search(pattern) !== -1);
+};
+
+module.exports = {
+  normalizeTerm,
+  getTaxonomy,
+  lineageOf,
+  findCategory,
+  categoryOf,
+  defaultWearsBeforeWash,
+  roleOf,
+  garmentRole,
+  isClothing
+};
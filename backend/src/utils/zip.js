@@ -0,0 +1,196 @@
+// backend/src/utils/zip.js
+//
+// Minimal zip archives for wardrobe exports: a streaming writer and an
+// in-memory reader. Entries are stored or deflated; zip64, encryption and
+// multi-disk archives aren't supported.
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const STORE = 0;
+const DEFLATE = 8;
+const UTF8_NAMES = 0x0800;
+const MAX_COMMENT = 0xffff;
+
+// CRC-32 (IEEE) lookup table; zlib.crc32 only exists from Node 20.15 / 22.2
+const CRC_TABLE = new Int32Array(256).map((_, byte) => {
+  let value = byte;
+  for (let bit = 0; bit < 8; bit++) {
+    value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+  }
+  return value;
+});
+
+const crc32 = (buffer) => {
+  let crc = -1;
+  for (let index = 0; index < buffer.length; index++) {
+    crc = CRC_TABLE[(crc ^ buffer[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+};
+
+// Date -> MS-DOS time and date words (local time, 2-second resolution)
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Writes entries to a writable stream (e.g. an HTTP response) as they are
+// added, so only one file is in memory at a time. Call finish() once.
+class ZipWriter {
+  constructor(output) {
+    this.output = output;
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  async write(buffer) {
+    this.offset += buffer.length;
+    if (!this.output.write(buffer)) {
+      await new Promise(resolve => this.output.once('drain', resolve));
+    }
+  }
+
+  // Deflates data unless that doesn't make it smaller (JPEGs, PNGs)
+  async addFile(name, data, modified = new Date()) {
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+    const deflated = zlib.deflateRawSync(content);
+    const method = deflated.length < content.length ? DEFLATE : STORE;
+    const body = method === DEFLATE ? deflated : content;
+    const nameBytes = Buffer.from(name, 'utf8');
+    const { time, date } = toDosDateTime(modified);
+    const entry = {
+      nameBytes,
+      method,
+      time,
+      date,
+      crc: crc32(content),
+      compressedSize: body.length,
+      size: content.length,
+      offset: this.offset
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_HEADER, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(UTF8_NAMES, 6);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(nameBytes.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    this.entries.push(entry);
+    await this.write(Buffer.concat([header, nameBytes]));
+    await this.write(body);
+  }
+
+  // Writes the central directory; the caller ends the stream
+  async finish() {
+    const start = this.offset;
+    for (const entry of this.entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(CENTRAL_HEADER, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(UTF8_NAMES, 8);
+      header.writeUInt16LE(entry.method, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBytes.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await this.write(Buffer.concat([header, entry.nameBytes]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await this.write(end);
+  }
+}
+
+const findEndOfCentralDirectory = (buffer) => {
+  const stop = Math.max(0, buffer.length - 22 - MAX_COMMENT);
+  for (let i = buffer.length - 22; i >= stop; i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) return i;
+  }
+  return -1;
+};
+
+// Zip archive in a buffer -> Map of entry name -> contents. Directories are
+// skipped. Throws on anything malformed or over the limits, which guard
+// against archives that unpack to far more than their size.
+const readZip = (buffer, { maxEntries = 10000, maxTotalSize = Infinity } = {}) => {
+  const end = findEndOfCentralDirectory(buffer);
+  if (end === -1) {
+    throw new Error('Not a zip file');
+  }
+  const count = buffer.readUInt16LE(end + 10);
+  if (count > maxEntries) {
+    throw new Error(`Zip file has more than ${maxEntries} entries`);
+  }
+
+  const files = new Map();
+  let position = buffer.readUInt32LE(end + 16);
+  let totalSize = 0;
+  for (let i = 0; i < count; i++) {
+    if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== CENTRAL_HEADER) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const flags = buffer.readUInt16LE(position + 8);
+    const method = buffer.readUInt16LE(position + 10);
+    const crc = buffer.readUInt32LE(position + 16);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const size = buffer.readUInt32LE(position + 24);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const localOffset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x1) {
+      throw new Error(`${name} is encrypted`);
+    }
+    if (method !== STORE && method !== DEFLATE) {
+      throw new Error(`${name} uses an unsupported compression method`);
+    }
+    totalSize += size;
+    if (totalSize > maxTotalSize) {
+      throw new Error(`Zip file unpacks to more than ${maxTotalSize} bytes`);
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+      throw new Error(`Corrupt zip entry ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (data.length !== compressedSize) {
+      throw new Error(`Corrupt zip entry ${name}`);
+    }
+    const content = method === STORE
+      ? data
+      : zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+    if (content.length !== size || crc32(content) !== crc) {
+      throw new Error(`Corrupt zip entry ${name}`);
+    }
+    files.set(name, content);
+  }
+  return files;
+};
+
+module.exports = {
+  ZipWriter,
+  readZip
+};
@@ -0,0 +1,70 @@
+// backend/test/database.test.js
+//
+// Transactions on the single shared connection: statements from outside a
+// transaction wait for it instead of landing in it.
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'database-test-'));
+process.env.DATABASE_PATH = path.join(dataDir, 'test.db');
+
+const Database = require('../src/database/Database');
+
+const names = async () => (await Database.all('SELECT name FROM notes ORDER BY name')).map(row => row.name);
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  await Database.run('CREATE TABLE notes (name TEXT PRIMARY KEY)');
+});
+
+after(async () => {
+  await Database.close();
+  mock.restoreAll();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a write from outside is not rolled back with a transaction', async () => {
+  let entered;
+  const inside = new Promise(resolve => { entered = resolve; });
+
+  const failed = Database.transaction(async () => {
+    await Database.run("INSERT INTO notes (name) VALUES ('rolled back')");
+    entered();
+    // Give the outside write every chance to slip in
+    await new Promise(resolve => setTimeout(resolve, 20));
+    throw new Error('abort');
+  });
+  await inside;
+  const outside = Database.run("INSERT INTO notes (name) VALUES ('outside')");
+
+  await assert.rejects(failed, /abort/);
+  await outside;
+  assert.deepEqual(await names(), ['outside']);
+  await Database.run('DELETE FROM notes');
+});
+
+test('concurrent transactions run one after another', async () => {
+  const order = [];
+  await Promise.all(['a', 'b', 'c'].map(name => Database.transaction(async () => {
+    order.push(`begin ${name}`);
+    await Database.run('INSERT INTO notes (name) VALUES (?)', [name]);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    order.push(`end ${name}`);
+  })));
+
+  assert.deepEqual(order, ['begin a', 'end a', 'begin b', 'end b', 'begin c', 'end c']);
+  assert.deepEqual(await names(), ['a', 'b', 'c']);
+  await Database.run('DELETE FROM notes');
+});
+
+test('a transaction started inside another is part of it', async () => {
+  await assert.rejects(Database.transaction(async () => {
+    await Database.transaction(() => Database.run("INSERT INTO notes (name) VALUES ('inner')"));
+    throw new Error('abort');
+  }), /abort/);
+
+  assert.deepEqual(await names(), []);
+});
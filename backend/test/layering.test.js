@@ -0,0 +1,93 @@
+// backend/test/layering.test.js
+//
+// resolveLayers on synthetic photos: flat-colored rectangles on a white
+// background, with the detection boxes given the way Vision returns them.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveLayers } = require('../src/services/garmentLayeringService');
+const { hexToRgb } = require('../src/utils/colors');
+
+const SIZE = 100;
+
+// Normalized bounding box from its left, top, right and bottom edges
+const box = (left, top, right, bottom) => [
+  { x: left, y: top }, { x: right, y: top }, { x: right, y: bottom }, { x: left, y: bottom }
+];
+
+// A SIZE x SIZE image painted with [rect, hex] shapes in order, later ones on top
+const paint = (shapes) => {
+  const rgb = new Uint8Array(SIZE * SIZE * 3);
+  [[[0, 0, 1, 1], '#ffffff'], ...shapes].forEach(([[left, top, right, bottom], hex]) => {
+    const color = hexToRgb(hex);
+    for (let y = Math.round(top * SIZE); y < Math.round(bottom * SIZE); y++) {
+      for (let x = Math.round(left * SIZE); x < Math.round(right * SIZE); x++) {
+        rgb.set(color, (y * SIZE + x) * 3);
+      }
+    }
+  });
+  return { width: SIZE, height: SIZE, rgb };
+};
+
+const summarize = ({ garments, order }) => ({
+  garments: garments.map(({ type, layer, inferred, over, under, colors }) => ({
+    type, layer, inferred, over, under, colors: colors.map(color => color.hex)
+  })),
+  order
+});
+
+test('a jacket is worn over the shirt showing down its front', () => {
+  const jacket = [0.2, 0.15, 0.8, 0.9];
+  const image = paint([[jacket, '#2b2b2b'], [[0.42, 0.2, 0.58, 0.85], '#3060c0']]);
+
+  const result = resolveLayers(image, [
+    { type: 'Jacket', boundingBox: box(...jacket) },
+    { type: 'Shirt', boundingBox: box(0.3, 0.2, 0.7, 0.8) }
+  ]);
+
+  // The blue inside the jacket's box is the shirt's, not the jacket's
+  assert.deepEqual(summarize(result), {
+    garments: [
+      { type: 'jacket', layer: 'outer', inferred: false, over: [1], under: [], colors: ['#2b2b2b'] },
+      { type: 'shirt', layer: 'main', inferred: false, over: [], under: [0], colors: ['#3060c0'] }
+    ],
+    order: [1, 0]
+  });
+});
+
+test('a garment hidden entirely under another keeps its layer but no colors', () => {
+  const sweater = [0.2, 0.15, 0.8, 0.7];
+  const image = paint([[sweater, '#8b2030']]);
+
+  const result = resolveLayers(image, [
+    { type: 'Sweater', boundingBox: box(...sweater) },
+    { type: 'Shirt', boundingBox: box(0.3, 0.2, 0.7, 0.65) }
+  ]);
+
+  assert.deepEqual(summarize(result), {
+    garments: [
+      { type: 'sweater', layer: 'mid', inferred: false, over: [1], under: [], colors: ['#8b2030'] },
+      { type: 'shirt', layer: 'main', inferred: false, over: [], under: [0], colors: [] }
+    ],
+    order: [1, 0]
+  });
+});
+
+test('garments whose boxes do not overlap cover nothing', () => {
+  const sweater = [0.25, 0.1, 0.75, 0.5];
+  const chinos = [0.3, 0.55, 0.7, 0.95];
+  const image = paint([[sweater, '#8b2030'], [chinos, '#c2b280']]);
+
+  const result = resolveLayers(image, [
+    { type: 'Sweater', boundingBox: box(...sweater) },
+    { type: 'Chinos', boundingBox: box(...chinos) }
+  ]);
+
+  assert.deepEqual(summarize(result), {
+    garments: [
+      { type: 'sweater', layer: 'mid', inferred: false, over: [], under: [], colors: ['#8b2030'] },
+      { type: 'chinos', layer: 'main', inferred: false, over: [], under: [], colors: ['#c2b280'] }
+    ],
+    order: [1, 0]
+  });
+});
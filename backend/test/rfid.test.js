@@ -0,0 +1,91 @@
+// backend/test/rfid.test.js
+//
+// RFID door events against the real app and a scratch database. Each event
+// is logged in one transaction on the shared connection, so events that
+// arrive together must wait for each other rather than fail.
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rfid-test-'));
+process.env.DATABASE_PATH = path.join(dataDir, 'test.db');
+
+const app = require('../src/app');
+const Database = require('../src/database/Database');
+const { migrate } = require('../src/database/migrator');
+
+const TAGS = ['TAG-1', 'TAG-2', 'TAG-3', 'TAG-4', 'TAG-5', 'TAG-6'];
+
+let server;
+let baseUrl;
+let headers;
+
+const post = async (route, body) => {
+  const response = await fetch(`${baseUrl}${route}`, { method: 'POST', headers, body: JSON.stringify(body) });
+  return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  await migrate();
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://localhost:${server.address().port}/api`;
+
+  headers = { 'Content-Type': 'application/json' };
+  const { body } = await post('/auth/register', { username: 'door', email: 'door@example.com', password: 'password1' });
+  headers.Authorization = `Bearer ${body.token}`;
+  for (const tag of TAGS) {
+    await post('/wardrobe/items', { name: `Shirt ${tag}`, type: 'shirt', rfid_tag: tag });
+  }
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await Database.close();
+  mock.restoreAll();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('parallel RFID events are all logged', async () => {
+  const responses = await Promise.all(TAGS.map(tag => post('/rfid/event', { tags: [tag], event_type: 'departure' })));
+
+  assert.deepEqual(responses.map(response => response.status), TAGS.map(() => 201));
+  assert.deepEqual(responses.map(response => response.body.scans[0].rfidTag), TAGS);
+
+  const { count } = await Database.get("SELECT COUNT(*) AS count FROM rfid_scans WHERE scan_type = 'exit'");
+  assert.equal(count, TAGS.length);
+  const worn = await Database.all("SELECT rfid_tag FROM wardrobe_items WHERE status = 'worn' ORDER BY rfid_tag");
+  assert.deepEqual(worn.map(item => item.rfid_tag), TAGS);
+});
+
+test('overlapping events for the same tags each count once', async () => {
+  const responses = await Promise.all([
+    post('/rfid/event', { tags: TAGS, event_type: 'arrival' }),
+    post('/rfid/event', { tags: TAGS.slice(0, 3), event_type: 'departure' }),
+    post('/rfid/event', { tags: TAGS.slice(3), event_type: 'departure' })
+  ]);
+
+  assert.deepEqual(responses.map(response => response.status), [201, 201, 201]);
+  const { count } = await Database.get('SELECT COUNT(*) AS count FROM rfid_scans');
+  assert.equal(count, TAGS.length * 3);
+});
+
+test('unknown tags are logged without an item', async () => {
+  const { count: before } = await Database.get('SELECT COUNT(*) AS count FROM rfid_scans');
+  const { status, body } = await post('/rfid/event', { tags: ['TAG-1', 'STRANGER'], event_type: 'arrival' });
+
+  assert.equal(status, 201);
+  assert.equal(body.processed, 1);
+  assert.deepEqual(body.unknownTags, ['STRANGER']);
+  assert.deepEqual(body.scans.map(scan => [scan.rfidTag, scan.itemId === null]), [['TAG-1', false], ['STRANGER', true]]);
+  const { count } = await Database.get('SELECT COUNT(*) AS count FROM rfid_scans');
+  assert.equal(count, before + 2);
+});
+
+test('tags that are not strings are rejected', async () => {
+  const { status } = await post('/rfid/event', { tags: ['TAG-1', { tag: 'TAG-2' }], event_type: 'arrival' });
+  assert.equal(status, 400);
+});
@@ -0,0 +1,130 @@
+// backend/test/vision.test.js
+//
+// Replays vision fixtures through the detection pipeline. Responses recorded
+// in a scratch fixture directory are keyed by image hash; any other image
+// gets the shipped fallback fixture (fixtures/vision/default.json).
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vision-fixtures-'));
+process.env.VISION_PROVIDER = 'fixture';
+process.env.VISION_FIXTURE_DIR = fixtureDir;
+process.env.VISION_FIXTURE_PATH = path.join(__dirname, '../fixtures/vision/default.json');
+delete process.env.VISION_RECORD;
+
+const { analyzeImageWithVision } = require('../src/services/visionAnalysisService');
+const FixtureVisionProvider = require('../src/services/vision/FixtureVisionProvider');
+const RecordingVisionProvider = require('../src/services/vision/RecordingVisionProvider');
+const { hashImage, fixturePathFor } = require('../src/services/vision/fixtures');
+
+const JACKET_RESPONSE = {
+  localizedObjectAnnotations: [
+    {
+      name: 'Jacket',
+      score: 0.88,
+      boundingPoly: { normalizedVertices: [{ x: 0.2, y: 0.1 }, { x: 0.8, y: 0.1 }, { x: 0.8, y: 0.7 }, { x: 0.2, y: 0.7 }] }
+    },
+    {
+      name: 'Person',
+      score: 0.97,
+      boundingPoly: { normalizedVertices: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }] }
+    }
+  ],
+  labelAnnotations: [{ description: 'Outerwear', score: 0.9 }],
+  textAnnotations: [],
+  imagePropertiesAnnotation: {
+    dominantColors: { colors: [{ color: { red: 31, green: 42, blue: 68 }, score: 0.7, pixelFraction: 0.5 }] }
+  },
+  webDetection: { webEntities: [{ description: 'Brand', score: 0.8 }, { description: 'Denim jacket', score: 0.4 }] }
+};
+
+// A small solid image; each color hashes differently
+const imageOf = (color) => sharp({ create: { width: 8, height: 8, channels: 3, background: color } }).png().toBuffer();
+
+const toDataUrl = (buffer) => `data:image/png;base64,${buffer.toString('base64')}`;
+
+// Records response for image the way VISION_RECORD does
+const record = async (image, response) => {
+  const recorder = new RecordingVisionProvider({ name: 'stub', getStatus: () => ({}), annotate: async () => response }, { fixtureDir });
+  return recorder.annotate(image);
+};
+
+const summarize = ({ detectedItems, colors, brands, text }) => ({
+  items: detectedItems.map(item => [item.type, item.confidence, item.source, Boolean(item.boundingBox)]),
+  colors,
+  brands,
+  text
+});
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+  fs.rmSync(fixtureDir, { recursive: true, force: true });
+});
+
+test('recording saves the raw response under the image hash', async () => {
+  const image = await imageOf('#1f2a44');
+  const returned = await record(image, JACKET_RESPONSE);
+
+  assert.deepEqual(returned, JACKET_RESPONSE);
+  const saved = JSON.parse(fs.readFileSync(fixturePathFor(hashImage(image), fixtureDir), 'utf8'));
+  assert.equal(saved.imageHash, hashImage(image));
+  assert.equal(saved.provider, 'stub');
+  assert.deepEqual(saved.response, JACKET_RESPONSE);
+});
+
+test('replay returns the recorded response for the same image bytes', async () => {
+  const image = await imageOf('#204060');
+  await record(image, JACKET_RESPONSE);
+
+  const provider = new FixtureVisionProvider({ fixtureDir, fixturePath: path.join(fixtureDir, 'missing.json') });
+  assert.deepEqual(await provider.annotate(image), JACKET_RESPONSE);
+  await assert.rejects(provider.annotate(await imageOf('#ffffff')), /Vision fixture not found/);
+});
+
+test('a recorded fixture replays through analyzeImageWithVision', async () => {
+  const image = await imageOf('#1f2a44');
+  await record(image, JACKET_RESPONSE);
+
+  // Person is not clothing, Brand names no garment, Denim jacket scores too low
+  assert.deepEqual(summarize(await analyzeImageWithVision(toDataUrl(image))), {
+    items: [['jacket', 88, 'object_detection', true]],
+    colors: ['oxford blue'],
+    brands: [],
+    text: ''
+  });
+});
+
+test('images without a recording replay the fallback fixture', async () => {
+  const result = summarize(await analyzeImageWithVision(toDataUrl(await imageOf('#808080'))));
+
+  assert.deepEqual(result, {
+    items: [
+      ['suit', 91, 'object_detection', true],
+      ['tie', 84, 'object_detection', true],
+      ['pants', 79, 'object_detection', true],
+      ['shoe', 72, 'object_detection', true],
+      ['shoe', 70, 'object_detection', true],
+      ['necktie', 71, 'web_detection', false],
+      ['dress shirt', 58, 'web_detection', false]
+    ],
+    colors: ['oxford blue', 'off-white', 'burgundy', 'off-black', 'charcoal'],
+    brands: [],
+    text: ''
+  });
+});
+
+test('replaying the same fixture twice gives the same detections', async () => {
+  const image = toDataUrl(await imageOf('#808080'));
+  const first = await analyzeImageWithVision(image);
+  const second = await analyzeImageWithVision(image);
+
+  assert.deepEqual(second, first);
+});
@@ -1,9 +1,22 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Camera, Plus, Eye, Shirt, Calendar, Cloud, Users, ShoppingBag, Search, Filter, Star, MapPin, Thermometer, AlertCircle, CheckCircle, Upload, X } from 'lucide-react';
+import { Camera, Plus, Eye, Shirt, Calendar, Cloud, Users, ShoppingBag, Search, Filter, Star, MapPin, Thermometer, AlertCircle, CheckCircle, Upload, X, LogOut, BarChart2, Droplet, CalendarDays } from 'lucide-react';
 import api from './services/api';
 import CameraCapture from './components/CameraCapture';
 import OutfitScanner from './components/OutfitScanner.js';
 import SplashScreen from './components/SplashScreen';
+import LoginView from './components/LoginView';
+import ItemImageGallery from './components/ItemImageGallery';
+import AnalyticsDashboard from './components/AnalyticsDashboard';
+import LaundryView from './components/LaundryView';
+import CalendarView from './components/CalendarView';
+import PlannerView from './components/PlannerView';
+import OutfitSuggestions from './components/OutfitSuggestions';
+import WeatherForecast from './components/WeatherForecast';
+import WardrobeFilters from './components/WardrobeFilters';
+
+const SUGGESTION_OCCASIONS = ['Casual', 'Office Day', 'Business Meeting', 'Date Night', 'Weekend Brunch', 'Workout'];
+const WARDROBE_PAGE_SIZE = 24;
+const EMPTY_WARDROBE_SEARCH = { q: '', filters: {}, sort: '', page: 1 };
 
 const ClosetMonkeyMVP = () => {
   const [currentView, setCurrentView] = useState('home');
@@ -18,7 +31,17 @@ const ClosetMonkeyMVP = () => {
   const [selectedItemForDetail, setSelectedItemForDetail] = useState(null);
   const [showSplashScreen, setShowSplashScreen] = useState(true);
   const [isIdle, setIsIdle] = useState(false);
+  const [currentUser, setCurrentUser] = useState(api.isAuthenticated() ? api.user : null);
+  const [suggestionResult, setSuggestionResult] = useState(null);
+  const [suggestionOccasion, setSuggestionOccasion] = useState(SUGGESTION_OCCASIONS[0]);
+  const [weather, setWeather] = useState({ current: null, forecast: [] });
+  const [wardrobeSearch, setWardrobeSearch] = useState(EMPTY_WARDROBE_SEARCH);
+  const [wardrobeResults, setWardrobeResults] = useState(null);
+  // Clothing taxonomy and color palette from the server (GET /taxonomy, /colors)
+  const [taxonomy, setTaxonomy] = useState({ categories: [], types: [], fallback: null });
+  const [palette, setPalette] = useState([]);
   const idleTimerRef = useRef(null);
+  const itemPhotosChangedRef = useRef(false);
   
   const [newItem, setNewItem] = useState({
     name: '',
@@ -28,21 +51,60 @@ const ClosetMonkeyMVP = () => {
     rfidTag: '',
     material: '',
     size: '',
-    description: ''
+    description: '',
+    price: '',
+    purchaseDate: ''
   });
 
   const [uploadedImage, setUploadedImage] = useState(null);
   const [showCamera, setShowCamera] = useState(false);
   const fileInputRef = useRef(null);
 
-  const categories = ["Shirts", "Pants", "Jackets", "Dresses", "Shoes", "Accessories"];
-  const colors = ["Black", "White", "Navy", "Gray", "Brown", "Blue", "Red", "Green"];
+  const categories = [
+    ...taxonomy.categories.map(category => category.name),
+    ...(taxonomy.fallback ? [taxonomy.fallback.name] : [])
+  ];
+  const colors = palette.map(color => color.name);
+
+  // The palette option for a stored or detected color, matched regardless of
+  // case ("Black" is black); a name the palette doesn't have is kept as is
+  const colorOption = (name) => {
+    const normalized = (name || '').toLowerCase().trim().replace(/\s+/g, ' ');
+    return colors.find(color => color === normalized) || name || '';
+  };
+  const selectedColor = colorOption(newItem.color);
+
+  // Send the user back to the login screen when the token is rejected
+  useEffect(() => {
+    api.onUnauthorized = () => setCurrentUser(null);
+    return () => {
+      api.onUnauthorized = null;
+    };
+  }, []);
 
-  // Load data on component mount
+  // Load data once someone is signed in
   useEffect(() => {
+    if (!currentUser) return;
     loadWardrobeItems();
     loadOutfits();
-  }, []);
+    loadWeather();
+    loadReferenceData();
+  }, [currentUser]);
+
+  // The wardrobe grid shows search results; search again whenever the
+  // search changes or items are added, edited or deleted
+  useEffect(() => {
+    if (!currentUser || currentView !== 'wardrobe') return undefined;
+    let cancelled = false;
+    api.searchItems({ ...wardrobeSearch, limit: WARDROBE_PAGE_SIZE })
+      .then(results => {
+        if (!cancelled) setWardrobeResults(results);
+      })
+      .catch(err => console.error('Error searching wardrobe:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser, currentView, wardrobeSearch, wardrobeItems]);
 
   // Clear messages after 3 seconds
   useEffect(() => {
@@ -110,8 +172,7 @@ const ClosetMonkeyMVP = () => {
 
   const loadOutfits = async () => {
     try {
-      const userId = localStorage.getItem('userId') || '7eb88885-3bc3-4c09-af20-7fbd0bf6fa07';
-      const response = await fetch(`/api/outfits/${userId}`);
+      const response = await api.authFetch(`/api/outfits/${api.userId}`);
       if (response.ok) {
         const outfitsData = await response.json();
         setOutfits(outfitsData);
@@ -122,6 +183,25 @@ const ClosetMonkeyMVP = () => {
       console.error('Error loading outfits:', err);
     }
   };
+
+  const loadWeather = async () => {
+    try {
+      const [current, forecast] = await Promise.all([api.getCurrentWeather(), api.getWeatherForecast(5)]);
+      setWeather({ current, forecast: forecast.days });
+    } catch (err) {
+      console.error('Error loading weather:', err);
+    }
+  };
+
+  const loadReferenceData = async () => {
+    try {
+      const [taxonomyData, colorData] = await Promise.all([api.getTaxonomy(), api.getColors()]);
+      setTaxonomy(taxonomyData);
+      setPalette(colorData.colors);
+    } catch (err) {
+      console.error('Error loading taxonomy and colors:', err);
+    }
+  };
 const addItem = async () => {
   if (!newItem.name || !newItem.category) {
     setError('Please fill in name and category');
@@ -148,7 +228,9 @@ const addItem = async () => {
       rfidTag: '',
       material: '',
       size: '',
-      description: ''
+      description: '',
+      price: '',
+      purchaseDate: ''
     });
     setUploadedImage(null);
     setSuccess('Item added successfully!');
@@ -182,7 +264,7 @@ const addItem = async () => {
 
     try {
       setLoading(true);
-      const response = await fetch(`/api/outfits/${outfitId}`, {
+      const response = await api.authFetch(`/api/outfits/${outfitId}`, {
         method: 'DELETE',
       });
 
@@ -210,8 +292,8 @@ const addItem = async () => {
     setSelectedItems(newSelected);
   };
 
-  const selectAllItems = () => {
-    setSelectedItems(new Set(wardrobeItems.map(item => item.id)));
+  const selectAllItems = (items) => {
+    setSelectedItems(new Set(items.map(item => item.id)));
   };
 
   const clearSelection = () => {
@@ -269,7 +351,7 @@ const addItem = async () => {
     try {
       setLoading(true);
       const deletePromises = Array.from(selectedOutfits).map(outfitId => 
-        fetch(`/api/outfits/${outfitId}`, { method: 'DELETE' })
+        api.authFetch(`/api/outfits/${outfitId}`, { method: 'DELETE' })
       );
       
       const responses = await Promise.all(deletePromises);
@@ -299,6 +381,14 @@ const addItem = async () => {
     setIsIdle(false);
   };
 
+  const handleLogout = () => {
+    api.logout();
+    setCurrentUser(null);
+    setWardrobeItems([]);
+    setOutfits([]);
+    setCurrentView('home');
+  };
+
 const handleImageUpload = (event) => {
   const file = event.target.files[0];
   if (file) {
@@ -322,44 +412,14 @@ const performAIDetection = async (imageFile) => {
     console.log('AI Scan Result:', scanResult);
     
     if (scanResult.detectedItemsCount > 0 || scanResult.detectedColors?.length > 0) {
-      // Map Vision API types to your categories
-      const categoryMapping = {
-        'shirt': 'Shirts',
-        't-shirt': 'Shirts',
-        'blouse': 'Shirts',
-        'top': 'Shirts',
-        'pants': 'Pants',
-        'jeans': 'Pants',
-        'trousers': 'Pants',
-        'jacket': 'Jackets',
-        'coat': 'Jackets',
-        'blazer': 'Jackets',
-        'dress': 'Dresses',
-        'shoe': 'Shoes',
-        'sneaker': 'Shoes',
-        'boot': 'Shoes',
-        'accessory': 'Accessories',
-        'belt': 'Accessories',
-        'tie': 'Accessories'
-      };
-      
       // Use the first detected item to populate fields
       const firstItem = scanResult.uncatalogedItems[0] || scanResult.catalogedItems[0];
       if (firstItem) {
-        // Find matching category
-        let detectedCategory = '';
-        const itemType = (firstItem.type || '').toLowerCase();
-        for (const [key, value] of Object.entries(categoryMapping)) {
-          if (itemType.includes(key)) {
-            detectedCategory = value;
-            break;
-          }
-        }
+        // The server files the detected type under a taxonomy category
+        const detectedCategory = categories.includes(firstItem.category) ? firstItem.category : '';
         
-        // Capitalize first letter of color
-        const detectedColor = scanResult.detectedColors?.[0] 
-          ? scanResult.detectedColors[0].charAt(0).toUpperCase() + scanResult.detectedColors[0].slice(1)
-          : '';
+        // Detected colors are named from the same palette as the color options
+        const detectedColor = scanResult.detectedColors?.[0] || '';
         
         setNewItem(prev => ({
           ...prev,
@@ -381,37 +441,78 @@ const performAIDetection = async (imageFile) => {
     setLoading(false);
   }
 };
-  const generateOutfitSuggestion = () => {
-    const availableItems = wardrobeItems.filter(item => item.laundry_status === 'clean');
-    if (availableItems.length >= 2) {
-      const suggestion = {
-        id: Date.now(),
-        name: "AI Suggestion",
-        items: [availableItems[0].id, availableItems[1].id],
-        date: new Date().toISOString().split('T')[0],
-        weather: "Sunny, 72°F",
-        occasion: "Casual"
-      };
-      setOutfits([suggestion, ...outfits]);
-      setSuccess('New outfit suggestion created!');
-    } else {
-      setError('Need at least 2 clean items for outfit suggestions');
+  // Ask the backend for complete outfits from clean, in-closet items; it
+  // uses today's weather from its weather provider
+  const generateOutfitSuggestion = async () => {
+    try {
+      setLoading(true);
+      const result = await api.getOutfitSuggestions({ occasion: suggestionOccasion });
+      setSuggestionResult(result);
+      setCurrentView('home');
+      if (result.suggestions.length > 0) {
+        setSuccess(`${result.suggestions.length} outfit suggestions ready!`);
+      } else {
+        setError('Need clean items in the closet for outfit suggestions');
+      }
+    } catch (err) {
+      console.error('Error getting outfit suggestions:', err);
+      setError('Failed to get outfit suggestions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const saveSuggestedOutfit = async (suggestion) => {
+    try {
+      setLoading(true);
+      const response = await api.authFetch('/api/outfits', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: `${suggestionOccasion} Suggestion`,
+          description: suggestion.explanation.join('. '),
+          occasion: suggestionOccasion,
+          catalogedItems: suggestion.itemIds.map(id => ({ id }))
+        })
+      });
+
+      if (response.ok) {
+        await loadOutfits();
+        setSuccess('Outfit saved successfully!');
+      } else {
+        setError('Failed to save outfit');
+      }
+    } catch (err) {
+      console.error('Error saving suggested outfit:', err);
+      setError('Failed to save outfit');
+    } finally {
+      setLoading(false);
     }
   };
 
   // Open item detail modal for editing
   const openItemDetail = (item) => {
+    itemPhotosChangedRef.current = false;
     setSelectedItemForDetail(item);
     setShowItemDetailModal(true);
   };
 
+  // Close the modal, picking up a new primary photo if the gallery changed it
+  const closeItemDetail = () => {
+    setShowItemDetailModal(false);
+    if (itemPhotosChangedRef.current) {
+      itemPhotosChangedRef.current = false;
+      loadWardrobeItems();
+    }
+  };
+
   // Update item details
   const updateItemDetails = async (updatedItem) => {
     try {
       setLoading(true);
       
       // Call API to update the item
-      const response = await fetch(`/api/wardrobe/items/${updatedItem.id}`, {
+      const response = await api.authFetch(`/api/wardrobe/items/${updatedItem.id}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
@@ -495,151 +596,188 @@ const performAIDetection = async (imageFile) => {
           <Thermometer className="h-5 w-5 mr-2 text-orange-500" />
           Today's Weather-Based Suggestion
         </h3>
-        <div className="flex items-center space-x-4 p-4 bg-blue-50 rounded-lg">
-          <div className="text-sm text-gray-600">
-            <p>Today: Sunny, 72°F</p>
-            <p>Perfect for: Light layers, cotton fabrics</p>
+        <div className="p-4 bg-blue-50 rounded-lg mb-4 space-y-4">
+          <WeatherForecast current={weather.current} forecast={weather.forecast} />
+          <div className="flex flex-wrap items-center gap-4">
+            <select
+              value={suggestionOccasion}
+              onChange={(e) => setSuggestionOccasion(e.target.value)}
+              className="border rounded-lg px-3 py-2 text-sm"
+            >
+              {SUGGESTION_OCCASIONS.map(occasion => (
+                <option key={occasion} value={occasion}>{occasion}</option>
+              ))}
+            </select>
+            <button 
+              onClick={generateOutfitSuggestion}
+              disabled={loading}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              Get Suggestion
+            </button>
           </div>
-          <button 
-            onClick={generateOutfitSuggestion}
-            disabled={loading}
-            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
-          >
-            Get Suggestion
-          </button>
         </div>
+        <OutfitSuggestions result={suggestionResult} onSave={saveSuggestedOutfit} saving={loading} />
       </div>
     </div>
   );
 
-  const WardrobeView = () => (
-    <div className="space-y-6">
-      <div className="flex justify-between items-center">
-        <h2 className="text-2xl font-bold">My Wardrobe</h2>
-        <button 
-          onClick={() => setCurrentView('addItem')}
-          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center space-x-2"
-        >
-          <Plus className="h-4 w-4" />
-          <span>Add Item</span>
-        </button>
-      </div>
-      
-      <div className="flex justify-between items-center mb-6">
-        <div className="flex space-x-4">
-          <div className="flex items-center space-x-2">
-            <Search className="h-4 w-4 text-gray-400" />
-            <input 
-              type="text" 
-              placeholder="Search items..." 
-              className="border rounded-lg px-3 py-2 w-64"
-            />
-          </div>
-          <select className="border rounded-lg px-3 py-2">
-            <option>All Categories</option>
-            {categories.map(cat => (
-              <option key={cat}>{cat}</option>
-            ))}
-          </select>
-        </div>
-        
-        {/* Bulk actions */}
-        <div className="flex items-center space-x-3">
-          {selectedItems.size > 0 && (
-            <>
-              <span className="text-sm text-gray-600">
-                {selectedItems.size} selected
-              </span>
-              <button
-                onClick={deleteSelectedItems}
-                className="bg-red-600 text-white px-3 py-1 rounded text-sm hover:bg-red-700"
-              >
-                Delete Selected
-              </button>
-              <button
-                onClick={clearSelection}
-                className="border border-gray-300 text-gray-700 px-3 py-1 rounded text-sm hover:bg-gray-50"
-              >
-                Clear
-              </button>
-            </>
-          )}
-          <button
-            onClick={selectedItems.size === wardrobeItems.length ? clearSelection : selectAllItems}
-            className="border border-gray-300 text-gray-700 px-3 py-1 rounded text-sm hover:bg-gray-50"
+  // Called as WardrobeView() rather than rendered as <WardrobeView />: it is
+  // redefined on every render, and as a component type that would remount the
+  // filter sidebar (and lose the search box's focus) on each keystroke
+  const WardrobeView = () => {
+    const shownItems = wardrobeResults ? wardrobeResults.items : wardrobeItems;
+    const allShownSelected = shownItems.length > 0 && shownItems.every(item => selectedItems.has(item.id));
+
+    return (
+      <div className="space-y-6">
+        <div className="flex justify-between items-center">
+          <h2 className="text-2xl font-bold">My Wardrobe</h2>
+          <button 
+            onClick={() => setCurrentView('addItem')}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center space-x-2"
           >
-            {selectedItems.size === wardrobeItems.length ? 'Deselect All' : 'Select All'}
+            <Plus className="h-4 w-4" />
+            <span>Add Item</span>
           </button>
         </div>
-      </div>
-
-      {loading ? (
-        <LoadingSpinner />
-      ) : (
-        <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-4 gap-4">
-          {wardrobeItems.map(item => (
-            <div 
-              key={item.id} 
-              className={`bg-white rounded-lg shadow border overflow-hidden relative ${
-                selectedItems.has(item.id) ? 'ring-2 ring-blue-500' : ''
-              }`}
-            >
-              {/* Selection checkbox */}
-              <div className="absolute top-2 left-2 z-10">
-                <input
-                  type="checkbox"
-                  checked={selectedItems.has(item.id)}
-                  onChange={() => toggleItemSelection(item.id)}
-                  className="w-4 h-4 text-blue-600 bg-white border-gray-300 rounded focus:ring-blue-500"
-                />
-              </div>
+      
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+          <WardrobeFilters
+            search={wardrobeSearch}
+            facets={wardrobeResults && wardrobeResults.facets}
+            total={wardrobeResults ? wardrobeResults.total : null}
+            onChange={setWardrobeSearch}
+          />
 
-              <div className="h-48 bg-gray-100 flex items-center justify-center">
-                {item.imageUrl ? (
-                  <img 
-                    src={`http://localhost:5001${item.imageUrl}?t=${Date.now()}`} 
-                    alt={item.name}
-                    className="w-full h-full object-cover"
-                  />
-                ) : (
-                  <Shirt className="h-16 w-16 text-gray-400" />
-                )}
-              </div>
-              <div className="p-4">
-                <h3 className="font-semibold truncate">{item.name}</h3>
-                <p className="text-sm text-gray-600">{item.brand}</p>
-                <p className="text-sm text-gray-500">{item.type} • {item.color}</p>
-                <div className="flex justify-between items-center mt-3">
-                  <span className={`px-2 py-1 rounded-full text-xs ${
-                    item.laundry_status === 'clean' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
-                  }`}>
-                    {item.laundry_status}
-                  </span>
-                  <div className="flex space-x-2">
-                    {item.rfid_tag && (
-                      <span className="text-xs text-gray-400">RFID: {item.rfid_tag}</span>
-                    )}
+          <div className="md:col-span-3 space-y-4">
+            <div className="flex justify-end items-center">
+              {/* Bulk actions */}
+              <div className="flex items-center space-x-3">
+                {selectedItems.size > 0 && (
+                  <>
+                    <span className="text-sm text-gray-600">
+                      {selectedItems.size} selected
+                    </span>
                     <button
-                      onClick={() => openItemDetail(item)}
-                      className="text-blue-500 hover:text-blue-700 text-xs mr-2"
+                      onClick={deleteSelectedItems}
+                      className="bg-red-600 text-white px-3 py-1 rounded text-sm hover:bg-red-700"
                     >
-                      Edit
+                      Delete Selected
                     </button>
                     <button
-                      onClick={() => deleteItem(item.id)}
-                      className="text-red-500 hover:text-red-700 text-xs"
+                      onClick={clearSelection}
+                      className="border border-gray-300 text-gray-700 px-3 py-1 rounded text-sm hover:bg-gray-50"
                     >
-                      Delete
+                      Clear
                     </button>
-                  </div>
-                </div>
+                  </>
+                )}
+                <button
+                  onClick={allShownSelected ? clearSelection : () => selectAllItems(shownItems)}
+                  className="border border-gray-300 text-gray-700 px-3 py-1 rounded text-sm hover:bg-gray-50"
+                >
+                  {allShownSelected ? 'Deselect All' : 'Select All'}
+                </button>
               </div>
             </div>
-          ))}
+
+            {loading ? (
+              <LoadingSpinner />
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                {shownItems.length === 0 && (
+                  <p className="text-sm text-gray-500 col-span-full">No items match this search.</p>
+                )}
+                {shownItems.map(item => (
+                  <div 
+                    key={item.id} 
+                    className={`bg-white rounded-lg shadow border overflow-hidden relative ${
+                      selectedItems.has(item.id) ? 'ring-2 ring-blue-500' : ''
+                    }`}
+                  >
+                    {/* Selection checkbox */}
+                    <div className="absolute top-2 left-2 z-10">
+                      <input
+                        type="checkbox"
+                        checked={selectedItems.has(item.id)}
+                        onChange={() => toggleItemSelection(item.id)}
+                        className="w-4 h-4 text-blue-600 bg-white border-gray-300 rounded focus:ring-blue-500"
+                      />
+                    </div>
+
+                    <div className="h-48 bg-gray-100 flex items-center justify-center">
+                      {item.imageUrl ? (
+                        <img 
+                          src={api.imageSrc(item.cutoutUrl || item.imageUrl, 'thumb')} 
+                          alt={item.name}
+                          className={`w-full h-full ${item.cutoutUrl ? 'object-contain p-2' : 'object-cover'}`}
+                        />
+                      ) : (
+                        <Shirt className="h-16 w-16 text-gray-400" />
+                      )}
+                    </div>
+                    <div className="p-4">
+                      <h3 className="font-semibold truncate">{item.name}</h3>
+                      <p className="text-sm text-gray-600">{item.brand}</p>
+                      <p className="text-sm text-gray-500">
+                        {item.type} • {item.color}
+                        {item.pattern && item.pattern !== 'solid' && ` • ${item.pattern}`}
+                      </p>
+                      <div className="flex justify-between items-center mt-3">
+                        <span className={`px-2 py-1 rounded-full text-xs ${
+                          item.laundryStatus === 'clean' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                        }`}>
+                          {item.laundryStatus}
+                        </span>
+                        <div className="flex space-x-2">
+                          {item.rfid_tag && (
+                            <span className="text-xs text-gray-400">RFID: {item.rfid_tag}</span>
+                          )}
+                          <button
+                            onClick={() => openItemDetail(item)}
+                            className="text-blue-500 hover:text-blue-700 text-xs mr-2"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => deleteItem(item.id)}
+                            className="text-red-500 hover:text-red-700 text-xs"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {wardrobeResults && wardrobeResults.pages > 1 && (
+              <div className="flex justify-center items-center space-x-4 text-sm">
+                <button
+                  onClick={() => setWardrobeSearch({ ...wardrobeSearch, page: wardrobeSearch.page - 1 })}
+                  disabled={wardrobeSearch.page <= 1}
+                  className="border rounded px-3 py-1 disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <span className="text-gray-600">Page {wardrobeResults.page} of {wardrobeResults.pages}</span>
+                <button
+                  onClick={() => setWardrobeSearch({ ...wardrobeSearch, page: wardrobeSearch.page + 1 })}
+                  disabled={wardrobeSearch.page >= wardrobeResults.pages}
+                  className="border rounded px-3 py-1 disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </div>
         </div>
-      )}
-    </div>
-  );
+      </div>
+    );
+  };
 
   const AddItemView = () => (
     <div className="max-w-md mx-auto space-y-6">
@@ -742,13 +880,16 @@ const performAIDetection = async (imageFile) => {
           <div>
             <label className="block text-sm font-medium mb-2">Color</label>
             <select
-              value={newItem.color}
+              value={selectedColor}
               onChange={(e) => setNewItem({...newItem, color: e.target.value})}
               className="w-full border rounded-lg px-3 py-2"
             >
               <option value="">Select...</option>
+              {selectedColor && !colors.includes(selectedColor) && (
+                <option value={selectedColor}>{selectedColor}</option>
+              )}
               {colors.map(color => (
-                <option key={color} value={color}>{color}</option>
+                <option key={color} value={color}>{color.replace(/\b\w/g, letter => letter.toUpperCase())}</option>
               ))}
             </select>
           </div>
@@ -789,6 +930,31 @@ const performAIDetection = async (imageFile) => {
           </div>
         </div>
 
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium mb-2">Price (Optional)</label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={newItem.price}
+              onChange={(e) => setNewItem({...newItem, price: e.target.value})}
+              className="w-full border rounded-lg px-3 py-2"
+              placeholder="e.g., 89.99"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium mb-2">Purchase Date (Optional)</label>
+            <input
+              type="date"
+              value={newItem.purchaseDate}
+              onChange={(e) => setNewItem({...newItem, purchaseDate: e.target.value})}
+              className="w-full border rounded-lg px-3 py-2"
+            />
+          </div>
+        </div>
+
         <div>
           <label className="block text-sm font-medium mb-2">RFID Tag (Optional)</label>
           <input
@@ -923,10 +1089,13 @@ const performAIDetection = async (imageFile) => {
                   <div>
                     <h3 className="font-semibold text-lg">{outfit.name}</h3>
                     <p className="text-gray-600">Created on {outfit.date}</p>
+                    {outfit.nextPlannedDate && (
+                      <p className="text-sm text-blue-600">Planned for {outfit.nextPlannedDate}</p>
+                    )}
                   </div>
                   <div className="flex items-start space-x-4">
                     <div className="text-right text-sm text-gray-500">
-                      <p className="flex items-center"><Thermometer className="h-4 w-4 mr-1" />{outfit.weather}</p>
+                      <p className="flex items-center"><Thermometer className="h-4 w-4 mr-1" />{outfit.weather || 'Unknown'}</p>
                       <p className="flex items-center"><MapPin className="h-4 w-4 mr-1" />{outfit.occasion}</p>
                     </div>
                     <button
@@ -945,51 +1114,20 @@ const performAIDetection = async (imageFile) => {
                     <h4 className="text-sm font-medium text-gray-700 mb-2">Components</h4>
                     <div className="flex flex-wrap gap-3">
                       {outfit.items && outfit.items.length > 0 ? (
-                        outfit.items.map((itemId, index) => {
-                          const item = wardrobeItems.find(i => i.id === itemId);
-                          return item ? (
-                            <div key={item.id} className="flex-shrink-0 relative group">
-                              <div className="w-20 h-24 bg-gray-100 rounded flex items-center justify-center cursor-pointer" onClick={() => openItemDetail(item)}>
-                                {item.imageUrl ? (
-                                  <img 
-                                    src={`http://localhost:5001${item.imageUrl}?t=${Date.now()}`} 
-                                    alt={item.name}
-                                    className="w-full h-full object-cover rounded"
-                                  />
-                                ) : (
-                                  <Shirt className="h-8 w-8 text-gray-400" />
-                                )}
-                              </div>
-                              <button
-                                onClick={(e) => {
-                                  e.stopPropagation();
-                                  openItemDetail(item);
-                                }}
-                                className="absolute top-1 right-1 bg-white rounded-full p-1 shadow-sm opacity-0 group-hover:opacity-100 transition-opacity duration-200 hover:bg-gray-50"
-                                title="Edit item"
-                              >
-                                <svg className="h-3 w-3 text-gray-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                                </svg>
-                              </button>
-                              <p className="text-xs text-center mt-1 truncate w-20">{item.name}</p>
-                            </div>
-                          ) : null;
-                        })
-                      ) : outfit.itemNames && outfit.itemNames.length > 0 ? (
-                        outfit.itemNames.map((itemName, index) => {
-                          // Try to find the item by name in the wardrobe for editing
-                          const item = wardrobeItems.find(i => i.name.toLowerCase() === itemName.toLowerCase());
+                        outfit.items.map((entry, index) => {
+                          // Wardrobe items open for editing; detected-only ones show what was detected
+                          const item = entry.inWardrobe ? wardrobeItems.find(i => i.id === entry.id) : null;
+                          const imageUrl = item ? item.imageUrl : entry.imageUrl;
                           return (
                             <div key={`${outfit.id}-${index}`} className="flex-shrink-0 relative group">
                               <div 
                                 className={`w-20 h-24 bg-gray-100 rounded flex items-center justify-center ${item ? 'cursor-pointer' : ''}`}
                                 onClick={item ? () => openItemDetail(item) : undefined}
                               >
-                                {outfit.itemImageUrls && outfit.itemImageUrls[index] ? (
+                                {imageUrl ? (
                                   <img 
-                                    src={`http://localhost:5001${outfit.itemImageUrls[index]}?t=${Date.now()}`} 
-                                    alt={itemName}
+                                    src={api.imageSrc(imageUrl, 'thumb')} 
+                                    alt={entry.name}
                                     className="w-full h-full object-cover rounded"
                                   />
                                 ) : (
@@ -1010,7 +1148,7 @@ const performAIDetection = async (imageFile) => {
                                   </svg>
                                 </button>
                               )}
-                              <p className="text-xs text-center mt-1 truncate w-20">{itemName}</p>
+                              <p className="text-xs text-center mt-1 truncate w-20">{item ? item.name : entry.name}</p>
                             </div>
                           );
                         })
@@ -1024,11 +1162,11 @@ const performAIDetection = async (imageFile) => {
                   <div className="flex-shrink-0">
                     <h4 className="text-sm font-medium text-gray-700 mb-2">Complete Outfit</h4>
                     <div className="w-32 h-40 bg-gray-100 rounded flex items-center justify-center">
-                      {outfit.imageUrl ? (
+                      {outfit.thumbnailUrl ? (
                         <img 
-                          src={`http://localhost:5001${outfit.imageUrl}?t=${Date.now()}`} 
+                          src={api.imageSrc(outfit.thumbnailUrl, 'thumb')} 
                           alt={outfit.name}
-                          className="w-full h-full object-cover rounded"
+                          className={`w-full h-full rounded ${outfit.imageUrl ? 'object-cover' : 'object-contain'}`}
                         />
                       ) : (
                         <Eye className="h-12 w-12 text-gray-400" />
@@ -1055,10 +1193,14 @@ const performAIDetection = async (imageFile) => {
           name: item.name,
           category: item.category,
           color: item.color,
+          colorHex: item.colorHex,
+          secondaryColors: item.secondaryColors,
+          pattern: item.pattern,
           brand: item.brand || '',
           type: item.type || '',
           description: `Detected from outfit scan with ${Math.round(item.confidence * 100)}% confidence`,
-          laundryStatus: 'clean'
+          laundryStatus: 'clean',
+          ocrText: item.ocrText
         })
       );
       
@@ -1081,7 +1223,7 @@ const performAIDetection = async (imageFile) => {
   // Outfit Scanner View
   const OutfitScannerView = () => (
     <OutfitScanner 
-      wardrobeItems={wardrobeItems}
+      categories={categories}
       onAddDetectedItems={handleAddDetectedItems}
       onOutfitSaved={() => {
         loadOutfits();
@@ -1096,6 +1238,10 @@ const performAIDetection = async (imageFile) => {
     { id: 'wardrobe', label: 'Wardrobe', icon: Shirt },
     { id: 'outfits', label: 'Outfits', icon: Eye, badge: outfits.length },
     { id: 'outfit-scanner', label: 'Outfit Scanner', icon: Camera },
+    { id: 'planner', label: 'Planner', icon: CalendarDays },
+    { id: 'calendar', label: 'Calendar', icon: Calendar },
+    { id: 'laundry', label: 'Laundry', icon: Droplet },
+    { id: 'analytics', label: 'Analytics', icon: BarChart2 },
     { id: 'social', label: 'Social', icon: Users },
     { id: 'marketplace', label: 'Market', icon: ShoppingBag },
   ];
@@ -1109,7 +1255,6 @@ const performAIDetection = async (imageFile) => {
     const [itemMaterial, setItemMaterial] = useState(selectedItemForDetail?.material || '');
     const [itemSize, setItemSize] = useState(selectedItemForDetail?.size || '');
     const [itemDescription, setItemDescription] = useState(selectedItemForDetail?.description || '');
-    const [imageRotation, setImageRotation] = useState(0);
     
     // Reset form when a new item is selected
     React.useEffect(() => {
@@ -1121,7 +1266,6 @@ const performAIDetection = async (imageFile) => {
         setItemMaterial(selectedItemForDetail.material || '');
         setItemSize(selectedItemForDetail.size || '');
         setItemDescription(selectedItemForDetail.description || '');
-        setImageRotation(0);
       }
     }, [selectedItemForDetail?.name, selectedItemForDetail?.color, selectedItemForDetail?.type, selectedItemForDetail?.brand]);
 
@@ -1136,23 +1280,18 @@ const performAIDetection = async (imageFile) => {
         brand: itemBrand.trim(),
         material: itemMaterial.trim(),
         size: itemSize.trim(),
-        description: itemDescription.trim(),
-        rotation: imageRotation
+        description: itemDescription.trim()
       };
       updateItemDetails(updatedItem);
     };
 
-    const rotateImage = (degrees) => {
-      setImageRotation((prev) => (prev + degrees) % 360);
-    };
-
     return (
       <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
         <div className="bg-white rounded-lg p-6 max-w-2xl w-full mx-4 max-h-screen overflow-y-auto">
           <div className="flex justify-between items-center mb-6">
             <h3 className="text-xl font-semibold">Edit Item Details</h3>
             <button
-              onClick={() => setShowItemDetailModal(false)}
+              onClick={closeItemDetail}
               className="text-gray-400 hover:text-gray-600"
             >
               <X className="h-6 w-6" />
@@ -1162,44 +1301,13 @@ const performAIDetection = async (imageFile) => {
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             {/* Image Section */}
             <div className="space-y-4">
-              <h4 className="font-medium">Item Image</h4>
+              <h4 className="font-medium">Item Photos</h4>
               <div className="border rounded-lg p-4 bg-gray-50">
-                <div className="w-full h-48 bg-white rounded border relative overflow-hidden mb-4">
-                  {selectedItemForDetail.imageUrl ? (
-                    <img 
-                      src={`http://localhost:5001${selectedItemForDetail.imageUrl}?t=${Date.now()}`}
-                      alt={selectedItemForDetail.name}
-                      className="w-full h-full object-contain"
-                      style={{ transform: `rotate(${imageRotation}deg)` }}
-                    />
-                  ) : (
-                    <div className="w-full h-full flex items-center justify-center text-gray-400">
-                      <Camera className="h-12 w-12" />
-                    </div>
-                  )}
-                </div>
-                
-                {/* Image Controls */}
-                <div className="flex justify-center space-x-2">
-                  <button
-                    onClick={() => rotateImage(-90)}
-                    className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm"
-                  >
-                    ↺ -90°
-                  </button>
-                  <button
-                    onClick={() => rotateImage(90)}
-                    className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm"
-                  >
-                    ↻ +90°
-                  </button>
-                  <button
-                    onClick={() => setImageRotation(0)}
-                    className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm"
-                  >
-                    Reset
-                  </button>
-                </div>
+                <ItemImageGallery
+                  itemId={selectedItemForDetail.id}
+                  itemName={selectedItemForDetail.name}
+                  onPrimaryChange={() => { itemPhotosChangedRef.current = true; }}
+                />
               </div>
             </div>
 
@@ -1236,12 +1344,9 @@ const performAIDetection = async (imageFile) => {
                   onChange={(e) => setItemCategory(e.target.value)}
                   className="w-full border rounded-lg px-3 py-2"
                 >
-                  <option value="Shirts">Shirts</option>
-                  <option value="Pants">Pants</option>
-                  <option value="Jackets">Jackets</option>
-                  <option value="Dresses">Dresses</option>
-                  <option value="Shoes">Shoes</option>
-                  <option value="Accessories">Accessories</option>
+                  {categories.map(category => (
+                    <option key={category} value={category}>{category}</option>
+                  ))}
                 </select>
               </div>
 
@@ -1294,7 +1399,7 @@ const performAIDetection = async (imageFile) => {
           {/* Action Buttons */}
           <div className="flex justify-end space-x-3 mt-6 pt-4 border-t">
             <button
-              onClick={() => setShowItemDetailModal(false)}
+              onClick={closeItemDetail}
               className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
             >
               Cancel
@@ -1321,6 +1426,10 @@ const performAIDetection = async (imageFile) => {
     );
   }
 
+  if (!currentUser) {
+    return <LoginView onAuthenticated={setCurrentUser} />;
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       <MessageBar />
@@ -1359,6 +1468,14 @@ const performAIDetection = async (imageFile) => {
                 API Status: {loading ? 'Loading...' : 'Connected'}
               </span>
               <div className={`w-3 h-3 rounded-full ${loading ? 'bg-yellow-500' : 'bg-green-500'}`}></div>
+              <span className="text-sm text-gray-700">{currentUser.username}</span>
+              <button
+                onClick={handleLogout}
+                className="flex items-center space-x-1 text-sm text-gray-500 hover:text-gray-700"
+              >
+                <LogOut className="h-4 w-4" />
+                <span>Log out</span>
+              </button>
             </div>
           </div>
         </div>
@@ -1397,10 +1514,14 @@ const performAIDetection = async (imageFile) => {
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         {currentView === 'home' && <HomeView />}
-        {currentView === 'wardrobe' && <WardrobeView />}
+        {currentView === 'wardrobe' && WardrobeView()}
         {currentView === 'addItem' && <AddItemView />}
         {currentView === 'outfits' && <OutfitsView />}
         {currentView === 'outfit-scanner' && <OutfitScannerView />}
+        {currentView === 'planner' && <PlannerView outfits={outfits} />}
+        {currentView === 'calendar' && <CalendarView outfits={outfits} />}
+        {currentView === 'laundry' && <LaundryView onLaundryChanged={loadWardrobeItems} />}
+        {currentView === 'analytics' && <AnalyticsDashboard />}
         {currentView === 'social' && (
           <div className="text-center py-12">
             <Users className="h-16 w-16 text-gray-400 mx-auto mb-4" />
@@ -0,0 +1,224 @@
+// frontend/src/components/AnalyticsDashboard.js
+import React, { useState, useEffect } from 'react';
+import { BarChart2, Clock, DollarSign, Palette, Repeat, Shirt } from 'lucide-react';
+import api from '../services/api';
+
+const WINDOW_OPTIONS = [7, 30, 90, 365];
+const IDLE_OPTIONS = [14, 30, 60, 90, 180];
+
+const formatMoney = (value) => (value === null || value === undefined ? '—' : `$${value.toFixed(2)}`);
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'Never');
+
+const Section = ({ icon: Icon, title, children }) => (
+  <div className="bg-white p-6 rounded-lg shadow border">
+    <h3 className="font-semibold mb-4 flex items-center">
+      <Icon className="h-5 w-5 mr-2 text-blue-600" />
+      {title}
+    </h3>
+    {children}
+  </div>
+);
+
+const EmptyState = ({ children }) => <p className="text-sm text-gray-500">{children}</p>;
+
+// Horizontal bars for a category/color distribution
+const DistributionBars = ({ rows, labelKey }) => {
+  if (rows.length === 0) return <EmptyState>No items yet.</EmptyState>;
+
+  const maxWears = Math.max(1, ...rows.map(row => row.wearCount));
+  return (
+    <div className="space-y-2">
+      {rows.map(row => (
+        <div key={row[labelKey]}>
+          <div className="flex justify-between text-sm">
+            <span className="capitalize">{row[labelKey]}</span>
+            <span className="text-gray-500">
+              {row.wearCount} wears · {row.itemCount} items · {Math.round(row.wearShare * 100)}%
+            </span>
+          </div>
+          <div className="h-2 bg-gray-100 rounded">
+            <div className="h-2 bg-blue-500 rounded" style={{ width: `${(row.wearCount / maxWears) * 100}%` }} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const AnalyticsDashboard = () => {
+  const [selectedWindow, setSelectedWindow] = useState(30);
+  const [idleDays, setIdleDays] = useState(30);
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    api.getAnalytics({ windows: WINDOW_OPTIONS, idleDays })
+      .then(result => !cancelled && setAnalytics(result))
+      .catch(() => !cancelled && setError('Failed to load analytics'))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [idleDays]);
+
+  if (loading && !analytics) {
+    return <div className="text-center py-12 text-gray-500">Loading analytics...</div>;
+  }
+
+  if (error && !analytics) {
+    return <div className="bg-red-50 text-red-700 p-4 rounded-lg">{error}</div>;
+  }
+
+  const wearWindow = analytics.wearCounts.find(window => window.days === selectedWindow) || analytics.wearCounts[0];
+  const repeatedOutfits = analytics.outfitRepeats.filter(outfit => outfit.timesWorn > 0);
+  const { costPerWear } = analytics;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-2xl font-bold flex items-center">
+          <BarChart2 className="h-6 w-6 mr-2 text-blue-600" />
+          Wear Analytics
+        </h2>
+        <div className="flex space-x-2">
+          {WINDOW_OPTIONS.map(days => (
+            <button
+              key={days}
+              onClick={() => setSelectedWindow(days)}
+              className={`px-3 py-1 rounded-lg text-sm ${
+                selectedWindow === days ? 'bg-blue-600 text-white' : 'bg-white border text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {days}d
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className="bg-white p-4 rounded-lg shadow border">
+          <p className="text-sm text-gray-600">Wears ({wearWindow.days}d)</p>
+          <p className="text-2xl font-bold">{wearWindow.totalWears}</p>
+        </div>
+        <div className="bg-white p-4 rounded-lg shadow border">
+          <p className="text-sm text-gray-600">Items worn ({wearWindow.days}d)</p>
+          <p className="text-2xl font-bold">{wearWindow.itemsWorn} / {analytics.totals.items}</p>
+        </div>
+        <div className="bg-white p-4 rounded-lg shadow border">
+          <p className="text-sm text-gray-600">Idle items</p>
+          <p className="text-2xl font-bold">{analytics.idleItems.items.length}</p>
+        </div>
+        <div className="bg-white p-4 rounded-lg shadow border">
+          <p className="text-sm text-gray-600">Avg cost per wear</p>
+          <p className="text-2xl font-bold">{formatMoney(costPerWear.averageCostPerWear)}</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <Section icon={Shirt} title={`Most worn in the last ${wearWindow.days} days`}>
+          {wearWindow.items.length === 0 ? (
+            <EmptyState>Nothing worn in this period.</EmptyState>
+          ) : (
+            <ul className="divide-y">
+              {wearWindow.items.slice(0, 10).map(item => (
+                <li key={item.id} className="py-2 flex justify-between text-sm">
+                  <span>{item.name} <span className="text-gray-500">({item.type})</span></span>
+                  <span className="font-medium">{item.wearCount}×</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Section>
+
+        <Section icon={Clock} title="Not worn recently">
+          <div className="flex items-center space-x-2 mb-3 text-sm">
+            <span className="text-gray-600">Idle for at least</span>
+            <select
+              value={idleDays}
+              onChange={(e) => setIdleDays(Number(e.target.value))}
+              className="border rounded-lg px-2 py-1"
+            >
+              {IDLE_OPTIONS.map(days => (
+                <option key={days} value={days}>{days} days</option>
+              ))}
+            </select>
+          </div>
+          {analytics.idleItems.items.length === 0 ? (
+            <EmptyState>Everything has been worn recently.</EmptyState>
+          ) : (
+            <ul className="divide-y max-h-64 overflow-y-auto">
+              {analytics.idleItems.items.map(item => (
+                <li key={item.id} className="py-2 flex justify-between text-sm">
+                  <span>{item.name}</span>
+                  <span className="text-gray-500">
+                    {item.neverWorn ? 'Never worn' : `${item.daysSinceWorn} days ago`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Section>
+
+        <Section icon={Shirt} title="Wears by category">
+          <DistributionBars rows={analytics.categoryDistribution} labelKey="category" />
+        </Section>
+
+        <Section icon={Palette} title="Wears by color">
+          <DistributionBars rows={analytics.colorDistribution} labelKey="color" />
+        </Section>
+
+        <Section icon={Repeat} title="Outfit repeats">
+          {repeatedOutfits.length === 0 ? (
+            <EmptyState>No saved outfit has been worn as a complete set yet.</EmptyState>
+          ) : (
+            <ul className="divide-y">
+              {repeatedOutfits.map(outfit => (
+                <li key={outfit.id} className="py-2 text-sm">
+                  <div className="flex justify-between">
+                    <span>{outfit.name}</span>
+                    <span className="font-medium">{outfit.timesWorn}×</span>
+                  </div>
+                  <p className="text-gray-500">
+                    Last worn {formatDate(outfit.lastWorn)}
+                    {outfit.averageDaysBetweenWears !== null && ` · every ${outfit.averageDaysBetweenWears} days on average`}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Section>
+
+        <Section icon={DollarSign} title="Cost per wear">
+          {costPerWear.items.length === 0 ? (
+            <EmptyState>Add purchase prices to your items to see cost per wear.</EmptyState>
+          ) : (
+            <>
+              <p className="text-sm text-gray-600 mb-2">
+                {formatMoney(costPerWear.totalSpent)} spent across {costPerWear.pricedItems} priced items
+              </p>
+              <ul className="divide-y max-h-64 overflow-y-auto">
+                {costPerWear.items.map(item => (
+                  <li key={item.id} className="py-2 flex justify-between text-sm">
+                    <span>{item.name} <span className="text-gray-500">({formatMoney(item.price)})</span></span>
+                    <span className="font-medium">
+                      {item.costPerWear === null ? 'Not worn yet' : `${formatMoney(item.costPerWear)} / wear`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </Section>
+      </div>
+    </div>
+  );
+};
+
+export default AnalyticsDashboard;
@@ -0,0 +1,302 @@
+// frontend/src/components/CalendarView.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Calendar, ChevronLeft, ChevronRight, Clock, MapPin, Shirt, Trash2, Upload } from 'lucide-react';
+import api from '../services/api';
+import { OutfitSelect, ConflictList } from './PlanControls';
+
+// The occasions the server classifies calendar events into
+const EVENT_OCCASIONS = [
+  'Business Meeting', 'Office Day', 'Casual Friday', 'Date Night', 'Weekend Brunch',
+  'Networking Event', 'Conference Call', 'Client Presentation', 'After Work Drinks', 'Smart Casual'
+];
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const OCCASION_SOURCE_LABELS = {
+  keyword: 'from the title',
+  schedule: 'from the time',
+  default: 'default',
+  manual: 'set by you'
+};
+
+// Local YYYY-MM-DD, the server's day keys
+const toKey = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+const fromKey = (key) => new Date(`${key}T00:00:00`);
+
+const formatTime = (event) => (event.allDay
+  ? 'All day'
+  : new Date(event.start).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }));
+
+// Weeks (Sunday first) covering the month, null for days outside it
+const monthWeeks = (month) => {
+  const first = new Date(month.getFullYear(), month.getMonth(), 1);
+  const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+  const cells = Array(first.getDay()).fill(null);
+  for (let day = 1; day <= daysInMonth; day++) {
+    cells.push(new Date(month.getFullYear(), month.getMonth(), day));
+  }
+  while (cells.length % 7 !== 0) cells.push(null);
+
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+  return weeks;
+};
+
+// Month grid of imported calendar events (GET /api/calendar/:userId) with
+// the outfit planned for each (GET /api/planner/:userId). Pick a day to
+// assign saved outfits to its events, or to the day itself.
+const CalendarView = ({ outfits = [] }) => {
+  const [month, setMonth] = useState(() => {
+    const today = new Date();
+    return new Date(today.getFullYear(), today.getMonth(), 1);
+  });
+  const [selectedDate, setSelectedDate] = useState(() => toKey(new Date()));
+  const [calendar, setCalendar] = useState({ events: [], plans: [] });
+  const [files, setFiles] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadCalendar = useCallback(async () => {
+    const from = toKey(month);
+    const to = toKey(new Date(month.getFullYear(), month.getMonth() + 1, 0));
+    try {
+      const [events, planner] = await Promise.all([api.getCalendar(from, to), api.getPlanner(from, to)]);
+      setCalendar({ events: events.events, plans: planner.plans });
+    } catch (err) {
+      console.error('Failed to load calendar:', err);
+      setError('Failed to load calendar');
+    }
+  }, [month]);
+
+  useEffect(() => {
+    loadCalendar();
+  }, [loadCalendar]);
+
+  useEffect(() => {
+    api.listCalendarFiles()
+      .then(result => setFiles(result.files))
+      .catch(err => console.error('Failed to list calendar files:', err));
+  }, []);
+
+  const runAction = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      await loadCalendar();
+    } catch (err) {
+      console.error('Calendar update failed:', err);
+      setError(err.message || 'Could not update the calendar');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const runImport = (importer) => runAction(async () => {
+    const result = await importer();
+    setMessage(`Imported ${result.source}: ${result.created} new, ${result.updated} updated, ${result.removed} removed`);
+  });
+
+  const handleUpload = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) runImport(() => api.importCalendar(file));
+  };
+
+  const changeMonth = (offset) => {
+    setMonth(new Date(month.getFullYear(), month.getMonth() + offset, 1));
+  };
+
+  const eventsOn = (key) => calendar.events.filter(event => event.date === key);
+  const plansOn = (key) => calendar.plans.filter(plan => plan.date === key);
+
+  const selectedEvents = eventsOn(selectedDate);
+  const selectedPlans = plansOn(selectedDate);
+  const dayPlans = selectedPlans.filter(plan => !plan.eventId);
+  const planForEvent = (eventId) => selectedPlans.find(plan => plan.eventId === eventId);
+  const today = toKey(new Date());
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-2xl font-bold flex items-center">
+          <Calendar className="h-6 w-6 mr-2 text-blue-600" />
+          Calendar
+        </h2>
+        <div className="flex items-center space-x-2">
+          {files.length > 0 && (
+            <select
+              value=""
+              onChange={(e) => e.target.value && runImport(() => api.importCalendarFile(e.target.value))}
+              disabled={busy}
+              className="border rounded-lg px-2 py-2 text-sm"
+            >
+              <option value="">Import a local calendar...</option>
+              {files.map(file => <option key={file} value={file}>{file}</option>)}
+            </select>
+          )}
+          <label className={`bg-blue-600 text-white px-4 py-2 rounded-lg text-sm flex items-center cursor-pointer hover:bg-blue-700 ${busy ? 'opacity-50' : ''}`}>
+            <Upload className="h-4 w-4 mr-2" />
+            Import .ics
+            <input type="file" accept=".ics,text/calendar" onChange={handleUpload} disabled={busy} className="hidden" />
+          </label>
+        </div>
+      </div>
+
+      {error && <div className="bg-red-50 text-red-700 p-3 rounded-lg text-sm">{error}</div>}
+      {message && <div className="bg-green-50 text-green-700 p-3 rounded-lg text-sm">{message}</div>}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 bg-white p-4 rounded-lg shadow border">
+          <div className="flex items-center justify-between mb-4">
+            <button onClick={() => changeMonth(-1)} className="p-1 rounded hover:bg-gray-100">
+              <ChevronLeft className="h-5 w-5" />
+            </button>
+            <h3 className="font-semibold">
+              {month.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+            </h3>
+            <button onClick={() => changeMonth(1)} className="p-1 rounded hover:bg-gray-100">
+              <ChevronRight className="h-5 w-5" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-7 gap-1 text-xs text-center text-gray-500 mb-1">
+            {WEEKDAY_NAMES.map(name => <div key={name}>{name}</div>)}
+          </div>
+          {monthWeeks(month).map((week, index) => (
+            <div key={index} className="grid grid-cols-7 gap-1 mb-1">
+              {week.map((date, dayIndex) => {
+                if (!date) return <div key={dayIndex} />;
+
+                const key = toKey(date);
+                const events = eventsOn(key);
+                const planned = plansOn(key).filter(plan => plan.outfitId).length;
+                const conflicted = plansOn(key).some(plan => plan.conflicts.length > 0);
+                return (
+                  <button
+                    key={key}
+                    onClick={() => setSelectedDate(key)}
+                    className={`h-24 p-1 rounded border text-left align-top overflow-hidden ${
+                      key === selectedDate ? 'border-blue-500 bg-blue-50' : 'hover:bg-gray-50'
+                    }`}
+                  >
+                    <div className="flex items-center justify-between text-xs">
+                      <span className={key === today ? 'font-bold text-blue-600' : ''}>{date.getDate()}</span>
+                      {planned > 0 && (
+                        <span
+                          className={`flex items-center ${conflicted ? 'text-orange-600' : 'text-green-600'}`}
+                          title={`${planned} outfit(s) planned${conflicted ? ', with conflicts' : ''}`}
+                        >
+                          <Shirt className="h-3 w-3 mr-0.5" />{planned}
+                        </span>
+                      )}
+                    </div>
+                    {events.slice(0, 2).map(event => (
+                      <p key={event.id} className="text-xs truncate bg-blue-100 text-blue-800 rounded px-1 mt-0.5" title={event.occasion}>
+                        {event.summary || 'Untitled event'}
+                      </p>
+                    ))}
+                    {events.length > 2 && <p className="text-xs text-gray-500">+{events.length - 2} more</p>}
+                  </button>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+
+        <div className="bg-white p-4 rounded-lg shadow border space-y-4">
+          <h3 className="font-semibold">
+            {fromKey(selectedDate).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}
+          </h3>
+
+          {selectedEvents.length === 0 && <p className="text-sm text-gray-500">No events this day.</p>}
+          {selectedEvents.map(event => {
+            const plan = planForEvent(event.id);
+            return (
+              <div key={event.id} className="border rounded-lg p-3 space-y-2">
+                <div>
+                  <p className="font-medium text-sm">{event.summary || 'Untitled event'}</p>
+                  <p className="text-xs text-gray-500 flex items-center">
+                    <Clock className="h-3 w-3 mr-1" />{formatTime(event)}
+                    {event.location && (
+                      <><MapPin className="h-3 w-3 ml-2 mr-1" /><span className="truncate">{event.location}</span></>
+                    )}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2 text-sm">
+                  <select
+                    value={event.occasion || ''}
+                    onChange={(e) => runAction(() => api.updateCalendarEvent(event.id, e.target.value || null))}
+                    disabled={busy}
+                    className="border rounded-lg px-2 py-1 text-sm"
+                  >
+                    {!EVENT_OCCASIONS.includes(event.occasion) && event.occasion && (
+                      <option value={event.occasion}>{event.occasion}</option>
+                    )}
+                    {EVENT_OCCASIONS.map(occasion => <option key={occasion} value={occasion}>{occasion}</option>)}
+                    <option value="">Classify automatically</option>
+                  </select>
+                  <span className="text-xs text-gray-500">{OCCASION_SOURCE_LABELS[event.occasionSource]}</span>
+                </div>
+                {plan && (
+                  <OutfitSelect
+                    outfits={outfits}
+                    value={plan.outfitId}
+                    disabled={busy}
+                    onChange={(outfitId) => runAction(() => api.updatePlan(plan.id, { outfitId }))}
+                  />
+                )}
+                {plan && <ConflictList conflicts={plan.conflicts} />}
+              </div>
+            );
+          })}
+
+          <div className="border-t pt-4 space-y-2">
+            <p className="text-sm font-medium">Outfits for the day</p>
+            {dayPlans.map(plan => (
+              <div key={plan.id} className="flex items-center space-x-2">
+                <OutfitSelect
+                  outfits={outfits}
+                  value={plan.outfitId}
+                  disabled={busy}
+                  onChange={(outfitId) => runAction(() => api.updatePlan(plan.id, { outfitId }))}
+                />
+                {plan.occasion && <span className="text-xs text-gray-500">{plan.occasion}</span>}
+                <button
+                  onClick={() => runAction(() => api.deletePlan(plan.id))}
+                  disabled={busy}
+                  className="text-red-500 hover:text-red-700"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+            {dayPlans.map(plan => <ConflictList key={plan.id} conflicts={plan.conflicts} />)}
+            {selectedDate < today ? (
+              <p className="text-xs text-gray-500">Outfits can only be planned for today or later.</p>
+            ) : outfits.length === 0 ? (
+              <p className="text-xs text-gray-500">Save an outfit to plan it here.</p>
+            ) : (
+              <OutfitSelect
+                key={dayPlans.length}
+                outfits={outfits}
+                value={null}
+                disabled={busy}
+                emptyLabel="Add an outfit..."
+                onChange={(outfitId) => outfitId && runAction(() => api.createPlan({ date: selectedDate, outfitId }))}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarView;
@@ -0,0 +1,300 @@
+// frontend/src/components/ItemImageGallery.js
+import React, { useState, useEffect, useRef } from 'react';
+import { Camera, ChevronLeft, ChevronRight, Image as ImageIcon, Plus, RotateCcw, RotateCw, Scissors, Star, Trash2 } from 'lucide-react';
+import api from '../services/api';
+
+const SWIPE_THRESHOLD = 50; // px of horizontal travel that counts as a swipe
+
+const ItemImageGallery = ({ itemId, itemName, onPrimaryChange }) => {
+  const [images, setImages] = useState([]);
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [showCutout, setShowCutout] = useState(false);
+  const touchStartX = useRef(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    api.getItemImages(itemId)
+      .then(result => {
+        if (cancelled) return;
+        setImages(result);
+        // Open on the primary photo
+        setCurrentIndex(Math.max(0, result.findIndex(image => image.isPrimary)));
+      })
+      .catch(() => !cancelled && setError('Failed to load photos'));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [itemId]);
+
+  const current = images[currentIndex];
+  const cutoutShown = showCutout && current && current.cutoutUrl;
+
+  const showImage = (index) => {
+    if (images.length === 0) return;
+    setCurrentIndex((index + images.length) % images.length);
+  };
+
+  // Apply a new image list from the API, keeping the same photo selected if it still exists
+  const applyImages = (nextImages, selectId) => {
+    setImages(nextImages);
+    const index = nextImages.findIndex(image => image.id === selectId);
+    setCurrentIndex(index >= 0 ? index : Math.min(currentIndex, Math.max(0, nextImages.length - 1)));
+
+    const primary = nextImages.find(image => image.isPrimary);
+    if (onPrimaryChange) {
+      onPrimaryChange(primary ? primary.imageUrl : null);
+    }
+  };
+
+  const runAction = async (action, failureMessage = 'Could not update photos') => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error('Gallery action failed:', err);
+      setError(failureMessage);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAddPhoto = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    runAction(async () => {
+      const added = await api.addItemImage(itemId, file);
+      applyImages(await api.getItemImages(itemId), added.id);
+    });
+  };
+
+  const handleDelete = () => {
+    if (!current || !window.confirm('Delete this photo?')) return;
+
+    runAction(async () => {
+      const result = await api.deleteItemImage(itemId, current.id);
+      applyImages(result.images, null);
+    });
+  };
+
+  const handleSetPrimary = () => {
+    if (!current || current.isPrimary) return;
+
+    runAction(async () => {
+      applyImages(await api.setPrimaryItemImage(itemId, current.id), current.id);
+    });
+  };
+
+  // Saved on the server: the photo gets a new URL, turned for good
+  const handleRotate = (degrees) => {
+    if (!current) return;
+
+    runAction(async () => {
+      applyImages(await api.rotateItemImage(itemId, current.id, degrees), current.id);
+    });
+  };
+
+  // Remake the background-removed version (uploads get one automatically
+  // when the background is plain enough) and show it
+  const handleCutout = () => {
+    if (!current) return;
+
+    runAction(async () => {
+      applyImages(await api.createItemCutout(itemId, current.id), current.id);
+      setShowCutout(true);
+    }, 'Could not cut this photo out; try one on a plain, contrasting background');
+  };
+
+  const handleMove = (direction) => {
+    const target = currentIndex + direction;
+    if (!current || target < 0 || target >= images.length) return;
+
+    const ids = images.map(image => image.id);
+    [ids[currentIndex], ids[target]] = [ids[target], ids[currentIndex]];
+
+    runAction(async () => {
+      applyImages(await api.reorderItemImages(itemId, ids), current.id);
+    });
+  };
+
+  const handleTouchStart = (e) => {
+    touchStartX.current = e.touches[0].clientX;
+  };
+
+  const handleTouchEnd = (e) => {
+    if (touchStartX.current === null) return;
+    const deltaX = e.changedTouches[0].clientX - touchStartX.current;
+    touchStartX.current = null;
+
+    if (deltaX > SWIPE_THRESHOLD) {
+      showImage(currentIndex - 1);
+    } else if (deltaX < -SWIPE_THRESHOLD) {
+      showImage(currentIndex + 1);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div
+        className="w-full h-48 bg-white rounded border relative overflow-hidden"
+        onTouchStart={handleTouchStart}
+        onTouchEnd={handleTouchEnd}
+      >
+        {current ? (
+          <img
+            src={api.imageSrc(cutoutShown ? current.cutoutUrl : current.imageUrl, 'medium')}
+            alt={itemName}
+            className="w-full h-full object-contain select-none"
+            draggable={false}
+          />
+        ) : (
+          <div className="w-full h-full flex items-center justify-center text-gray-400">
+            <Camera className="h-12 w-12" />
+          </div>
+        )}
+
+        {current && current.isPrimary && (
+          <span className="absolute top-2 left-2 bg-yellow-400 text-white text-xs px-2 py-0.5 rounded-full flex items-center space-x-1">
+            <Star className="h-3 w-3" />
+            <span>Primary</span>
+          </span>
+        )}
+
+        {images.length > 1 && (
+          <>
+            <button
+              onClick={() => showImage(currentIndex - 1)}
+              className="absolute left-1 top-1/2 -translate-y-1/2 bg-white bg-opacity-80 rounded-full p-1 hover:bg-opacity-100"
+            >
+              <ChevronLeft className="h-5 w-5" />
+            </button>
+            <button
+              onClick={() => showImage(currentIndex + 1)}
+              className="absolute right-1 top-1/2 -translate-y-1/2 bg-white bg-opacity-80 rounded-full p-1 hover:bg-opacity-100"
+            >
+              <ChevronRight className="h-5 w-5" />
+            </button>
+            <span className="absolute bottom-2 right-2 bg-black bg-opacity-50 text-white text-xs px-2 py-0.5 rounded-full">
+              {currentIndex + 1} / {images.length}
+            </span>
+          </>
+        )}
+      </div>
+
+      {/* Thumbnails */}
+      {images.length > 1 && (
+        <div className="flex space-x-2 overflow-x-auto">
+          {images.map((image, index) => (
+            <button
+              key={image.id}
+              onClick={() => setCurrentIndex(index)}
+              className={`w-12 h-12 flex-shrink-0 rounded border-2 overflow-hidden ${
+                index === currentIndex ? 'border-blue-600' : 'border-transparent'
+              }`}
+            >
+              <img
+                src={api.imageSrc(image.imageUrl, 'thumb')}
+                alt={`${itemName} ${index + 1}`}
+                className="w-full h-full object-cover"
+              />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {/* Gallery Controls */}
+      <div className="flex flex-wrap justify-center gap-2">
+        <button
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          disabled={busy}
+          className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm flex items-center space-x-1 disabled:opacity-50"
+        >
+          <Plus className="h-4 w-4" />
+          <span>Add Photo</span>
+        </button>
+        <button
+          onClick={handleSetPrimary}
+          disabled={busy || !current || current.isPrimary}
+          className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm flex items-center space-x-1 disabled:opacity-50"
+        >
+          <Star className="h-4 w-4" />
+          <span>Set Primary</span>
+        </button>
+        <button
+          onClick={() => handleRotate(-90)}
+          disabled={busy || !current}
+          className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm flex items-center space-x-1 disabled:opacity-50"
+          title="Rotate left"
+        >
+          <RotateCcw className="h-4 w-4" />
+        </button>
+        <button
+          onClick={() => handleRotate(90)}
+          disabled={busy || !current}
+          className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm flex items-center space-x-1 disabled:opacity-50"
+          title="Rotate right"
+        >
+          <RotateCw className="h-4 w-4" />
+        </button>
+        <button
+          onClick={handleCutout}
+          disabled={busy || !current}
+          className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm flex items-center space-x-1 disabled:opacity-50"
+          title="Remove the background"
+        >
+          <Scissors className="h-4 w-4" />
+          <span>Cut Out</span>
+        </button>
+        {current && current.cutoutUrl && (
+          <button
+            onClick={() => setShowCutout(!showCutout)}
+            className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm flex items-center space-x-1"
+          >
+            {showCutout ? <ImageIcon className="h-4 w-4" /> : <Scissors className="h-4 w-4" />}
+            <span>{showCutout ? 'Show Photo' : 'Show Cutout'}</span>
+          </button>
+        )}
+        <button
+          onClick={() => handleMove(-1)}
+          disabled={busy || currentIndex === 0}
+          className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm disabled:opacity-50"
+        >
+          ← Move
+        </button>
+        <button
+          onClick={() => handleMove(1)}
+          disabled={busy || currentIndex >= images.length - 1}
+          className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm disabled:opacity-50"
+        >
+          Move →
+        </button>
+        <button
+          onClick={handleDelete}
+          disabled={busy || !current}
+          className="px-3 py-1 bg-red-100 text-red-700 rounded hover:bg-red-200 text-sm flex items-center space-x-1 disabled:opacity-50"
+        >
+          <Trash2 className="h-4 w-4" />
+          <span>Delete</span>
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/*"
+          onChange={handleAddPhoto}
+          className="hidden"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ItemImageGallery;
@@ -0,0 +1,219 @@
+// frontend/src/components/LaundryView.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { CheckCircle, Droplet, Shirt, Sun, Wind } from 'lucide-react';
+import api from '../services/api';
+
+const STATUS_STYLES = {
+  clean: 'bg-green-100 text-green-800',
+  dirty: 'bg-yellow-100 text-yellow-800',
+  hamper: 'bg-orange-100 text-orange-800',
+  washing: 'bg-blue-100 text-blue-800',
+  drying: 'bg-purple-100 text-purple-800'
+};
+
+const LaundryItem = ({ item, children }) => (
+  <li className="py-2 flex items-center justify-between">
+    <div className="flex items-center space-x-3">
+      <div className="h-10 w-10 bg-gray-100 rounded overflow-hidden flex items-center justify-center">
+        {item.imageUrl ? (
+          <img src={api.imageSrc(item.imageUrl, 'thumb')} alt={item.name} className="w-full h-full object-cover" />
+        ) : (
+          <Shirt className="h-5 w-5 text-gray-400" />
+        )}
+      </div>
+      <div>
+        <p className="text-sm font-medium">{item.name}</p>
+        <p className="text-xs text-gray-500">
+          {item.type} · worn {item.wearsSinceWash}
+          {item.wearsBeforeWash > 0 ? `/${item.wearsBeforeWash}` : ''} since wash
+        </p>
+      </div>
+    </div>
+    <div className="flex items-center space-x-2">
+      <span className={`px-2 py-1 rounded-full text-xs ${STATUS_STYLES[item.laundryStatus] || STATUS_STYLES.clean}`}>
+        {item.laundryStatus}
+      </span>
+      {children}
+    </div>
+  </li>
+);
+
+const Column = ({ icon: Icon, title, items, emptyText, action, children }) => (
+  <div className="bg-white p-6 rounded-lg shadow border">
+    <div className="flex items-center justify-between mb-4">
+      <h3 className="font-semibold flex items-center">
+        <Icon className="h-5 w-5 mr-2 text-blue-600" />
+        {title} <span className="ml-2 text-sm text-gray-500">({items.length})</span>
+      </h3>
+      {action}
+    </div>
+    {items.length === 0 ? <p className="text-sm text-gray-500">{emptyText}</p> : <ul className="divide-y">{children}</ul>}
+  </div>
+);
+
+const LaundryView = ({ onLaundryChanged }) => {
+  const [laundry, setLaundry] = useState(null);
+  const [rules, setRules] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadLaundry = useCallback(async () => {
+    try {
+      const [overview, effectiveRules] = await Promise.all([api.getLaundry(), api.getLaundryRules()]);
+      setLaundry(overview);
+      setRules(effectiveRules);
+    } catch (err) {
+      console.error('Failed to load laundry:', err);
+      setError('Failed to load laundry');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLaundry();
+  }, [loadLaundry]);
+
+  const runAction = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      await loadLaundry();
+      if (onLaundryChanged) onLaundryChanged();
+    } catch (err) {
+      console.error('Laundry action failed:', err);
+      setError(err.message || 'Could not update laundry');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveRule = (category, value) => {
+    const wearsBeforeWash = parseInt(value, 10);
+    if (isNaN(wearsBeforeWash) || wearsBeforeWash < 0) return;
+    runAction(() => api.setLaundryRule(category, wearsBeforeWash));
+  };
+
+  if (!laundry) {
+    return error
+      ? <div className="bg-red-50 text-red-700 p-4 rounded-lg">{error}</div>
+      : <div className="text-center py-12 text-gray-500">Loading laundry...</div>;
+  }
+
+  const actionButton = (label, onClick, disabled) => (
+    <button
+      onClick={onClick}
+      disabled={busy || disabled}
+      className="bg-blue-600 text-white px-3 py-1 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+    >
+      {label}
+    </button>
+  );
+
+  const washing = laundry.inTheWash.filter(item => item.laundryStatus === 'washing');
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold flex items-center">
+          <Droplet className="h-6 w-6 mr-2 text-blue-600" />
+          Laundry
+        </h2>
+        {error && <span className="text-sm text-red-600">{error}</span>}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <Column
+          icon={Shirt}
+          title="Dirty"
+          items={laundry.dirty}
+          emptyText="Nothing waiting to be washed."
+          action={actionButton('Start wash', () => runAction(() => api.runLaundryAction('wash')), laundry.dirty.length === 0)}
+        >
+          {laundry.dirty.map(item => (
+            <LaundryItem key={item.id} item={item}>
+              {item.laundryStatus === 'dirty' && (
+                <button
+                  onClick={() => runAction(() => api.setLaundryStatus(item.id, 'hamper'))}
+                  disabled={busy}
+                  className="text-xs text-blue-600 hover:text-blue-800"
+                >
+                  To hamper
+                </button>
+              )}
+            </LaundryItem>
+          ))}
+        </Column>
+
+        <Column
+          icon={Wind}
+          title="In the wash"
+          items={laundry.inTheWash}
+          emptyText="The machines are empty."
+          action={
+            <div className="flex space-x-2">
+              {actionButton('To dryer', () => runAction(() => api.runLaundryAction('dry')), washing.length === 0)}
+              {actionButton('Done', () => runAction(() => api.runLaundryAction('done')), laundry.inTheWash.length === 0)}
+            </div>
+          }
+        >
+          {laundry.inTheWash.map(item => <LaundryItem key={item.id} item={item} />)}
+        </Column>
+
+        <Column
+          icon={Sun}
+          title="Ready to put away"
+          items={laundry.readyToPutAway}
+          emptyText="Nothing to put away."
+          action={actionButton('Put all away', () => runAction(() => api.runLaundryAction('put-away')), laundry.readyToPutAway.length === 0)}
+        >
+          {laundry.readyToPutAway.map(item => (
+            <LaundryItem key={item.id} item={item}>
+              <button
+                onClick={() => runAction(() => api.runLaundryAction('put-away', [item.id]))}
+                disabled={busy}
+                className="text-xs text-blue-600 hover:text-blue-800"
+              >
+                <CheckCircle className="h-4 w-4" />
+              </button>
+            </LaundryItem>
+          ))}
+        </Column>
+      </div>
+
+      <div className="bg-white p-6 rounded-lg shadow border">
+        <h3 className="font-semibold mb-1">Wears before wash</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Items go dirty automatically after this many RFID departures. 0 means never.
+        </p>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {rules.map(rule => (
+            <div key={rule.category} className="text-sm">
+              <label className="block font-medium capitalize mb-1">{rule.category}</label>
+              <div className="flex items-center space-x-2">
+                <input
+                  key={rule.wearsBeforeWash}
+                  type="number"
+                  min="0"
+                  defaultValue={rule.wearsBeforeWash}
+                  onBlur={(e) => Number(e.target.value) !== rule.wearsBeforeWash && saveRule(rule.category, e.target.value)}
+                  className="w-20 border rounded-lg px-2 py-1"
+                />
+                {rule.source === 'user' && (
+                  <button
+                    onClick={() => runAction(() => api.resetLaundryRule(rule.category))}
+                    disabled={busy}
+                    className="text-xs text-gray-500 hover:text-gray-700"
+                  >
+                    {rule.defaultWearsBeforeWash === null ? 'Remove' : 'Reset'}
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LaundryView;
@@ -0,0 +1,122 @@
+// frontend/src/components/LoginView.js
+import React, { useState } from 'react';
+import { AlertCircle, LogIn, UserPlus } from 'lucide-react';
+import api from '../services/api';
+
+const LoginView = ({ onAuthenticated }) => {
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState({ username: '', email: '', password: '' });
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const isRegister = mode === 'register';
+
+  const updateField = (field) => (e) => {
+    setForm({ ...form, [field]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSubmitting(true);
+
+    try {
+      const user = isRegister
+        ? await api.register(form.username, form.email, form.password)
+        : await api.login(form.username, form.password);
+      onAuthenticated(user);
+    } catch (err) {
+      setError(err.message || 'Authentication failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setMode(isRegister ? 'login' : 'register');
+    setError(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="bg-white rounded-lg shadow-sm border p-8 w-full max-w-md">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="w-10 h-10 bg-gradient-to-br from-purple-600 to-blue-600 rounded-lg"></div>
+          <h1 className="text-2xl font-bold text-gray-900">Closet Monkey</h1>
+        </div>
+
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">
+          {isRegister ? 'Create your account' : 'Sign in to your closet'}
+        </h2>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center space-x-2 text-red-700 text-sm">
+            <AlertCircle className="h-4 w-4 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {isRegister ? 'Username' : 'Username or email'}
+            </label>
+            <input
+              type="text"
+              value={form.username}
+              onChange={updateField('username')}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              autoComplete="username"
+              required
+            />
+          </div>
+
+          {isRegister && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+              <input
+                type="email"
+                value={form.email}
+                onChange={updateField('email')}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                autoComplete="email"
+                required
+              />
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+            <input
+              type="password"
+              value={form.password}
+              onChange={updateField('password')}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              autoComplete={isRegister ? 'new-password' : 'current-password'}
+              minLength={isRegister ? 8 : undefined}
+              required
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full flex items-center justify-center space-x-2 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isRegister ? <UserPlus className="h-4 w-4" /> : <LogIn className="h-4 w-4" />}
+            <span>{submitting ? 'Please wait...' : isRegister ? 'Create account' : 'Sign in'}</span>
+          </button>
+        </form>
+
+        <p className="mt-6 text-sm text-gray-600 text-center">
+          {isRegister ? 'Already have an account?' : "Don't have an account?"}{' '}
+          <button onClick={toggleMode} className="text-blue-600 hover:underline">
+            {isRegister ? 'Sign in' : 'Create one'}
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default LoginView;
@@ -1,8 +1,9 @@
 // frontend/src/components/OutfitScanner.js
 import React, { useState, useRef } from 'react';
 import { Camera, Upload, X, Plus, Eye, Loader } from 'lucide-react';
+import api from '../services/api';
 
-const OutfitScanner = ({ wardrobeItems, onAddDetectedItems, onOutfitSaved, onWardrobeUpdated }) => {
+const OutfitScanner = ({ categories = [], onAddDetectedItems, onOutfitSaved, onWardrobeUpdated }) => {
   const [outfitImage, setOutfitImage] = useState(null);
   const [outfitImageUrl, setOutfitImageUrl] = useState(null);
   const [detectedItems, setDetectedItems] = useState([]);
@@ -47,11 +48,9 @@ const OutfitScanner = ({ wardrobeItems, onAddDetectedItems, onOutfitSaved, onWar
       // Create FormData for the API call
       const formData = new FormData();
       formData.append('outfitImage', file);
-      formData.append('wardrobeItems', JSON.stringify(wardrobeItems));
-      formData.append('userId', localStorage.getItem('userId') || '7eb88885-3bc3-4c09-af20-7fbd0bf6fa07');
 
       // Call our backend API for outfit analysis
-      const response = await fetch('/api/analyze-outfit', {
+      const response = await api.authFetch('/api/analyze-outfit', {
         method: 'POST',
         body: formData,
       });
@@ -106,6 +105,22 @@ const OutfitScanner = ({ wardrobeItems, onAddDetectedItems, onOutfitSaved, onWar
     setDetectedItems(updatedItems);
   };
 
+  // Link a detected item to one of its wardrobe candidates, or mark it new
+  const handleMatchChange = (itemIndex, candidateId) => {
+    const updatedItems = [...detectedItems];
+    const item = updatedItems[itemIndex];
+    const candidate = (item.candidates || []).find(entry => entry.id === candidateId);
+    updatedItems[itemIndex] = candidate
+      ? {
+          ...item,
+          status: 'existing',
+          matchedItem: { id: candidate.id, name: candidate.name, type: candidate.type, image_url: candidate.imageUrl },
+          matchScore: candidate.confidence
+        }
+      : { ...item, status: 'new', matchedItem: null, matchScore: undefined };
+    setDetectedItems(updatedItems);
+  };
+
   const addSelectedItems = () => {
     const itemsToAdd = detectedItems
       .filter((_, index) => selectedItems.has(index))
@@ -127,7 +142,7 @@ const OutfitScanner = ({ wardrobeItems, onAddDetectedItems, onOutfitSaved, onWar
     setIsAnalyzing(true);
     
     try {
-      const response = await fetch('/api/analyze-outfit/confirm-save', {
+      const response = await api.authFetch('/api/analyze-outfit/confirm-save', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -135,8 +150,7 @@ const OutfitScanner = ({ wardrobeItems, onAddDetectedItems, onOutfitSaved, onWar
         body: JSON.stringify({
           tempImagePath: tempImagePath,
           detectedItems: detectedItems,
-          outfitName: suggestedOutfitName,
-          userId: localStorage.getItem('userId') || '7eb88885-3bc3-4c09-af20-7fbd0bf6fa07'
+          outfitName: suggestedOutfitName
         })
       });
 
@@ -217,7 +231,7 @@ const OutfitScanner = ({ wardrobeItems, onAddDetectedItems, onOutfitSaved, onWar
 
   const handleOutfitRename = async (newName) => {
     try {
-      const response = await fetch(`/api/outfits/${outfitDialogData.id}/rename`, {
+      const response = await api.authFetch(`/api/outfits/${outfitDialogData.id}/rename`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
@@ -281,7 +295,7 @@ const OutfitScanner = ({ wardrobeItems, onAddDetectedItems, onOutfitSaved, onWar
       // Continue with saving as new outfit
       // We'll use the confirm-save endpoint with the flag to save anyway
       try {
-        const response = await fetch('/api/analyze-outfit/save-anyway', {
+        const response = await api.authFetch('/api/analyze-outfit/save-anyway', {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -289,8 +303,7 @@ const OutfitScanner = ({ wardrobeItems, onAddDetectedItems, onOutfitSaved, onWar
           body: JSON.stringify({
             tempImagePath: tempImagePath,
             detectedItems: detectedItems,
-            outfitName: suggestedOutfitName,
-            userId: localStorage.getItem('userId') || '7eb88885-3bc3-4c09-af20-7fbd0bf6fa07'
+            outfitName: suggestedOutfitName
           })
         });
 
@@ -348,9 +361,8 @@ const OutfitScanner = ({ wardrobeItems, onAddDetectedItems, onOutfitSaved, onWar
     try {
       const formData = new FormData();
       formData.append('outfitImage', file);
-      formData.append('userId', localStorage.getItem('userId') || '7eb88885-3bc3-4c09-af20-7fbd0bf6fa07');
 
-      const response = await fetch(`/api/outfits/${outfitId}/add-photo`, {
+      const response = await api.authFetch(`/api/outfits/${outfitId}/add-photo`, {
         method: 'POST',
         body: formData,
       });
@@ -458,7 +470,7 @@ const OutfitScanner = ({ wardrobeItems, onAddDetectedItems, onOutfitSaved, onWar
     
     return (
       <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-        <div className="bg-white rounded-lg p-6 max-w-lg w-full mx-4 max-h-96 overflow-y-auto">
+        <div className="bg-white rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[85vh] overflow-y-auto">
           <h3 className="text-lg font-semibold mb-4 text-orange-600">⚠️ Similar Outfits Detected</h3>
           <p className="text-gray-600 mb-4">
             Found {duplicateOutfits.length} similar outfit{duplicateOutfits.length > 1 ? 's' : ''}:
@@ -479,6 +491,54 @@ const OutfitScanner = ({ wardrobeItems, onAddDetectedItems, onOutfitSaved, onWar
                     Add Photo to This
                   </button>
                 </div>
+
+                {/* This scan next to the saved outfit */}
+                <div className="grid grid-cols-2 gap-3 mt-3">
+                  <div>
+                    <p className="text-xs text-gray-500 mb-1">This scan</p>
+                    <div className="h-40 bg-white rounded border flex items-center justify-center overflow-hidden">
+                      {outfitImageUrl ? (
+                        <img src={outfitImageUrl} alt="Scanned outfit" className="w-full h-full object-contain" />
+                      ) : (
+                        <Eye className="h-8 w-8 text-gray-300" />
+                      )}
+                    </div>
+                  </div>
+                  <div>
+                    <p className="text-xs text-gray-500 mb-1">Saved outfit</p>
+                    <div className="h-40 bg-white rounded border flex items-center justify-center overflow-hidden">
+                      {outfit.thumbnailUrl ? (
+                        <img src={api.imageSrc(outfit.thumbnailUrl, 'medium')} alt={outfit.name} className="w-full h-full object-contain" />
+                      ) : (
+                        <Eye className="h-8 w-8 text-gray-300" />
+                      )}
+                    </div>
+                  </div>
+                </div>
+
+                {/* Items whose crops look like one of the saved outfit's items */}
+                {outfit.matches && outfit.matches.length > 0 && (
+                  <div className="mt-3 space-y-2">
+                    <p className="text-xs text-gray-500">Matching items</p>
+                    {outfit.matches.map((match, matchIndex) => (
+                      <div key={matchIndex} className="grid grid-cols-2 gap-3">
+                        {[
+                          { url: match.detectedImageUrl, name: match.detectedName },
+                          { url: match.itemImageUrl, name: match.itemName }
+                        ].map((side, sideIndex) => (
+                          <div key={sideIndex} className="flex items-center space-x-2">
+                            <img
+                              src={api.imageSrc(side.url, 'thumb')}
+                              alt={side.name}
+                              className="h-12 w-12 object-contain bg-white rounded border"
+                            />
+                            <span className="text-xs text-gray-700 truncate">{side.name}</span>
+                          </div>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
             ))}
           </div>
@@ -597,7 +657,7 @@ const OutfitScanner = ({ wardrobeItems, onAddDetectedItems, onOutfitSaved, onWar
                 <div className="w-full h-48 bg-white rounded border relative overflow-hidden mb-4">
                   {selectedItemForDetail.croppedImageUrl ? (
                     <img 
-                      src={selectedItemForDetail.croppedImageUrl}
+                      src={api.imageSrc(selectedItemForDetail.croppedImageUrl, 'medium')}
                       alt={selectedItemForDetail.name}
                       className="w-full h-full object-contain"
                       style={{ transform: `rotate(${imageRotation}deg)` }}
@@ -769,15 +829,9 @@ const OutfitScanner = ({ wardrobeItems, onAddDetectedItems, onOutfitSaved, onWar
                   onChange={(e) => setItemCategory(e.target.value)}
                   className="w-full border rounded-lg px-3 py-2"
                 >
-                  <option value="Shirts">Shirts</option>
-                  <option value="Pants">Pants</option>
-                  <option value="Outerwear">Outerwear</option>
-                  <option value="Dresses">Dresses</option>
-                  <option value="Shoes">Shoes</option>
-                  <option value="Accessories">Accessories</option>
-                  <option value="Sweaters">Sweaters</option>
-                  <option value="Skirts">Skirts</option>
-                  <option value="Other">Other</option>
+                  {categories.map(category => (
+                    <option key={category} value={category}>{category}</option>
+                  ))}
                 </select>
               </div>
 
@@ -840,7 +894,7 @@ const OutfitScanner = ({ wardrobeItems, onAddDetectedItems, onOutfitSaved, onWar
             <X className="h-6 w-6" />
           </button>
           <img 
-            src={selectedFullImage.croppedImageUrl ? selectedFullImage.croppedImageUrl : outfitImageUrl}
+            src={selectedFullImage.croppedImageUrl ? api.imageSrc(selectedFullImage.croppedImageUrl, 'full') : outfitImageUrl}
             alt={selectedFullImage.name}
             className="max-w-full max-h-[90vh] object-contain rounded-lg"
             onClick={(e) => e.stopPropagation()}
@@ -1001,7 +1055,7 @@ const OutfitScanner = ({ wardrobeItems, onAddDetectedItems, onOutfitSaved, onWar
                       >
                         {item.croppedImageUrl ? (
                           <img 
-                            src={item.croppedImageUrl}
+                            src={api.imageSrc(item.croppedImageUrl, 'thumb')}
                             alt={`Cropped ${item.name}`}
                             className="w-full h-full object-contain"
                             style={{ transform: 'none' }}
@@ -1057,10 +1111,15 @@ const OutfitScanner = ({ wardrobeItems, onAddDetectedItems, onOutfitSaved, onWar
                         </div>
                       </div>
                       
-                      <p className="text-sm text-gray-600">{item.category}</p>
+                      <p className="text-sm text-gray-600">
+                        {item.category}
+                        {item.layer && ` • ${item.layer} layer`}
+                      </p>
                       
                       <div className="bg-blue-200 p-2 text-center">
                         Color: {item.color || 'Unknown'}
+                        {item.secondaryColors?.length > 0 && ` with ${item.secondaryColors.map(color => color.name).join(', ')}`}
+                        {item.pattern && item.pattern !== 'solid' && ` • ${item.pattern}`}
                       </div>
 
                       {/* Status Badge */}
@@ -1090,8 +1149,26 @@ const OutfitScanner = ({ wardrobeItems, onAddDetectedItems, onOutfitSaved, onWar
                       {item.status === 'existing' && item.matchedItem && (
                         <p className="text-xs text-blue-600">
                           Matches: {item.matchedItem.name}
+                          {item.matchScore !== undefined && ` (${item.matchScore}%)`}
                         </p>
                       )}
+
+                      {/* Ranked wardrobe candidates */}
+                      {item.candidates && item.candidates.length > 0 && (
+                        <select
+                          value={item.status === 'existing' && item.matchedItem ? item.matchedItem.id : ''}
+                          onClick={(e) => e.stopPropagation()}
+                          onChange={(e) => handleMatchChange(index, e.target.value)}
+                          className="w-full text-xs border border-gray-300 rounded px-2 py-1"
+                        >
+                          <option value="">New item</option>
+                          {item.candidates.map(candidate => (
+                            <option key={candidate.id} value={candidate.id}>
+                              {candidate.name} ({candidate.confidence}%)
+                            </option>
+                          ))}
+                        </select>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -0,0 +1,83 @@
+// frontend/src/components/OutfitSuggestions.js
+import React from 'react';
+import { CheckCircle, Shirt } from 'lucide-react';
+import api from '../services/api';
+
+const SLOT_LABELS = [
+  ['layer', 'Layer'],
+  ['top', 'Top'],
+  ['onePiece', 'Outfit'],
+  ['bottom', 'Bottom'],
+  ['shoes', 'Shoes']
+];
+
+const SuggestedItem = ({ label, item }) => (
+  <div className="w-20 text-center">
+    <div className="h-20 w-20 bg-gray-100 rounded-lg overflow-hidden flex items-center justify-center">
+      {item.imageUrl ? (
+        <img src={api.imageSrc(item.imageUrl, 'thumb')} alt={item.name} className="w-full h-full object-cover" />
+      ) : (
+        <Shirt className="h-8 w-8 text-gray-400" />
+      )}
+    </div>
+    <p className="text-xs text-gray-500 mt-1">{label}</p>
+    <p className="text-xs font-medium truncate" title={item.name}>{item.name}</p>
+  </div>
+);
+
+// Outfits from GET /api/recommendations, each with the reasons behind it
+const OutfitSuggestions = ({ result, onSave, saving }) => {
+  if (!result) return null;
+
+  if (result.suggestions.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">
+        Not enough clean items in the closet to put an outfit together
+        {result.excluded.laundry > 0 && ` (${result.excluded.laundry} in the laundry)`}.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {result.suggestions.map((suggestion, index) => (
+        <div key={suggestion.itemIds.join('-')} className="border rounded-lg p-4">
+          <div className="flex justify-between items-center mb-3">
+            <h4 className="font-semibold">Option {index + 1}</h4>
+            <span className="text-xs text-gray-500">Score {Math.round(suggestion.score * 100)}</span>
+          </div>
+
+          <div className="flex flex-wrap gap-3 mb-3">
+            {SLOT_LABELS.filter(([slot]) => suggestion.items[slot]).map(([slot, label]) => (
+              <SuggestedItem key={slot} label={label} item={suggestion.items[slot]} />
+            ))}
+            {suggestion.items.accessories.map(item => (
+              <SuggestedItem key={item.id} label="Accessory" item={item} />
+            ))}
+          </div>
+
+          <ul className="text-sm text-gray-600 space-y-1 mb-3">
+            {suggestion.explanation.map(reason => (
+              <li key={reason} className="flex items-start">
+                <CheckCircle className="h-4 w-4 mr-2 mt-0.5 text-green-500 flex-shrink-0" />
+                {reason}
+              </li>
+            ))}
+          </ul>
+
+          {onSave && (
+            <button
+              onClick={() => onSave(suggestion)}
+              disabled={saving}
+              className="bg-purple-600 text-white px-3 py-1 rounded-lg text-sm hover:bg-purple-700 disabled:opacity-50"
+            >
+              Save as outfit
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default OutfitSuggestions;
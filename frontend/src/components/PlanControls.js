@@ -0,0 +1,30 @@
+// frontend/src/components/PlanControls.js
+import React from 'react';
+import { AlertCircle } from 'lucide-react';
+
+// Picks one of the saved outfits; onChange gets null for none
+export const OutfitSelect = ({ outfits, value, onChange, disabled, emptyLabel = 'No outfit yet' }) => (
+  <select
+    value={value || ''}
+    onChange={(e) => onChange(e.target.value || null)}
+    disabled={disabled}
+    className="border rounded-lg px-2 py-1 text-sm max-w-xs"
+  >
+    <option value="">{emptyLabel}</option>
+    {outfits.map(outfit => (
+      <option key={outfit.id} value={outfit.id}>{outfit.name}</option>
+    ))}
+  </select>
+);
+
+// Planner conflicts for one plan: dirty, out of the closet or double-booked items
+export const ConflictList = ({ conflicts }) => (conflicts.length === 0 ? null : (
+  <ul className="space-y-1">
+    {conflicts.map(conflict => (
+      <li key={`${conflict.type}-${conflict.itemId}`} className="text-xs text-orange-700 flex items-center">
+        <AlertCircle className="h-3 w-3 mr-1 flex-shrink-0" />
+        {conflict.message}
+      </li>
+    ))}
+  </ul>
+));
@@ -0,0 +1,321 @@
+// frontend/src/components/PlannerView.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Briefcase, CalendarDays, CheckCircle, ChevronLeft, ChevronRight, Shirt, Trash2 } from 'lucide-react';
+import api from '../services/api';
+import { OutfitSelect, ConflictList } from './PlanControls';
+
+// Local YYYY-MM-DD, the server's day keys
+const toKey = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+const fromKey = (key) => new Date(`${key}T00:00:00`);
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Monday of the week the date is in
+const startOfWeek = (date) => addDays(date, -((date.getDay() + 6) % 7));
+
+const formatDay = (key, options) => fromKey(key).toLocaleDateString('en-US', options);
+
+const EMPTY_TRIP = { name: '', destination: '', startDate: '', endDate: '' };
+
+// Packing mode: everything the trip's planned outfits need, each item once
+const PackingList = ({ packing, busy, onTogglePacked }) => {
+  const { summary } = packing;
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        {summary.items} items for {summary.outfits} outfits over {summary.days} days
+        {summary.itemDays > summary.items && ` (instead of ${summary.itemDays} packed day by day)`}
+        {' · '}{summary.packed}/{summary.items} packed
+      </p>
+      {packing.unplannedDays.length > 0 && (
+        <p className="text-xs text-gray-500">
+          No outfit planned yet for {packing.unplannedDays.map(day => formatDay(day, { weekday: 'short', day: 'numeric' })).join(', ')}
+        </p>
+      )}
+      <ConflictList conflicts={packing.conflicts} />
+      {packing.items.length === 0 ? (
+        <p className="text-sm text-gray-500">Plan outfits for the trip's days to build the packing list.</p>
+      ) : (
+        <ul className="divide-y">
+          {packing.items.map(item => (
+            <li key={item.id} className="py-2 flex items-center justify-between">
+              <label className="flex items-center space-x-3 text-sm">
+                <input
+                  type="checkbox"
+                  checked={item.packed}
+                  disabled={busy}
+                  onChange={(e) => onTogglePacked(item.id, e.target.checked)}
+                />
+                <span className={item.packed ? 'line-through text-gray-400' : ''}>{item.name}</span>
+                <span className="text-xs text-gray-500">{item.type}</span>
+              </label>
+              <span className="text-xs text-gray-500">
+                {item.days.length} {item.days.length === 1 ? 'day' : 'days'} · {item.outfits.map(outfit => outfit.name).join(', ')}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Week view of planned outfits (GET /api/planner/:userId) with their
+// conflicts, and trips with their packing lists
+const PlannerView = ({ outfits = [] }) => {
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()));
+  const [planner, setPlanner] = useState(null);
+  const [trips, setTrips] = useState([]);
+  const [selectedTripId, setSelectedTripId] = useState(null);
+  const [packing, setPacking] = useState(null);
+  const [newTrip, setNewTrip] = useState(EMPTY_TRIP);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadWeek = useCallback(async () => {
+    try {
+      setPlanner(await api.getPlanner(toKey(weekStart), toKey(addDays(weekStart, 6))));
+    } catch (err) {
+      console.error('Failed to load planner:', err);
+      setError('Failed to load planner');
+    }
+  }, [weekStart]);
+
+  const loadTrips = useCallback(async () => {
+    try {
+      setTrips(await api.getTrips());
+    } catch (err) {
+      console.error('Failed to load trips:', err);
+    }
+  }, []);
+
+  const loadPacking = useCallback(async () => {
+    if (!selectedTripId) {
+      setPacking(null);
+      return;
+    }
+    try {
+      setPacking(await api.getPackingList(selectedTripId));
+    } catch (err) {
+      console.error('Failed to load packing list:', err);
+      setError('Failed to load packing list');
+    }
+  }, [selectedTripId]);
+
+  useEffect(() => {
+    loadWeek();
+  }, [loadWeek]);
+
+  useEffect(() => {
+    loadTrips();
+  }, [loadTrips]);
+
+  useEffect(() => {
+    loadPacking();
+  }, [loadPacking]);
+
+  const runAction = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      await Promise.all([loadWeek(), loadPacking()]);
+    } catch (err) {
+      console.error('Planner update failed:', err);
+      setError(err.message || 'Could not update the planner');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const createTrip = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const trip = await api.createTrip(newTrip);
+      setNewTrip(EMPTY_TRIP);
+      await loadTrips();
+      setSelectedTripId(trip.id);
+    });
+  };
+
+  const deleteTrip = (tripId) => runAction(async () => {
+    await api.deleteTrip(tripId);
+    if (tripId === selectedTripId) setSelectedTripId(null);
+    await loadTrips();
+  });
+
+  const today = toKey(new Date());
+  const days = Array.from({ length: 7 }, (_, index) => toKey(addDays(weekStart, index)));
+  const selectedTrip = trips.find(trip => trip.id === selectedTripId);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold flex items-center">
+          <CalendarDays className="h-6 w-6 mr-2 text-blue-600" />
+          Planner
+        </h2>
+        {error && <span className="text-sm text-red-600">{error}</span>}
+      </div>
+
+      <div className="bg-white p-4 rounded-lg shadow border">
+        <div className="flex items-center justify-between mb-4">
+          <button onClick={() => setWeekStart(addDays(weekStart, -7))} className="p-1 rounded hover:bg-gray-100">
+            <ChevronLeft className="h-5 w-5" />
+          </button>
+          <h3 className="font-semibold">
+            Week of {formatDay(days[0], { month: 'long', day: 'numeric' })}
+            {planner && planner.conflicts.length > 0 && (
+              <span className="ml-2 text-sm font-normal text-orange-600">
+                {planner.conflicts.length} {planner.conflicts.length === 1 ? 'conflict' : 'conflicts'}
+              </span>
+            )}
+          </h3>
+          <button onClick={() => setWeekStart(addDays(weekStart, 7))} className="p-1 rounded hover:bg-gray-100">
+            <ChevronRight className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-7 gap-2">
+          {days.map(day => {
+            const plans = planner ? planner.plans.filter(plan => plan.date === day) : [];
+            return (
+              <div
+                key={day}
+                className={`border rounded-lg p-2 space-y-2 min-h-32 ${day === today ? 'border-blue-500 bg-blue-50' : ''} ${day < today ? 'opacity-60' : ''}`}
+              >
+                <p className="text-xs font-medium">{formatDay(day, { weekday: 'short', month: 'short', day: 'numeric' })}</p>
+                {plans.map(plan => (
+                  <div key={plan.id} className="bg-white border rounded p-2 space-y-1">
+                    <p className="text-sm font-medium flex items-center">
+                      <Shirt className="h-3 w-3 mr-1 text-gray-400" />
+                      {plan.outfit ? plan.outfit.name : 'No outfit yet'}
+                    </p>
+                    <p className="text-xs text-gray-500">{plan.event ? plan.event.summary : plan.occasion}</p>
+                    {plan.items.length > 0 && (
+                      <p className="text-xs text-gray-500 truncate" title={plan.items.map(item => item.name).join(', ')}>
+                        {plan.items.map(item => item.name).join(', ')}
+                      </p>
+                    )}
+                    <ConflictList conflicts={plan.conflicts} />
+                    {!plan.eventId && (
+                      <button
+                        onClick={() => runAction(() => api.deletePlan(plan.id))}
+                        disabled={busy}
+                        className="text-xs text-red-500 hover:text-red-700 flex items-center"
+                      >
+                        <Trash2 className="h-3 w-3 mr-1" />Remove
+                      </button>
+                    )}
+                  </div>
+                ))}
+                {day >= today && outfits.length > 0 && (
+                  <OutfitSelect
+                    key={plans.length}
+                    outfits={outfits}
+                    value={null}
+                    disabled={busy}
+                    emptyLabel="Plan an outfit..."
+                    onChange={(outfitId) => outfitId && runAction(() => api.createPlan({ date: day, outfitId }))}
+                  />
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="bg-white p-6 rounded-lg shadow border space-y-4">
+          <h3 className="font-semibold flex items-center">
+            <Briefcase className="h-5 w-5 mr-2 text-blue-600" />
+            Trips
+          </h3>
+          {trips.length === 0 && <p className="text-sm text-gray-500">No upcoming trips.</p>}
+          <ul className="space-y-2">
+            {trips.map(trip => (
+              <li
+                key={trip.id}
+                className={`border rounded-lg p-2 flex items-center justify-between ${trip.id === selectedTripId ? 'border-blue-500 bg-blue-50' : ''}`}
+              >
+                <button onClick={() => setSelectedTripId(trip.id)} className="text-left text-sm">
+                  <p className="font-medium">{trip.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {formatDay(trip.startDate, { month: 'short', day: 'numeric' })} – {formatDay(trip.endDate, { month: 'short', day: 'numeric' })}
+                    {trip.destination && ` · ${trip.destination}`}
+                  </p>
+                </button>
+                <button onClick={() => deleteTrip(trip.id)} disabled={busy} className="text-red-500 hover:text-red-700">
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <form onSubmit={createTrip} className="space-y-2 border-t pt-4">
+            <input
+              value={newTrip.name}
+              onChange={(e) => setNewTrip({ ...newTrip, name: e.target.value })}
+              placeholder="Trip name"
+              className="w-full border rounded-lg px-2 py-1 text-sm"
+              required
+            />
+            <input
+              value={newTrip.destination}
+              onChange={(e) => setNewTrip({ ...newTrip, destination: e.target.value })}
+              placeholder="Destination (optional)"
+              className="w-full border rounded-lg px-2 py-1 text-sm"
+            />
+            <div className="flex space-x-2">
+              <input
+                type="date"
+                value={newTrip.startDate}
+                onChange={(e) => setNewTrip({ ...newTrip, startDate: e.target.value })}
+                className="flex-1 border rounded-lg px-2 py-1 text-sm"
+                required
+              />
+              <input
+                type="date"
+                value={newTrip.endDate}
+                min={newTrip.startDate}
+                onChange={(e) => setNewTrip({ ...newTrip, endDate: e.target.value })}
+                className="flex-1 border rounded-lg px-2 py-1 text-sm"
+                required
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={busy}
+              className="bg-blue-600 text-white px-3 py-1 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+            >
+              Add trip
+            </button>
+          </form>
+        </div>
+
+        <div className="lg:col-span-2 bg-white p-6 rounded-lg shadow border">
+          <h3 className="font-semibold mb-4 flex items-center">
+            <CheckCircle className="h-5 w-5 mr-2 text-blue-600" />
+            {selectedTrip ? `Packing for ${selectedTrip.name}` : 'Packing list'}
+          </h3>
+          {packing ? (
+            <PackingList
+              packing={packing}
+              busy={busy}
+              onTogglePacked={(itemId, packed) => runAction(() => api.setItemPacked(selectedTripId, itemId, packed))}
+            />
+          ) : (
+            <p className="text-sm text-gray-500">Pick a trip to see what to pack.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PlannerView;
@@ -0,0 +1,135 @@
+// frontend/src/components/WardrobeFilters.js
+import React, { useState, useEffect } from 'react';
+import { Filter, Search, X } from 'lucide-react';
+
+const FACETS = [
+  { key: 'type', label: 'Type' },
+  { key: 'color', label: 'Color' },
+  { key: 'colorFamily', label: 'Color family', values: { neutral: 'Neutral', warm: 'Warm', cool: 'Cool' } },
+  { key: 'pattern', label: 'Pattern', values: { solid: 'Solid', striped: 'Striped', checked: 'Checked', dotted: 'Dotted', printed: 'Printed' } },
+  { key: 'brand', label: 'Brand' },
+  { key: 'status', label: 'Where', values: { in_closet: 'In closet', worn: 'Out' } },
+  { key: 'laundryStatus', label: 'Laundry', values: { clean: 'Clean', dirty: 'Dirty', hamper: 'Hamper', washing: 'Washing', drying: 'Drying' } }
+];
+
+const SORTS = [
+  { value: 'relevance', label: 'Best match', needsQuery: true },
+  { value: 'newest', label: 'Newest' },
+  { value: 'oldest', label: 'Oldest' },
+  { value: 'name', label: 'Name' },
+  { value: 'last_worn', label: 'Recently worn' }
+];
+
+const SEARCH_DELAY_MS = 300;
+
+const sameValue = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Sidebar for GET /api/wardrobe/search: search box, sort and a checkbox list
+// per facet with its result counts. search is { q, filters, sort }; every
+// change goes to onChange and starts again from the first page.
+const WardrobeFilters = ({ search, facets, total, onChange }) => {
+  const [draft, setDraft] = useState(search.q);
+
+  // Search as the user types, once they pause
+  useEffect(() => {
+    if (draft === search.q) return undefined;
+    const timer = setTimeout(() => onChange({ ...search, q: draft, page: 1 }), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [draft, search, onChange]);
+
+  const selected = (facet) => search.filters[facet] || [];
+
+  const toggle = (facet, value) => {
+    const current = selected(facet);
+    const next = current.some(entry => sameValue(entry, value))
+      ? current.filter(entry => !sameValue(entry, value))
+      : [...current, value];
+    const filters = { ...search.filters, [facet]: next };
+    if (next.length === 0) delete filters[facet];
+    onChange({ ...search, filters, page: 1 });
+  };
+
+  const hasFilters = search.q || Object.keys(search.filters).length > 0;
+
+  return (
+    <aside className="bg-white p-4 rounded-lg shadow border space-y-5">
+      <div className="flex items-center border rounded-lg px-2">
+        <Search className="h-4 w-4 text-gray-400" />
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="Search items, brands, labels..."
+          className="w-full px-2 py-2 text-sm outline-none"
+        />
+        {draft && (
+          <button onClick={() => setDraft('')} className="text-gray-400 hover:text-gray-600">
+            <X className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between text-sm">
+        <span className="text-gray-600">{total ?? '–'} {total === 1 ? 'item' : 'items'}</span>
+        <select
+          value={search.sort || (search.q ? 'relevance' : 'newest')}
+          onChange={(e) => onChange({ ...search, sort: e.target.value, page: 1 })}
+          className="border rounded-lg px-2 py-1 text-sm"
+        >
+          {SORTS.filter(sort => !sort.needsQuery || search.q).map(sort => (
+            <option key={sort.value} value={sort.value}>{sort.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {hasFilters && (
+        <button
+          onClick={() => {
+            setDraft('');
+            onChange({ q: '', filters: {}, sort: '', page: 1 });
+          }}
+          className="text-xs text-blue-600 hover:text-blue-800"
+        >
+          Clear search and filters
+        </button>
+      )}
+
+      {FACETS.map(({ key, label, values }) => {
+        const counts = (facets && facets[key]) || [];
+        // Keep checked values visible even when nothing matches them any more
+        const missing = selected(key)
+          .filter(value => !counts.some(entry => sameValue(entry.value, value)))
+          .map(value => ({ value, count: 0 }));
+        const entries = [...counts, ...missing];
+        if (entries.length === 0) return null;
+
+        return (
+          <div key={key}>
+            <h4 className="text-xs font-semibold uppercase text-gray-500 mb-2 flex items-center">
+              <Filter className="h-3 w-3 mr-1" />{label}
+            </h4>
+            <ul className="space-y-1">
+              {entries.map(entry => (
+                <li key={entry.value}>
+                  <label className="flex items-center justify-between text-sm cursor-pointer">
+                    <span className="flex items-center space-x-2">
+                      <input
+                        type="checkbox"
+                        checked={selected(key).some(value => sameValue(value, entry.value))}
+                        onChange={() => toggle(key, entry.value)}
+                      />
+                      <span>{(values && values[entry.value]) || entry.value}</span>
+                    </span>
+                    <span className="text-xs text-gray-400">{entry.count}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          </div>
+        );
+      })}
+    </aside>
+  );
+};
+
+export default WardrobeFilters;
@@ -0,0 +1,73 @@
+// frontend/src/components/WeatherForecast.js
+import React from 'react';
+import { Cloud, CloudDrizzle, CloudLightning, CloudRain, CloudSnow, Sun } from 'lucide-react';
+
+const BAND_ADVICE = {
+  cold: 'A warm coat and layers',
+  cool: 'A light jacket or sweater',
+  mild: 'Light layers, cotton fabrics',
+  hot: 'Breathable fabrics, no layers'
+};
+
+const PRECIPITATION_ICONS = {
+  drizzle: CloudDrizzle,
+  rain: CloudRain,
+  snow: CloudSnow,
+  sleet: CloudSnow,
+  storm: CloudLightning
+};
+
+const weatherLabel = (weather) =>
+  [weather.conditions, weather.temperature !== null ? `${weather.temperature}°F` : null].filter(Boolean).join(', ');
+
+const WeatherIcon = ({ weather, className }) => {
+  const Icon = PRECIPITATION_ICONS[weather.precipitation]
+    || (/sun|clear/i.test(weather.conditions || '') ? Sun : Cloud);
+  return <Icon className={className} />;
+};
+
+const dayName = (date, index) => {
+  if (index === 0) return 'Today';
+  // Parse as a local date - "YYYY-MM-DD" alone would be read as UTC
+  return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short' });
+};
+
+// Current conditions from GET /api/weather/current with what to wear for
+// them, and a strip of forecast days from GET /api/weather/forecast
+const WeatherForecast = ({ current, forecast = [] }) => {
+  if (!current) {
+    return <p className="text-sm text-gray-500">Weather unavailable</p>;
+  }
+
+  const advice = BAND_ADVICE[current.temperatureBand];
+  const wet = current.precipitation && current.precipitation !== 'none';
+
+  return (
+    <div className="flex flex-wrap items-center gap-6">
+      <div className="flex items-center space-x-3 text-sm text-gray-600">
+        <WeatherIcon weather={current} className="h-8 w-8 text-blue-500" />
+        <div>
+          <p>Today: {weatherLabel(current)}{current.location ? ` in ${current.location}` : ''}</p>
+          {advice && <p>Perfect for: {advice}{wet ? ', and something waterproof' : ''}</p>}
+        </div>
+      </div>
+
+      {forecast.length > 0 && (
+        <div className="flex space-x-3">
+          {forecast.map((day, index) => (
+            <div key={day.date} className="text-center text-xs text-gray-600 w-14" title={day.conditions}>
+              <p className="font-medium">{dayName(day.date, index)}</p>
+              <WeatherIcon weather={day} className="h-5 w-5 mx-auto my-1 text-blue-500" />
+              <p>{day.high}° / {day.low}°</p>
+              {day.precipitationChance > 0 && (
+                <p className="text-blue-600">{Math.round(day.precipitationChance * 100)}%</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WeatherForecast;
@@ -3,32 +3,86 @@
 // Use relative URLs to leverage the proxy
 const API_BASE_URL = '/api';  // This will use the proxy from package.json
 
+// Uploaded images are served by the backend directly, not through the proxy
+const UPLOADS_ORIGIN = 'http://localhost:5001';
+
+const TOKEN_KEY = 'authToken';
+// Image-only token for <img> URLs, which can't carry the Authorization header
+const IMAGE_TOKEN_KEY = 'authImageToken';
+const USER_KEY = 'authUser';
+
 class ApiService {
   constructor() {
-    // Get or create a test user ID
-    // Replace 'test-user-123' with the actual ID you got from creating the user
-  this.userId = localStorage.getItem('userId') || '7eb88885-3bc3-4c09-af20-7fbd0bf6fa07';
-    // Save it for persistence
-    if (!localStorage.getItem('userId')) {
-      localStorage.setItem('userId', this.userId);
+    // Restore the session saved by the last login
+    this.token = localStorage.getItem(TOKEN_KEY);
+    this.imageToken = localStorage.getItem(IMAGE_TOKEN_KEY);
+    this.user = JSON.parse(localStorage.getItem(USER_KEY) || 'null');
+    this.onUnauthorized = null;
+  }
+
+  get userId() {
+    return this.user ? this.user.id : null;
+  }
+
+  isAuthenticated() {
+    // Sessions saved before image tokens existed log in again
+    return !!(this.token && this.imageToken && this.user);
+  }
+
+  setSession({ token, imageToken, user }) {
+    this.token = token;
+    this.imageToken = imageToken;
+    this.user = user;
+    localStorage.setItem(TOKEN_KEY, token);
+    localStorage.setItem(IMAGE_TOKEN_KEY, imageToken);
+    localStorage.setItem(USER_KEY, JSON.stringify(user));
+  }
+
+  clearSession() {
+    this.token = null;
+    this.imageToken = null;
+    this.user = null;
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(IMAGE_TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+  }
+
+  // fetch() with the bearer token attached - use this for FormData uploads
+  // and anything else that needs the raw Response
+  async authFetch(url, options = {}) {
+    const headers = { ...options.headers };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
     }
+
+    const response = await fetch(url, { ...options, headers });
+
+    if (response.status === 401 && this.token) {
+      this.clearSession();
+      if (this.onUnauthorized) {
+        this.onUnauthorized();
+      }
+    }
+
+    return response;
   }
 
   async request(endpoint, options = {}) {
     const url = `${API_BASE_URL}${endpoint}`;
     const config = {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
         ...options.headers,
       },
-      ...options,
     };
 
     try {
-      const response = await fetch(url, config);
+      const response = await this.authFetch(url, config);
       
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `HTTP error! status: ${response.status}`);
       }
       
       return await response.json();
@@ -38,6 +92,29 @@ class ApiService {
     }
   }
 
+  // Authentication
+  async register(username, email, password) {
+    const session = await this.request('/auth/register', {
+      method: 'POST',
+      body: JSON.stringify({ username, email, password }),
+    });
+    this.setSession(session);
+    return session.user;
+  }
+
+  async login(username, password) {
+    const session = await this.request('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ username, password }),
+    });
+    this.setSession(session);
+    return session.user;
+  }
+
+  logout() {
+    this.clearSession();
+  }
+
   // Wardrobe Items - Fixed to match backend endpoints
   async getItems() {
     return this.request(`/wardrobe/items/${this.userId}`);
@@ -64,7 +141,7 @@ class ApiService {
       const uploadFormData = new FormData();
       uploadFormData.append('image', imageFile);
       
-      const uploadResponse = await fetch('/api/upload', {
+      const uploadResponse = await this.authFetch('/api/upload', {
         method: 'POST',
         body: uploadFormData
       });
@@ -77,16 +154,21 @@ class ApiService {
     }
     
     const payload = {
-      userId: this.userId,
       name: itemData.name,
       type: itemData.category || itemData.type, // backend expects 'type' not 'category'
       description: itemData.description,
       color: itemData.color,
+      color_hex: itemData.colorHex,
+      secondary_colors: itemData.secondaryColors,
+      pattern: itemData.pattern,
       material: itemData.material,
       brand: itemData.brand,
       size: itemData.size,
       image_url: imageUrl, // Add the uploaded image URL
-      rfid_tag: itemData.rfidTag // Also include RFID tag if provided
+      rfid_tag: itemData.rfidTag, // Also include RFID tag if provided
+      price: itemData.price,
+      purchase_date: itemData.purchaseDate,
+      ocr_text: itemData.ocrText // Text Vision read on a detected item
     };
     
     return this.request('/wardrobe/items', {
@@ -96,6 +178,21 @@ class ApiService {
   }
 
 
+  // Full-text search with facet counts. filters maps a facet (type, color,
+  // brand, status, laundryStatus) to the values to allow.
+  async searchItems({ q, filters = {}, sort, page, limit } = {}) {
+    const params = new URLSearchParams();
+    if (q) params.set('q', q);
+    Object.entries(filters).forEach(([facet, values]) => {
+      values.forEach(value => params.append(facet, value));
+    });
+    if (sort) params.set('sort', sort);
+    if (page) params.set('page', page);
+    if (limit) params.set('limit', limit);
+    const query = params.toString();
+    return this.request(`/wardrobe/search/${this.userId}${query ? `?${query}` : ''}`);
+  }
+
   async updateItem(id, itemData) {
     return this.request(`/wardrobe/items/${id}`, {
       method: 'PUT',
@@ -109,12 +206,72 @@ class ApiService {
     });
   }
 
+  // Item photo gallery
+  async getItemImages(itemId) {
+    return this.request(`/wardrobe/items/${itemId}/images`);
+  }
+
+  async addItemImage(itemId, imageFile) {
+    const formData = new FormData();
+    formData.append('image', imageFile);
+
+    const response = await this.authFetch(`${API_BASE_URL}/wardrobe/items/${itemId}/images`, {
+      method: 'POST',
+      body: formData
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  async deleteItemImage(itemId, imageId) {
+    return this.request(`/wardrobe/items/${itemId}/images/${imageId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async setPrimaryItemImage(itemId, imageId) {
+    return this.request(`/wardrobe/items/${itemId}/images/${imageId}/primary`, {
+      method: 'PUT',
+    });
+  }
+
+  // degrees clockwise: 90, 180, 270 or -90. Returns the updated gallery.
+  async rotateItemImage(itemId, imageId, degrees) {
+    return this.request(`/wardrobe/items/${itemId}/images/${imageId}/rotate`, {
+      method: 'PUT',
+      body: JSON.stringify({ degrees }),
+    });
+  }
+
+  // Cut the photo out of its background; returns the gallery with its cutoutUrl
+  async createItemCutout(itemId, imageId) {
+    return this.request(`/wardrobe/items/${itemId}/images/${imageId}/cutout`, {
+      method: 'POST',
+    });
+  }
+
+  // Address of an uploaded image in one of the server's sizes: 'thumb'
+  // (tiles), 'medium' (detail views), 'full' or 'original'. Images are only
+  // served to their owner, so the URL carries the image token.
+  imageSrc(imageUrl, size = 'medium') {
+    return `${UPLOADS_ORIGIN}${imageUrl}?size=${size}&token=${encodeURIComponent(this.imageToken || '')}`;
+  }
+
+  async reorderItemImages(itemId, imageIds) {
+    return this.request(`/wardrobe/items/${itemId}/images/order`, {
+      method: 'PUT',
+      body: JSON.stringify({ imageIds }),
+    });
+  }
+
   // RFID Tracking - Fixed endpoints
   async logWearEvent(rfidTag, scanType = 'exit') {
     return this.request('/rfid/scan', {
       method: 'POST',
       body: JSON.stringify({ 
-        userId: this.userId,
         rfidTag, 
         scanType,
         location: 'home'
@@ -126,9 +283,178 @@ class ApiService {
     return this.request(`/rfid/scans/${this.userId}`);
   }
 
-  // Keep other methods but they won't work until backend implements them
+  // Wear analytics; windows is a list of day counts, idleDays the idle threshold
+  async getAnalytics({ windows, idleDays } = {}) {
+    const params = new URLSearchParams();
+    if (windows && windows.length) params.set('windows', windows.join(','));
+    if (idleDays) params.set('idleDays', idleDays);
+    const query = params.toString();
+    return this.request(`/analytics/${this.userId}${query ? `?${query}` : ''}`);
+  }
+
+  // Laundry
+  async getLaundry() {
+    return this.request(`/laundry/${this.userId}`);
+  }
+
+  async setLaundryStatus(itemId, status) {
+    return this.request(`/laundry/items/${itemId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ status }),
+    });
+  }
+
+  // action is 'wash', 'dry', 'done' or 'put-away'; without itemIds it applies to every eligible item
+  async runLaundryAction(action, itemIds) {
+    return this.request(`/laundry/${action}`, {
+      method: 'POST',
+      body: JSON.stringify(itemIds ? { itemIds } : {}),
+    });
+  }
+
+  async getLaundryRules() {
+    return this.request(`/laundry/rules/${this.userId}`);
+  }
+
+  async setLaundryRule(category, wearsBeforeWash) {
+    return this.request(`/laundry/rules/${encodeURIComponent(category)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ wearsBeforeWash }),
+    });
+  }
+
+  async resetLaundryRule(category) {
+    return this.request(`/laundry/rules/${encodeURIComponent(category)}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Rule-based outfit suggestions; params: occasion, temperature (°F), conditions,
+  // date (YYYY-MM-DD), limit. Without temperature/conditions the server's weather is used.
   async getOutfitSuggestions(params = {}) {
-    return this.request(`/outfits/${this.userId}`);
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    ).toString();
+    return this.request(`/recommendations/${this.userId}${query ? `?${query}` : ''}`);
+  }
+
+  // Weather (°F) from the server's weather provider
+  async getCurrentWeather() {
+    return this.request('/weather/current');
+  }
+
+  async getWeatherForecast(days = 5) {
+    return this.request(`/weather/forecast?days=${days}`);
+  }
+
+  // Calendar: imported events (their planned outfits are in the planner)
+  async getCalendar(from, to) {
+    const query = new URLSearchParams({ from, to }).toString();
+    return this.request(`/calendar/${this.userId}?${query}`);
+  }
+
+  async listCalendarFiles() {
+    return this.request('/calendar/files');
+  }
+
+  async importCalendar(file, days) {
+    const formData = new FormData();
+    formData.append('calendar', file);
+    if (days) formData.append('days', days);
+
+    const response = await this.authFetch(`${API_BASE_URL}/calendar/import`, {
+      method: 'POST',
+      body: formData
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.details || body.error || `HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  // name is a file listed by listCalendarFiles()
+  async importCalendarFile(name, days) {
+    return this.request('/calendar/import', {
+      method: 'POST',
+      body: JSON.stringify(days ? { file: name, days } : { file: name }),
+    });
+  }
+
+  // occasion null goes back to the automatic classification
+  async updateCalendarEvent(eventId, occasion) {
+    return this.request(`/calendar/events/${eventId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ occasion }),
+    });
+  }
+
+  // Planner: outfits planned for days ahead, with conflicts, and trips
+  async getPlanner(from, to) {
+    const query = new URLSearchParams(
+      Object.entries({ from, to }).filter(([, value]) => value)
+    ).toString();
+    return this.request(`/planner/${this.userId}${query ? `?${query}` : ''}`);
+  }
+
+  async createPlan(plan) {
+    return this.request('/planner/plans', {
+      method: 'POST',
+      body: JSON.stringify(plan),
+    });
+  }
+
+  async updatePlan(planId, changes) {
+    return this.request(`/planner/plans/${planId}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes),
+    });
+  }
+
+  async deletePlan(planId) {
+    return this.request(`/planner/plans/${planId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getTrips() {
+    return this.request(`/planner/${this.userId}/trips`);
+  }
+
+  async createTrip(trip) {
+    return this.request('/planner/trips', {
+      method: 'POST',
+      body: JSON.stringify(trip),
+    });
+  }
+
+  async deleteTrip(tripId) {
+    return this.request(`/planner/trips/${tripId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getPackingList(tripId) {
+    return this.request(`/planner/trips/${tripId}/packing`);
+  }
+
+  async setItemPacked(tripId, itemId, packed) {
+    return this.request(`/planner/trips/${tripId}/items/${itemId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ packed }),
+    });
+  }
+
+  // Clothing taxonomy: categories, item types under them, synonyms and
+  // wears-before-wash defaults
+  async getTaxonomy() {
+    return this.request('/taxonomy');
+  }
+
+  // Named colors items are described with: { families, colors: [{ name, hex, family }] }
+  async getColors() {
+    return this.request('/colors');
   }
 
   // Other methods...
@@ -143,8 +469,7 @@ class ApiService {
           const response = await this.request('/outfits/scan', {
             method: 'POST',
             body: JSON.stringify({
-              image: base64Image,
-              userId: this.userId
+              image: base64Image
             })
           });
           resolve(response);
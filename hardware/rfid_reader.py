@@ -4,6 +4,7 @@ Closet Monkey RFID Reader
 Hardware interface for Raspberry Pi RFID tracking
 """
 
+import os
 import time
 import json
 import requests
@@ -21,8 +22,12 @@ logging.basicConfig(
 )
 
 class RFIDReader:
-    def __init__(self, api_url="http://localhost:3001/api"):
+    def __init__(self, api_url="http://localhost:3001/api", api_token=None):
         self.api_url = api_url
+        # Device token of the closet owner (from POST /api/auth/devices); it
+        # doesn't expire until revoked, and the backend only updates items
+        # that belong to this account
+        self.api_token = api_token or os.environ.get("CLOSET_MONKEY_API_TOKEN")
         self.last_tags = set()
         
     def read_tags(self):
@@ -61,7 +66,11 @@ class RFIDReader:
                 "location": "main_door"
             }
             
-            response = requests.post(f"{self.api_url}/rfid/event", json=data)
+            headers = {}
+            if self.api_token:
+                headers["Authorization"] = f"Bearer {self.api_token}"
+            
+            response = requests.post(f"{self.api_url}/rfid/event", json=data, headers=headers)
             response.raise_for_status()
             
             logging.info(f"Sent {event_type} event with {len(tags)} tags")
@@ -75,6 +84,9 @@ class RFIDReader:
         """
         logging.info("Starting RFID reader...")
         
+        if not self.api_token:
+            logging.warning("CLOSET_MONKEY_API_TOKEN is not set - the API will reject events")
+        
         while True:
             try:
                 current_tags = set(self.read_tags())